@@ -51,8 +51,8 @@ Accounts.generate2faActivationQrCode = (appName, callback) => {
  * @locus Client
  * @param {String} code Code received from the authenticator app.
  * @param {Function} [callback] Optional callback.
- *   Called with no arguments on success, or with a single `Error` argument
- *   on failure.
+ *   Called with a single `Error` argument on failure.
+ *   Or, on success, called with an object containing the recovery codes of the user (recoveryCodes).
  */
 Accounts.enableUser2fa = (code, callback) => {
   if (!code) {
@@ -74,3 +74,58 @@ Accounts.enableUser2fa = (code, callback) => {
 Accounts.disableUser2fa = callback => {
   Accounts.connection.call('disableUser2fa', callback);
 };
+
+/**
+ * @summary Replace the recovery codes of the user with new ones
+ * @locus Client
+ * @param {Function} callback
+ *   Called with a single `Error` argument on failure.
+ *   Or, on success, called with the array of the new recovery codes.
+ */
+Accounts.generate2faRecoveryCodes = callback => {
+  Accounts.connection.call('generate2faRecoveryCodes', callback);
+};
+
+/**
+ * @summary Generates a svg QR code to add another authenticator to the user, who must have 2FA enabled
+ * @locus Client
+ * @param {String} appName It's the name of your app that will show up when the user scans the QR code.
+ * @param {Function} callback
+ *   Called with a single `Error` argument on failure.
+ *   Or, on success, called with an object containing the QR code in SVG format (svg),
+ *   the QR secret (secret), and the URI so the user can manually add the authenticator without reading the QR code (uri).
+ */
+Accounts.generate2faAuthenticatorQrCode = (appName, callback) => {
+  if (!appName) {
+    throw new Meteor.Error(
+      500,
+      'An app name is necessary when calling the function generate2faAuthenticatorQrCode'
+    );
+  }
+
+  Accounts.connection.call('generate2faAuthenticatorQrCode', appName, callback);
+};
+
+/**
+ * @summary Add the authenticator of the last QR code generated by `generate2faAuthenticatorQrCode` to the user
+ * @locus Client
+ * @param {String} code Code received from the new authenticator app.
+ * @param {String} [name] A name for the authenticator, to tell the authenticators of the user apart.
+ * @param {Function} [callback] Optional callback.
+ *   Called with a single `Error` argument on failure.
+ *   Or, on success, called with an object containing the id and the name of the authenticator.
+ */
+Accounts.add2faAuthenticator = (code, name, callback) => {
+  if (typeof name === 'function') {
+    callback = name;
+    name = undefined;
+  }
+
+  if (!code) {
+    return reportError(
+      new Meteor.Error(400, 'Must provide a code to validate'),
+      callback
+    );
+  }
+  Accounts.connection.call('add2faAuthenticator', code, name, callback);
+};
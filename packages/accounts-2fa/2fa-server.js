@@ -1,8 +1,30 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
 import { Accounts } from 'meteor/accounts-base';
 import twofactor from 'node-2fa';
 import QRCode from 'qrcode-svg';
 import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
+import { Random } from 'meteor/random';
+
+// The 2FA of a user is stored in services.twoFactorAuthentication, with:
+// - secret and type: the secret of the authenticator used to enable 2FA.
+//   `type` is 'otp' once it's enabled.
+// - authenticators: the other authenticators of the user, as objects with
+//   id, name, secret and createdAt fields.
+// - pendingSecret: the secret of an authenticator being added.
+// - recoveryCodes: the one time backup codes of the user, as objects with
+//   salt, hashedCode and, once used, usedAt fields.
+
+// The id of the authenticator used to enable 2FA in the list of factors.
+const PRIMARY_AUTHENTICATOR_ID = 'primary';
+const RECOVERY_CODES_ID = 'recoveryCodes';
+const RECOVERY_CODES_COUNT = 10;
+// Recovery codes are 20 hexadecimal digits, or 80 bits.
+const RECOVERY_CODE_LENGTH = 20;
+const RECOVERY_CODE_GROUP_LENGTH = 5;
+
+const scrypt = promisify(crypto.scrypt);
 
 Accounts._check2faEnabled = user => {
   const { services: { twoFactorAuthentication } = {} } = user;
@@ -23,6 +45,243 @@ Accounts._is2faEnabledForUser = async () => {
 
 Accounts._generate2faToken = secret => twofactor.generateToken(secret);
 
+const generateQrCode = (appName, user) => {
+  const emails = user.emails || [];
+  const { secret, uri } = twofactor.generateSecret({
+    name: appName.trim(),
+    account: user.username || emails[0]?.address || user._id,
+  });
+  const svg = new QRCode(uri).svg();
+
+  return { svg, secret, uri };
+};
+
+// Codes are written in groups of 5 characters, but we accept them without the
+// dashes, and in any case.
+const normalizeRecoveryCode = code => code.replace(/[\s-]/g, '').toLowerCase();
+
+const isRecoveryCode = code =>
+  new RegExp(`^[0-9a-f]{${RECOVERY_CODE_LENGTH}}$`).test(code);
+
+// Recovery codes are stored like passwords, with a salted slow hash, so that
+// they can't be recovered from a leaked database.
+const hashRecoveryCode = async (code, salt) =>
+  (await scrypt(normalizeRecoveryCode(code), salt, 32)).toString('base64');
+
+const recoveryCodeMatches = async (code, { salt, hashedCode }) => {
+  const expected = Buffer.from(hashedCode, 'base64');
+  const actual = Buffer.from(await hashRecoveryCode(code, salt), 'base64');
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODES_COUNT }, () =>
+    Random.hexString(RECOVERY_CODE_LENGTH)
+      .match(new RegExp(`.{${RECOVERY_CODE_GROUP_LENGTH}}`, 'g'))
+      .join('-')
+  );
+
+// Replaces the recovery codes of the user with new ones, which are returned.
+const resetRecoveryCodes = async userId => {
+  const codes = generateRecoveryCodes();
+  const recoveryCodes = await Promise.all(
+    codes.map(async code => {
+      const salt = Random.secret();
+      return { salt, hashedCode: await hashRecoveryCode(code, salt) };
+    })
+  );
+  await Meteor.users.updateAsync(
+    { _id: userId },
+    { $set: { 'services.twoFactorAuthentication.recoveryCodes': recoveryCodes } }
+  );
+
+  return codes;
+};
+
+const authenticatorSecrets = ({ secret, authenticators = [] }) => [
+  secret,
+  ...authenticators.map(authenticator => authenticator.secret),
+];
+
+// Marks the recovery code as used, if the user has it and it wasn't used.
+const consumeRecoveryCode = async (user, code) => {
+  // Don't spend time hashing codes of authenticators.
+  if (!isRecoveryCode(normalizeRecoveryCode(code))) {
+    return false;
+  }
+
+  const { recoveryCodes = [] } = user.services.twoFactorAuthentication;
+  let hashedCode = null;
+  for (const recoveryCode of recoveryCodes) {
+    if (!recoveryCode.usedAt && (await recoveryCodeMatches(code, recoveryCode))) {
+      hashedCode = recoveryCode.hashedCode;
+      break;
+    }
+  }
+  if (!hashedCode) {
+    return false;
+  }
+
+  // The code may have been used since the user was fetched.
+  const recoveryCode = { hashedCode, usedAt: null };
+  const updated = await Meteor.users.updateAsync(
+    {
+      _id: user._id,
+      'services.twoFactorAuthentication.recoveryCodes': {
+        $elemMatch: recoveryCode,
+      },
+    },
+    {
+      $set: {
+        'services.twoFactorAuthentication.recoveryCodes.$.usedAt': new Date(),
+      },
+    }
+  );
+
+  return updated === 1;
+};
+
+/**
+ * @summary Checks the 2FA code given by a user when logging in. It's either a
+ * code of any of their authenticators, or one of their recovery codes, which
+ * is then used up.
+ * @locus Server
+ * @param {Object} user The user, with their `services`.
+ * @param {String} code The code to check.
+ * @returns {Promise<Boolean>}
+ */
+Accounts._check2faCodeAsync = async (user, code) => {
+  const twoFactorAuthentication = user.services.twoFactorAuthentication;
+  if (
+    authenticatorSecrets(twoFactorAuthentication).some(secret =>
+      Accounts._isTokenValid(secret, code)
+    )
+  ) {
+    return true;
+  }
+
+  return consumeRecoveryCode(user, code);
+};
+
+/**
+ * @summary Lists the second factors of a user: their authenticators, with the
+ * `otp` type, and their recovery codes, with the `recoveryCodes` type and the
+ * number of codes which weren't used.
+ * @locus Server
+ * @param {String} userId The id of the user.
+ * @returns {Promise<Object[]>}
+ */
+Accounts.list2faFactorsAsync = async userId => {
+  check(userId, String);
+  const user = await Meteor.users.findOneAsync(userId, {
+    fields: { 'services.twoFactorAuthentication': 1 },
+  });
+  if (!user) {
+    throw new Meteor.Error(403, 'User not found');
+  }
+
+  if (!Accounts._check2faEnabled(user)) {
+    return [];
+  }
+
+  const {
+    createdAt,
+    authenticators = [],
+    recoveryCodes,
+  } = user.services.twoFactorAuthentication;
+  const factors = [
+    { id: PRIMARY_AUTHENTICATOR_ID, type: 'otp', createdAt },
+    ...authenticators.map(({ id, name, createdAt }) => ({
+      id,
+      type: 'otp',
+      name,
+      createdAt,
+    })),
+  ];
+
+  if (recoveryCodes) {
+    factors.push({
+      id: RECOVERY_CODES_ID,
+      type: 'recoveryCodes',
+      remaining: recoveryCodes.filter(({ usedAt }) => !usedAt).length,
+    });
+  }
+
+  return factors;
+};
+
+/**
+ * @summary Revokes a second factor of a user, listed by
+ * `Accounts.list2faFactorsAsync`. Revoking the last authenticator of the
+ * user disables their 2FA.
+ * @locus Server
+ * @param {String} userId The id of the user.
+ * @param {String} factorId The id of the factor.
+ * @returns {Promise}
+ */
+Accounts.revoke2faFactorAsync = async (userId, factorId) => {
+  check(userId, String);
+  check(factorId, String);
+  const user = await Meteor.users.findOneAsync(userId, {
+    fields: { 'services.twoFactorAuthentication': 1 },
+  });
+  if (!user || !Accounts._check2faEnabled(user)) {
+    throw new Meteor.Error(403, 'User has no 2FA enabled');
+  }
+
+  const { authenticators = [] } = user.services.twoFactorAuthentication;
+
+  if (factorId === RECOVERY_CODES_ID) {
+    await Meteor.users.updateAsync(
+      { _id: userId },
+      { $unset: { 'services.twoFactorAuthentication.recoveryCodes': 1 } }
+    );
+    return;
+  }
+
+  if (factorId !== PRIMARY_AUTHENTICATOR_ID) {
+    if (!authenticators.some(({ id }) => id === factorId)) {
+      throw new Meteor.Error(404, 'Factor not found');
+    }
+
+    await Meteor.users.updateAsync(
+      { _id: userId },
+      {
+        $pull: {
+          'services.twoFactorAuthentication.authenticators': { id: factorId },
+        },
+      }
+    );
+    return;
+  }
+
+  if (!authenticators.length) {
+    await Meteor.users.updateAsync(
+      { _id: userId },
+      { $unset: { 'services.twoFactorAuthentication': 1 } }
+    );
+    return;
+  }
+
+  // The next authenticator takes the place of the primary one.
+  const [next] = authenticators;
+  await Meteor.users.updateAsync(
+    { _id: userId },
+    {
+      $set: {
+        'services.twoFactorAuthentication.secret': next.secret,
+        'services.twoFactorAuthentication.createdAt': next.createdAt,
+      },
+      $pull: {
+        'services.twoFactorAuthentication.authenticators': { id: next.id },
+      },
+    }
+  );
+};
+
 Accounts._isTokenValid = (secret, code) => {
   if (!Meteor.isServer) {
     throw new Meteor.Error(
@@ -52,12 +311,7 @@ Meteor.methods({
       );
     }
 
-    const emails = user.emails || [];
-    const { secret, uri } = twofactor.generateSecret({
-      name: appName.trim(),
-      account: user.username || emails[0]?.address || user._id,
-    });
-    const svg = new QRCode(uri).svg();
+    const { svg, secret, uri } = generateQrCode(appName, user);
 
     await Meteor.users.updateAsync(
       { _id: user._id },
@@ -101,10 +355,77 @@ Meteor.methods({
           'services.twoFactorAuthentication': {
             ...twoFactorAuthentication,
             type: 'otp',
+            createdAt: new Date(),
           },
         },
       }
     );
+
+    return { recoveryCodes: await resetRecoveryCodes(user._id) };
+  },
+  async generate2faRecoveryCodes() {
+    const user = await Meteor.userAsync();
+    if (!user || !Accounts._check2faEnabled(user)) {
+      throw new Meteor.Error(400, 'The user must have 2FA enabled.');
+    }
+
+    return resetRecoveryCodes(user._id);
+  },
+  async generate2faAuthenticatorQrCode(appName) {
+    check(appName, String);
+    const user = await Meteor.userAsync();
+
+    if (!user || !Accounts._check2faEnabled(user)) {
+      throw new Meteor.Error(
+        400,
+        'The user must have 2FA enabled to add another authenticator.'
+      );
+    }
+
+    const { svg, secret, uri } = generateQrCode(appName, user);
+
+    await Meteor.users.updateAsync(
+      { _id: user._id },
+      { $set: { 'services.twoFactorAuthentication.pendingSecret': secret } }
+    );
+
+    return { svg, secret, uri };
+  },
+  async add2faAuthenticator(code, name) {
+    check(code, String);
+    check(name, Match.Optional(String));
+    const user = await Meteor.userAsync();
+
+    if (!user || !Accounts._check2faEnabled(user)) {
+      throw new Meteor.Error(400, 'The user must have 2FA enabled.');
+    }
+
+    const { pendingSecret } = user.services.twoFactorAuthentication;
+    if (!pendingSecret) {
+      throw new Meteor.Error(
+        500,
+        'The user does not have a secret generated. You may have to call the function generate2faAuthenticatorQrCode first.'
+      );
+    }
+    if (!Accounts._isTokenValid(pendingSecret, code)) {
+      Accounts._handleError('Invalid 2FA code', true, 'invalid-2fa-code');
+    }
+
+    const authenticator = {
+      id: Random.id(),
+      name: name || 'Authenticator',
+      secret: pendingSecret,
+      createdAt: new Date(),
+    };
+    await Meteor.users.updateAsync(
+      { _id: user._id },
+      {
+        $push: { 'services.twoFactorAuthentication.authenticators': authenticator },
+        $unset: { 'services.twoFactorAuthentication.pendingSecret': 1 },
+      }
+    );
+
+    return { id: authenticator.id, name: authenticator.name };
   },
   async disableUser2fa() {
     const userId = Meteor.userId();
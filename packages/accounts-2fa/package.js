@@ -17,6 +17,7 @@ Package.onUse(function (api) {
 
   api.use("ecmascript");
   api.use("check", "server");
+  api.use("random", "server");
 
   api.addFiles(["2fa-client.js"], "client");
   api.addFiles(["2fa-server.js"], "server");
@@ -29,6 +30,7 @@ Package.onTest(function (api) {
     "ecmascript",
     "tinytest",
     "random",
+    "ddp",
     "accounts-2fa",
   ]);
 
@@ -1,5 +1,6 @@
 import { Accounts } from 'meteor/accounts-base';
 import { Random } from 'meteor/random';
+import twofactor from 'node-2fa';
 
 const findUserById =
   async id => await Meteor.users.findOneAsync(id);
@@ -27,3 +28,98 @@ Tinytest.addAsync('account - 2fa - has2faEnabled - server', async test => {
   await Accounts.users.removeAsync(userWithout2FA);
   await Accounts.users.removeAsync(userWith2FA);
 });
+
+Tinytest.addAsync(
+  'account - 2fa - recovery codes and multiple authenticators',
+  async test => {
+    const username = Random.id();
+    const password = Random.id();
+    const userId = await Accounts.createUserAsync({ username, password });
+    const { secret } = twofactor.generateSecret({ name: 'test', account: username });
+    await Meteor.users.updateAsync(userId, {
+      $set: { 'services.twoFactorAuthentication': { type: 'otp', secret } },
+    });
+
+    const login = async code => {
+      const connection = DDP.connect(Meteor.absoluteUrl());
+      try {
+        await connection.callAsync('login', {
+          user: { username },
+          password,
+          code,
+        });
+      } catch (e) {
+        connection.disconnect();
+        throw e;
+      }
+      return connection;
+    };
+    const tokenOf = secret => Accounts._generate2faToken(secret).token;
+
+    const connection = await login(tokenOf(secret));
+    const recoveryCodes = await connection.callAsync('generate2faRecoveryCodes');
+    test.length(recoveryCodes, 10);
+    recoveryCodes.forEach(code =>
+      test.matches(code, /^[0-9a-f]{5}-[0-9a-f]{5}-[0-9a-f]{5}-[0-9a-f]{5}$/)
+    );
+
+    // The codes are stored hashed, each with its own salt.
+    const stored = (await findUserById(userId)).services.twoFactorAuthentication
+      .recoveryCodes;
+    test.length(stored, 10);
+    test.equal(new Set(stored.map(({ salt }) => salt)).size, 10);
+    stored.forEach(({ hashedCode }) =>
+      test.isFalse(recoveryCodes.some(code => hashedCode.includes(code)))
+    );
+
+    // Recovery codes can only be used once, and are accepted in any case.
+    (await login(recoveryCodes[0])).disconnect();
+    await test.throwsAsync(
+      () => login(recoveryCodes[0]),
+      /invalid-2fa-code/
+    );
+    (await login(recoveryCodes[1].replace(/-/g, '').toUpperCase())).disconnect();
+
+    // Another authenticator
+    const { secret: otherSecret } = await connection.callAsync(
+      'generate2faAuthenticatorQrCode',
+      'test'
+    );
+    const { id } = await connection.callAsync(
+      'add2faAuthenticator',
+      tokenOf(otherSecret),
+      'Phone'
+    );
+    connection.disconnect();
+    (await login(tokenOf(otherSecret))).disconnect();
+
+    const factors = await Accounts.list2faFactorsAsync(userId);
+    test.equal(
+      factors.map(({ id, type, name, remaining }) => ({ id, type, name, remaining })),
+      [
+        { id: 'primary', type: 'otp', name: undefined, remaining: undefined },
+        { id, type: 'otp', name: 'Phone', remaining: undefined },
+        { id: 'recoveryCodes', type: 'recoveryCodes', name: undefined, remaining: 8 },
+      ]
+    );
+
+    // The other authenticator takes the place of the revoked one.
+    await Accounts.revoke2faFactorAsync(userId, 'primary');
+    await test.throwsAsync(() => login(tokenOf(secret)), /invalid-2fa-code/);
+    (await login(tokenOf(otherSecret))).disconnect();
+    test.equal(
+      (await Accounts.list2faFactorsAsync(userId)).map(factor => factor.id),
+      ['primary', 'recoveryCodes']
+    );
+
+    await Accounts.revoke2faFactorAsync(userId, 'recoveryCodes');
+    await test.throwsAsync(() => login(recoveryCodes[2]), /invalid-2fa-code/);
+
+    // Revoking the last authenticator disables 2FA.
+    await Accounts.revoke2faFactorAsync(userId, 'primary');
+    test.isFalse(Accounts._check2faEnabled(await findUserById(userId)));
+    test.equal(await Accounts.list2faFactorsAsync(userId), []);
+
+    await Accounts.users.removeAsync(userId);
+  }
+);
@@ -9,13 +9,29 @@ export interface URLS {
   enrollAccount: (token: string) => string;
 }
 
+export type EmailField =
+  | string
+  | ((
+      user: Meteor.User,
+      url: string,
+      extra: { locale?: string | undefined; [key: string]: unknown }
+    ) => string | Promise<string>);
+
 export interface EmailFields {
-  from?: ((user: Meteor.User) => string) | undefined;
-  subject?: ((user: Meteor.User) => string) | undefined;
-  text?: ((user: Meteor.User, url: string) => string) | undefined;
-  html?: ((user: Meteor.User, url: string) => string) | undefined;
+  from?: EmailField | undefined;
+  subject?: EmailField | undefined;
+  text?: EmailField | undefined;
+  html?: EmailField | undefined;
+  template?: EmailField | undefined;
+  layout?: string | undefined;
 }
 
+export type EmailTemplateEngine = (
+  source: string,
+  data: Record<string, any>,
+  options: { html: boolean }
+) => string | Promise<string>;
+
 export interface AccountsClientOptions {
   connection?: DDP.DDPStatic;
   ddpUrl?: string;
@@ -82,6 +98,28 @@ export namespace Accounts {
     passwordEnrollTokenExpirationInDays?: number | undefined;
     ambiguousErrorMessages?: boolean | undefined;
     bcryptRounds?: number | undefined;
+    argon2Enabled?: boolean | undefined;
+    argon2TimeCost?: number | undefined;
+    argon2MemoryCost?: number | undefined;
+    argon2Parallelism?: number | undefined;
+    webauthn?: {
+      rpName?: string | undefined;
+      rpId?: string | undefined;
+      origins?: string | string[] | undefined;
+      userVerification?: 'required' | 'preferred' | 'discouraged' | undefined;
+      timeout?: number | undefined;
+    } | undefined;
+    loginLockout?: boolean | {
+      maxAttempts?: number | undefined;
+      maxAttemptsPerIp?: number | undefined;
+      lockoutDuration?: number | undefined;
+      backoffAfter?: number | undefined;
+      backoffDelay?: number | undefined;
+      maxBackoffDelay?: number | undefined;
+    } | undefined;
+    refreshTokens?: boolean | {
+      accessTokenExpiration?: number | undefined;
+    } | undefined;
     defaultFieldSelector?: { [key: string]: 0 | 1 } | undefined;
     collection?: string | undefined;
     loginTokenExpirationHours?: number | undefined;
@@ -149,6 +187,31 @@ export namespace Accounts {
     callback?: (error?: Error | Meteor.Error | Meteor.TypedError) => void
   ): Promise<void>;
 
+  interface Session {
+    id: string;
+    createdAt: Date;
+    lastUsedAt: Date;
+    expiresAt: Date;
+    userAgent: string | null;
+    clientAddress: string | null;
+    current?: boolean | undefined;
+  }
+
+  function getActiveSessions(
+    callback: (
+      error?: Error | Meteor.Error | Meteor.TypedError,
+      sessions?: Session[]
+    ) => void
+  ): void;
+
+  function revokeSession(
+    sessionId: string,
+    callback?: (
+      error?: Error | Meteor.Error | Meteor.TypedError,
+      found?: boolean
+    ) => void
+  ): void;
+
   type PasswordSignupField = 'USERNAME_AND_EMAIL' | 'USERNAME_AND_OPTIONAL_EMAIL' | 'USERNAME_ONLY' | 'EMAIL_ONLY';
   type PasswordlessSignupField = 'USERNAME_AND_EMAIL' | 'EMAIL_ONLY';
 
@@ -174,6 +237,12 @@ export interface EmailTemplates {
   resetPassword: EmailFields;
   enrollAccount: EmailFields;
   verifyEmail: EmailFields;
+  layout?: string | undefined;
+  engine?: EmailTemplateEngine | undefined;
+  defaultLocale?: string | undefined;
+  locales?:
+    | Record<string, { layout?: string | undefined; [reason: string]: EmailFields | string | undefined }>
+    | undefined;
 }
 
 export namespace Accounts {
@@ -183,6 +252,10 @@ export namespace Accounts {
 
   function removeEmail(userId: string, email: string): Promise<void>;
 
+  function onEmailLocale(
+    func: (user: Meteor.User, reason: string) => string | undefined | Promise<string | undefined>
+  ): void;
+
   function onCreateUser(
     func: (options: { profile?: {} | undefined }, user: Meteor.User) => void
   ): void;
@@ -220,6 +293,14 @@ export namespace Accounts {
 
   function setUsername(userId: string, newUsername: string): Promise<void>;
 
+  function getActiveSessions(userId: string): Promise<Session[]>;
+
+  function revokeSession(userId: string, sessionId: string): Promise<boolean>;
+
+  function unlockAccount(userId: string): Promise<void>;
+
+  function unlockClientAddress(clientAddress: string): Promise<void>;
+
   function setPasswordAsync(
     userId: string,
     newPassword: string,
@@ -1,4 +1,7 @@
-import {AccountsCommon} from "./accounts_common.js";
+import {
+  AccountsCommon,
+  ACCESS_TOKEN_REFRESH_MARGIN_MS,
+} from "./accounts_common.js";
 
 /**
  * @summary Constructor for the `Accounts` object on the client.
@@ -181,7 +184,9 @@ export class AccountsClient extends AccountsCommon {
           this._storeLoginToken(
             this.userId(),
             result.token,
-            result.tokenExpires
+            result.tokenExpires,
+            result.refreshToken,
+            result.refreshTokenExpires
           );
         }
       }
@@ -195,6 +200,25 @@ export class AccountsClient extends AccountsCommon {
     );
   }
 
+  /**
+   * @summary List the sessions of the current user, that is the devices it is logged in from.
+   * @locus Client
+   * @param {Function} callback Called with a single `Error` argument on failure, or with `(undefined, sessions)` on success. Each session has an `id`, the `createdAt`, `lastUsedAt` and `expiresAt` dates, the `userAgent` and `clientAddress` of the device, and a `current` flag for the session of this client.
+   */
+  getActiveSessions(callback) {
+    this.connection.call('getActiveSessions', callback);
+  }
+
+  /**
+   * @summary Revoke a session of the current user, logging out the clients using it.
+   * @locus Client
+   * @param {String} sessionId The id of the session, as returned by `getActiveSessions`.
+   * @param {Function} [callback] Optional callback. Called with a single `Error` argument on failure, or with `(undefined, found)` on success.
+   */
+  revokeSession(sessionId, callback) {
+    this.connection.call('revokeSession', sessionId, callback);
+  }
+
   ///
   /// LOGIN METHODS
   ///
@@ -299,16 +323,23 @@ export class AccountsClient extends AccountsCommon {
           if (storedToken) {
             result = {
               token: storedToken,
-              tokenExpires: this._storedLoginTokenExpires()
+              tokenExpires: this._storedLoginTokenExpires(),
+              refreshToken: this._storedRefreshToken(),
+              refreshTokenExpires: this._storedRefreshTokenExpires()
             };
           }
           if (!result.tokenExpires)
             result.tokenExpires = this._tokenExpiration(new Date());
-          if (this._tokenExpiresSoon(result.tokenExpires)) {
+          // With a refresh token, the login lasts until the refresh token
+          // expires.
+          const loginExpires = result.refreshToken
+            ? result.refreshTokenExpires
+            : result.tokenExpires;
+          if (this._tokenExpiresSoon(loginExpires)) {
             this.makeClientLoggedOut();
           } else {
             this.callLoginMethod({
-              methodArguments: [{resume: result.token}],
+              methodArguments: [this._resumeLoginOptions(result)],
               // Reconnect quiescence ensures that the user doesn't see an
               // intermediate state before the login method finishes. So we don't
               // need to show a logging-in animation.
@@ -333,7 +364,11 @@ export class AccountsClient extends AccountsCommon {
                   // responsible for calling `makeClientLoggedOut()`, or the
                   // periodic localStorage poll will call `makeClientLoggedOut`
                   // eventually if another tab wiped the token from storage.
-                  if (storedTokenNow && storedTokenNow === result.token) {
+                  //
+                  // Likewise, if another client refreshed the same token
+                  // first, the new token will soon be in storage.
+                  if (storedTokenNow && storedTokenNow === result.token &&
+                      error.error !== 'refresh-token-rotated') {
                     this.makeClientLoggedOut();
                   }
                 }
@@ -379,7 +414,13 @@ export class AccountsClient extends AccountsCommon {
       }
 
       // Make the client logged in. (The user data should already be loaded!)
-      this.makeClientLoggedIn(result.id, result.token, result.tokenExpires);
+      this.makeClientLoggedIn(
+        result.id,
+        result.token,
+        result.tokenExpires,
+        result.refreshToken,
+        result.refreshTokenExpires
+      );
 
       // use Tracker to make we sure have a user before calling the callbacks
       Tracker.autorun(async (computation) => {
@@ -419,8 +460,14 @@ export class AccountsClient extends AccountsCommon {
     this._reconnectStopper && this._reconnectStopper.stop();
   }
 
-  makeClientLoggedIn(userId, token, tokenExpires) {
-    this._storeLoginToken(userId, token, tokenExpires);
+  makeClientLoggedIn(userId, token, tokenExpires, refreshToken, refreshTokenExpires) {
+    this._storeLoginToken(
+      userId,
+      token,
+      tokenExpires,
+      refreshToken,
+      refreshTokenExpires
+    );
     this.connection.setUserId(userId);
   }
 
@@ -525,14 +572,24 @@ export class AccountsClient extends AccountsCommon {
   _isolateLoginTokenForTest() {
     this.LOGIN_TOKEN_KEY = this.LOGIN_TOKEN_KEY + Random.id();
     this.USER_ID_KEY = this.USER_ID_KEY + Random.id();
+    this.REFRESH_TOKEN_KEY = this.REFRESH_TOKEN_KEY + Random.id();
   };
 
-  _storeLoginToken(userId, token, tokenExpires) {
+  // Resuming a login with an access token doesn't return a refresh token,
+  // so the stored one is kept.
+  _storeLoginToken(userId, token, tokenExpires, refreshToken, refreshTokenExpires) {
     this.storageLocation.setItem(this.USER_ID_KEY, userId);
     this.storageLocation.setItem(this.LOGIN_TOKEN_KEY, token);
     if (! tokenExpires)
       tokenExpires = this._tokenExpiration(new Date());
     this.storageLocation.setItem(this.LOGIN_TOKEN_EXPIRES_KEY, tokenExpires);
+    if (refreshToken) {
+      this.storageLocation.setItem(this.REFRESH_TOKEN_KEY, refreshToken);
+      this.storageLocation.setItem(
+        this.REFRESH_TOKEN_EXPIRES_KEY,
+        refreshTokenExpires
+      );
+    }
 
     // to ensure that the localstorage poller doesn't end up trying to
     // connect a second time
@@ -543,6 +600,8 @@ export class AccountsClient extends AccountsCommon {
     this.storageLocation.removeItem(this.USER_ID_KEY);
     this.storageLocation.removeItem(this.LOGIN_TOKEN_KEY);
     this.storageLocation.removeItem(this.LOGIN_TOKEN_EXPIRES_KEY);
+    this.storageLocation.removeItem(this.REFRESH_TOKEN_KEY);
+    this.storageLocation.removeItem(this.REFRESH_TOKEN_EXPIRES_KEY);
 
     // to ensure that the localstorage poller doesn't end up trying to
     // connect a second time
@@ -563,13 +622,41 @@ export class AccountsClient extends AccountsCommon {
     return this.storageLocation.getItem(this.USER_ID_KEY);
   };
 
+  _storedRefreshToken() {
+    return this.storageLocation.getItem(this.REFRESH_TOKEN_KEY);
+  };
+
+  _storedRefreshTokenExpires() {
+    return this.storageLocation.getItem(this.REFRESH_TOKEN_EXPIRES_KEY);
+  };
+
   _unstoreLoginTokenIfExpiresSoon() {
-    const tokenExpires = this._storedLoginTokenExpires();
+    const tokenExpires = this._storedRefreshToken()
+      ? this._storedRefreshTokenExpires()
+      : this._storedLoginTokenExpires();
     if (tokenExpires && this._tokenExpiresSoon(new Date(tokenExpires))) {
       this._unstoreLoginToken();
     }
   };
 
+  // The arguments of the login method resuming a login. An access token
+  // which expires soon is refreshed instead.
+  _resumeLoginOptions({ token, tokenExpires, refreshToken }) {
+    if (refreshToken && (! tokenExpires ||
+        new Date() > new Date(tokenExpires) - ACCESS_TOKEN_REFRESH_MARGIN_MS)) {
+      return { refresh: refreshToken };
+    }
+    return { resume: token };
+  };
+
+  _storedResumeLoginOptions() {
+    return this._resumeLoginOptions({
+      token: this._storedLoginToken(),
+      tokenExpires: this._storedLoginTokenExpires(),
+      refreshToken: this._storedRefreshToken()
+    });
+  };
+
   ///
   /// AUTO-LOGIN
   ///
@@ -579,6 +666,8 @@ export class AccountsClient extends AccountsCommon {
     this.LOGIN_TOKEN_KEY = "Meteor.loginToken";
     this.LOGIN_TOKEN_EXPIRES_KEY = "Meteor.loginTokenExpires";
     this.USER_ID_KEY = "Meteor.userId";
+    this.REFRESH_TOKEN_KEY = "Meteor.refreshToken";
+    this.REFRESH_TOKEN_EXPIRES_KEY = "Meteor.refreshTokenExpires";
 
     const rootUrlPathPrefix = __meteor_runtime_config__.ROOT_URL_PATH_PREFIX;
     if (rootUrlPathPrefix || this.connection !== Meteor.connection) {
@@ -595,6 +684,8 @@ export class AccountsClient extends AccountsCommon {
       this.LOGIN_TOKEN_KEY += namespace;
       this.LOGIN_TOKEN_EXPIRES_KEY += namespace;
       this.USER_ID_KEY += namespace;
+      this.REFRESH_TOKEN_KEY += namespace;
+      this.REFRESH_TOKEN_EXPIRES_KEY += namespace;
     }
 
     let token;
@@ -608,22 +699,23 @@ export class AccountsClient extends AccountsCommon {
         // request is in flight. This reduces page flicker on startup.
         const userId = this._storedUserId();
         userId && this.connection.setUserId(userId);
-        this.loginWithToken(token, err => {
-          if (err) {
-            Meteor._debug(`Error logging in with token: ${err}`);
-            this.makeClientLoggedOut();
+        const loginOptions = this._storedResumeLoginOptions();
+        this.callLoginMethod({
+          methodArguments: [loginOptions],
+          userCallback: err => {
+            if (err) {
+              Meteor._debug(`Error logging in with token: ${err}`);
+              this.makeClientLoggedOut();
+            }
+
+            this._pageLoadLogin({
+              type: loginOptions.refresh ? "refresh" : "resume",
+              allowed: !err,
+              error: err,
+              methodName: "login",
+              methodArguments: [loginOptions]
+            });
           }
-
-          this._pageLoadLogin({
-            type: "resume",
-            allowed: !err,
-            error: err,
-            methodName: "login",
-            // XXX This is duplicate code with loginWithToken, but
-            // loginWithToken can also be called at other times besides
-            // page load.
-            methodArguments: [{resume: token}]
-          });
         });
       }
     }
@@ -14,6 +14,13 @@ const VALID_CONFIG_KEYS = [
   'passwordEnrollTokenExpiration',
   'ambiguousErrorMessages',
   'bcryptRounds',
+  'argon2Enabled',
+  'argon2TimeCost',
+  'argon2MemoryCost',
+  'argon2Parallelism',
+  'webauthn',
+  'loginLockout',
+  'refreshTokens',
   'defaultFieldSelector',
   'collection',
   'loginTokenExpirationHours',
@@ -229,6 +236,12 @@ export class AccountsCommon {
   // - bcryptRounds {Number}
   //     Allows override of number of bcrypt rounds (aka work factor) used
   //     to store passwords.
+  // - argon2Enabled {Boolean}
+  //     Hash passwords with argon2id instead of bcrypt.
+  // - argon2TimeCost, argon2MemoryCost, argon2Parallelism {Number}
+  //     The cost settings of argon2id.
+  // - webauthn {Object}
+  //     The relying party settings of accounts-webauthn.
 
   /**
    * @summary Set global accounts options. You can also set these in `Meteor.settings.packages.accounts` without the need to call this function.
@@ -246,6 +259,13 @@ export class AccountsCommon {
    * @param {Number} options.passwordEnrollTokenExpiration The number of milliseconds from when a link to set initial password is sent until token expires and user can't set password with the link anymore. If `passwordEnrollTokenExpirationInDays` is set, it takes precedent.
    * @param {Boolean} options.ambiguousErrorMessages Return ambiguous error messages from login failures to prevent user enumeration. Defaults to `true`.
    * @param {Number} options.bcryptRounds Allows override of number of bcrypt rounds (aka work factor) used to store passwords. The default is 10.
+   * @param {Boolean} options.argon2Enabled Hash passwords with argon2id instead of bcrypt. Users with a bcrypt hash are moved to argon2id the next time they log in. The default is `false`.
+   * @param {Number} options.argon2TimeCost The number of iterations of argon2id. The default is 2.
+   * @param {Number} options.argon2MemoryCost The memory used by argon2id, in KiB. The default is 19456 (19 MiB).
+   * @param {Number} options.argon2Parallelism The number of threads used by argon2id. The default is 1.
+   * @param {Object} options.webauthn When using the package `accounts-webauthn`, the settings of passkeys: `rpName`, `rpId`, `origins`, `userVerification` and `timeout`. See the package's docs for their defaults.
+   * @param {Boolean|Object} options.loginLockout Count the failed login attempts of each account and IP address, delaying the next attempts and locking the account out after too many. Pass `true` for the defaults, or an object with `maxAttempts` (per account, default 10), `maxAttemptsPerIp` (default 100), `lockoutDuration` (in milliseconds, default 15 minutes), `backoffAfter` (the failures before the attempts are delayed, default 3), `backoffDelay` (the first delay, doubled on each failure, default 1 second) and `maxBackoffDelay` (default 1 minute).
+   * @param {Boolean|Object} options.refreshTokens Log users in with short-lived access tokens and a refresh token, which is rotated each time it's used to get a new access token. A refresh token used twice revokes the login. Pass `true` for the defaults, or an object with `accessTokenExpiration`, the lifetime of access tokens in milliseconds (default 15 minutes). Refresh tokens expire like login tokens, see `loginExpiration`.
    * @param {MongoFieldSpecifier} options.defaultFieldSelector To exclude by default large custom fields from `Meteor.user()` and `Meteor.findUserBy...()` functions when called without a field selector, and all `onLogin`, `onLoginFailure` and `onLogout` callbacks.  Example: `Accounts.config({ defaultFieldSelector: { myBigArray: 0 }})`. Beware when using this. If, for instance, you do not include `email` when excluding the fields, you can have problems with functions like `forgotPassword` that will break because they won't have the required data available. It's recommend that you always keep the fields `_id`, `username`, and `email`.
    * @param {String|Mongo.Collection} options.collection A collection name or a Mongo.Collection object to hold the users.
    * @param {Number} options.loginTokenExpirationHours When using the package `accounts-2fa`, use this to set the amount of time a token sent is valid. As it's just a number, you can use, for example, 0.5 to make the token valid for just half hour. The default is 1 hour.
@@ -472,6 +492,9 @@ const DEFAULT_PASSWORD_ENROLL_TOKEN_EXPIRATION_DAYS = 30;
 // .1 * DEFAULT_LOGIN_EXPIRATION_DAYS, capped at MIN_TOKEN_LIFETIME_CAP_SECS.
 // Tries to avoid abrupt disconnects from expiring tokens.
 const MIN_TOKEN_LIFETIME_CAP_SECS = 3600; // one hour
+// With refresh tokens, clients refresh their access token instead of
+// resuming with it when it expires within this margin, to allow for clock skew.
+export const ACCESS_TOKEN_REFRESH_MARGIN_MS = 60 * 1000; // one minute
 // how often (in milliseconds) we check for expired tokens
 export const EXPIRE_TOKENS_INTERVAL_MS = 600 * 1000; // 10 minutes
 // A large number of expiration days (approximately 100 years worth) that is
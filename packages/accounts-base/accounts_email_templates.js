@@ -0,0 +1,191 @@
+import { Meteor } from 'meteor/meteor';
+import { WebApp } from 'meteor/webapp';
+
+// Route of the email preview pages, only served in development.
+export const EMAIL_PREVIEW_PATH = '/__meteor__/accounts/emails';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  '#39': "'",
+  nbsp: ' ',
+};
+
+const escapeHtml = value =>
+  String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+
+const lookup = (data, path) =>
+  path.split('.').reduce((value, key) => (value == null ? value : value[key]), data);
+
+/**
+ * The default template engine, a subset of Mustache: `{{path.to.value}}` is
+ * replaced by the value, HTML-escaped when rendering HTML, and
+ * `{{{path.to.value}}}` by the raw value.
+ * @param {String} source The template.
+ * @param {Object} data The values available to the template.
+ * @param {Object} options
+ * @param {Boolean} options.html Whether the template renders HTML.
+ * @returns {String}
+ */
+export const renderEmailTemplate = (source, data, { html }) =>
+  source.replace(/{{({)?\s*([\w.$]+)\s*}}(})?/g, (match, raw, path, rawEnd) => {
+    const value = lookup(data, path);
+    if (value == null) {
+      return '';
+    }
+    return (raw && rawEnd) || !html ? String(value) : escapeHtml(value);
+  });
+
+/**
+ * Derives the text version of an email from its HTML.
+ * @param {String} html
+ * @returns {String}
+ */
+export const htmlToText = html =>
+  html
+    .replace(/<(head|style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(
+      /<a\b[^>]*\bhref=(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi,
+      (match, quote, href, label) => {
+        const text = label.replace(/<[^>]+>/g, '').trim();
+        return !text || text === href ? href : `${text} (${href})`;
+      }
+    )
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|ul|ol)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, entity) => HTML_ENTITIES[entity])
+    .replace(/^[ \t]+|[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+
+/**
+ * The locales to look templates up in, from the most to the least specific:
+ * `pt-BR` gives `['pt-BR', 'pt']`.
+ * @param {String} [locale]
+ * @returns {String[]}
+ */
+export const localeCandidates = locale => {
+  if (!locale) {
+    return [];
+  }
+  const parts = locale.split(/[-_]/);
+  return parts.map((part, i) => parts.slice(0, parts.length - i).join('-'));
+};
+
+// Sample data given to the templates rendered by the preview pages.
+const previewUser = locale => ({
+  _id: 'preview-user',
+  username: 'preview',
+  emails: [{ address: 'preview@example.com', verified: false }],
+  profile: { name: 'Jane Doe', ...(locale && { locale }) },
+});
+
+const previewUrl = (accounts, reason) => {
+  if (reason === 'sendLoginToken') {
+    return accounts.urls.loginToken('preview@example.com', 'PREVIEW');
+  }
+  const buildUrl = accounts.urls[reason];
+  return buildUrl ? buildUrl('preview-token') : Meteor.absoluteUrl();
+};
+
+const emailReasons = emailTemplates =>
+  Object.keys(emailTemplates).filter(
+    key =>
+      key !== 'locales' &&
+      emailTemplates[key] &&
+      typeof emailTemplates[key] === 'object' &&
+      'subject' in emailTemplates[key]
+  );
+
+const renderPreviewIndex = emailTemplates => {
+  const locales = Object.keys(emailTemplates.locales || {});
+  const links = emailReasons(emailTemplates)
+    .map(reason => {
+      const variants = [undefined, ...locales].map(locale => {
+        const query = locale ? `?locale=${encodeURIComponent(locale)}` : '';
+        const path = `${EMAIL_PREVIEW_PATH}/${reason}${query}`;
+        const textQuery = `${query ? `${query}&` : '?'}format=text`;
+        return `<a href="${path}">${escapeHtml(locale || 'default')}</a>` +
+          ` (<a href="${EMAIL_PREVIEW_PATH}/${reason}${textQuery}">text</a>)`;
+      });
+      return `<li><strong>${escapeHtml(reason)}</strong>: ${variants.join(', ')}</li>`;
+    })
+    .join('\n');
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Accounts emails</title></head>
+<body>
+<h1>Accounts emails</h1>
+<ul>
+${links}
+</ul>
+</body>
+</html>
+`;
+};
+
+/**
+ * Serves previews of the accounts emails, rendered with sample data: the
+ * list of emails at `/__meteor__/accounts/emails`, and each email at
+ * `/__meteor__/accounts/emails/<reason>`, with optional `locale` and
+ * `format=text` query parameters.
+ * @param {AccountsServer} accounts
+ */
+export const setupEmailPreview = accounts => {
+  WebApp.handlers.use(EMAIL_PREVIEW_PATH, async (req, res, next) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const emailTemplates = accounts.emailTemplates || {};
+
+    const send = (status, contentType, body) => {
+      res.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8` });
+      res.end(body);
+    };
+
+    let reason;
+    try {
+      reason = decodeURIComponent(pathname.replace(/^\/|\/$/g, ''));
+    } catch (e) {
+      // Malformed escape sequences, like %E0.
+      send(400, 'text/plain', 'Bad request');
+      return;
+    }
+
+    if (!reason) {
+      send(200, 'text/html', renderPreviewIndex(emailTemplates));
+      return;
+    }
+    if (!emailReasons(emailTemplates).includes(reason)) {
+      next();
+      return;
+    }
+
+    try {
+      const locale = searchParams.get('locale') || undefined;
+      const options = await accounts.generateOptionsForEmail(
+        'preview@example.com',
+        previewUser(locale),
+        previewUrl(accounts, reason),
+        reason,
+        { sequence: 'PREVIEW', ...(locale && { locale }) }
+      );
+      if (searchParams.get('format') === 'text' || !options.html) {
+        send(200, 'text/plain', `Subject: ${options.subject}\n\n${options.text || ''}`);
+      } else {
+        send(200, 'text/html', options.html);
+      }
+    } catch (e) {
+      send(500, 'text/plain', e.stack || String(e));
+    }
+  });
+};
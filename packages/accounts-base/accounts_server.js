@@ -4,10 +4,40 @@ import {
   AccountsCommon,
   EXPIRE_TOKENS_INTERVAL_MS,
 } from './accounts_common.js';
+import {
+  htmlToText,
+  localeCandidates,
+  renderEmailTemplate,
+} from './accounts_email_templates.js';
 import { URL } from 'meteor/url';
 
 const hasOwn = Object.prototype.hasOwnProperty;
 
+// Failed login attempts, by account ("user:<id>") and by IP address
+// ("ip:<address>"), kept in the database so the counters are shared between
+// instances and survive restarts. Has failures, lastFailureAt, blockedUntil,
+// locked and expireAt fields.
+const LoginFailures = new Mongo.Collection('meteor_accounts_loginFailures', {
+  _preventAutopublish: true,
+  defineMutationMethods: false,
+});
+
+const LOGIN_LOCKOUT_DEFAULTS = {
+  maxAttempts: 10,
+  maxAttemptsPerIp: 100,
+  lockoutDuration: 15 * 60 * 1000,
+  backoffAfter: 3,
+  backoffDelay: 1000,
+  maxBackoffDelay: 60 * 1000,
+};
+
+// With refresh tokens, how long an access token can be used to resume a login.
+const DEFAULT_ACCESS_TOKEN_EXPIRATION_MS = 15 * 60 * 1000; // 15 minutes
+// Clients sharing their storage, like the tabs of a browser, can refresh the
+// same token at once. Within this interval, reusing the previous refresh
+// token fails without revoking the login.
+const REFRESH_TOKEN_REUSE_INTERVAL_MS = 30 * 1000;
+
 // XXX maybe this belongs in the check package
 const NonEmptyString = Match.Where(x => {
   check(x, String);
@@ -127,6 +157,7 @@ export class AccountsServer extends AccountsCommon {
 
   async init() {
     await setupUsersCollection(this.users);
+    await LoginFailures.createIndexAsync('expireAt', { expireAfterSeconds: 0 });
   }
 
   ///
@@ -222,6 +253,21 @@ export class AccountsServer extends AccountsCommon {
     this._additionalFindUserOnExternalLogin = func;
   }
 
+  /**
+   * @summary Customize the locale of the emails sent to a user. By default,
+   * the locale is read from `user.profile.locale`.
+   * @locus Server
+   * @param {Function} func Called with the user and the kind of email, like
+   * `resetPassword`. Return the locale, or `undefined` for the default one.
+   */
+  onEmailLocale(func) {
+    if (this._onEmailLocaleHook) {
+      throw new Error("Can only call onEmailLocale once");
+    }
+
+    this._onEmailLocaleHook = func;
+  }
+
   async _validateLogin(connection, attempt) {
     await this._validateLoginHook.forEachAsync(async (callback) => {
       let ret;
@@ -404,7 +450,10 @@ export class AccountsServer extends AccountsCommon {
   // "resume" login handler).
   async _loginUser(methodInvocation, userId, stampedLoginToken) {
     if (! stampedLoginToken) {
-      stampedLoginToken = this._generateStampedLoginToken();
+      stampedLoginToken = {
+        ...this._generateStampedLoginToken(),
+        ...this._loginTokenMetadata(methodInvocation.connection)
+      };
       await this._insertLoginToken(userId, stampedLoginToken);
     }
 
@@ -424,11 +473,17 @@ export class AccountsServer extends AccountsCommon {
 
     await methodInvocation.setUserId(userId);
 
-    return {
+    const result = {
       id: userId,
       token: stampedLoginToken.token,
-      tokenExpires: this._tokenExpiration(stampedLoginToken.when)
+      tokenExpires: stampedLoginToken.accessTokenExpires ||
+        this._tokenExpiration(stampedLoginToken.when)
     };
+    if (stampedLoginToken.refreshToken) {
+      result.refreshToken = stampedLoginToken.refreshToken;
+      result.refreshTokenExpires = this._tokenExpiration(stampedLoginToken.when);
+    }
+    return result;
   };
 
   // After a login method has completed, call the login hooks.  Note
@@ -470,6 +525,15 @@ export class AccountsServer extends AccountsCommon {
       attempt.user = user;
     }
 
+    // While the account or the address is locked out, even correct
+    // credentials are refused.
+    const lockoutError =
+      await this._checkLoginLockout(methodInvocation.connection, attempt);
+    if (lockoutError) {
+      attempt.allowed = false;
+      attempt.error = lockoutError;
+    }
+
     // _validateLogin may mutate `attempt` by adding an error and changing allowed
     // to false, but that's the only change it can make (and the user's callbacks
     // only get a clone of `attempt`).
@@ -486,10 +550,12 @@ export class AccountsServer extends AccountsCommon {
         ...result.options
       };
       ret.type = attempt.type;
+      await this._clearLoginFailures(attempt);
       await this._successfulLogin(methodInvocation.connection, attempt);
       return ret;
     }
     else {
+      await this._recordLoginFailure(methodInvocation.connection, attempt);
       await this._failedLogin(methodInvocation.connection, attempt);
       throw attempt.error;
     }
@@ -537,10 +603,11 @@ export class AccountsServer extends AccountsCommon {
     };
 
     if (result.userId) {
-      attempt.user = this.users.findOneAsync(result.userId, {fields: this._options.defaultFieldSelector});
+      attempt.user = await this.users.findOneAsync(result.userId, {fields: this._options.defaultFieldSelector});
     }
 
     await this._validateLogin(methodInvocation.connection, attempt);
+    await this._recordLoginFailure(methodInvocation.connection, attempt);
     await this._failedLogin(methodInvocation.connection, attempt);
 
     // _validateLogin may mutate attempt to set a new error message. Return
@@ -632,6 +699,77 @@ export class AccountsServer extends AccountsCommon {
     });
   };
 
+  ///
+  /// SESSIONS
+  ///
+
+  /**
+   * @summary Lists the unexpired sessions of a user, that is its login
+   * tokens, from the most recently used. Each session has an `id`, the
+   * `createdAt`, `lastUsedAt` and `expiresAt` dates, and the `userAgent` and
+   * `clientAddress` of the device it was last used from.
+   * @locus Server
+   * @param {String} userId The id of the user.
+   * @returns {Promise<Object[]>}
+   */
+  async getActiveSessions(userId) {
+    const user = await this.users.findOneAsync(userId, {
+      fields: { "services.resume.loginTokens": 1 }
+    });
+    const loginTokens = user?.services?.resume?.loginTokens || [];
+    const now = new Date();
+
+    return loginTokens
+      // Old style unhashed tokens are upgraded on their next use.
+      .filter(stampedToken => stampedToken.hashedToken)
+      .map(stampedToken => ({
+        id: this._sessionIdForStampedToken(stampedToken),
+        createdAt: stampedToken.when,
+        lastUsedAt: stampedToken.lastUsedAt || stampedToken.when,
+        expiresAt: this._tokenExpiration(stampedToken.when),
+        userAgent: stampedToken.userAgent || null,
+        clientAddress: stampedToken.clientAddress || null
+      }))
+      .filter(session => session.expiresAt > now)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  };
+
+  /**
+   * @summary Revokes a session of a user, immediately closing the
+   * connections logged in with it.
+   * @locus Server
+   * @param {String} userId The id of the user.
+   * @param {String} sessionId The id of the session, as returned by
+   * `getActiveSessions`.
+   * @returns {Promise<Boolean>} Whether the session was found.
+   */
+  async revokeSession(userId, sessionId) {
+    const user = await this.users.findOneAsync(userId, {
+      fields: { "services.resume.loginTokens": 1 }
+    });
+    const loginTokens = user?.services?.resume?.loginTokens || [];
+    const stampedToken = loginTokens.find(stampedToken =>
+      stampedToken.hashedToken &&
+      this._sessionIdForStampedToken(stampedToken) === sessionId
+    );
+    if (! stampedToken) {
+      return false;
+    }
+
+    await this.destroyToken(userId, stampedToken.hashedToken);
+
+    // The observes of the connections would close them once they see the
+    // token removed, but we don't wait for it.
+    Object.values(this._accountData)
+      .filter(({ loginToken }) => loginToken === stampedToken.hashedToken)
+      .forEach(({ connection }) => {
+        this._removeTokenFromConnection(connection.id);
+        connection.close();
+      });
+
+    return true;
+  };
+
   _initServerMethods() {
     // The methods created in this function need to be created here so that
     // this variable is available in their scope.
@@ -693,8 +831,11 @@ export class AccountsServer extends AccountsCommon {
       if (! currentStampedToken) { // safety belt: this should never happen
         throw new Meteor.Error("Invalid login token");
       }
-      const newStampedToken = accounts._generateStampedLoginToken();
-      newStampedToken.when = currentStampedToken.when;
+      const newStampedToken = {
+        ...accounts._generateStampedLoginToken(),
+        ...accounts._loginTokenMetadata(this.connection),
+        when: currentStampedToken.when
+      };
       await accounts._insertLoginToken(this.userId, newStampedToken);
       return await accounts._loginUser(this, this.userId, newStampedToken);
     };
@@ -714,6 +855,40 @@ export class AccountsServer extends AccountsCommon {
       });
     };
 
+    // Lists the sessions of the current user, flagging the one of the
+    // connection.
+    //
+    // @returns Array of sessions, see `getActiveSessions`
+    methods.getActiveSessions = async function () {
+      if (! this.userId) {
+        throw new Meteor.Error("You are not logged in.");
+      }
+      const currentHashedToken = accounts._getLoginToken(this.connection.id);
+      const user = await accounts.users.findOneAsync(this.userId, {
+        fields: { "services.resume.loginTokens": 1 }
+      });
+      const currentStampedToken = user?.services?.resume?.loginTokens?.find(
+        stampedToken => stampedToken.hashedToken === currentHashedToken
+      );
+      const currentSessionId = currentStampedToken &&
+        accounts._sessionIdForStampedToken(currentStampedToken);
+      const sessions = await accounts.getActiveSessions(this.userId);
+      return sessions.map(session => ({
+        ...session,
+        current: session.id === currentSessionId
+      }));
+    };
+
+    // Revokes a session of the current user, logging out its connections.
+    // Returns whether the session was found.
+    methods.revokeSession = async function (sessionId) {
+      check(sessionId, String);
+      if (! this.userId) {
+        throw new Meteor.Error("You are not logged in.");
+      }
+      return await accounts.revokeSession(this.userId, sessionId);
+    };
+
     // Allow a one-time configuration for a login service. Modifications
     // to this collection are also allowed in insecure mode.
     methods.configureLoginService = async (options) => {
@@ -891,8 +1066,12 @@ export class AccountsServer extends AccountsCommon {
   };
 
   // {token, when} => {hashedToken, when}
+  // {token, refreshToken, ...} => {hashedToken, hashedRefreshToken, ...}
   _hashStampedToken(stampedToken) {
-    const { token, ...hashedStampedToken } = stampedToken;
+    const { token, refreshToken, ...hashedStampedToken } = stampedToken;
+    if (refreshToken) {
+      hashedStampedToken.hashedRefreshToken = this._hashLoginToken(refreshToken);
+    }
     return {
       ...hashedStampedToken,
       hashedToken: this._hashLoginToken(token)
@@ -1039,11 +1218,59 @@ export class AccountsServer extends AccountsCommon {
 
   // (Also used by Meteor Accounts server and tests).
   //
+  //
+  // With refresh tokens, the token is a short-lived access token, and comes
+  // with a refresh token. The refresh token starts with the id of the token
+  // family, which is kept across rotations.
   _generateStampedLoginToken() {
-    return {
+    const stampedToken = {
       token: Random.secret(),
       when: new Date
     };
+
+    const accessTokenLifetimeMs = this._getAccessTokenLifetimeMs();
+    if (accessTokenLifetimeMs) {
+      stampedToken.familyId = Random.id();
+      stampedToken.refreshToken = `${stampedToken.familyId}.${Random.secret()}`;
+      stampedToken.accessTokenExpires =
+        new Date(stampedToken.when.getTime() + accessTokenLifetimeMs);
+    }
+
+    return stampedToken;
+  };
+
+  // The lifetime of access tokens, or null if refresh tokens are disabled.
+  _getAccessTokenLifetimeMs() {
+    const options = this._options.refreshTokens;
+    if (!options) {
+      return null;
+    }
+    return (typeof options === 'object' && options.accessTokenExpiration) ||
+      DEFAULT_ACCESS_TOKEN_EXPIRATION_MS;
+  };
+
+  // The device a login token is used from, stored with the token so the
+  // user can review their sessions. Updated each time the token is used.
+  // Logins made on the server, without a connection, have no device.
+  _loginTokenMetadata(connection) {
+    if (! connection) {
+      return { lastUsedAt: new Date };
+    }
+    const headers = connection.httpHeaders || {};
+    return {
+      lastUsedAt: new Date,
+      userAgent: headers['user-agent'] || null,
+      clientAddress: connection.clientAddress || null
+    };
+  };
+
+  // Sessions are identified by a hash of their hashed login token, which can
+  // be sent to the client without allowing to log in. With refresh tokens,
+  // the access token changes, so the token family is used instead.
+  _sessionIdForStampedToken(stampedToken) {
+    const hash = crypto.createHash('sha256');
+    hash.update(stampedToken.familyId || stampedToken.hashedToken);
+    return hash.digest('base64url').slice(0, 24);
   };
 
   ///
@@ -1308,7 +1535,8 @@ export class AccountsServer extends AccountsCommon {
   ) {
     options = { ...options };
 
-    if (serviceName === "password" || serviceName === "resume") {
+    if (serviceName === "password" || serviceName === "resume" ||
+        serviceName === "refresh") {
       throw new Error(
         "Can't use updateOrCreateUserFromExternalService with internal service "
         + serviceName);
@@ -1402,8 +1630,8 @@ export class AccountsServer extends AccountsCommon {
   };
 
   /**
-   * @summary Add a default rule of limiting logins, creating new users and password reset
-   * to 5 times every 10 seconds per connection.
+   * @summary Add a default rule of limiting logins, creating new users, password reset
+   * and passkey login options to 5 times every 10 seconds per connection.
    * @locus Server
    * @importFromPackage accounts-base
    */
@@ -1413,13 +1641,213 @@ export class AccountsServer extends AccountsCommon {
         userId: null,
         clientAddress: null,
         type: 'method',
-        name: name => ['login', 'createUser', 'resetPassword', 'forgotPassword']
-          .includes(name),
+        name: name => [
+          'login',
+          'createUser',
+          'resetPassword',
+          'forgotPassword',
+          'generatePasskeyLoginOptions',
+        ].includes(name),
         connectionId: (connectionId) => true,
       }, 5, 10000);
     }
   };
 
+  ///
+  /// LOGIN LOCKOUT
+  ///
+
+  // The lockout settings, or null when the lockout is disabled.
+  _getLoginLockoutOptions() {
+    const options = this._options.loginLockout;
+    if (!options) {
+      return null;
+    }
+    return {
+      ...LOGIN_LOCKOUT_DEFAULTS,
+      ...(typeof options === 'object' ? options : {})
+    };
+  };
+
+  // The counters a login attempt is checked against. Resuming a session,
+  // or refreshing its token, isn't guessing credentials, so it's never locked
+  // out.
+  _loginFailureKeys(connection, attempt) {
+    if (attempt.type === 'resume' || attempt.type === 'refresh') {
+      return [];
+    }
+    const keys = [];
+    if (attempt.user) {
+      keys.push(`user:${attempt.user._id}`);
+    }
+    if (connection && connection.clientAddress) {
+      keys.push(`ip:${connection.clientAddress}`);
+    }
+    return keys;
+  };
+
+  async _checkLoginLockout(connection, attempt) {
+    if (!this._getLoginLockoutOptions()) {
+      return null;
+    }
+    const keys = this._loginFailureKeys(connection, attempt);
+    if (!keys.length) {
+      return null;
+    }
+
+    const now = new Date();
+    const blocked = await LoginFailures.find({
+      _id: { $in: keys },
+      blockedUntil: { $gt: now }
+    }).fetchAsync();
+    if (!blocked.length) {
+      return null;
+    }
+
+    // A locked out address is reported like a backoff, not to suggest that
+    // the account is locked.
+    const locked = blocked.find(failures =>
+      failures.locked && failures._id.startsWith('user:')
+    );
+    const blockedUntil = Math.max(
+      ...blocked.map(failures => failures.blockedUntil.getTime())
+    );
+    const details = { timeToReset: blockedUntil - now.getTime() };
+    if (locked) {
+      return new Meteor.Error(
+        'account-locked',
+        'Too many failed login attempts. The account is locked, please try again later.',
+        details
+      );
+    }
+    return new Meteor.Error(
+      'too-many-login-attempts',
+      `Too many failed login attempts. Please wait ${Math.ceil(details.timeToReset / 1000)} seconds before trying again.`,
+      details
+    );
+  };
+
+  async _recordLoginFailure(connection, attempt) {
+    const options = this._getLoginLockoutOptions();
+    if (!options) {
+      return;
+    }
+    // Refused attempts of a locked out account don't extend its lockout.
+    const reason = attempt.error && attempt.error.error;
+    if (reason === 'account-locked' || reason === 'too-many-login-attempts') {
+      return;
+    }
+
+    const now = new Date();
+    for (const key of this._loginFailureKeys(connection, attempt)) {
+      const maxAttempts = key.startsWith('ip:')
+        ? options.maxAttemptsPerIp
+        : options.maxAttempts;
+
+      // Failures are forgotten after a lockout duration without any.
+      await LoginFailures.updateAsync(
+        {
+          _id: key,
+          lastFailureAt: { $lt: new Date(now - options.lockoutDuration) }
+        },
+        { $set: { failures: 0, locked: false } }
+      );
+      await LoginFailures.upsertAsync(key, {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now }
+      });
+      const { failures } = await LoginFailures.findOneAsync(key);
+
+      // Only accounts are backed off, as an address may be shared by many
+      // users.
+      let blockedUntil;
+      let locked = false;
+      if (failures >= maxAttempts) {
+        blockedUntil = new Date(now.getTime() + options.lockoutDuration);
+        locked = true;
+      } else if (key.startsWith('user:') && failures >= options.backoffAfter) {
+        const delay = Math.min(
+          options.backoffDelay * 2 ** (failures - options.backoffAfter),
+          options.maxBackoffDelay
+        );
+        blockedUntil = new Date(now.getTime() + delay);
+      }
+
+      const modifier = {
+        $max: {
+          expireAt: new Date(now.getTime() + 2 * options.lockoutDuration)
+        }
+      };
+      if (blockedUntil) {
+        modifier.$max.blockedUntil = blockedUntil;
+      }
+      if (locked) {
+        modifier.$set = { locked };
+      }
+      await LoginFailures.updateAsync(key, modifier);
+    }
+  };
+
+  // A successful login resets the failures of the account, but not the ones
+  // of the address, which may be trying many accounts.
+  async _clearLoginFailures(attempt) {
+    if (!this._getLoginLockoutOptions() || !attempt.user ||
+        attempt.type === 'resume' || attempt.type === 'refresh') {
+      return;
+    }
+    await LoginFailures.removeAsync(`user:${attempt.user._id}`);
+  };
+
+  /**
+   * @summary Unlocks an account locked after too many failed login attempts,
+   * and resets its failures.
+   * @locus Server
+   * @param {String} userId The id of the user.
+   * @returns {Promise<void>}
+   * @importFromPackage accounts-base
+   */
+  async unlockAccount(userId) {
+    await LoginFailures.removeAsync(`user:${userId}`);
+  };
+
+  /**
+   * @summary Unlocks an IP address locked after too many failed login
+   * attempts, and resets its failures.
+   * @locus Server
+   * @param {String} clientAddress The IP address, as in `connection.clientAddress`.
+   * @returns {Promise<void>}
+   * @importFromPackage accounts-base
+   */
+  async unlockClientAddress(clientAddress) {
+    await LoginFailures.removeAsync(`ip:${clientAddress}`);
+  };
+
+  ///
+  /// EMAILS
+  ///
+
+  async _getEmailLocale(user, reason) {
+    const locale = this._onEmailLocaleHook
+      ? await this._onEmailLocaleHook(user, reason)
+      : user?.profile?.locale;
+    return locale || this.emailTemplates.defaultLocale;
+  }
+
+  // The template for an email in the given locale: the fields of the most
+  // specific locale variant override those of the default template.
+  _getEmailTemplate(reason, locale) {
+    const { locales = {} } = this.emailTemplates;
+    const variants = localeCandidates(locale)
+      .map(candidate => locales[candidate])
+      .filter(variant => variant && variant[reason]);
+    const variant = variants[0];
+    return {
+      layout: variant?.layout || this.emailTemplates.layout,
+      ...this.emailTemplates[reason],
+      ...variant?.[reason],
+    };
+  }
+
   /**
    * @summary Creates options for email sending for reset password and enroll account emails.
    * You can use this function when customizing a reset password or enroll account email sending.
@@ -1428,24 +1856,53 @@ export class AccountsServer extends AccountsCommon {
    * @param {Object} user The user object to generate options for.
    * @param {String} url URL to which user is directed to confirm the email.
    * @param {String} reason `resetPassword` or `enrollAccount`.
+   * @param {Object} [extra] Optional data passed to the template functions.
+   * Its `locale` field, if set, overrides the locale of the user.
    * @returns {Object} Options which can be passed to `Email.send`.
    * @importFromPackage accounts-base
    */
   async generateOptionsForEmail(email, user, url, reason, extra = {}){
+    const locale = extra.locale || await this._getEmailLocale(user, reason);
+    const template = this._getEmailTemplate(reason, locale);
+    const templateExtra = { ...extra, locale };
+    const render = this.emailTemplates.engine || renderEmailTemplate;
+    const data = {
+      siteName: this.emailTemplates.siteName,
+      ...templateExtra,
+      user,
+      url,
+    };
+    const field = async (value, html) =>
+      typeof value === 'function'
+        ? value(user, url, templateExtra)
+        : render(value, data, { html });
+
     const options = {
       to: email,
-      from: this.emailTemplates[reason].from
-        ? await this.emailTemplates[reason].from(user)
+      from: template.from
+        ? await field(template.from, false)
         : this.emailTemplates.from,
-      subject: await this.emailTemplates[reason].subject(user, url, extra),
+      subject: await field(template.subject, false),
     };
 
-    if (typeof this.emailTemplates[reason].text === 'function') {
-      options.text = await this.emailTemplates[reason].text(user, url, extra);
+    if (template.text) {
+      options.text = await field(template.text, false);
+    }
+
+    if (template.html) {
+      options.html = await field(template.html, true);
     }
 
-    if (typeof this.emailTemplates[reason].html === 'function') {
-      options.html = await this.emailTemplates[reason].html(user, url, extra);
+    // A single template renders the html, wrapped in the layout if any, from
+    // which the text is derived unless the template has its own.
+    if (template.template) {
+      const body = await field(template.template, true);
+      options.html = template.layout
+        ? await render(template.layout, { ...data, body }, { html: true })
+        : body;
+      if (!options.text) {
+        options.text = htmlToText(options.html);
+      }
     }
 
     if (typeof this.emailTemplates.headers === 'object') {
@@ -1571,12 +2028,15 @@ const tryLoginMethod = async (type, fn) => {
 
 const setupDefaultLoginHandlers = accounts => {
   accounts.registerLoginHandler("resume", function (options) {
-    return defaultResumeLoginHandler.call(this, accounts, options);
+    return defaultResumeLoginHandler(accounts, options, this.connection);
+  });
+  accounts.registerLoginHandler("refresh", function (options) {
+    return defaultRefreshLoginHandler(accounts, options, this.connection);
   });
 };
 
 // Login handler for resume tokens.
-const defaultResumeLoginHandler = async (accounts, options) => {
+const defaultResumeLoginHandler = async (accounts, options, connection) => {
   if (!options.resume)
     return undefined;
 
@@ -1628,7 +2088,8 @@ const defaultResumeLoginHandler = async (accounts, options) => {
     oldUnhashedStyleToken = true;
   }
 
-  const tokenExpires = accounts._tokenExpiration(token.when);
+  const tokenExpires = token.accessTokenExpires ||
+    accounts._tokenExpiration(token.when);
   if (new Date() >= tokenExpires)
     return {
       userId: user._id,
@@ -1665,15 +2126,125 @@ const defaultResumeLoginHandler = async (accounts, options) => {
     });
   }
 
+  // Keep track of when and where the session was last used.
+  const metadata = accounts._loginTokenMetadata(connection);
+  await accounts.users.updateAsync(
+    {
+      _id: user._id,
+      "services.resume.loginTokens.hashedToken": hashedToken
+    },
+    {$set: Object.fromEntries(Object.entries(metadata).map(([key, value]) =>
+      [`services.resume.loginTokens.$.${key}`, value]
+    ))}
+  );
+
   return {
     userId: user._id,
     stampedLoginToken: {
       token: options.resume,
-      when: token.when
+      when: token.when,
+      accessTokenExpires: token.accessTokenExpires
     }
   };
 };
 
+// Login handler for refresh tokens. Rotates the refresh token, and issues a
+// new access token in the same token family.
+const defaultRefreshLoginHandler = async (accounts, options, connection) => {
+  if (!options.refresh)
+    return undefined;
+
+  check(options.refresh, String);
+
+  const [familyId] = options.refresh.split('.');
+  const user = await accounts.users.findOneAsync(
+    {"services.resume.loginTokens.familyId": familyId},
+    {fields: {"services.resume.loginTokens.$": 1}});
+
+  if (! user)
+    return {
+      error: new Meteor.Error(403, "You've been logged out by the server. Please log in again.")
+    };
+
+  const token = user.services.resume.loginTokens[0];
+  const hashedRefreshToken = accounts._hashLoginToken(options.refresh);
+  const now = new Date();
+
+  if (hashedRefreshToken !== token.hashedRefreshToken) {
+    if (hashedRefreshToken === token.previousHashedRefreshToken &&
+        now - token.rotatedAt < REFRESH_TOKEN_REUSE_INTERVAL_MS) {
+      return {
+        userId: user._id,
+        error: new Meteor.Error(
+          'refresh-token-rotated',
+          'The refresh token was already used by another client.'
+        )
+      };
+    }
+
+    // A refresh token which was rotated is used again: either the user or
+    // whoever stole it will have a token which is no longer valid, so the
+    // whole family is revoked, logging both out.
+    await accounts.users.updateAsync(user._id, {
+      $pull: {
+        "services.resume.loginTokens": { familyId }
+      }
+    });
+    return {
+      userId: user._id,
+      error: new Meteor.Error(403, "You've been logged out by the server. Please log in again.")
+    };
+  }
+
+  // Refresh tokens may have been disabled since.
+  if (now >= accounts._tokenExpiration(token.when) ||
+      ! accounts._getAccessTokenLifetimeMs())
+    return {
+      userId: user._id,
+      error: new Meteor.Error(403, "Your session has expired. Please log in again.")
+    };
+
+  const stampedLoginToken = {
+    ...accounts._generateStampedLoginToken(),
+    familyId,
+    refreshToken: `${familyId}.${Random.secret()}`,
+    when: token.when
+  };
+  // The token family keeps its metadata, but its hashed tokens are replaced.
+  const { when, ...hashedStampedToken } = accounts._hashStampedToken({
+    ...stampedLoginToken,
+    ...accounts._loginTokenMetadata(connection),
+    previousHashedRefreshToken: hashedRefreshToken,
+    rotatedAt: now
+  });
+
+  // Only one client can rotate a refresh token.
+  const updated = await accounts.users.updateAsync(
+    {
+      _id: user._id,
+      "services.resume.loginTokens": {
+        $elemMatch: { familyId, hashedRefreshToken }
+      }
+    },
+    {$set: Object.fromEntries(Object.entries(hashedStampedToken).map(([key, value]) =>
+      [`services.resume.loginTokens.$.${key}`, value]
+    ))}
+  );
+  if (! updated)
+    return {
+      userId: user._id,
+      error: new Meteor.Error(
+        'refresh-token-rotated',
+        'The refresh token was already used by another client.'
+      )
+    };
+
+  return {
+    userId: user._id,
+    stampedLoginToken
+  };
+};
+
 const expirePasswordToken =
   async (
     accounts,
@@ -1831,6 +2402,9 @@ const setupUsersCollection = async users => {
     { unique: true, sparse: true });
   await users.createIndexAsync('services.resume.loginTokens.token',
     { unique: true, sparse: true });
+  // For refresh tokens
+  await users.createIndexAsync('services.resume.loginTokens.familyId',
+    { unique: true, sparse: true });
   // For taking care of logoutOtherClients calls that crashed before the
   // tokens were deleted.
   await users.createIndexAsync('services.resume.haveLoginTokensToDelete',
@@ -346,6 +346,242 @@ Tinytest.addAsync('accounts - remove other tokens', async (test) => {
   }
 );
 
+Tinytest.addAsync('accounts - list and revoke sessions', async test => {
+  const userId = await Accounts.insertUserDoc({}, { username: Random.id() });
+  const stampedTokens = [];
+  const conns = [];
+
+  for (let i = 0; i < 2; i++) {
+    stampedTokens.push(Accounts._generateStampedLoginToken());
+    await Accounts._insertLoginToken(userId, stampedTokens[i]);
+    const conn = DDP.connect(Meteor.absoluteUrl());
+    await conn.callAsync('login', { resume: stampedTokens[i].token });
+    conns.push(conn);
+  }
+
+  // Resuming a session stamps it with the device.
+  const sessions = await conns[0].callAsync('getActiveSessions');
+  test.equal(sessions.length, 2);
+  sessions.forEach(session => {
+    test.isTrue(session.id);
+    test.isTrue(session.lastUsedAt >= session.createdAt);
+    test.isTrue(session.clientAddress);
+    test.isFalse(session.hashedToken);
+  });
+  test.equal(sessions.filter(session => session.current).length, 1);
+
+  // The hashed token of the session is not exposed.
+  const user = await Meteor.users.findOneAsync(userId);
+  const hashedTokens =
+    user.services.resume.loginTokens.map(token => token.hashedToken);
+  sessions.forEach(session => test.isFalse(hashedTokens.includes(session.id)));
+
+  const other = sessions.find(session => ! session.current);
+  test.isFalse(await conns[0].callAsync('revokeSession', Random.id()));
+  test.isTrue(await conns[0].callAsync('revokeSession', other.id));
+
+  const remaining = await Accounts.getActiveSessions(userId);
+  test.equal(remaining.map(session => session.id),
+    sessions.filter(session => session.current).map(session => session.id));
+  test.equal(await conns[0].callAsync('getCurrentLoginToken'),
+    Accounts._hashLoginToken(stampedTokens[0].token));
+  test.isFalse(await conns[1].callAsync('getCurrentLoginToken'));
+
+  conns.forEach(conn => conn.disconnect());
+});
+
+Tinytest.addAsync('accounts - login lockout and backoff', async test => {
+  const username = Random.id();
+  const password = Random.id();
+  const userId = await Accounts.createUserAsync({ username, password });
+  const previousOptions = Accounts._options.loginLockout;
+  Accounts._options.loginLockout = {
+    maxAttempts: 4,
+    maxAttemptsPerIp: 1000,
+    backoffAfter: 2,
+    backoffDelay: 200,
+  };
+  Accounts.removeDefaultRateLimit();
+
+  const conn = DDP.connect(Meteor.absoluteUrl());
+  const login = password =>
+    conn.callAsync('login', { user: { username }, password });
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  try {
+    // The first failures are not delayed.
+    await test.throwsAsync(() => login('wrong'), /credentials/);
+    await test.throwsAsync(() => login('wrong'), /credentials/);
+
+    // Then, even the right password has to wait.
+    await test.throwsAsync(() => login(password), /too-many-login-attempts/);
+    await wait(250);
+    await test.throwsAsync(() => login('wrong'), /credentials/);
+    await wait(450);
+    await test.throwsAsync(() => login('wrong'), /credentials/);
+
+    // The account is locked until an admin unlocks it.
+    await test.throwsAsync(() => login(password), /account-locked/);
+    await Accounts.unlockAccount(userId);
+    await login(password);
+    await conn.callAsync('logout');
+
+    // A successful login resets the failures of the account.
+    await test.throwsAsync(() => login('wrong'), /credentials/);
+    await login(password);
+  } finally {
+    conn.disconnect();
+    Accounts._options.loginLockout = previousOptions;
+    Accounts.addDefaultRateLimit();
+    await Accounts.unlockAccount(userId);
+    await Meteor.users.removeAsync(userId);
+  }
+});
+
+Tinytest.addAsync('accounts - refresh tokens', async test => {
+  const username = Random.id();
+  const password = Random.id();
+  const userId = await Accounts.createUserAsync({ username, password });
+  const previousOptions = Accounts._options.refreshTokens;
+  Accounts._options.refreshTokens = { accessTokenExpiration: 60 * 1000 };
+  const loginTypes = [];
+  const onLoginStopper = Accounts.onLogin(attempt => {
+    if (attempt.user._id === userId) loginTypes.push(attempt.type);
+  });
+
+  const conns = [];
+  const login = async options => {
+    const conn = DDP.connect(Meteor.absoluteUrl());
+    conns.push(conn);
+    return await conn.callAsync('login', options);
+  };
+  const setTokenFields = async (familyId, fields) => {
+    await Meteor.users.updateAsync(
+      { _id: userId, 'services.resume.loginTokens.familyId': familyId },
+      { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+        [`services.resume.loginTokens.$.${key}`, value]
+      )) }
+    );
+  };
+
+  try {
+    // Logins issue a short-lived access token and a refresh token.
+    const first = await login({ user: { username }, password });
+    test.isTrue(first.refreshToken);
+    test.isTrue(first.tokenExpires - new Date() <= 60 * 1000);
+    test.equal(first.refreshTokenExpires, Accounts._tokenExpiration(
+      (await Meteor.users.findOneAsync(userId)).services.resume.loginTokens[0].when
+    ));
+    await login({ resume: first.token });
+    const [familyId] = first.refreshToken.split('.');
+
+    // Refreshing rotates both tokens, in the same family.
+    const second = await login({ refresh: first.refreshToken });
+    test.equal(loginTypes, ['password', 'resume', 'refresh']);
+    test.notEqual(second.token, first.token);
+    test.notEqual(second.refreshToken, first.refreshToken);
+    test.equal(second.refreshToken.split('.')[0], familyId);
+    test.equal(second.refreshTokenExpires, first.refreshTokenExpires);
+    await test.throwsAsync(
+      () => login({ resume: first.token }),
+      /You've been logged out by the server/
+    );
+    const sessions = await Accounts.getActiveSessions(userId);
+    test.equal(sessions.length, 1);
+
+    // Another client refreshing with the same token right after isn't
+    // treated as a reuse.
+    await test.throwsAsync(
+      () => login({ refresh: first.refreshToken }),
+      /refresh-token-rotated/
+    );
+
+    // An expired access token can't be used, but can be refreshed.
+    await setTokenFields(familyId, { accessTokenExpires: new Date(0) });
+    await test.throwsAsync(
+      () => login({ resume: second.token }),
+      /Your session has expired/
+    );
+    const third = await login({ refresh: second.refreshToken });
+    await login({ resume: third.token });
+
+    // Reusing a rotated refresh token revokes the whole family.
+    await setTokenFields(familyId, { rotatedAt: new Date(0) });
+    await test.throwsAsync(
+      () => login({ refresh: second.refreshToken }),
+      /You've been logged out by the server/
+    );
+    await test.throwsAsync(
+      () => login({ refresh: third.refreshToken }),
+      /You've been logged out by the server/
+    );
+    await test.throwsAsync(
+      () => login({ resume: third.token }),
+      /You've been logged out by the server/
+    );
+  } finally {
+    conns.forEach(conn => conn.disconnect());
+    onLoginStopper.stop();
+    Accounts._options.refreshTokens = previousOptions;
+    await Meteor.users.removeAsync(userId);
+  }
+});
+
+Tinytest.addAsync('accounts - localized email templates', async test => {
+  const { emailTemplates } = Accounts;
+  const previousLocales = emailTemplates.locales;
+  const previousLayout = emailTemplates.layout;
+  emailTemplates.testEmail = {
+    subject: 'Welcome to {{siteName}}',
+    template: '<p>Hello {{user.profile.name}},</p>\n<p><a href="{{url}}">Sign in</a></p>',
+  };
+  emailTemplates.layout = '<html><body>{{{body}}}</body></html>';
+  emailTemplates.locales = {
+    fr: {
+      testEmail: {
+        subject: 'Bienvenue sur {{siteName}}',
+        template: '<p>Bonjour {{user.profile.name}},</p>',
+      },
+    },
+  };
+  const generate = (user, extra) => Accounts.generateOptionsForEmail(
+    'test@example.com', user, 'http://example.com/?a=1&b=2', 'testEmail', extra
+  );
+
+  try {
+    const user = { profile: { name: 'Tom & Jerry' } };
+    let options = await generate(user);
+    test.equal(options.subject, `Welcome to ${emailTemplates.siteName}`);
+    test.equal(
+      options.html,
+      '<html><body><p>Hello Tom &amp; Jerry,</p>\n' +
+        '<p><a href="http://example.com/?a=1&amp;b=2">Sign in</a></p></body></html>'
+    );
+    test.equal(
+      options.text,
+      'Hello Tom & Jerry,\n\nSign in (http://example.com/?a=1&b=2)\n'
+    );
+
+    // The locale is read from the profile, and falls back to the language.
+    options = await generate({ profile: { ...user.profile, locale: 'fr-CA' } });
+    test.equal(options.subject, `Bienvenue sur ${emailTemplates.siteName}`);
+    test.equal(options.text, 'Bonjour Tom & Jerry,\n');
+    options = await generate(user, { locale: 'fr' });
+    test.equal(options.text, 'Bonjour Tom & Jerry,\n');
+    options = await generate({ profile: { locale: 'de' } });
+    test.equal(options.text, 'Hello ,\n\nSign in (http://example.com/?a=1&b=2)\n');
+
+    // Template functions get the locale too.
+    emailTemplates.locales.fr.testEmail.text = (user, url, { locale }) => locale;
+    options = await generate(user, { locale: 'fr' });
+    test.equal(options.text, 'fr');
+  } finally {
+    delete emailTemplates.testEmail;
+    emailTemplates.locales = previousLocales;
+    emailTemplates.layout = previousLayout;
+  }
+});
+
 Tinytest.addAsync(
   'accounts - hook callbacks can access Meteor.userId()',
   async test => {
@@ -1,4 +1,5 @@
 import { AccountsServer } from "./accounts_server.js";
+import { setupEmailPreview } from "./accounts_email_templates.js";
 
 /**
  * @namespace Accounts
@@ -7,6 +8,11 @@ import { AccountsServer } from "./accounts_server.js";
 Accounts = new AccountsServer(Meteor.server, { ...Meteor.settings.packages?.accounts, ...Meteor.settings.packages?.['accounts-base'] });
 // TODO[FIBERS]: I need TLA
 Accounts.init().then();
+
+// The preview is served once, for the emails of the default instance.
+if (Meteor.isDevelopment) {
+  setupEmailPreview(Accounts);
+}
 // Users table. Don't use the normal autopublish, since we want to hide
 // some fields. Code to autopublish this is in accounts_server.js.
 // XXX Allow users to configure this collection name.
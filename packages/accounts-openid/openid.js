@@ -0,0 +1,58 @@
+/**
+ * @summary Registers a login service for an OpenID Connect provider, which
+ * is then configured with a `ServiceConfiguration` document, like the other
+ * login services. Must be called on both the client and the server.
+ * @locus Anywhere
+ * @param {String} serviceName The name of the service, eg "keycloak"
+ */
+Accounts.registerOpenIDService = serviceName => {
+  Accounts.oauth.registerService(serviceName);
+
+  if (Meteor.isClient) {
+    const loginWithOpenID = (options, callback) => {
+      // support a callback without options
+      if (! callback && typeof options === "function") {
+        callback = options;
+        options = null;
+      }
+
+      const credentialRequestCompleteCallback = Accounts.oauth.credentialRequestCompleteHandler(callback);
+      OpenID.requestCredential(serviceName, options, credentialRequestCompleteCallback);
+    };
+    Accounts.registerClientLoginFunction(serviceName, loginWithOpenID);
+  } else {
+    OpenID.registerService(serviceName);
+    Accounts.addAutopublishFields({
+      // The refresh token and the id token shouldn't be sent down.
+      forLoggedInUser: [
+        'id',
+        'email',
+        'emailVerified',
+        'name',
+        'username',
+        'picture',
+        'accessToken',
+        'expiresAt',
+      ].map(subfield => `services.${serviceName}.${subfield}`),
+      forOtherUsers: [`services.${serviceName}.username`],
+    });
+  }
+};
+
+if (Meteor.isClient) {
+  /**
+   * @summary Log the user in with an OpenID Connect service registered with `Accounts.registerOpenIDService`.
+   * @locus Client
+   * @param {String} serviceName The name of the service.
+   * @param {Object} [options]
+   * @param {String[]} options.requestPermissions The scopes to request, instead of the ones of the service configuration.
+   * @param {String} options.loginHint The email or the username of the user, if known.
+   * @param {String} options.prompt What the provider should ask the user, eg "login" or "select_account".
+   * @param {String} options.loginStyle Login style ("popup" or "redirect", defaults to the login service configuration).
+   * @param {String} options.redirectUrl If using "redirect" login style, the user will be returned to this URL after authorisation has been completed.
+   * @param {Function} [callback] Optional callback. Called with no arguments on success, or with a single `Error` argument on failure.
+   * @importFromPackage meteor
+   */
+  Meteor.loginWithOpenID = (serviceName, ...args) =>
+    Accounts.applyLoginFunction(serviceName, args);
+}
@@ -0,0 +1,17 @@
+Package.describe({
+  summary: 'Login service for OpenID Connect providers',
+  version: '1.0.0',
+});
+
+Package.onUse(api => {
+  api.use('ecmascript');
+  api.use('accounts-base', ['client', 'server']);
+  // Export Accounts (etc) to packages using this one.
+  api.imply('accounts-base', ['client', 'server']);
+
+  api.use('accounts-oauth', ['client', 'server']);
+  api.use('openid-oauth');
+  api.imply('openid-oauth');
+
+  api.addFiles('openid.js');
+});
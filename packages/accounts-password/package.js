@@ -9,6 +9,7 @@ Package.describe({
 });
 
 Npm.depends({
+  argon2: "0.41.1",
   bcrypt: "5.0.1",
 });
 
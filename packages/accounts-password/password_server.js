@@ -1,4 +1,5 @@
 import { hash as bcryptHash, compare as bcryptCompare } from 'bcrypt';
+import argon2 from 'argon2';
 import { Accounts } from "meteor/accounts-base";
 
 // Utility for grabbing user
@@ -6,8 +7,9 @@ const getUserById =
   async (id, options) =>
     await Meteor.users.findOneAsync(id, Accounts._addDefaultFieldSelector(options));
 
-// User records have a 'services.password.bcrypt' field on them to hold
-// their hashed passwords.
+// User records have a 'services.password.bcrypt' or, when argon2 is enabled,
+// a 'services.password.argon2' field on them to hold their hashed passwords.
+// Users still on bcrypt are moved to argon2id the next time they log in.
 //
 // When the client sends a password to the server, it can either be a
 // string (the plaintext password) or an object with keys 'digest' and
@@ -24,6 +26,18 @@ const getUserById =
 
 Accounts._bcryptRounds = () => Accounts._options.bcryptRounds || 10;
 
+Accounts._argon2Enabled = () => Accounts._options.argon2Enabled || false;
+
+// The defaults are the minimum recommended by OWASP for argon2id.
+Accounts._argon2Options = () => ({
+  type: argon2.argon2id,
+  timeCost: Accounts._options.argon2TimeCost || 2,
+  memoryCost: Accounts._options.argon2MemoryCost || 19456,
+  parallelism: Accounts._options.argon2Parallelism || 1,
+});
+
+const PASSWORD_HASH_ALGORITHMS = ['bcrypt', 'argon2'];
+
 // Given a 'password' from the client, extract the string that we should
 // bcrypt. 'password' can be one of:
 //  - String (the plaintext password)
@@ -42,16 +56,46 @@ const getPasswordString = password => {
   return password;
 };
 
-// Use bcrypt to hash the password for storage in the database.
+// Hash the string returned by getPasswordString with argon2id if enabled,
+// else bcrypt. Returns the field of 'services.password' to store, ie
+// `{ argon2: hash }` or `{ bcrypt: hash }`.
+const hashPasswordString = async password => {
+  if (Accounts._argon2Enabled()) {
+    return { argon2: await argon2.hash(password, Accounts._argon2Options()) };
+  }
+
+  return { bcrypt: await bcryptHash(password, Accounts._bcryptRounds()) };
+};
+
+// Hash the password for storage in the database.
 // `password` can be a string (in which case it will be run through
-// SHA256 before bcrypt) or an object with properties `digest` and
-// `algorithm` (in which case we bcrypt `password.digest`).
+// SHA256 before hashing) or an object with properties `digest` and
+// `algorithm` (in which case we hash `password.digest`).
 //
-const hashPassword = async password => {
-  password = getPasswordString(password);
-  return await bcryptHash(password, Accounts._bcryptRounds());
+const hashPassword = async password =>
+  await hashPasswordString(getPasswordString(password));
+
+// The $set and $unset storing a hash returned by hashPassword, which also
+// remove the hash of the other algorithm.
+const passwordHashModifier = hashed => {
+  const modifier = { $set: {}, $unset: {} };
+  PASSWORD_HASH_ALGORITHMS.forEach(algorithm => {
+    const field = `services.password.${algorithm}`;
+    if (hashed[algorithm]) {
+      modifier.$set[field] = hashed[algorithm];
+    } else {
+      modifier.$unset[field] = 1;
+    }
+  });
+
+  return modifier;
 };
 
+const hasPasswordHash = user =>
+  PASSWORD_HASH_ALGORITHMS.some(algorithm =>
+    user.services?.password?.[algorithm]
+  );
+
 // Extract the number of rounds used in the specified bcrypt hash.
 const getRoundsFromBcryptHash = hash => {
   let rounds;
@@ -64,10 +108,23 @@ const getRoundsFromBcryptHash = hash => {
   return rounds;
 };
 
-// Check whether the provided password matches the bcrypt'ed password in
+// Whether a password hash which checked out should be replaced, because it
+// doesn't use the configured algorithm or settings. Users already on argon2
+// stay on it if argon2 gets disabled.
+const passwordNeedsRehash = ({ bcrypt, argon2: argon2Hash }) => {
+  if (argon2Hash) {
+    return Accounts._argon2Enabled() &&
+      argon2.needsRehash(argon2Hash, Accounts._argon2Options());
+  }
+
+  return Accounts._argon2Enabled() ||
+    Accounts._bcryptRounds() != getRoundsFromBcryptHash(bcrypt);
+};
+
+// Check whether the provided password matches the hashed password in
 // the database user record. `password` can be a string (in which case
-// it will be run through SHA256 before bcrypt) or an object with
-// properties `digest` and `algorithm` (in which case we bcrypt
+// it will be run through SHA256 before hashing) or an object with
+// properties `digest` and `algorithm` (in which case we hash
 // `password.digest`).
 //
 // The user parameter needs at least user._id and user.services
@@ -79,21 +136,26 @@ const checkPasswordAsync = async (user, password) => {
   };
 
   const formattedPassword = getPasswordString(password);
-  const hash = user.services.password.bcrypt;
-  const hashRounds = getRoundsFromBcryptHash(hash);
+  const hashes = user.services.password;
+  const matches = hashes.argon2
+    ? await argon2.verify(hashes.argon2, formattedPassword)
+    : await bcryptCompare(formattedPassword, hashes.bcrypt);
 
-  if (! await bcryptCompare(formattedPassword, hash)) {
+  if (! matches) {
     result.error = Accounts._handleError("Incorrect password", false);
-  } else if (hash && Accounts._bcryptRounds() != hashRounds) {
-    // The password checks out, but the user's bcrypt hash needs to be updated.
+  } else if (passwordNeedsRehash(hashes)) {
+    // The password checks out, but the user's hash needs to be updated.
+    // Only replace the hash we checked, in case the password just changed.
+    const algorithm = hashes.argon2 ? 'argon2' : 'bcrypt';
 
     Meteor.defer(async () => {
-      await Meteor.users.updateAsync({ _id: user._id }, {
-        $set: {
-          'services.password.bcrypt':
-            await bcryptHash(formattedPassword, Accounts._bcryptRounds())
-        }
-      });
+      await Meteor.users.updateAsync(
+        {
+          _id: user._id,
+          [`services.password.${algorithm}`]: hashes[algorithm],
+        },
+        passwordHashModifier(await hashPasswordString(formattedPassword))
+      );
     });
   }
 
@@ -186,8 +248,7 @@ Accounts.registerLoginHandler("password", async options => {
   }
 
 
-  if (!user.services || !user.services.password ||
-      !user.services.password.bcrypt) {
+  if (!hasPasswordHash(user)) {
     Accounts._handleError("User has no password set");
   }
 
@@ -201,12 +262,7 @@ Accounts.registerLoginHandler("password", async options => {
     if (!options.code) {
       Accounts._handleError('2FA code must be informed', true, 'no-2fa-code');
     }
-    if (
-      !Accounts._isTokenValid(
-        user.services.twoFactorAuthentication.secret,
-        options.code
-      )
-    ) {
+    if (!(await Accounts._check2faCodeAsync(user, options.code))) {
       Accounts._handleError('Invalid 2FA code', true, 'invalid-2fa-code');
     }
   }
@@ -283,7 +339,7 @@ Meteor.methods(
     Accounts._handleError("User not found");
   }
 
-  if (!user.services || !user.services.password || !user.services.password.bcrypt) {
+  if (!hasPasswordHash(user)) {
     Accounts._handleError("User has no password set");
   }
 
@@ -292,7 +348,7 @@ Meteor.methods(
     throw result.error;
   }
 
-  const hashed = await hashPassword(newPassword);
+  const { $set, $unset } = passwordHashModifier(await hashPassword(newPassword));
 
   // It would be better if this removed ALL existing tokens and replaced
   // the token for the current connection with a new one, but that would
@@ -302,11 +358,11 @@ Meteor.methods(
   await Meteor.users.updateAsync(
     { _id: this.userId },
     {
-      $set: { 'services.password.bcrypt': hashed },
+      $set,
       $pull: {
         'services.resume.loginTokens': { hashedToken: { $ne: currentToken } }
       },
-      $unset: { 'services.password.reset': 1 }
+      $unset: { ...$unset, 'services.password.reset': 1 }
     }
   );
 
@@ -337,11 +393,14 @@ Accounts.setPasswordAsync =
     throw new Meteor.Error(403, "User not found");
   }
 
+  const { $set, $unset } =
+    passwordHashModifier(await hashPassword(newPlaintextPassword));
   const update = {
     $unset: {
+      ...$unset,
       'services.password.reset': 1
     },
-    $set: {'services.password.bcrypt': await hashPassword(newPlaintextPassword)}
+    $set
   };
 
   if (options.logout) {
@@ -642,7 +701,8 @@ Meteor.methods(
                 error: new Meteor.Error(403, "Token has invalid email address")
               };
 
-            const hashed = await hashPassword(newPassword);
+            const { $set, $unset } =
+              passwordHashModifier(await hashPassword(newPassword));
 
             // NOTE: We're about to invalidate tokens on the user, who we might be
             // logged in as. Make sure to avoid logging ourselves out if this
@@ -669,10 +729,10 @@ Meteor.methods(
                   },
                   {
                     $set: {
-                      'services.password.bcrypt': hashed,
+                      ...$set,
                       'emails.$.verified': true
                     },
-                    $unset: { 'services.password.enroll': 1 }
+                    $unset: { ...$unset, 'services.password.enroll': 1 }
                   });
               } else {
                 affectedRecords = await Meteor.users.updateAsync(
@@ -683,10 +743,10 @@ Meteor.methods(
                   },
                   {
                     $set: {
-                      'services.password.bcrypt': hashed,
+                      ...$set,
                       'emails.$.verified': true
                     },
-                    $unset: { 'services.password.reset': 1 }
+                    $unset: { ...$unset, 'services.password.reset': 1 }
                   });
               }
               if (affectedRecords !== 1)
@@ -989,8 +1049,7 @@ const createUser =
 
     const user = { services: {} };
     if (password) {
-      const hashed = await hashPassword(password);
-      user.services.password = { bcrypt: hashed };
+      user.services.password = await hashPassword(password);
     }
 
     return await Accounts._createUserCheckingDuplicates({ user, email, username, options });
@@ -1874,6 +1874,55 @@ if (Meteor.isServer) (() => {
   ]); // default number of rounds.
 
 
+  Tinytest.addAsync('passwords - argon2 hashing and migration from bcrypt',
+    async test => {
+    const password = hashPassword('abc123');
+    const bcryptUserId = await Accounts.createUser({
+      username: Random.id(),
+      password,
+    });
+    const bcryptUser = await Meteor.users.findOneAsync(bcryptUserId);
+    test.isTrue(bcryptUser.services.password.bcrypt);
+    test.isUndefined(bcryptUser.services.password.argon2);
+
+    Accounts._options.argon2Enabled = true;
+    try {
+      // New passwords are hashed with argon2id.
+      const argon2UserId = await Accounts.createUser({
+        username: Random.id(),
+        password,
+      });
+      const argon2User = await Meteor.users.findOneAsync(argon2UserId);
+      test.isTrue(argon2User.services.password.argon2.startsWith('$argon2id$'));
+      test.isUndefined(argon2User.services.password.bcrypt);
+      test.isFalse(
+        (await Accounts._checkPasswordAsync(argon2User, password)).error
+      );
+      test.isTrue(
+        (await Accounts._checkPasswordAsync(argon2User, hashPassword('nope'))).error
+      );
+
+      // Users on bcrypt are rehashed with argon2id when they log in.
+      await Accounts._checkPasswordAsync(bcryptUser, password);
+      let migratedUser;
+      for (let tries = 0; tries < 50; tries++) {
+        await Meteor._sleepForMs(100);
+        migratedUser = await Meteor.users.findOneAsync(bcryptUserId);
+        if (migratedUser.services.password.argon2) break;
+      }
+      test.isTrue(migratedUser.services.password.argon2.startsWith('$argon2id$'));
+      test.isUndefined(migratedUser.services.password.bcrypt);
+      test.isFalse(
+        (await Accounts._checkPasswordAsync(migratedUser, password)).error
+      );
+
+      await Meteor.users.removeAsync(argon2UserId);
+    } finally {
+      delete Accounts._options.argon2Enabled;
+      await Meteor.users.removeAsync(bcryptUserId);
+    }
+  });
+
   Tinytest.addAsync('passwords - extra params in email urls',
     async (test) => {
     const username = Random.id();
@@ -64,12 +64,7 @@ Accounts.registerLoginHandler('passwordless', async options => {
         Accounts._handleError('2FA code must be informed', true, 'no-2fa-code');
         return;
       }
-      if (
-        !Accounts._isTokenValid(
-          user.services.twoFactorAuthentication.secret,
-          options.code
-        )
-      ) {
+      if (!(await Accounts._check2faCodeAsync(user, options.code))) {
         Accounts._handleError('Invalid 2FA code', true, 'invalid-2fa-code');
         return;
       }
@@ -0,0 +1,118 @@
+// A decoder for the subset of CBOR (RFC 8949) used by WebAuthn attestation
+// objects and COSE keys. Authenticators use the canonical encoding, so
+// indefinite lengths aren't supported. Maps are decoded to Map objects, since
+// COSE keys are negative integers.
+
+const decodeItem = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+  offset += 1;
+
+  // Simple values and floats
+  if (majorType === 7) {
+    switch (additional) {
+      case 20: return { value: false, offset };
+      case 21: return { value: true, offset };
+      case 22: return { value: null, offset };
+      case 23: return { value: undefined, offset };
+      case 25: return { value: readFloat16(buffer.readUInt16BE(offset)), offset: offset + 2 };
+      case 26: return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+      case 27: return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+      default: throw new Error(`Unsupported CBOR simple value: ${additional}`);
+    }
+  }
+
+  let length;
+  if (additional < 24) {
+    length = additional;
+  } else if (additional === 24) {
+    length = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (additional === 25) {
+    length = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (additional === 26) {
+    length = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (additional === 27) {
+    length = Number(buffer.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw new Error('Indefinite length CBOR items are not supported');
+  }
+
+  switch (majorType) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+    case 3: {
+      if (offset + length > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      const bytes = buffer.subarray(offset, offset + length);
+      return {
+        value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'),
+        offset: offset + length,
+      };
+    }
+    case 4: {
+      const value = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeItem(buffer, offset);
+        value.push(item.value);
+        offset = item.offset;
+      }
+      return { value, offset };
+    }
+    case 5: {
+      const value = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeItem(buffer, offset);
+        const item = decodeItem(buffer, key.offset);
+        value.set(key.value, item.value);
+        offset = item.offset;
+      }
+      return { value, offset };
+    }
+    // Tags only annotate the following item.
+    case 6:
+      return decodeItem(buffer, offset);
+  }
+};
+
+const readFloat16 = half => {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) {
+    return sign * 2 ** -14 * (fraction / 1024);
+  }
+  if (exponent === 0x1f) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+};
+
+// Decodes the first item of `buffer`, returning it with the number of bytes
+// it takes, for items followed by other data (like the public key in
+// authenticator data).
+export const decodeFirstCbor = buffer => {
+  const { value, offset } = decodeItem(buffer, 0);
+  return { value, length: offset };
+};
+
+export const decodeCbor = buffer => {
+  const { value, length } = decodeFirstCbor(buffer);
+  if (length !== buffer.length) {
+    throw new Error('Unexpected data after CBOR item');
+  }
+
+  return value;
+};
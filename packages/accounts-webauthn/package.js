@@ -0,0 +1,32 @@
+Package.describe({
+  summary: 'Passkey (WebAuthn) login support for accounts',
+  version: '1.0.0',
+});
+
+Package.onUse(api => {
+  api.use(['accounts-base'], ['client', 'server']);
+
+  // Export Accounts (etc) to packages using this one.
+  api.imply('accounts-base', ['client', 'server']);
+
+  api.use('ecmascript');
+  api.use('mongo', 'server');
+  api.use('check', 'server');
+
+  api.addFiles('cbor.js', 'server');
+  api.addFiles('webauthn_server.js', 'server');
+  api.addFiles('webauthn_client.js', 'client');
+});
+
+Package.onTest(api => {
+  api.use([
+    'accounts-base',
+    'ecmascript',
+    'tinytest',
+    'random',
+    'ddp',
+    'accounts-webauthn',
+  ]);
+
+  api.mainModule('server_tests.js', 'server');
+});
@@ -0,0 +1,242 @@
+import { Accounts } from 'meteor/accounts-base';
+import { Random } from 'meteor/random';
+import { decodeCbor } from './cbor';
+import { SoftwareAuthenticator, encodeCbor } from './software_authenticator';
+
+const origin = new URL(Meteor.absoluteUrl()).origin;
+
+const createUserWithPasskey = async () => {
+  const userId = await Accounts.insertUserDoc({}, { username: Random.id() });
+  const authenticator = new SoftwareAuthenticator({ origin });
+  const options = await Accounts._webauthn.generateRegistrationOptions(userId);
+  const { id } = await Accounts._webauthn.verifyRegistration(
+    userId,
+    authenticator.create(options),
+    { name: 'Laptop' }
+  );
+  return { userId, authenticator, id };
+};
+
+const loginWithPasskey = async (authenticator, getOptions, selector) => {
+  const options = await Accounts._webauthn.generateLoginOptions(selector);
+  return Accounts._runLoginHandlers(
+    {},
+    { webauthn: authenticator.get(options, getOptions) }
+  );
+};
+
+Tinytest.addAsync('accounts-webauthn - registration', async test => {
+  const { userId, authenticator, id } = await createUserWithPasskey();
+
+  const user = await Meteor.users.findOneAsync(userId);
+  const [credential] = user.services.webauthn.credentials;
+  test.equal(credential.id, id);
+  test.equal(credential.name, 'Laptop');
+  test.equal(credential.counter, 0);
+  test.equal(credential.transports, ['internal']);
+
+  // Challenges can only be used once.
+  const options = await Accounts._webauthn.generateRegistrationOptions(userId);
+  test.equal(options.excludeCredentials, [
+    { type: 'public-key', id, transports: ['internal'] },
+  ]);
+  const registration = authenticator.create(options);
+  await Accounts._webauthn.verifyRegistration(userId, registration);
+  await test.throwsAsync(
+    () => Accounts._webauthn.verifyRegistration(userId, registration),
+    /Unknown challenge/
+  );
+
+  // Challenges are bound to the user they were generated for.
+  const otherUserId =
+    await Accounts.insertUserDoc({}, { username: Random.id() });
+  const otherOptions =
+    await Accounts._webauthn.generateRegistrationOptions(otherUserId);
+  await test.throwsAsync(
+    () => Accounts._webauthn.verifyRegistration(
+      userId,
+      authenticator.create(otherOptions)
+    ),
+    /Challenge issued to another user/
+  );
+
+  const wrongOrigin =
+    await Accounts._webauthn.generateRegistrationOptions(userId);
+  await test.throwsAsync(
+    () => Accounts._webauthn.verifyRegistration(
+      userId,
+      authenticator.create(wrongOrigin, { origin: 'https://evil.com' })
+    ),
+    /Unexpected origin/
+  );
+
+  // Truncated attested credentials are rejected.
+  for (const size of [54, 60, 100]) {
+    const truncatedOptions =
+      await Accounts._webauthn.generateRegistrationOptions(userId);
+    const truncated = authenticator.create(truncatedOptions);
+    const attestation = decodeCbor(
+      Buffer.from(truncated.response.attestationObject, 'base64url')
+    );
+    attestation.set('authData', attestation.get('authData').subarray(0, size));
+    truncated.response.attestationObject =
+      encodeCbor(attestation).toString('base64url');
+    await test.throwsAsync(
+      () => Accounts._webauthn.verifyRegistration(userId, truncated),
+      /Invalid authenticator data/
+    );
+  }
+
+  await Meteor.users.removeAsync(userId);
+  await Meteor.users.removeAsync(otherUserId);
+});
+
+Tinytest.addAsync('accounts-webauthn - login', async test => {
+  const { userId, authenticator, id } = await createUserWithPasskey();
+
+  // Without a selector, any passkey may be used.
+  let result = await loginWithPasskey(authenticator);
+  test.equal(result, { type: 'webauthn', userId });
+
+  result = await loginWithPasskey(authenticator, {}, { id: userId });
+  test.equal(result, { type: 'webauthn', userId });
+
+  const user = await Meteor.users.findOneAsync(userId);
+  const [credential] = user.services.webauthn.credentials;
+  test.equal(credential.counter, 2);
+  test.instanceOf(credential.lastUsedAt, Date);
+
+  // The login options of a user only allow their passkeys.
+  const options = await Accounts._webauthn.generateLoginOptions({ id: userId });
+  test.equal(options.allowCredentials, [
+    { type: 'public-key', id, transports: ['internal'] },
+  ]);
+
+  await Meteor.users.removeAsync(userId);
+});
+
+Tinytest.addAsync('accounts-webauthn - login failures', async test => {
+  const { userId, authenticator } = await createUserWithPasskey();
+  const other = await createUserWithPasskey();
+
+  const expectFailure = (result, message) => {
+    test.equal(result.userId, userId);
+    test.equal(result.error.reason, message);
+  };
+
+  const { ambiguousErrorMessages } = Accounts._options;
+  Accounts._options.ambiguousErrorMessages = false;
+  try {
+    // Replayed assertion
+    const options = await Accounts._webauthn.generateLoginOptions();
+    const assertion = authenticator.get(options);
+    test.equal(
+      (await Accounts._runLoginHandlers({}, { webauthn: assertion })).userId,
+      userId
+    );
+    expectFailure(
+      await Accounts._runLoginHandlers({}, { webauthn: assertion }),
+      'Unknown challenge'
+    );
+
+    // Assertion signed by another authenticator
+    const forged = authenticator.get(
+      await Accounts._webauthn.generateLoginOptions()
+    );
+    const otherAssertion = other.authenticator.get(
+      await Accounts._webauthn.generateLoginOptions()
+    );
+    forged.response.signature = otherAssertion.response.signature;
+    expectFailure(
+      await Accounts._runLoginHandlers({}, { webauthn: forged }),
+      'Invalid signature'
+    );
+
+    expectFailure(
+      await loginWithPasskey(authenticator, { origin: 'https://evil.com' }),
+      'Unexpected origin: https://evil.com'
+    );
+
+    // A challenge generated for another user
+    expectFailure(
+      await loginWithPasskey(authenticator, {}, { id: other.userId }),
+      'Challenge issued to another user'
+    );
+
+    // A cloned authenticator, whose counter is behind
+    expectFailure(
+      await loginWithPasskey(authenticator, { counter: 1 }),
+      'Signature counter did not increase'
+    );
+  } finally {
+    Accounts._options.ambiguousErrorMessages = ambiguousErrorMessages;
+  }
+
+  // The error messages are ambiguous by default.
+  const result = await loginWithPasskey(authenticator, { counter: 1 });
+  test.equal(
+    result.error.reason,
+    'Something went wrong. Please check your credentials.'
+  );
+
+  await Meteor.users.removeAsync(userId);
+  await Meteor.users.removeAsync(other.userId);
+});
+
+Tinytest.addAsync('accounts-webauthn - login method', async test => {
+  const { userId, authenticator, id } = await createUserWithPasskey();
+
+  const attempts = [];
+  const validateStopper = Accounts.validateLoginAttempt(attempt => {
+    attempts.push(attempt);
+    return attempt.allowed;
+  });
+
+  const connection = DDP.connect(Meteor.absoluteUrl());
+  try {
+    const options = await connection.callAsync('generatePasskeyLoginOptions');
+    const result = await connection.callAsync('login', {
+      webauthn: authenticator.get(options),
+    });
+    test.equal(result.id, userId);
+
+    await connection.callAsync('removePasskey', id);
+    const user = await Meteor.users.findOneAsync(userId);
+    test.equal(user.services.webauthn.credentials, []);
+
+    await test.throwsAsync(
+      async () => connection.callAsync('login', {
+        webauthn: authenticator.get(
+          await connection.callAsync('generatePasskeyLoginOptions')
+        ),
+      }),
+      /Something went wrong/
+    );
+  } finally {
+    connection.disconnect();
+    validateStopper.stop();
+  }
+
+  test.equal(attempts.map(({ type, allowed }) => ({ type, allowed })), [
+    { type: 'webauthn', allowed: true },
+    { type: 'webauthn', allowed: false },
+  ]);
+
+  await Meteor.users.removeAsync(userId);
+});
+
+Tinytest.addAsync('accounts-webauthn - login options are rate limited', async test => {
+  // Each call stores a challenge, without a login.
+  const connection = DDP.connect(Meteor.absoluteUrl());
+  try {
+    for (let i = 0; i < 5; i++) {
+      await connection.callAsync('generatePasskeyLoginOptions');
+    }
+    await test.throwsAsync(
+      () => connection.callAsync('generatePasskeyLoginOptions'),
+      /too-many-requests/
+    );
+  } finally {
+    connection.disconnect();
+  }
+});
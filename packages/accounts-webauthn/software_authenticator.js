@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+
+// A WebAuthn authenticator in software, for the tests. It answers the
+// options generated by the server like `navigator.credentials` would, with
+// credentials in their JSON form.
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+const toBase64Url = buffer => Buffer.from(buffer).toString('base64url');
+
+const encodeHead = (majorType, length) => {
+  if (length < 24) {
+    return Buffer.from([(majorType << 5) | length]);
+  }
+  if (length < 0x100) {
+    return Buffer.from([(majorType << 5) | 24, length]);
+  }
+  const head = Buffer.alloc(3);
+  head[0] = (majorType << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+};
+
+// Encodes the few types used by attestation objects and COSE keys.
+export const encodeCbor = value => {
+  if (Number.isInteger(value)) {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([encodeHead(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const entries = [...value].flatMap(([key, item]) => [
+      encodeCbor(key),
+      encodeCbor(item),
+    ]);
+    return Buffer.concat([encodeHead(5, value.size), ...entries]);
+  }
+  throw new Error(`Can't encode ${value}`);
+};
+
+export class SoftwareAuthenticator {
+  constructor({ origin, userVerified = true } = {}) {
+    this.origin = origin;
+    this.userVerified = userVerified;
+    this.credentials = new Map();
+  }
+
+  _clientData(type, challenge, origin = this.origin) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin }));
+  }
+
+  _authenticatorData(rpId, counter, attestedCredential) {
+    const flags =
+      0x01 | (this.userVerified ? 0x04 : 0) | (attestedCredential ? 0x40 : 0);
+    const counterBytes = Buffer.alloc(4);
+    counterBytes.writeUInt32BE(counter);
+    return Buffer.concat([
+      sha256(rpId),
+      Buffer.from([flags]),
+      counterBytes,
+      attestedCredential || Buffer.alloc(0),
+    ]);
+  }
+
+  create({ challenge, rp, user }, { origin } = {}) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'P-256',
+    });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const coseKey = encodeCbor(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')],
+    ]));
+
+    const rawId = crypto.randomBytes(16);
+    const id = toBase64Url(rawId);
+    this.credentials.set(id, {
+      privateKey,
+      rpId: rp.id,
+      userHandle: user.id,
+      counter: 0,
+    });
+
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(rawId.length);
+    const attestedCredential = Buffer.concat([
+      Buffer.alloc(16), // AAGUID
+      idLength,
+      rawId,
+      coseKey,
+    ]);
+    const attestationObject = encodeCbor(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', this._authenticatorData(rp.id, 0, attestedCredential)],
+    ]));
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64Url(
+          this._clientData('webauthn.create', challenge, origin)
+        ),
+        attestationObject: toBase64Url(attestationObject),
+        transports: ['internal'],
+      },
+      clientExtensionResults: {},
+    };
+  }
+
+  // `counter` overrides the signature counter, to simulate a cloned
+  // authenticator.
+  get({ challenge, rpId }, { id, origin, counter } = {}) {
+    const [credentialId, credential] = id
+      ? [id, this.credentials.get(id)]
+      : [...this.credentials][0];
+    credential.counter = counter ?? credential.counter + 1;
+
+    const clientDataJSON = this._clientData('webauthn.get', challenge, origin);
+    const authenticatorData = this._authenticatorData(
+      rpId,
+      credential.counter
+    );
+    const signature = crypto.sign(
+      'sha256',
+      Buffer.concat([authenticatorData, sha256(clientDataJSON)]),
+      credential.privateKey
+    );
+
+    return {
+      id: credentialId,
+      rawId: credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64Url(clientDataJSON),
+        authenticatorData: toBase64Url(authenticatorData),
+        signature: toBase64Url(signature),
+        userHandle: credential.userHandle,
+      },
+      clientExtensionResults: {},
+    };
+  }
+}
@@ -0,0 +1,159 @@
+import { Accounts } from 'meteor/accounts-base';
+import { Meteor } from 'meteor/meteor';
+
+// The server sends and receives binary fields as base64url strings, like the
+// JSON form of the WebAuthn types.
+const fromBase64Url = string => {
+  const base64 = string.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0)).buffer;
+};
+
+const toBase64Url = buffer =>
+  btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const decodeDescriptors = (descriptors = []) =>
+  descriptors.map(descriptor => ({
+    ...descriptor,
+    id: fromBase64Url(descriptor.id),
+  }));
+
+const credentialToJSON = credential => {
+  const { response } = credential;
+  const json = {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+    },
+  };
+
+  if (response.attestationObject) {
+    json.response.attestationObject = toBase64Url(response.attestationObject);
+    json.response.transports = response.getTransports?.() || [];
+  } else {
+    json.response.authenticatorData = toBase64Url(response.authenticatorData);
+    json.response.signature = toBase64Url(response.signature);
+    json.response.userHandle = response.userHandle
+      ? toBase64Url(response.userHandle)
+      : null;
+  }
+
+  return json;
+};
+
+const transformSelector = selector => {
+  if (typeof selector !== 'string') {
+    return selector;
+  }
+
+  if (selector.includes('@')) {
+    return { email: selector };
+  }
+
+  return { username: selector };
+};
+
+const reportResult = (promise, callback) => {
+  promise.then(
+    result => callback && callback(undefined, result),
+    error => callback && callback(error)
+  );
+};
+
+const getPasskeyAssertion = async selector => {
+  const options = await Accounts.connection.callAsync(
+    'generatePasskeyLoginOptions',
+    selector ? transformSelector(selector) : null
+  );
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      allowCredentials: decodeDescriptors(options.allowCredentials),
+    },
+  });
+
+  return credentialToJSON(credential);
+};
+
+/**
+ * @summary Log the user in with a passkey, using the WebAuthn API of the browser.
+ * @locus Client
+ * @param {Object} [options]
+ * @param {Object|String} options.selector Username, email or custom selector to identify the user. When omitted, the browser lets the user pick any of their passkeys for the app.
+ * @param {Function} [callback] Optional callback.
+ *   Called with no arguments on success, or with a single `Error` argument
+ *   on failure.
+ * @importFromPackage meteor
+ */
+Meteor.loginWithPasskey = (options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  getPasskeyAssertion(options?.selector).then(
+    webauthn =>
+      Accounts.callLoginMethod({
+        methodArguments: [{ webauthn }],
+        userCallback: error => callback && callback(error),
+      }),
+    error => callback && callback(error)
+  );
+};
+
+/**
+ * @summary Create a passkey for the current user, using the WebAuthn API of the browser.
+ * @locus Client
+ * @param {Object} [options]
+ * @param {String} options.name A name for the passkey, to tell the passkeys of the user apart.
+ * @param {Function} [callback] Optional callback.
+ *   Called with an `Error` argument on failure, or with `undefined` and the `id` and `name` of the new passkey on success.
+ */
+Accounts.registerPasskey = (options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const register = async () => {
+    const creationOptions = await Accounts.connection.callAsync(
+      'generatePasskeyRegistrationOptions'
+    );
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        ...creationOptions,
+        challenge: fromBase64Url(creationOptions.challenge),
+        user: {
+          ...creationOptions.user,
+          id: fromBase64Url(creationOptions.user.id),
+        },
+        excludeCredentials: decodeDescriptors(creationOptions.excludeCredentials),
+      },
+    });
+
+    return Accounts.connection.callAsync(
+      'registerPasskey',
+      credentialToJSON(credential),
+      { name: options?.name }
+    );
+  };
+
+  reportResult(register(), callback);
+};
+
+/**
+ * @summary Remove a passkey of the current user.
+ * @locus Client
+ * @param {String} id The id of the passkey.
+ * @param {Function} [callback] Optional callback.
+ *   Called with no arguments on success, or with a single `Error` argument
+ *   on failure.
+ */
+Accounts.removePasskey = (id, callback) => {
+  Accounts.connection.call('removePasskey', id, callback);
+};
@@ -0,0 +1,448 @@
+import crypto from 'crypto';
+import { Accounts } from 'meteor/accounts-base';
+import { Meteor } from 'meteor/meteor';
+import { Mongo } from 'meteor/mongo';
+import { check, Match } from 'meteor/check';
+import { decodeCbor, decodeFirstCbor } from './cbor';
+
+// Flags of the authenticator data
+const USER_PRESENT = 0x01;
+const USER_VERIFIED = 0x04;
+const ATTESTED_CREDENTIAL_DATA = 0x40;
+
+// The COSE algorithms we accept, in order of preference.
+const ES256 = -7;
+const EDDSA = -8;
+const RS256 = -257;
+const SUPPORTED_ALGORITHMS = [ES256, EDDSA, RS256];
+
+const fromBase64Url = string => Buffer.from(string, 'base64url');
+const toBase64Url = buffer => Buffer.from(buffer).toString('base64url');
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+const getOptions = () => {
+  const { webauthn = {} } = Accounts._options;
+  const url = new URL(Meteor.absoluteUrl());
+  return {
+    rpName: webauthn.rpName || url.hostname,
+    rpId: webauthn.rpId || url.hostname,
+    origins: [].concat(webauthn.origins || url.origin),
+    userVerification: webauthn.userVerification || 'preferred',
+    timeout: webauthn.timeout || 60 * 1000,
+  };
+};
+
+const fail = reason => {
+  throw new Meteor.Error(403, reason);
+};
+
+// Challenges are single use, and are removed when they are consumed. The ones
+// which are never used are removed by MongoDB after an hour.
+// Has type ("registration" or "login"), userId and createdAt fields.
+const Challenges = new Mongo.Collection('meteor_accounts_webauthnChallenges', {
+  _preventAutopublish: true,
+  defineMutationMethods: false,
+});
+
+await Challenges.createIndexAsync('createdAt', { expireAfterSeconds: 60 * 60 });
+
+const createChallenge = async (type, userId = null) => {
+  const challenge = toBase64Url(crypto.randomBytes(32));
+  await Challenges.insertAsync({
+    _id: challenge,
+    type,
+    userId,
+    createdAt: new Date(),
+  });
+  return challenge;
+};
+
+const consumeChallenge = async (challenge, type, { timeout }) => {
+  const doc = await Challenges.findOneAsync({ _id: challenge, type });
+  // If the challenge was consumed concurrently, the other call removed it.
+  if (!doc || !(await Challenges.removeAsync({ _id: challenge }))) {
+    fail('Unknown challenge');
+  }
+
+  if (Date.now() - doc.createdAt.getTime() > timeout) {
+    fail('Challenge expired');
+  }
+
+  return doc;
+};
+
+// Checks the client data signed by the authenticator, and returns the
+// challenge document it answers.
+const verifyClientData = async (clientDataJSON, type, options) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(fromBase64Url(clientDataJSON).toString('utf8'));
+  } catch (e) {
+    fail('Invalid client data');
+  }
+
+  if (clientData.type !== `webauthn.${type === 'registration' ? 'create' : 'get'}`) {
+    fail('Invalid client data type');
+  }
+
+  if (!options.origins.includes(clientData.origin)) {
+    fail(`Unexpected origin: ${clientData.origin}`);
+  }
+
+  if (typeof clientData.challenge !== 'string') {
+    fail('Invalid challenge');
+  }
+
+  return consumeChallenge(clientData.challenge, type, options);
+};
+
+// Parses the authenticator data, see
+// https://www.w3.org/TR/webauthn-3/#sctn-authenticator-data
+const parseAuthenticatorData = buffer => {
+  if (buffer.length < 37) {
+    fail('Invalid authenticator data');
+  }
+
+  const authData = {
+    rpIdHash: buffer.subarray(0, 32),
+    flags: buffer[32],
+    counter: buffer.readUInt32BE(33),
+  };
+
+  if (authData.flags & ATTESTED_CREDENTIAL_DATA) {
+    // The 16 bytes after the counter are the AAGUID of the authenticator,
+    // followed by the length of the credential id, the id and the public key.
+    if (buffer.length < 55) {
+      fail('Invalid authenticator data');
+    }
+    const idLength = buffer.readUInt16BE(53);
+    const keyStart = 55 + idLength;
+    if (buffer.length <= keyStart) {
+      fail('Invalid authenticator data');
+    }
+    let length;
+    try {
+      ({ length } = decodeFirstCbor(buffer.subarray(keyStart)));
+    } catch (e) {
+      fail('Invalid authenticator data');
+    }
+    authData.credentialId = toBase64Url(buffer.subarray(55, keyStart));
+    authData.publicKey = buffer.subarray(keyStart, keyStart + length);
+  }
+
+  return authData;
+};
+
+const verifyAuthenticatorData = (authData, { rpId, userVerification }) => {
+  if (!sha256(rpId).equals(authData.rpIdHash)) {
+    fail('Unexpected relying party');
+  }
+
+  if (!(authData.flags & USER_PRESENT)) {
+    fail('User not present');
+  }
+
+  if (userVerification === 'required' && !(authData.flags & USER_VERIFIED)) {
+    fail('User not verified');
+  }
+};
+
+// Converts a COSE public key to a node KeyObject, along with the hash
+// algorithm of its signatures.
+const publicKeyFromCose = bytes => {
+  let cose;
+  try {
+    cose = decodeCbor(bytes);
+  } catch (e) {
+    fail('Invalid public key');
+  }
+
+  const b64 = label => toBase64Url(cose.get(label));
+  let jwk;
+  let hash;
+  switch (cose.get(3)) {
+    case ES256:
+      jwk = { kty: 'EC', crv: 'P-256', x: b64(-2), y: b64(-3) };
+      hash = 'sha256';
+      break;
+    case EDDSA:
+      jwk = { kty: 'OKP', crv: 'Ed25519', x: b64(-2) };
+      hash = null;
+      break;
+    case RS256:
+      jwk = { kty: 'RSA', n: b64(-1), e: b64(-2) };
+      hash = 'sha256';
+      break;
+    default:
+      fail(`Unsupported public key algorithm: ${cose.get(3)}`);
+  }
+
+  try {
+    return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), hash };
+  } catch (e) {
+    fail('Invalid public key');
+  }
+};
+
+const registrationPattern = Match.ObjectIncluding({
+  id: String,
+  type: 'public-key',
+  response: Match.ObjectIncluding({
+    clientDataJSON: String,
+    attestationObject: String,
+    transports: Match.Optional([String]),
+  }),
+});
+
+const assertionPattern = Match.ObjectIncluding({
+  id: String,
+  type: 'public-key',
+  response: Match.ObjectIncluding({
+    clientDataJSON: String,
+    authenticatorData: String,
+    signature: String,
+    userHandle: Match.Optional(Match.OneOf(String, null)),
+  }),
+});
+
+const userHandle = userId => toBase64Url(Buffer.from(userId, 'utf8'));
+
+const credentialIds = user =>
+  (user?.services?.webauthn?.credentials || []).map(({ id, transports }) => ({
+    type: 'public-key',
+    id,
+    ...(transports && { transports }),
+  }));
+
+Accounts._webauthn = {
+  async generateRegistrationOptions(userId) {
+    const user = await Meteor.users.findOneAsync(userId, {
+      fields: { username: 1, emails: 1, 'services.webauthn': 1 },
+    });
+    if (!user) {
+      throw new Meteor.Error(403, 'User not found');
+    }
+
+    const options = getOptions();
+    const name = user.username || user.emails?.[0]?.address || user._id;
+    return {
+      challenge: await createChallenge('registration', user._id),
+      rp: { id: options.rpId, name: options.rpName },
+      user: { id: userHandle(user._id), name, displayName: name },
+      pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({
+        type: 'public-key',
+        alg,
+      })),
+      timeout: options.timeout,
+      attestation: 'none',
+      excludeCredentials: credentialIds(user),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: options.userVerification,
+      },
+    };
+  },
+
+  // As we ask for no attestation, the attestation statement isn't verified.
+  async verifyRegistration(userId, credential, { name } = {}) {
+    check(credential, registrationPattern);
+    check(name, Match.Optional(String));
+
+    const options = getOptions();
+    const challenge = await verifyClientData(
+      credential.response.clientDataJSON,
+      'registration',
+      options
+    );
+    if (challenge.userId !== userId) {
+      fail('Challenge issued to another user');
+    }
+
+    let attestation;
+    try {
+      attestation = decodeCbor(fromBase64Url(credential.response.attestationObject));
+    } catch (e) {
+      fail('Invalid attestation object');
+    }
+
+    const authData = parseAuthenticatorData(attestation.get('authData'));
+    verifyAuthenticatorData(authData, options);
+    if (!authData.publicKey || authData.credentialId !== credential.id) {
+      fail('Invalid attested credential');
+    }
+    // Rejects the algorithms we can't verify signatures for.
+    publicKeyFromCose(authData.publicKey);
+
+    const existing = await Meteor.users.findOneAsync(
+      { 'services.webauthn.credentials.id': credential.id },
+      { fields: { _id: 1 } }
+    );
+    if (existing) {
+      fail('Passkey already registered');
+    }
+
+    const stored = {
+      id: credential.id,
+      publicKey: toBase64Url(authData.publicKey),
+      counter: authData.counter,
+      transports: credential.response.transports || [],
+      name: name || 'Passkey',
+      createdAt: new Date(),
+    };
+    await Meteor.users.updateAsync(
+      { _id: userId },
+      { $push: { 'services.webauthn.credentials': stored } }
+    );
+
+    return { id: stored.id, name: stored.name };
+  },
+
+  // When `selector` matches a user, only their passkeys are allowed, and the
+  // challenge is bound to them. Otherwise, any discoverable passkey is.
+  async generateLoginOptions(selector) {
+    const user = selector &&
+      await Accounts._findUserByQuery(selector, {
+        fields: { 'services.webauthn.credentials': 1 },
+      });
+    const options = getOptions();
+    return {
+      challenge: await createChallenge('login', user?._id),
+      rpId: options.rpId,
+      timeout: options.timeout,
+      userVerification: options.userVerification,
+      allowCredentials: credentialIds(user),
+    };
+  },
+
+  // Returns the id of the user the assertion authenticates, or throws.
+  async verifyAssertion(user, credential) {
+    const options = getOptions();
+    const stored = user.services.webauthn.credentials.find(
+      ({ id }) => id === credential.id
+    );
+    const { response } = credential;
+
+    const challenge = await verifyClientData(
+      response.clientDataJSON,
+      'login',
+      options
+    );
+    if (challenge.userId && challenge.userId !== user._id) {
+      fail('Challenge issued to another user');
+    }
+
+    if (response.userHandle && response.userHandle !== userHandle(user._id)) {
+      fail('Unexpected user handle');
+    }
+
+    const authenticatorData = fromBase64Url(response.authenticatorData);
+    const authData = parseAuthenticatorData(authenticatorData);
+    verifyAuthenticatorData(authData, options);
+
+    const { key, hash } = publicKeyFromCose(fromBase64Url(stored.publicKey));
+    const signed = Buffer.concat([
+      authenticatorData,
+      sha256(fromBase64Url(response.clientDataJSON)),
+    ]);
+    if (!crypto.verify(hash, signed, key, fromBase64Url(response.signature))) {
+      fail('Invalid signature');
+    }
+
+    // Authenticators which don't count their signatures always send 0. For
+    // the others, a counter which didn't increase is the sign of a cloned
+    // authenticator.
+    if (
+      (authData.counter || stored.counter) &&
+      authData.counter <= stored.counter
+    ) {
+      fail('Signature counter did not increase');
+    }
+
+    await Meteor.users.updateAsync(
+      { _id: user._id, 'services.webauthn.credentials.id': stored.id },
+      {
+        $set: {
+          'services.webauthn.credentials.$.counter': authData.counter,
+          'services.webauthn.credentials.$.lastUsedAt': new Date(),
+        },
+      }
+    );
+  },
+};
+
+// Handler to login with a passkey.
+Accounts.registerLoginHandler('webauthn', async options => {
+  if (!options.webauthn) return undefined; // don't handle
+
+  check(options, { webauthn: assertionPattern });
+
+  const user = await Meteor.users.findOneAsync(
+    { 'services.webauthn.credentials.id': options.webauthn.id },
+    { fields: { 'services.webauthn': 1 } }
+  );
+  if (!user) {
+    Accounts._handleError('Passkey not found');
+  }
+
+  try {
+    await Accounts._webauthn.verifyAssertion(user, options.webauthn);
+  } catch (error) {
+    if (!(error instanceof Meteor.Error)) {
+      throw error;
+    }
+
+    return {
+      userId: user._id,
+      error: Accounts._handleError(error.reason, false),
+    };
+  }
+
+  return { userId: user._id };
+});
+
+Meteor.methods({
+  async generatePasskeyRegistrationOptions() {
+    if (!this.userId) {
+      throw new Meteor.Error(400, 'No user logged in.');
+    }
+
+    return Accounts._webauthn.generateRegistrationOptions(this.userId);
+  },
+  async registerPasskey(credential, options = {}) {
+    check(options, { name: Match.Optional(String) });
+    if (!this.userId) {
+      throw new Meteor.Error(400, 'No user logged in.');
+    }
+
+    return Accounts._webauthn.verifyRegistration(this.userId, credential, options);
+  },
+  async generatePasskeyLoginOptions(selector) {
+    check(selector, Match.Maybe(Accounts._userQueryValidator));
+    return Accounts._webauthn.generateLoginOptions(selector);
+  },
+  async removePasskey(id) {
+    check(id, String);
+    if (!this.userId) {
+      throw new Meteor.Error(400, 'No user logged in.');
+    }
+
+    await Meteor.users.updateAsync(
+      { _id: this.userId },
+      { $pull: { 'services.webauthn.credentials': { id } } }
+    );
+  },
+});
+
+await Meteor.users.createIndexAsync('services.webauthn.credentials.id', {
+  unique: true,
+  sparse: true,
+});
+
+Accounts.addAutopublishFields({
+  forLoggedInUser: [
+    'services.webauthn.credentials.id',
+    'services.webauthn.credentials.name',
+    'services.webauthn.credentials.createdAt',
+    'services.webauthn.credentials.lastUsedAt',
+  ],
+});
@@ -165,7 +165,9 @@ CollectionPrototype._defineMutationMethods = function(options) {
             if (generatedId !== null) {
               args[0]._id = generatedId;
             }
-            return self._collection[method].apply(self._collection, args);
+            return self._runWithSchemaValidation(method, args, () =>
+              self._collection[method].apply(self._collection, args)
+            );
           }
 
           // This is the server receiving a method call from the client.
@@ -217,7 +219,9 @@ CollectionPrototype._defineMutationMethods = function(options) {
             //     invoke it. Bam, broken DDP connection.  Probably should just
             //     take this whole method and write it three times, invoking
             //     helpers for the common code.
-            return self._collection[syncMethodsMapper[method] || method].apply(self._collection, args);
+            return self._runWithSchemaValidation(method, args, () =>
+              self._collection[syncMethodsMapper[method] || method].apply(self._collection, args)
+            );
           } else {
             // In secure mode, if we haven't called allow or deny, then nothing
             // is permitted.
@@ -312,6 +316,8 @@ CollectionPrototype._validatedInsertAsync = async function(userId, doc,
   if (generatedId !== null)
     doc._id = generatedId;
 
+  self._validateSchema(doc);
+
   return self._collection.insertAsync.call(self._collection, doc);
 };
 
@@ -339,6 +345,8 @@ CollectionPrototype._validatedInsert = function (userId, doc,
   if (generatedId !== null)
     doc._id = generatedId;
 
+  self._validateSchema(doc);
+
   return (Meteor.isServer
     ? self._collection.insertAsync
     : self._collection.insert
@@ -443,6 +451,9 @@ CollectionPrototype._validatedUpdateAsync = async function(
   // avoid races, but since selector is guaranteed to already just be an ID, we
   // don't have to any more.
 
+  // The schema needs the whole document, not just the fetched fields.
+  await self._validateUpdateAsync(selector, mutator, options);
+
   return self._collection.updateAsync.call(
     self._collection, selector, mutator, options);
 };
@@ -539,6 +550,9 @@ CollectionPrototype._validatedUpdate = function(
   // avoid races, but since selector is guaranteed to already just be an ID, we
   // don't have to any more.
 
+  // The schema needs the whole document, not just the fetched fields.
+  self._validateUpdate(selector, mutator, options);
+
   return self._collection.update.call(
     self._collection, selector, mutator, options);
 };
@@ -133,6 +133,13 @@ export const Match = {
     // If f didn't itself throw, make sure it checked all of its arguments.
     argChecker.throwUnlessAllArgumentsHaveBeenChecked();
     return result;
+  },
+
+  // Returns the TypeScript type of the values matching `pattern`, for the
+  // declarations generated from the definitions of methods and publications.
+  // Patterns which TypeScript can't express, like Match.Where, give `any`.
+  _typeScriptType(pattern) {
+    return typeScriptType(pattern);
   }
 };
 
@@ -176,6 +183,94 @@ class ObjectWithValues {
   }
 }
 
+const typeScriptTypes = [
+  [String, 'string'],
+  [Number, 'number'],
+  [Boolean, 'boolean'],
+  [Object, 'object'],
+  [Function, 'Function'],
+  [undefined, 'undefined'],
+  [null, 'null'],
+];
+
+const typeScriptType = pattern => {
+  if (pattern === Match.Any || pattern instanceof Where) {
+    return 'any';
+  }
+
+  if (pattern === Match.Integer) {
+    return 'number';
+  }
+
+  for (let i = 0; i < typeScriptTypes.length; ++i) {
+    if (pattern === typeScriptTypes[i][0]) {
+      return typeScriptTypes[i][1];
+    }
+  }
+
+  if (typeof pattern === 'string' || typeof pattern === 'number' ||
+      typeof pattern === 'boolean') {
+    return JSON.stringify(pattern);
+  }
+
+  if (pattern instanceof Optional) {
+    return `${typeScriptType(pattern.pattern)} | undefined`;
+  }
+
+  if (pattern instanceof Maybe) {
+    return `${typeScriptType(pattern.pattern)} | undefined | null`;
+  }
+
+  if (pattern instanceof OneOf) {
+    return pattern.choices.map(typeScriptType).join(' | ');
+  }
+
+  if (pattern instanceof ObjectIncluding) {
+    return objectTypeScriptType(pattern.pattern, true);
+  }
+
+  if (pattern instanceof ObjectWithValues) {
+    return `Record<string, ${typeScriptType(pattern.pattern)}>`;
+  }
+
+  if (Array.isArray(pattern)) {
+    return `Array<${typeScriptType(pattern[0])}>`;
+  }
+
+  // Instances of a class, which the declaration can only name if it's global.
+  if (typeof pattern === 'function') {
+    return globalThis[pattern.name] === pattern ? pattern.name : 'any';
+  }
+
+  if (isPlainObject(pattern)) {
+    return objectTypeScriptType(pattern, false);
+  }
+
+  return 'any';
+};
+
+const objectTypeScriptType = (pattern, otherKeysAllowed) => {
+  const fields = Object.keys(pattern).map(key => {
+    const subPattern = pattern[key];
+    const name = /^[a-z_$][0-9a-z_$]*$/i.test(key) ? key : JSON.stringify(key);
+
+    // Optional keys may be missing, but not undefined.
+    if (subPattern instanceof Optional) {
+      return `${name}?: ${typeScriptType(subPattern.pattern)}`;
+    }
+    if (subPattern instanceof Maybe) {
+      return `${name}?: ${typeScriptType(subPattern.pattern)} | null`;
+    }
+    return `${name}: ${typeScriptType(subPattern)}`;
+  });
+
+  if (otherKeysAllowed) {
+    fields.push('[key: string]: any');
+  }
+
+  return fields.length ? `{ ${fields.join('; ')} }` : '{}';
+};
+
 const stringForErrorMessage = (value, options = {}) => {
   if ( value === null ) {
     return 'null';
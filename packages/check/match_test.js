@@ -788,3 +788,34 @@ Tinytest.add(
     test.equal(new Match.ObjectWithValues(), Match.ObjectWithValues());
   }
 );
+
+Tinytest.add('check - TypeScript types of patterns', test => {
+  const typeOf = pattern => Match._typeScriptType(pattern);
+
+  test.equal(typeOf(String), 'string');
+  test.equal(typeOf(Match.Integer), 'number');
+  test.equal(typeOf(Match.Any), 'any');
+  test.equal(typeOf(Match.Where(() => true)), 'any');
+  test.equal(typeOf(null), 'null');
+  test.equal(typeOf('done'), '"done"');
+  test.equal(typeOf(Date), 'Date');
+  test.equal(typeOf(class Unknown {}), 'any');
+  test.equal(typeOf([Number]), 'Array<number>');
+  test.equal(typeOf(Match.OneOf(String, [Boolean])), 'string | Array<boolean>');
+  test.equal(typeOf(Match.Optional(String)), 'string | undefined');
+  test.equal(typeOf(Match.Maybe(Number)), 'number | undefined | null');
+  test.equal(typeOf(Match.ObjectWithValues(Number)), 'Record<string, number>');
+  test.equal(typeOf({}), '{}');
+  test.equal(
+    typeOf({
+      title: String,
+      'due-date': Match.Optional(Date),
+      tags: Match.Maybe([String]),
+    }),
+    '{ title: string; "due-date"?: Date; tags?: Array<string> | null }'
+  );
+  test.equal(
+    typeOf(Match.ObjectIncluding({ _id: String })),
+    '{ _id: string; [key: string]: any }'
+  );
+});
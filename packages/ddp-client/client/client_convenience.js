@@ -43,7 +43,8 @@ function onDDPVersionNegotiationFailure(description) {
 loadAsyncStubHelpers();
 
 Meteor.connection = DDP.connect(ddpUrl, {
-  onDDPVersionNegotiationFailure: onDDPVersionNegotiationFailure
+  onDDPVersionNegotiationFailure: onDDPVersionNegotiationFailure,
+  msgpack: !!Meteor.settings?.public?.packages?.['ddp-client']?.msgpack
 });
 
 // Proxy the public methods of Meteor.connection so they can
@@ -51,6 +52,8 @@ Meteor.connection = DDP.connect(ddpUrl, {
 [
   'subscribe',
   'methods',
+  'defineMethod',
+  'definePublication',
   'isAsyncCall',
   'call',
   'callAsync',
@@ -34,6 +34,9 @@ export const loadAsyncStubHelpers = () => {
 
     promise.stubPromise = promiseProps.stubPromise;
     promise.serverPromise = promiseProps.serverPromise;
+    if (promiseProps.iterate) {
+      promise[Symbol.asyncIterator] = promiseProps.iterate;
+    }
 
     return promise;
   }
@@ -86,8 +89,11 @@ export const loadAsyncStubHelpers = () => {
 
     let stubPromiseResolver;
     let serverPromiseResolver;
+    let applyAsyncCallResolver;
     const stubPromise = new Promise((r) => (stubPromiseResolver = r));
     const serverPromise = new Promise((r) => (serverPromiseResolver = r));
+    // Wrapped in an array, to get the promise rather than its result.
+    const applyAsyncCall = new Promise((r) => (applyAsyncCallResolver = r));
 
     return queueFunction(
       (resolve, reject) => {
@@ -97,6 +103,7 @@ export const loadAsyncStubHelpers = () => {
           const applyAsyncPromise = oldApplyAsync.apply(this, args);
           stubPromiseResolver(applyAsyncPromise.stubPromise);
           serverPromiseResolver(applyAsyncPromise.serverPromise);
+          applyAsyncCallResolver([applyAsyncPromise]);
 
           applyAsyncPromise.stubPromise
             .catch(() => {}) // silent uncaught promise
@@ -126,6 +133,11 @@ export const loadAsyncStubHelpers = () => {
       {
         stubPromise,
         serverPromise,
+        // Reads the chunks of a streamed result once the method is called.
+        async *iterate() {
+          const [promise] = await applyAsyncCall;
+          yield* promise;
+        },
       }
     );
   };
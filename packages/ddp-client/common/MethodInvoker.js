@@ -1,13 +1,24 @@
+import { Meteor } from 'meteor/meteor';
+
 // A MethodInvoker manages sending a method to the server and calling the user's
 // callbacks. On construction, it registers itself in the connection's
 // _methodInvokers map; it removes itself once the method is fully finished and
 // the callback is invoked. This occurs when it has both received a result,
 // and the data written by it is fully visible.
+//
+// The caller can give up on the method with an AbortSignal or a timeout. Its
+// callback is then invoked right away and the server is asked to cancel the
+// method, but the method stays outstanding until the server is done with it,
+// so that later wait methods and the data written by the stub are handled as
+// usual.
 export default class MethodInvoker {
   constructor(options) {
     // Public (within this file) fields.
     this.methodId = options.methodId;
     this.sentMessage = false;
+    // Set while the connection waits to know if the server resumed the session
+    // before sending the method again.
+    this.heldUntilResumed = false;
 
     this._callback = options.callback;
     this._connection = options.connection;
@@ -17,9 +28,32 @@ export default class MethodInvoker {
     this.noRetry = options.noRetry;
     this._methodResult = null;
     this._dataVisible = false;
+    // The MethodResultStream of calls which can read streamed results.
+    this.stream = options.stream || null;
+    if (this.stream) {
+      this.stream.attach(this._connection, this.methodId);
+    }
 
     // Register with the connection.
     this._connection._methodInvokers[this.methodId] = this;
+
+    this.cancelled = false;
+    this._signal = options.signal || null;
+    this._onAbort = () => this.cancel(this._signal.reason);
+    this._timeout = null;
+    if (this._signal) {
+      if (this._signal.aborted) {
+        this.cancel(this._signal.reason);
+      } else {
+        this._signal.addEventListener('abort', this._onAbort);
+      }
+    }
+    if (options.timeoutMs && ! this.cancelled) {
+      this._timeout = setTimeout(() => this.cancel(new Meteor.Error(
+        'method-timeout',
+        `Method '${this._message.method}' timed out after ${options.timeoutMs}ms`
+      )), options.timeoutMs);
+    }
   }
   // Sends the method message to the server. May be called additional times if
   // we lose the connection and reconnect before receiving a result.
@@ -42,14 +76,37 @@ export default class MethodInvoker {
 
     // Actually send the message.
     this._connection._send(this._message);
+
+    // The caller may have given up on the method before it was sent.
+    if (this.cancelled || (this.stream && this.stream.cancelled))
+      this._connection._send({ msg: 'cancel', id: this.methodId });
+  }
+  // Call when the caller gives up on the method, with the error to invoke the
+  // callback with.
+  cancel(error) {
+    if (this.cancelled)
+      return;
+    this.cancelled = true;
+    this._stopWaitingForCancellation();
+
+    if (this.sentMessage && ! this.gotResult())
+      this._connection._send({ msg: 'cancel', id: this.methodId });
+    if (this.stream)
+      this.stream.end(error);
+    this._callback(error);
   }
   // Invoke the callback, if we have both a result and know that all data has
   // been written to the local cache.
   _maybeInvokeCallback() {
     if (this._methodResult && this._dataVisible) {
-      // Call the callback. (This won't throw: the callback was wrapped with
-      // bindEnvironment.)
-      this._callback(this._methodResult[0], this._methodResult[1]);
+      this._stopWaitingForCancellation();
+      if (this.stream)
+        this.stream.end(this._methodResult[0]);
+
+      // Call the callback, unless it was when the method was cancelled. (This
+      // won't throw: the callback was wrapped with bindEnvironment.)
+      if (! this.cancelled)
+        this._callback(this._methodResult[0], this._methodResult[1]);
 
       // Forget about this method.
       delete this._connection._methodInvokers[this.methodId];
@@ -66,8 +123,16 @@ export default class MethodInvoker {
   receiveResult(err, result) {
     if (this.gotResult())
       throw new Error('Methods should only receive results once');
+    if (this.stream) {
+      // The caller isn't interested in the result anymore.
+      if (this.stream.cancelled && err && err.error === 'method-cancelled')
+        err = undefined;
+      if (! err && this.stream.received)
+        result = this.stream.result();
+    }
     this._methodResult = [err, result];
-    this._onResultReceived(err, result);
+    if (! this.cancelled)
+      this._onResultReceived(err, result);
     this._maybeInvokeCallback();
   }
   // Call this when all data written by the method is visible. This means that
@@ -78,8 +143,22 @@ export default class MethodInvoker {
     this._dataVisible = true;
     this._maybeInvokeCallback();
   }
+  // Call with each chunk of the result streamed by the server, before the
+  // result.
+  receiveChunk(chunk) {
+    if (! this.cancelled)
+      this.stream.receiveChunk(chunk);
+  }
   // True if receiveResult has been called.
   gotResult() {
     return !!this._methodResult;
   }
+  _stopWaitingForCancellation() {
+    if (this._signal)
+      this._signal.removeEventListener('abort', this._onAbort);
+    if (this._timeout) {
+      clearTimeout(this._timeout);
+      this._timeout = null;
+    }
+  }
 }
@@ -0,0 +1,138 @@
+// A MethodResultStream delivers the chunks of a method result streamed by the
+// server (see DDPCommon.MethodInvocation#emit) to the caller of applyAsync,
+// which reads them by iterating the returned promise.
+//
+// Chunks are acknowledged to the server once they're read, so that it doesn't
+// get ahead of the caller. Until the caller starts iterating, they're
+// acknowledged as they come instead, and the array of them becomes the result
+// of the method. Stopping the iteration early cancels the method.
+export default class MethodResultStream {
+  constructor() {
+    // Number of chunks received.
+    this.received = 0;
+    this.cancelled = false;
+
+    this._connection = null;
+    this._methodId = null;
+    // Chunks received but not read yet.
+    this._chunks = [];
+    this._acknowledged = 0;
+    this._iterating = false;
+    this._done = false;
+    this._error = null;
+    this._wakeReader = null;
+  }
+
+  // Called by the MethodInvoker of the call.
+  attach(connection, methodId) {
+    this._connection = connection;
+    this._methodId = methodId;
+  }
+
+  receiveChunk(chunk) {
+    if (this.cancelled) {
+      // The server may have started the method after the cancellation came.
+      this._sendCancel();
+      return;
+    }
+    this.received++;
+    this._chunks.push(chunk);
+    this._acknowledge();
+    this._wake();
+  }
+
+  // Resends the last acknowledgment, which the server may have missed while
+  // the connection was down.
+  resendAcknowledgment() {
+    if (this._acknowledged && ! this.cancelled) {
+      this._sendAcknowledgment();
+    }
+  }
+
+  // The result of the method if it was streamed: the chunks, unless they were
+  // read by iterating.
+  result() {
+    return this._iterating ? undefined : this._chunks;
+  }
+
+  // Called once the method is done, with its error if it failed.
+  end(error) {
+    if (this._done) return;
+    this._done = true;
+    this._error = error || null;
+    this._wake();
+  }
+
+  [Symbol.asyncIterator]() {
+    this._iterating = true;
+    return {
+      next: () => this._next(),
+      return: () => {
+        this._cancel();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  async _next() {
+    while (! this._chunks.length && ! this._done) {
+      await new Promise(resolve => {
+        this._wakeReader = resolve;
+      });
+    }
+
+    if (this._chunks.length) {
+      const value = this._chunks.shift();
+      this._acknowledge();
+      return { value, done: false };
+    }
+
+    if (this._error) {
+      const error = this._error;
+      this._error = null;
+      throw error;
+    }
+    return { value: undefined, done: true };
+  }
+
+  _wake() {
+    if (this._wakeReader) {
+      this._wakeReader();
+      this._wakeReader = null;
+    }
+  }
+
+  _acknowledge() {
+    const read = this._iterating
+      ? this.received - this._chunks.length
+      : this.received;
+    if (read > this._acknowledged) {
+      this._acknowledged = read;
+      this._sendAcknowledgment();
+    }
+  }
+
+  _cancel() {
+    if (this._done || this.cancelled) return;
+    this.cancelled = true;
+    this._chunks = [];
+    this._sendCancel();
+  }
+
+  _sendAcknowledgment() {
+    this._connection._send({
+      msg: 'chunkAck',
+      id: this._methodId,
+      count: this._acknowledged,
+    });
+  }
+
+  _sendCancel() {
+    if (this._connection) {
+      this._connection._send({ msg: 'cancel', id: this._methodId });
+    }
+  }
+}
@@ -6,6 +6,7 @@ import { Random } from 'meteor/random';
 import { MongoID } from 'meteor/mongo-id';
 import { DDP } from './namespace.js';
 import MethodInvoker from './MethodInvoker.js';
+import MethodResultStream from './MethodResultStream.js';
 import {
   hasOwn,
   slice,
@@ -28,6 +29,8 @@ class MongoIDMap extends IdMap {
 //     server-to-server DDP only
 //   _sockjsOptions: Specifies options to pass through to the sockjs client
 //   onDDPNegotiationVersionFailure: callback when version negotiation fails.
+//   msgpack: propose the MessagePack DDP version, used if the server supports
+//     it and the stream can carry binary frames
 //
 // XXX There should be a way to destroy a DDP connection, causing all
 // outstanding method calls to fail.
@@ -97,10 +100,20 @@ export class Connection {
     self._lastSessionId = null;
     self._versionSuggestion = null; // The last proposed DDP version.
     self._version = null; // The DDP version agreed on by client and server.
+    // The sequence number of the last message received from the session, if
+    // the server numbers them so that it can be resumed after a reconnect.
+    self._lastSeq = 0;
+    // The secret to present to resume the session, given by the server in
+    // each `connected` message of a resumable session.
+    self._resumeSecret = null;
+    self._ackTimeout = null;
     self._stores = Object.create(null); // name -> object with methods
     self._methodHandlers = Object.create(null); // name -> func
     self._nextMethodId = 1;
-    self._supportedDDPVersions = options.supportedDDPVersions;
+    self._supportedDDPVersions =
+      options.msgpack && self._stream.supportsBinary
+        ? [DDPCommon.MSGPACK_DDP_VERSION, ...options.supportedDDPVersions]
+        : options.supportedDDPVersions;
 
     self._heartbeatInterval = options.heartbeatInterval;
     self._heartbeatTimeout = options.heartbeatTimeout;
@@ -254,6 +267,8 @@ export class Connection {
         self._heartbeat.stop();
         self._heartbeat = null;
       }
+      clearTimeout(self._ackTimeout);
+      self._ackTimeout = null;
     };
 
     if (Meteor.isServer) {
@@ -534,6 +549,23 @@ export class Connection {
     });
   }
 
+  // Defines the stub of a method defined with Meteor.defineMethod, which
+  // checks its arguments too.
+  defineMethod(definition) {
+    DDPCommon.checkMethodDefinition(definition);
+    this.methods({
+      [definition.name]: DDPCommon.definedMethodHandler(definition)
+    });
+    return definition;
+  }
+
+  // Publications only run on the server, but their definitions can be shared
+  // with the client.
+  definePublication(definition) {
+    DDPCommon.checkPublicationDefinition(definition);
+    return definition;
+  }
+
   _getIsSimulation({isFromCallAsync, alreadyInSimulation}) {
     if (!isFromCallAsync) {
       return alreadyInSimulation;
@@ -596,6 +628,8 @@ export class Connection {
    * @param {Boolean} options.noRetry (Client only) if true, don't send this method again on reload, simply call the callback an error with the error code 'invocation-failed'.
    * @param {Boolean} options.throwStubExceptions (Client only) If true, exceptions thrown by method stubs will be thrown instead of logged, and the method will not be invoked on the server.
    * @param {Boolean} options.returnStubValue (Client only) If true then in cases where we would have otherwise discarded the stub's return value and returned undefined, instead we go ahead and return it. Specifically, this is any time other than when (a) we are already inside a stub or (b) we are in Node and no callback was provided. Currently we require this flag to be explicitly passed to reduce the likelihood that stub return values will be confused with server return values; we may improve this in future.
+   * @param {AbortSignal} options.signal (Client only) Aborting this signal cancels the method call: it fails right away with the reason of the signal, and the server aborts the method's [`this.signal`](#methods-signal).
+   * @param {Number} options.timeoutMs (Client only) If set, cancel the method call if it didn't complete within this many milliseconds, with a `method-timeout` error.
    * @param {Function} [asyncCallback] Optional callback; same semantics as in [`Meteor.call`](#meteor_call).
    */
   apply(name, args, options, callback) {
@@ -639,18 +673,26 @@ export class Connection {
    * @param {Boolean} options.noRetry (Client only) if true, don't send this method again on reload, simply call the callback an error with the error code 'invocation-failed'.
    * @param {Boolean} options.throwStubExceptions (Client only) If true, exceptions thrown by method stubs will be thrown instead of logged, and the method will not be invoked on the server.
    * @param {Boolean} options.returnStubValue (Client only) If true then in cases where we would have otherwise discarded the stub's return value and returned undefined, instead we go ahead and return it. Specifically, this is any time other than when (a) we are already inside a stub or (b) we are in Node and no callback was provided. Currently we require this flag to be explicitly passed to reduce the likelihood that stub return values will be confused with server return values; we may improve this in future.
+   * @param {AbortSignal} options.signal (Client only) Aborting this signal cancels the method call: it fails right away with the reason of the signal, and the server aborts the method's [`this.signal`](#methods-signal).
+   * @param {Number} options.timeoutMs (Client only) If set, cancel the method call if it didn't complete within this many milliseconds, with a `method-timeout` error.
    * @param {Boolean} options.returnServerResultPromise (Client only) If true, the promise returned by applyAsync will resolve to the server's return value, rather than the stub's return value. This is useful when you want to ensure that the server's return value is used, even if the stub returns a promise. The same behavior as `callAsync`.
+   * @returns {Promise} The result of the method. It's also an async iterable of the chunks of the result, if the method streams it.
    */
   applyAsync(name, args, options, callback = null) {
     const stubPromise = this._applyAsyncStubInvocation(name, args, options);
 
+    // Iterating the returned promise reads the chunks of a streamed result.
+    const resultStream = new MethodResultStream();
     const promise = this._applyAsync({
       name,
       args,
-      options,
+      options: typeof options === 'function'
+        ? options
+        : { ...options, _resultStream: resultStream },
       callback,
       stubPromise,
     });
+    promise[Symbol.asyncIterator] = () => resultStream[Symbol.asyncIterator]();
     if (Meteor.isClient) {
       // only return the stubReturnValue
       promise.stubPromise = stubPromise.then(o => {
@@ -749,6 +791,9 @@ export class Connection {
     ) {
       let result;
 
+      // Simulations don't stream their result.
+      options._resultStream?.end(exception);
+
       if (callback) {
         callback(exception, stubReturnValue);
       } else {
@@ -786,6 +831,7 @@ export class Connection {
     // go to log.
     if (exception) {
       if (options.throwStubExceptions) {
+        options._resultStream?.end(exception);
         throw exception;
       } else if (!exception._expectedByTest) {
         Meteor._debug(
@@ -829,6 +875,17 @@ export class Connection {
       message.randomSeed = randomSeed.value;
     }
 
+    // If the caller gets the result of the server, tell it that we can read
+    // the chunks of a streamed result as they come. Otherwise, there's
+    // nothing to iterate.
+    if (options._resultStream) {
+      if (promise) {
+        message.stream = true;
+      } else {
+        options._resultStream.end();
+      }
+    }
+
     const methodInvoker = new MethodInvoker({
       methodId,
       callback: callback,
@@ -836,7 +893,10 @@ export class Connection {
       onResultReceived: options.onResultReceived,
       wait: !!options.wait,
       message: message,
-      noRetry: !!options.noRetry
+      noRetry: !!options.noRetry,
+      stream: message.stream ? options._resultStream : null,
+      signal: options.signal,
+      timeoutMs: options.timeoutMs
     });
 
     let result;
@@ -1006,9 +1066,20 @@ export class Connection {
     });
   }
 
-  // Sends the DDP stringification of the given message object
+  // Sends the given message object, encoded for the negotiated DDP version
   _send(obj) {
-    this._stream.send(DDPCommon.stringifyDDP(obj));
+    this._stream.send(DDPCommon.encodeDDP(obj, this._version));
+  }
+
+  // Acknowledges the messages received from a resumable session, so that the
+  // server can forget them. Acknowledgments are batched, at most one per
+  // second.
+  _scheduleAck() {
+    if (this._ackTimeout) return;
+    this._ackTimeout = setTimeout(() => {
+      this._ackTimeout = null;
+      this._send({ msg: 'ack', seq: this._lastSeq });
+    }, 1000);
   }
 
   // Always queues the call before sending the message
@@ -1118,24 +1189,35 @@ export class Connection {
       self._heartbeat.start();
     }
 
-    // If this is a reconnect, we'll have to reset all stores.
-    if (self._lastSessionId) self._resetStores = true;
+    self._resumeSecret =
+      typeof msg.resumeSecret === 'string' ? msg.resumeSecret : null;
 
     let reconnectedToPreviousSession;
     if (typeof msg.session === 'string') {
       reconnectedToPreviousSession = self._lastSessionId === msg.session;
-      self._lastSessionId = msg.session;
     }
+    self._releaseHeldMethods(reconnectedToPreviousSession);
 
     if (reconnectedToPreviousSession) {
-      // Successful reconnection -- pick up where we left off.  Note that right
-      // now, this never happens: the server never connects us to a previous
-      // session, because DDP doesn't provide enough data for the server to know
-      // what messages the client has processed. We need to improve DDP to make
-      // this possible, at which point we'll probably need more code here.
+      // Successful reconnection -- pick up where we left off. The server
+      // kept our subscriptions, and replays the messages we missed after the
+      // last one we got.
+      Object.values(self._methodInvokers).forEach(invoker => {
+        if (invoker.stream && ! invoker.gotResult()) {
+          invoker.stream.resendAcknowledgment();
+        }
+      });
       return;
     }
 
+    // If this is a reconnect, we'll have to reset all stores.
+    if (self._lastSessionId) self._resetStores = true;
+
+    if (typeof msg.session === 'string') {
+      self._lastSessionId = msg.session;
+    }
+    self._lastSeq = 0;
+
     // Server doesn't have our data any more. Re-sync a new session.
 
     // Forget about messages we were buffering for unknown collections. They'll
@@ -1733,6 +1815,15 @@ export class Connection {
     }
   }
 
+  _livedata_chunk(msg) {
+    const invoker = this._methodInvokers[msg.id];
+    if (! invoker || ! invoker.stream || invoker.gotResult()) {
+      Meteor._debug("Can't match method chunk to original method call", msg);
+      return;
+    }
+    invoker.receiveChunk(msg.chunk);
+  }
+
   _addOutstandingMethod(methodInvoker, options) {
     if (options?.wait) {
       // It's a wait method! Wait methods go in their own block.
@@ -1797,7 +1888,59 @@ export class Connection {
     }
 
     self._outstandingMethodBlocks[0].methods.forEach(m => {
-      m.sendMessage();
+      if (! m.heldUntilResumed) m.sendMessage();
+    });
+  }
+
+  // Returns the error to fail a sent method with if the connection dropped and
+  // the session can't be resumed, or null if the method can be sent again.
+  _interruptedMethodError(methodInvoker) {
+    // Methods which streamed part of their result would stream it again.
+    if (methodInvoker.stream?.received) {
+      return new Meteor.Error(
+        'invocation-failed',
+        'Method invocation was interrupted by a dropped connection ' +
+          'while streaming its result.'
+      );
+    }
+
+    // The server stopped methods which the caller cancelled when the
+    // connection closed.
+    if ((methodInvoker.sentMessage || methodInvoker.heldUntilResumed) &&
+        methodInvoker.cancelled) {
+      return new Meteor.Error('method-cancelled', 'The method was cancelled');
+    }
+
+    return null;
+  }
+
+  // Called with the reply to a connect message that asked to resume the
+  // session. The methods onReset held back are sent again if the server
+  // resumed it (it doesn't run them twice), and fail otherwise.
+  _releaseHeldMethods(resumed) {
+    const held = Object.values(this._methodInvokers).filter(
+      invoker => invoker.heldUntilResumed
+    );
+
+    if (resumed) {
+      // The other blocks are sent once the first one is done.
+      const firstBlock = this._outstandingMethodBlocks[0];
+      held.forEach(invoker => {
+        invoker.heldUntilResumed = false;
+        if (firstBlock && firstBlock.methods.includes(invoker)) {
+          invoker.sendMessage();
+        }
+      });
+      return;
+    }
+
+    this._outstandingMethodBlocks.forEach(block => {
+      block.methods = block.methods.filter(m => ! held.includes(m));
+    });
+    held.forEach(invoker => {
+      const error = this._interruptedMethodError(invoker);
+      invoker.heldUntilResumed = false;
+      invoker.receiveResult(error);
     });
   }
 
@@ -1894,6 +2037,11 @@ export class Connection {
       return;
     }
 
+    if (typeof msg.seq === 'number') {
+      this._lastSeq = msg.seq;
+      this._scheduleAck();
+    }
+
     if (msg.msg === 'connected') {
       this._version = this._versionSuggestion;
       await this._livedata_connected(msg);
@@ -1919,6 +2067,8 @@ export class Connection {
       await this._livedata_data(msg);
     } else if (msg.msg === 'nosub') {
       await this._livedata_nosub(msg);
+    } else if (msg.msg === 'chunk') {
+      this._livedata_chunk(msg);
     } else if (msg.msg === 'result') {
       await this._livedata_result(msg);
     } else if (msg.msg === 'error') {
@@ -1933,7 +2083,17 @@ export class Connection {
     // NOTE: reset is called even on the first connection, so this is
     // the only place we send this message.
     const msg = { msg: 'connect' };
-    if (this._lastSessionId) msg.session = this._lastSessionId;
+    if (this._lastSessionId) {
+      // Ask to resume the session: the server replays the messages after the
+      // last one we got, and stops the subscriptions we stopped meanwhile.
+      msg.session = this._lastSessionId;
+      msg.subs = Object.keys(this._subscriptions);
+      if (this._resumeSecret) msg.resumeSecret = this._resumeSecret;
+    }
+    msg.seq = this._lastSeq;
+    // The version is negotiated again, so send JSON until it's agreed on: any
+    // server can read it.
+    this._version = null;
     msg.version = this._versionSuggestion || this._supportedDDPVersions[0];
     this._versionSuggestion = msg.version;
     msg.support = this._supportedDDPVersions;
@@ -1962,12 +2122,28 @@ export class Connection {
                   'Failing because `noRetry` option was passed to Meteor.apply.'
               )
             );
+            return false;
+          }
+
+          // Neither are methods which streamed part of their result, nor
+          // methods which the caller cancelled. When we ask to resume the
+          // session (the server numbers its messages then), the server may
+          // still have them: hold them back until it tells whether it resumed
+          // it, in _livedata_connected.
+          const error = this._interruptedMethodError(methodInvoker);
+          if (error) {
+            if (this._lastSeq) {
+              methodInvoker.heldUntilResumed = true;
+              return true;
+            }
+            methodInvoker.receiveResult(error);
+            return false;
           }
 
           // Only keep a method if it wasn't sent or it's allowed to retry.
           // This may leave the block empty, but we don't move on to the next
           // block until the callback has been delivered, in _outstandingMethodFinished.
-          return !(methodInvoker.sentMessage && methodInvoker.noRetry);
+          return true;
         }
       );
     }
@@ -65,6 +65,7 @@ DDP.randomStream = name => {
  * @param {Object} options.headers extra headers to send on the websockets connection, for server-to-server DDP only
  * @param {Object} options._sockjsOptions Specifies options to pass through to the sockjs client
  * @param {Function} options.onDDPNegotiationVersionFailure callback when version negotiation fails.
+ * @param {Boolean} options.msgpack Encode messages with MessagePack rather than EJSON, if the server supports it and the connection uses websockets.
  */
 DDP.connect = (url, options) => {
   const ret = new Connection(url, options);
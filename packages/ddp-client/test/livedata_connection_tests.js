@@ -20,14 +20,19 @@ const newConnection = function(stream, options) {
   );
 };
 
-const makeConnectMessage = function(session) {
+const makeConnectMessage = function(session, seq = 0, resumeSecret) {
   const msg = {
     msg: 'connect',
     version: DDPCommon.SUPPORTED_DDP_VERSIONS[0],
-    support: DDPCommon.SUPPORTED_DDP_VERSIONS
+    support: DDPCommon.SUPPORTED_DDP_VERSIONS,
+    seq
   };
 
-  if (session) msg.session = session;
+  if (session) {
+    msg.session = session;
+    msg.subs = '*';
+    if (resumeSecret) msg.resumeSecret = resumeSecret;
+  }
   return msg;
 };
 
@@ -2009,6 +2014,502 @@ Tinytest.addAsync('livedata connection - version negotiation error', function(
   });
 });
 
+Tinytest.add('livedata connection - msgpack encoding', function(test) {
+  const fields = {
+    date: new Date(1700000000123),
+    oldDate: new Date(-1000),
+    binary: new Uint8Array([0, 1, 255]),
+    numbers: [0, -1, 200, -70000, 2 ** 40, 1.5, NaN, -Infinity],
+    id: new Mongo.ObjectID(),
+    regexp: /a+b/i,
+    nested: { $date: 'not a date', list: [null, true, 'é'] },
+    cleared: undefined
+  };
+  const packed = DDPCommon.packDDP({
+    msg: 'changed',
+    collection: 'c',
+    id: 'x',
+    fields
+  });
+  test.isTrue(packed instanceof Uint8Array);
+
+  const msg = DDPCommon.parseDDP(packed);
+  test.equal(msg.msg, 'changed');
+  test.isTrue(EJSON.equals(msg.fields, fields));
+  test.isTrue(has(msg.fields, 'cleared'));
+  test.isTrue(msg.fields.binary instanceof Uint8Array);
+  test.equal(msg.fields.regexp.toString(), '/a+b/i');
+  test.equal(DDPCommon.parseDDP(packed.buffer.slice(0, packed.length)), msg);
+
+  test.equal(DDPCommon.parseDDP(packed.subarray(0, packed.length - 1)), null);
+  test.equal(DDPCommon.parseDDP(DDPCommon.packDDP([1])), null);
+  test.equal(
+    DDPCommon.encodeDDP({ msg: 'ping' }, DDPCommon.SUPPORTED_DDP_VERSIONS[0]),
+    '{"msg":"ping"}'
+  );
+});
+
+Tinytest.addAsync('livedata stub - msgpack', async function(test) {
+  // Without binary frames, MessagePack isn't proposed.
+  let stream = new StubStream();
+  newConnection(stream, { msgpack: true });
+  await startAndConnect(test, stream);
+
+  stream = new StubStream();
+  stream.supportsBinary = true;
+  const conn = newConnection(stream, { msgpack: true });
+  await stream.reset();
+  testGotMessage(test, stream, {
+    msg: 'connect',
+    version: DDPCommon.MSGPACK_DDP_VERSION,
+    support: [
+      DDPCommon.MSGPACK_DDP_VERSION,
+      ...DDPCommon.SUPPORTED_DDP_VERSIONS
+    ],
+    seq: 0
+  });
+  await stream.receive(
+    DDPCommon.packDDP({ msg: 'connected', session: SESSION_ID })
+  );
+  test.equal(conn._version, DDPCommon.MSGPACK_DDP_VERSION);
+
+  let result;
+  conn.call('echo', new Date(1000), (err, res) => {
+    result = res;
+  });
+  const method = DDPCommon.parseDDP(stream.sent.shift());
+  test.equal(method.msg, 'method');
+  test.equal(method.params, [new Date(1000)]);
+
+  await stream.receive(
+    DDPCommon.packDDP({
+      msg: 'result',
+      id: method.id,
+      result: new Uint8Array([1, 2])
+    })
+  );
+  await stream.receive(
+    DDPCommon.packDDP({ msg: 'updated', methods: [method.id] })
+  );
+  test.equal(result, new Uint8Array([1, 2]));
+
+  // After a reset, messages are JSON until the version is negotiated again.
+  await stream.reset();
+  test.equal(typeof stream.sent[0], 'string');
+});
+
+Tinytest.addAsync('livedata stub - resume session', async function(test) {
+  const clock = FakeTimers.install();
+  try {
+    const stream = new StubStream();
+    const conn = newConnection(stream);
+    await stream.reset();
+    testGotMessage(test, stream, makeConnectMessage());
+    await stream.receive({
+      msg: 'connected',
+      session: SESSION_ID,
+      resumeSecret: 'secret1'
+    });
+
+    const collName = Random.id();
+    const coll = new Mongo.Collection(collName, { connection: conn });
+    await coll._settingUpReplicationPromise;
+    conn.subscribe('my_data');
+    const subMessage = testGotMessage(test, stream, {
+      msg: 'sub',
+      name: 'my_data',
+      params: [],
+      id: '*'
+    });
+
+    await stream.receive({
+      msg: 'added',
+      collection: collName,
+      id: '1234',
+      fields: { a: 1 },
+      seq: 1
+    });
+    await stream.receive({ msg: 'ready', subs: [subMessage.id], seq: 2 });
+
+    // Received messages are acknowledged in batches.
+    test.length(stream.sent, 0);
+    clock.tick(1000);
+    testGotMessage(test, stream, { msg: 'ack', seq: 2 });
+
+    // Reconnect, asking to resume the session after the last message we got
+    // with the secret the server gave us.
+    await stream.reset();
+    const connectMessage = testGotMessage(
+      test,
+      stream,
+      makeConnectMessage(SESSION_ID, 2, 'secret1')
+    );
+    test.equal(connectMessage.subs, [subMessage.id]);
+    testGotMessage(test, stream, subMessage);
+
+    // The server resumed the session: the data is kept, and the messages we
+    // missed are replayed. The server gives us a new secret each time.
+    await stream.receive({
+      msg: 'connected',
+      session: SESSION_ID,
+      resumeSecret: 'secret2'
+    });
+    test.equal(await coll.findOneAsync('1234'), { _id: '1234', a: 1 });
+    await stream.receive({
+      msg: 'changed',
+      collection: collName,
+      id: '1234',
+      fields: { a: 2 },
+      seq: 3
+    });
+    test.equal(await coll.findOneAsync('1234'), { _id: '1234', a: 2 });
+    test.length(stream.sent, 0);
+
+    // A new session numbers its messages from the start.
+    await stream.reset();
+    testGotMessage(test, stream, makeConnectMessage(SESSION_ID, 3, 'secret2'));
+    testGotMessage(test, stream, subMessage);
+    await stream.receive({ msg: 'connected', session: SESSION_ID + 1 });
+    test.equal(conn._lastSeq, 0);
+  } finally {
+    clock.uninstall();
+  }
+});
+
+Tinytest.addAsync('livedata stub - streamed method result', async function(
+  test
+) {
+  const stream = new StubStream();
+  const conn = newConnection(stream);
+  await startAndConnect(test, stream);
+
+  const callStreamingMethod = async () => {
+    const promise = conn.callAsync('streamSomething');
+    await waitUntil(() => stream.sent.length > 0, { interval: 10 });
+    const message = testGotMessage(test, stream, {
+      msg: 'method',
+      method: 'streamSomething',
+      params: [],
+      id: '*',
+      stream: true
+    });
+    return { promise, id: message.id };
+  };
+
+  // The chunks are read by iterating the promise, and acknowledged once read.
+  let { promise, id } = await callStreamingMethod();
+  const iterator = promise[Symbol.asyncIterator]();
+  await stream.receive({ msg: 'chunk', id, chunk: 'a' });
+  await stream.receive({ msg: 'chunk', id, chunk: { b: 1 } });
+  test.length(stream.sent, 0);
+  test.equal(await iterator.next(), { value: 'a', done: false });
+  testGotMessage(test, stream, { msg: 'chunkAck', id, count: 1 });
+  test.equal(await iterator.next(), { value: { b: 1 }, done: false });
+  testGotMessage(test, stream, { msg: 'chunkAck', id, count: 2 });
+  let next = iterator.next();
+  await stream.receive({ msg: 'result', id });
+  await stream.receive({ msg: 'updated', methods: [id] });
+  test.equal(await next, { value: undefined, done: true });
+  test.isUndefined(await promise);
+
+  // Without iterating, they're acknowledged as they come, and the result is
+  // the array of all of them.
+  ({ promise, id } = await callStreamingMethod());
+  await stream.receive({ msg: 'chunk', id, chunk: 1 });
+  testGotMessage(test, stream, { msg: 'chunkAck', id, count: 1 });
+  await stream.receive({ msg: 'chunk', id, chunk: 2 });
+  testGotMessage(test, stream, { msg: 'chunkAck', id, count: 2 });
+  await stream.receive({ msg: 'result', id });
+  await stream.receive({ msg: 'updated', methods: [id] });
+  test.equal(await promise, [1, 2]);
+
+  // Errors are thrown by the iteration.
+  ({ promise, id } = await callStreamingMethod());
+  promise.catch(() => {});
+  next = promise[Symbol.asyncIterator]().next();
+  await stream.receive({
+    msg: 'result',
+    id,
+    error: { error: 'failed', reason: 'It failed' }
+  });
+  await stream.receive({ msg: 'updated', methods: [id] });
+  try {
+    await next;
+    test.fail('The iteration should have failed');
+  } catch (e) {
+    test.equal(e.error, 'failed');
+  }
+
+  // Stopping the iteration cancels the method.
+  ({ promise, id } = await callStreamingMethod());
+  await stream.receive({ msg: 'chunk', id, chunk: 1 });
+  for await (const chunk of promise) {
+    test.equal(chunk, 1);
+    break;
+  }
+  testGotMessage(test, stream, { msg: 'chunkAck', id, count: 1 });
+  testGotMessage(test, stream, { msg: 'cancel', id });
+  // The server may have sent more chunks meanwhile.
+  await stream.receive({ msg: 'chunk', id, chunk: 2 });
+  testGotMessage(test, stream, { msg: 'cancel', id });
+  await stream.receive({
+    msg: 'result',
+    id,
+    error: { error: 'method-cancelled', reason: 'Cancelled' }
+  });
+  await stream.receive({ msg: 'updated', methods: [id] });
+  test.isUndefined(await promise);
+
+  // A method which streamed part of its result isn't called again after a
+  // reconnect, as the server can't resume this session.
+  ({ promise, id } = await callStreamingMethod());
+  await stream.receive({ msg: 'chunk', id, chunk: 1 });
+  testGotMessage(test, stream, { msg: 'chunkAck', id, count: 1 });
+  await stream.reset();
+  testGotMessage(test, stream, makeConnectMessage(SESSION_ID));
+  test.length(stream.sent, 0);
+  await stream.receive({ msg: 'connected', session: SESSION_ID + 1 });
+  try {
+    await promise;
+    test.fail('The method should have failed');
+  } catch (e) {
+    test.equal(e.error, 'invocation-failed');
+  }
+});
+
+Tinytest.addAsync('livedata stub - cancel method', async function(test) {
+  const stream = new StubStream();
+  const conn = newConnection(stream);
+  await startAndConnect(test, stream);
+
+  const callMethod = async (name, options) => {
+    const promise = conn.applyAsync(name, [], {
+      returnServerResultPromise: true,
+      ...options
+    });
+    promise.catch(() => {});
+    await waitUntil(() => stream.sent.length > 0, { interval: 10 });
+    const message = testGotMessage(test, stream, {
+      msg: 'method',
+      method: name,
+      params: [],
+      id: '*',
+      stream: true
+    });
+    return { promise, id: message.id };
+  };
+
+  // Aborting the signal fails the call right away, and asks the server to
+  // cancel the method.
+  const controller = new AbortController();
+  let { promise, id } = await callMethod('slow', {
+    signal: controller.signal
+  });
+  const waitPromise = conn.applyAsync('afterwards', [], {
+    wait: true,
+    returnServerResultPromise: true
+  });
+  await waitUntil(() => conn._outstandingMethodBlocks.length === 2, {
+    interval: 10
+  });
+  controller.abort();
+  try {
+    await promise;
+    test.fail('The method should have been cancelled');
+  } catch (e) {
+    test.equal(e.name, 'AbortError');
+  }
+  testGotMessage(test, stream, { msg: 'cancel', id });
+
+  // Later wait methods still wait for the server to be done with it.
+  test.length(stream.sent, 0);
+  await stream.receive({
+    msg: 'result',
+    id,
+    error: { error: 'method-cancelled', reason: 'The method was cancelled' }
+  });
+  await stream.receive({ msg: 'updated', methods: [id] });
+  await waitUntil(() => stream.sent.length > 0, { interval: 10 });
+  const waitMessage = testGotMessage(test, stream, {
+    msg: 'method',
+    method: 'afterwards',
+    params: [],
+    id: '*',
+    stream: true
+  });
+  await stream.receive({ msg: 'result', id: waitMessage.id, result: 'done' });
+  await stream.receive({ msg: 'updated', methods: [waitMessage.id] });
+  test.equal(await waitPromise, 'done');
+  test.equal(conn._outstandingMethodBlocks, []);
+
+  // Methods which time out are cancelled, and their late result is ignored.
+  ({ promise, id } = await callMethod('slow', { timeoutMs: 50 }));
+  try {
+    await promise;
+    test.fail('The method should have timed out');
+  } catch (e) {
+    test.equal(e.error, 'method-timeout');
+  }
+  testGotMessage(test, stream, { msg: 'cancel', id });
+  await stream.receive({ msg: 'result', id, result: 'late' });
+  await stream.receive({ msg: 'updated', methods: [id] });
+  test.isFalse(id in conn._methodInvokers);
+  test.equal(conn._outstandingMethodBlocks, []);
+
+  // A signal aborted already cancels the method as soon as it's sent.
+  ({ promise, id } = await callMethod('slow', {
+    signal: AbortSignal.abort()
+  }));
+  testGotMessage(test, stream, { msg: 'cancel', id });
+  try {
+    await promise;
+    test.fail('The method should have been cancelled');
+  } catch (e) {
+    test.equal(e.name, 'AbortError');
+  }
+  await stream.receive({
+    msg: 'result',
+    id,
+    error: { error: 'method-cancelled', reason: 'The method was cancelled' }
+  });
+  await stream.receive({ msg: 'updated', methods: [id] });
+  test.equal(conn._outstandingMethodBlocks, []);
+});
+
+Tinytest.addAsync(
+  'livedata stub - methods interrupted while resuming a session',
+  async function(test) {
+    const stream = new StubStream();
+    const conn = newConnection(stream);
+    await stream.reset();
+    testGotMessage(test, stream, makeConnectMessage());
+    await stream.receive({
+      msg: 'connected',
+      session: SESSION_ID,
+      resumeSecret: 'secret1'
+    });
+
+    // Calls a method which streams part of its result, and one which the
+    // caller cancels.
+    const callMethods = async () => {
+      const iterator = conn.callAsync('streamSomething')[Symbol.asyncIterator]();
+      const controller = new AbortController();
+      conn.applyAsync('slow', [], {
+        returnServerResultPromise: true,
+        signal: controller.signal
+      }).catch(() => {});
+      await waitUntil(() => stream.sent.length === 2, { interval: 10 });
+      const streamedMessage = testGotMessage(test, stream, {
+        msg: 'method',
+        method: 'streamSomething',
+        params: [],
+        id: '*',
+        stream: true
+      });
+      const cancelledMessage = testGotMessage(test, stream, {
+        msg: 'method',
+        method: 'slow',
+        params: [],
+        id: '*',
+        stream: true
+      });
+
+      const { id } = streamedMessage;
+      await stream.receive({ msg: 'chunk', id, chunk: 'a' });
+      test.equal(await iterator.next(), { value: 'a', done: false });
+      testGotMessage(test, stream, { msg: 'chunkAck', id, count: 1 });
+      controller.abort();
+      testGotMessage(test, stream, { msg: 'cancel', id: cancelledMessage.id });
+
+      // The server numbers the messages of sessions which can be resumed.
+      conn._lastSeq = 3;
+      return { iterator, streamedMessage, cancelledMessage };
+    };
+
+    // After a reconnect, the methods aren't sent again until the server tells
+    // whether it resumed the session.
+    let { iterator, streamedMessage, cancelledMessage } = await callMethods();
+    await stream.reset();
+    testGotMessage(test, stream, makeConnectMessage(SESSION_ID, 3, 'secret1'));
+    test.length(stream.sent, 0);
+
+    // It did: it still has them, and doesn't run them twice.
+    await stream.receive({
+      msg: 'connected',
+      session: SESSION_ID,
+      resumeSecret: 'secret2'
+    });
+    testGotMessage(test, stream, streamedMessage);
+    testGotMessage(test, stream, cancelledMessage);
+    testGotMessage(test, stream, { msg: 'cancel', id: cancelledMessage.id });
+    testGotMessage(test, stream, {
+      msg: 'chunkAck',
+      id: streamedMessage.id,
+      count: 1
+    });
+    await stream.receive({ msg: 'chunk', id: streamedMessage.id, chunk: 'b' });
+    await stream.receive({ msg: 'result', id: streamedMessage.id });
+    await stream.receive({
+      msg: 'result',
+      id: cancelledMessage.id,
+      error: { error: 'method-cancelled', reason: 'The method was cancelled' }
+    });
+    await stream.receive({
+      msg: 'updated',
+      methods: [streamedMessage.id, cancelledMessage.id]
+    });
+    test.equal(await iterator.next(), { value: 'b', done: false });
+    testGotMessage(test, stream, {
+      msg: 'chunkAck',
+      id: streamedMessage.id,
+      count: 2
+    });
+    test.equal(await iterator.next(), { value: undefined, done: true });
+    test.equal(conn._outstandingMethodBlocks, []);
+
+    // It didn't: the methods fail instead of running again in the new session.
+    ({ iterator, streamedMessage, cancelledMessage } = await callMethods());
+    await stream.reset();
+    testGotMessage(test, stream, makeConnectMessage(SESSION_ID, 3, 'secret2'));
+    test.length(stream.sent, 0);
+    await stream.receive({ msg: 'connected', session: SESSION_ID + 1 });
+    test.length(stream.sent, 0);
+    try {
+      await iterator.next();
+      test.fail('The method should have failed');
+    } catch (e) {
+      test.equal(e.error, 'invocation-failed');
+    }
+    test.isFalse(cancelledMessage.id in conn._methodInvokers);
+    test.equal(conn._outstandingMethodBlocks, []);
+  }
+);
+
+Tinytest.addAsync(
+  'livedata connection - msgpack negotiation',
+  async function(test) {
+    let connection;
+    await new Promise(resolve => {
+      connection = new Connection(getSelfConnectionUrl(), {
+        reloadWithOutstanding: true,
+        msgpack: true,
+        onConnected: resolve
+      });
+    });
+    // Browsers only use MessagePack with native websockets.
+    test.equal(
+      connection._version,
+      connection._stream.supportsBinary
+        ? DDPCommon.MSGPACK_DDP_VERSION
+        : DDPCommon.SUPPORTED_DDP_VERSIONS[0]
+    );
+
+    const args = [new Date(1000), new Uint8Array([1, 2]), 2 ** 40, 'é'];
+    test.equal(await connection.callAsync('echo', ...args), args);
+    connection._stream.disconnect({ _permanent: true });
+  }
+);
+
 addReconnectTests(
   'livedata connection - onReconnect prepends messages correctly without a wait method',
   async function(test, setOnReconnect) {
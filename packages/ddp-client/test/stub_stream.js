@@ -35,7 +35,7 @@ Object.assign(StubStream.prototype, {
   receive: async function(data) {
     const self = this;
 
-    if (typeof data === 'object') {
+    if (typeof data === 'object' && !(data instanceof Uint8Array)) {
       data = EJSON.stringify(data);
     }
 
@@ -0,0 +1,92 @@
+// Methods and publications can be defined with Meteor.defineMethod and
+// Meteor.definePublication, whose definitions describe their arguments, and the
+// result of methods, with check patterns. The handlers built from them check
+// the arguments before running the definition, which also satisfies the
+// audit-argument-checks package.
+
+const methodDefinitionPattern = {
+  name: String,
+  args: Match.Optional([Match.Any]),
+  returns: Match.Optional(Match.Any),
+  run: Function,
+};
+
+const publicationDefinitionPattern = {
+  name: String,
+  args: Match.Optional([Match.Any]),
+  run: Function,
+};
+
+DDPCommon.checkMethodDefinition = function (definition) {
+  check(definition, methodDefinitionPattern);
+};
+
+DDPCommon.checkPublicationDefinition = function (definition) {
+  check(definition, publicationDefinitionPattern);
+};
+
+// Checks the arguments of a call against the `args` of the definition, which
+// holds the pattern of each argument. Throws a Meteor.Error with all the
+// mismatches in its details.
+DDPCommon.checkDefinedArguments = function (definition, args) {
+  const patterns = definition.args || [];
+  const errors = [];
+
+  patterns.forEach((pattern, argument) => {
+    try {
+      check(args[argument], pattern, { throwAllErrors: true });
+    } catch (e) {
+      // Errors other than mismatches come from Match.Where conditions.
+      if (! Array.isArray(e)) throw e;
+      e.forEach(error => {
+        errors.push({ argument, path: error.path || '', message: error.message });
+      });
+    }
+  });
+
+  if (args.length > patterns.length) {
+    errors.push({
+      argument: patterns.length,
+      path: '',
+      message: `Expected at most ${patterns.length} arguments, got ${args.length}`,
+    });
+  }
+
+  if (errors.length) {
+    throw new Meteor.Error(400, 'Match failed', errors);
+  }
+};
+
+DDPCommon.definedMethodHandler = function (definition) {
+  const checkResult = result => {
+    try {
+      check(result, definition.returns);
+    } catch (e) {
+      throw new Error(
+        `Method '${definition.name}' returned an unexpected result: ${e.message}`
+      );
+    }
+    return result;
+  };
+
+  return function (...args) {
+    DDPCommon.checkDefinedArguments(definition, args);
+    const result = definition.run.apply(this, args);
+
+    // Only the result of the server is checked, and not streamed results.
+    if (! ('returns' in definition) || this.isSimulation ||
+        (result && typeof result[Symbol.asyncIterator] === 'function')) {
+      return result;
+    }
+    return Meteor._isPromise(result)
+      ? result.then(checkResult)
+      : checkResult(result);
+  };
+};
+
+DDPCommon.definedPublicationHandler = function (definition) {
+  return function (...args) {
+    DDPCommon.checkDefinedArguments(definition, args);
+    return definition.run.apply(this, args);
+  };
+};
@@ -1,3 +1,10 @@
+// Legacy browsers don't have AbortController, and their stubs don't get a
+// signal.
+const neverAbortedSignal = () =>
+  typeof AbortController === 'undefined'
+    ? undefined
+    : new AbortController().signal;
+
 // Instance name is this because it is usually referred to as this inside a
 // method definition
 /**
@@ -43,6 +50,12 @@ DDPCommon.MethodInvocation = class MethodInvocation {
     this._unblock = options.unblock || function () {};
     this._calledUnblock = false;
 
+    // call this function to stream a chunk of the result to the caller. The
+    // server sets it up; stubs ignore the chunks.
+    this._emit = options.emit || function () {
+      return Promise.resolve();
+    };
+
     // used to know when the function apply was called by callAsync
     this._isFromCallAsync = options.isFromCallAsync;
 
@@ -72,6 +85,16 @@ DDPCommon.MethodInvocation = class MethodInvocation {
      */
     this.connection = options.connection;
 
+    /**
+     * @summary Access inside a method invocation. An `AbortSignal` aborted when the client cancels the method call or disconnects, so that long-running code can stop early, for instance by passing it to `fetch`. Calls to methods made from a server method share its `signal`. Never aborted in stubs.
+     * @locus Anywhere
+     * @name  signal
+     * @memberOf DDPCommon.MethodInvocation
+     * @instance
+     * @type {AbortSignal}
+     */
+    this.signal = options.signal || neverAbortedSignal();
+
     // The seed for randomStream value generation
     this.randomSeed = options.randomSeed;
 
@@ -92,6 +115,18 @@ DDPCommon.MethodInvocation = class MethodInvocation {
     this._unblock();
   }
 
+  /**
+   * @summary Call inside a method invocation.  Stream a chunk of the result to the client, which reads the chunks by iterating the result of `Meteor.callAsync`. Clients which don't, and server calls, get the array of the chunks as the result of the method. Returns a promise resolved once the chunk is sent; await it to wait for the client to keep up.
+   * @locus Server
+   * @memberOf DDPCommon.MethodInvocation
+   * @instance
+   * @param {EJSONable} chunk The chunk of the result.
+   * @returns {Promise}
+   */
+  emit(chunk) {
+    return this._emit(chunk);
+  }
+
   /**
    * @summary Set the logged in user.
    * @locus Server
@@ -0,0 +1,400 @@
+import { hasOwn, moveClearedToFields, moveUndefinedFieldsToCleared } from "./utils.js";
+
+// Opt-in DDP version whose messages are MessagePack (https://msgpack.org) in
+// binary frames, rather than EJSON text. Numbers, dates and binaries are
+// encoded natively instead of as EJSON objects; other EJSON types are
+// extensions carrying their JSON value. It's only negotiated over transports
+// which can carry binary frames, so it's not in SUPPORTED_DDP_VERSIONS:
+// clients propose it first when asked to, and peers which don't know it
+// fall back to JSON through the usual version negotiation.
+DDPCommon.MSGPACK_DDP_VERSION = '2-msgpack';
+
+// Extension type of the MessagePack timestamps, used for dates.
+const EXT_TIMESTAMP = -1;
+// Extension type of EJSON values without a MessagePack equivalent (custom
+// types, regular expressions, invalid dates), as their EJSON JSON value.
+const EXT_EJSON = 1;
+
+const POW_32 = 2 ** 32;
+
+// Created when first used, so that loading this file doesn't fail in legacy
+// browsers, which never negotiate MessagePack.
+let textEncoder;
+let textDecoder;
+
+class Encoder {
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  // Returns the offset of `size` more bytes, growing the buffer if needed.
+  // Since growing replaces `this.view`, call it before reading `this.view`.
+  _reserve(size) {
+    const offset = this.length;
+    this.length += size;
+    if (this.length > this.bytes.length) {
+      const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length));
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+      this.view = new DataView(bytes.buffer);
+    }
+    return offset;
+  }
+
+  _uint8(value) {
+    const offset = this._reserve(1);
+    this.view.setUint8(offset, value);
+  }
+
+  _uint16(value) {
+    const offset = this._reserve(2);
+    this.view.setUint16(offset, value);
+  }
+
+  _uint32(value) {
+    const offset = this._reserve(4);
+    this.view.setUint32(offset, value);
+  }
+
+  _raw(bytes) {
+    const offset = this._reserve(bytes.length);
+    this.bytes.set(bytes, offset);
+  }
+
+  // Writes the type byte of a value, with its length or value if it's big
+  // enough for the 8, 16 or 32 bits type bytes.
+  _head(length, type8, type16, type32) {
+    if (type8 !== null && length < 0x100) {
+      this._uint8(type8);
+      this._uint8(length);
+    } else if (length < 0x10000) {
+      this._uint8(type16);
+      this._uint16(length);
+    } else {
+      this._uint8(type32);
+      this._uint32(length);
+    }
+  }
+
+  encode(value) {
+    if (value === null || value === undefined) {
+      this._uint8(0xc0);
+    } else if (typeof value === 'boolean') {
+      this._uint8(value ? 0xc3 : 0xc2);
+    } else if (typeof value === 'number') {
+      this._number(value);
+    } else if (typeof value === 'string') {
+      textEncoder = textEncoder || new TextEncoder();
+      const bytes = textEncoder.encode(value);
+      if (bytes.length < 32) {
+        this._uint8(0xa0 | bytes.length);
+      } else {
+        this._head(bytes.length, 0xd9, 0xda, 0xdb);
+      }
+      this._raw(bytes);
+    } else if (EJSON.isBinary(value)) {
+      this._head(value.length, 0xc4, 0xc5, 0xc6);
+      this._raw(value);
+    } else if (value instanceof Date && ! isNaN(value.getTime())) {
+      this._date(value);
+    } else if (value instanceof RegExp || value instanceof Date ||
+               EJSON._isCustomType(value)) {
+      const encoder = new Encoder();
+      encoder.encode(EJSON.toJSONValue(value));
+      this._ext(EXT_EJSON, encoder.bytes.subarray(0, encoder.length));
+    } else if (Array.isArray(value)) {
+      if (value.length < 16) {
+        this._uint8(0x90 | value.length);
+      } else {
+        this._head(value.length, null, 0xdc, 0xdd);
+      }
+      value.forEach(item => this.encode(item));
+    } else if (typeof value === 'object') {
+      // Like JSON, leave out undefined values.
+      const keys = Object.keys(value).filter(key => value[key] !== undefined);
+      if (keys.length < 16) {
+        this._uint8(0x80 | keys.length);
+      } else {
+        this._head(keys.length, null, 0xde, 0xdf);
+      }
+      keys.forEach(key => {
+        this.encode(key);
+        this.encode(value[key]);
+      });
+    } else {
+      // Functions and symbols, which JSON doesn't encode either.
+      this._uint8(0xc0);
+    }
+  }
+
+  _number(value) {
+    if (! Number.isInteger(value) || Object.is(value, -0) ||
+        value < -0x80000000 || value >= POW_32) {
+      // Bigger integers are exact as doubles, and decoders which can't
+      // represent 64 bits integers as numbers would get them wrong.
+      this._uint8(0xcb);
+      const offset = this._reserve(8);
+      this.view.setFloat64(offset, value);
+    } else if (value >= 0) {
+      if (value < 0x80) {
+        this._uint8(value);
+      } else {
+        this._head(value, 0xcc, 0xcd, 0xce);
+      }
+    } else if (value >= -32) {
+      this._uint8(value & 0xff);
+    } else if (value >= -0x80) {
+      this._uint8(0xd0);
+      const offset = this._reserve(1);
+      this.view.setInt8(offset, value);
+    } else if (value >= -0x8000) {
+      this._uint8(0xd1);
+      const offset = this._reserve(2);
+      this.view.setInt16(offset, value);
+    } else {
+      this._uint8(0xd2);
+      const offset = this._reserve(4);
+      this.view.setInt32(offset, value);
+    }
+  }
+
+  // Writes a date as a timestamp, in the smallest of the 32, 64 and 96 bits
+  // formats which can represent it.
+  _date(date) {
+    const time = date.getTime();
+    const seconds = Math.floor(time / 1000);
+    const nanoseconds = (time - seconds * 1000) * 1e6;
+    const payload = new DataView(new ArrayBuffer(
+      seconds < 0 || seconds >= 2 ** 34 ? 12 : nanoseconds || seconds >= POW_32 ? 8 : 4
+    ));
+    if (payload.byteLength === 4) {
+      payload.setUint32(0, seconds);
+    } else if (payload.byteLength === 8) {
+      payload.setUint32(0, nanoseconds * 4 + Math.floor(seconds / POW_32));
+      payload.setUint32(4, seconds >>> 0);
+    } else {
+      const high = Math.floor(seconds / POW_32);
+      payload.setUint32(0, nanoseconds);
+      payload.setInt32(4, high);
+      payload.setUint32(8, seconds - high * POW_32);
+    }
+    this._ext(EXT_TIMESTAMP, new Uint8Array(payload.buffer));
+  }
+
+  _ext(type, data) {
+    const fixext = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 }[data.length];
+    if (fixext) {
+      this._uint8(fixext);
+    } else {
+      this._head(data.length, 0xc7, 0xc8, 0xc9);
+    }
+    const offset = this._reserve(1);
+    this.view.setInt8(offset, type);
+    this._raw(data);
+  }
+}
+
+class Decoder {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  // Returns the offset of the next `size` bytes, and skips them.
+  _take(size) {
+    const offset = this.offset;
+    this.offset += size;
+    if (this.offset > this.bytes.length) {
+      throw new Error("Unexpected end of MessagePack data");
+    }
+    return offset;
+  }
+
+  _uint8() {
+    return this.view.getUint8(this._take(1));
+  }
+
+  _uint16() {
+    return this.view.getUint16(this._take(2));
+  }
+
+  _uint32() {
+    return this.view.getUint32(this._take(4));
+  }
+
+  _raw(length) {
+    const offset = this._take(length);
+    return this.bytes.subarray(offset, offset + length);
+  }
+
+  decode() {
+    const type = this._uint8();
+
+    if (type < 0x80) {
+      return type;
+    }
+    if (type < 0x90) {
+      return this._map(type & 0x0f);
+    }
+    if (type < 0xa0) {
+      return this._array(type & 0x0f);
+    }
+    if (type < 0xc0) {
+      return this._string(type & 0x1f);
+    }
+    if (type >= 0xe0) {
+      return type - 0x100;
+    }
+
+    switch (type) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return this._binary(this._uint8());
+      case 0xc5: return this._binary(this._uint16());
+      case 0xc6: return this._binary(this._uint32());
+      case 0xc7: return this._ext(this._uint8());
+      case 0xc8: return this._ext(this._uint16());
+      case 0xc9: return this._ext(this._uint32());
+      case 0xca: return this.view.getFloat32(this._take(4));
+      case 0xcb: return this.view.getFloat64(this._take(8));
+      case 0xcc: return this._uint8();
+      case 0xcd: return this._uint16();
+      case 0xce: return this._uint32();
+      case 0xcf: return this._uint32() * POW_32 + this._uint32();
+      case 0xd0: return this.view.getInt8(this._take(1));
+      case 0xd1: return this.view.getInt16(this._take(2));
+      case 0xd2: return this.view.getInt32(this._take(4));
+      case 0xd3: return this.view.getInt32(this._take(4)) * POW_32 + this._uint32();
+      case 0xd4: return this._ext(1);
+      case 0xd5: return this._ext(2);
+      case 0xd6: return this._ext(4);
+      case 0xd7: return this._ext(8);
+      case 0xd8: return this._ext(16);
+      case 0xd9: return this._string(this._uint8());
+      case 0xda: return this._string(this._uint16());
+      case 0xdb: return this._string(this._uint32());
+      case 0xdc: return this._array(this._uint16());
+      case 0xdd: return this._array(this._uint32());
+      case 0xde: return this._map(this._uint16());
+      case 0xdf: return this._map(this._uint32());
+    }
+    throw new Error("Invalid MessagePack type 0x" + type.toString(16));
+  }
+
+  _string(length) {
+    textDecoder = textDecoder || new TextDecoder();
+    return textDecoder.decode(this._raw(length));
+  }
+
+  _binary(length) {
+    // Copy into a plain Uint8Array (rather than a node Buffer), so that the
+    // message buffer can be released.
+    return new Uint8Array(this._raw(length));
+  }
+
+  _array(length) {
+    const array = [];
+    for (let i = 0; i < length; i++) {
+      array.push(this.decode());
+    }
+    return array;
+  }
+
+  _map(length) {
+    const map = {};
+    for (let i = 0; i < length; i++) {
+      const key = String(this.decode());
+      // Define the key rather than assigning it, so that a "__proto__" key
+      // is a property like in JSON.parse.
+      Object.defineProperty(map, key, {
+        value: this.decode(),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    }
+    return map;
+  }
+
+  _ext(length) {
+    const type = this.view.getInt8(this._take(1));
+    const data = this._raw(length);
+
+    if (type === EXT_EJSON) {
+      return EJSON.fromJSONValue(new Decoder(data).decode());
+    }
+    if (type !== EXT_TIMESTAMP) {
+      throw new Error("Unknown MessagePack extension type " + type);
+    }
+
+    const payload = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let seconds;
+    let nanoseconds = 0;
+    if (length === 4) {
+      seconds = payload.getUint32(0);
+    } else if (length === 8) {
+      const high = payload.getUint32(0);
+      nanoseconds = Math.floor(high / 4);
+      seconds = (high & 0x3) * POW_32 + payload.getUint32(4);
+    } else if (length === 12) {
+      nanoseconds = payload.getUint32(0);
+      seconds = payload.getInt32(4) * POW_32 + payload.getUint32(8);
+    } else {
+      throw new Error("Invalid MessagePack timestamp");
+    }
+    return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+  }
+}
+
+// Encodes a DDP message with MessagePack.
+DDPCommon.packDDP = function (msg) {
+  if (msg.id && typeof msg.id !== 'string') {
+    throw new Error("Message id is not a string");
+  }
+
+  const copy = { ...msg };
+  if (hasOwn.call(copy, 'fields')) {
+    copy.fields = { ...copy.fields };
+  }
+  moveUndefinedFieldsToCleared(copy);
+
+  const encoder = new Encoder();
+  encoder.encode(copy);
+  return encoder.bytes.subarray(0, encoder.length);
+};
+
+// Decodes a DDP message encoded with MessagePack, given as a Uint8Array
+// (including node Buffers) or an ArrayBuffer.
+DDPCommon.unpackDDP = function (data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  try {
+    const decoder = new Decoder(bytes);
+    var msg = decoder.decode();
+    if (decoder.offset !== bytes.length) {
+      throw new Error("Unexpected data after MessagePack value");
+    }
+  } catch (e) {
+    Meteor._debug("Discarding message with invalid MessagePack", e.message);
+    return null;
+  }
+  // DDP messages must be objects.
+  if (msg === null || typeof msg !== 'object' || Array.isArray(msg)) {
+    Meteor._debug("Discarding non-object DDP message", msg);
+    return null;
+  }
+
+  moveClearedToFields(msg);
+  return msg;
+};
+
+// Encodes a DDP message for the wire in the given DDP version: MessagePack
+// for MSGPACK_DDP_VERSION, EJSON text otherwise.
+DDPCommon.encodeDDP = function (msg, version) {
+  return version === DDPCommon.MSGPACK_DDP_VERSION
+    ? DDPCommon.packDDP(msg)
+    : DDPCommon.stringifyDDP(msg);
+};
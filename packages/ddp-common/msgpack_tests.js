@@ -0,0 +1,162 @@
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  typeName() {
+    return 'ddp-common-test-point';
+  }
+
+  toJSONValue() {
+    return { x: this.x, y: this.y };
+  }
+
+  equals(other) {
+    return other instanceof Point && other.x === this.x && other.y === this.y;
+  }
+}
+
+EJSON.addType('ddp-common-test-point', value => new Point(value.x, value.y));
+
+const roundTrip = msg => DDPCommon.unpackDDP(DDPCommon.packDDP(msg));
+
+// Expects the frame to be discarded, with a message logged.
+const testDiscarded = (test, bytes) => {
+  Meteor._suppress_log(1);
+  test.isNull(DDPCommon.unpackDDP(new Uint8Array(bytes)));
+};
+
+Tinytest.add('ddp-common - msgpack - round trips EJSON types', test => {
+  const fields = {
+    date: new Date(1700000000000),
+    dateWithMilliseconds: new Date(1700000000123),
+    dateBefore1970: new Date(-1500),
+    dateAfter2514: new Date(2 ** 35 * 1000),
+    binary: new Uint8Array([0, 1, 254, 255]),
+    emptyBinary: new Uint8Array([]),
+    point: new Point(1, -2.5),
+    regexp: /ab+c/gi,
+    nested: { points: [new Point(0, 0)], dates: [new Date(0)] },
+  };
+  const msg = { msg: 'added', collection: 'points', id: 'a', fields };
+
+  const unpacked = roundTrip(msg);
+  test.equal(unpacked, msg);
+  test.instanceOf(unpacked.fields.date, Date);
+  test.instanceOf(unpacked.fields.point, Point);
+  test.isTrue(EJSON.isBinary(unpacked.fields.binary));
+  test.equal(unpacked.fields.regexp.source, 'ab+c');
+  test.equal(unpacked.fields.regexp.flags, 'gi');
+
+  // Invalid dates aren't timestamps, but still dates.
+  const { result } = roundTrip({
+    msg: 'result',
+    id: '1',
+    result: new Date(NaN),
+  });
+  test.instanceOf(result, Date);
+  test.isTrue(isNaN(result.getTime()));
+
+  // Data in a node Buffer or an ArrayBuffer decodes the same.
+  const bytes = DDPCommon.packDDP(msg);
+  test.equal(DDPCommon.unpackDDP(bytes.slice().buffer), msg);
+  if (Meteor.isServer) {
+    test.equal(DDPCommon.unpackDDP(Buffer.from(bytes)), msg);
+  }
+});
+
+Tinytest.add('ddp-common - msgpack - round trips JSON values', test => {
+  const numbers = [
+    0, 1, 127, 128, 255, 256, 65535, 65536, 2 ** 32 - 1, 2 ** 32, 2 ** 53 - 1,
+    -1, -32, -33, -128, -129, -32768, -32769, -(2 ** 31), -(2 ** 31) - 1,
+    0.5, -1.25, 1e300,
+  ];
+  const longString = 'é'.repeat(40000);
+  const manyKeys = {};
+  for (let i = 0; i < 20; i++) {
+    manyKeys[`key${i}`] = i;
+  }
+  const msg = {
+    msg: 'result',
+    id: '1',
+    result: {
+      numbers,
+      strings: ['', 'a'.repeat(31), 'b'.repeat(32), 'c'.repeat(256), longString],
+      array: Array.from({ length: 70000 }, (_, i) => i % 3),
+      manyKeys,
+      booleans: [true, false],
+      empty: [null, {}, []],
+    },
+  };
+
+  test.equal(roundTrip(msg), msg);
+
+  // Like JSON, a "__proto__" key is a plain property.
+  const unpacked = roundTrip(
+    JSON.parse('{"msg":"result","id":"2","result":{"__proto__":1}}')
+  );
+  test.isTrue(
+    Object.prototype.hasOwnProperty.call(unpacked.result, '__proto__')
+  );
+  test.equal(unpacked.result.__proto__, 1);
+});
+
+Tinytest.add('ddp-common - msgpack - cleared fields', test => {
+  const unpacked = roundTrip({
+    msg: 'changed',
+    collection: 'points',
+    id: 'a',
+    fields: { kept: 1, removed: undefined },
+  });
+  test.equal(unpacked.fields.kept, 1);
+  test.isTrue('removed' in unpacked.fields);
+  test.isUndefined(unpacked.fields.removed);
+  test.isUndefined(unpacked.cleared);
+});
+
+Tinytest.add('ddp-common - msgpack - encodeDDP', test => {
+  const msg = { msg: 'ping', id: 'a' };
+  test.equal(
+    DDPCommon.encodeDDP(msg, DDPCommon.SUPPORTED_DDP_VERSIONS[0]),
+    DDPCommon.stringifyDDP(msg)
+  );
+  const packed = DDPCommon.encodeDDP(msg, DDPCommon.MSGPACK_DDP_VERSION);
+  test.instanceOf(packed, Uint8Array);
+  test.equal(DDPCommon.unpackDDP(packed), msg);
+
+  test.throws(() => DDPCommon.packDDP({ msg: 'ping', id: 1 }), /not a string/);
+});
+
+Tinytest.add('ddp-common - msgpack - malformed frames', test => {
+  const bytes = Array.from(DDPCommon.packDDP({
+    msg: 'added',
+    collection: 'points',
+    id: 'a',
+    fields: { date: new Date(0), point: new Point(1, 2) },
+  }));
+
+  // Truncated anywhere.
+  for (let length = 0; length < bytes.length; length++) {
+    testDiscarded(test, bytes.slice(0, length));
+  }
+  // Followed by more data.
+  testDiscarded(test, [...bytes, 0xc0]);
+  // Unused type byte.
+  testDiscarded(test, [0xc1]);
+  // Unknown extension type.
+  testDiscarded(test, [0xd4, 0x05, 0x00]);
+  // Timestamp of an invalid length.
+  testDiscarded(test, [0xd5, 0xff, 0x00, 0x00]);
+  // Custom type which isn't registered: {$type: 'x', $value: null}.
+  const ascii = string => Array.from(string, c => c.charCodeAt(0));
+  testDiscarded(test, [
+    0xc7, 17, 0x01,
+    0x82, 0xa5, ...ascii('$type'), 0xa1, ...ascii('x'),
+    0xa6, ...ascii('$value'), 0xc0,
+  ]);
+  // Valid MessagePack which isn't an object.
+  testDiscarded(test, [0x01]);
+  testDiscarded(test, [0x90]);
+  testDiscarded(test, [0xc0]);
+});
@@ -14,7 +14,9 @@ Package.onUse(function (api) {
 
   api.addFiles("heartbeat.js", ["client", "server"]);
   api.addFiles("utils.js", ["client", "server"]);
+  api.addFiles("msgpack.js", ["client", "server"]);
   api.addFiles("method_invocation.js", ["client", "server"]);
+  api.addFiles("definitions.js", ["client", "server"]);
   api.addFiles("random_stream.js", ["client", "server"]);
 
   api.export("DDPCommon");
@@ -22,4 +24,6 @@ Package.onUse(function (api) {
 
 Package.onTest(function (api) {
   // XXX we should write unit tests for heartbeat
+  api.use(["ecmascript", "ejson", "tinytest", "ddp-common"], ["client", "server"]);
+  api.addFiles("msgpack_tests.js", ["client", "server"]);
 });
@@ -38,9 +38,53 @@ export function last(array, n, guard) {
   return slice.call(array, Math.max(array.length - n, 0));
 }
 
+// Switches a wire message from the "cleared" representation of unsetting
+// fields to the "undefined" one, in place.
+export function moveClearedToFields(msg) {
+  if (hasOwn.call(msg, 'cleared')) {
+    if (! hasOwn.call(msg, 'fields')) {
+      msg.fields = {};
+    }
+    msg.cleared.forEach(clearKey => {
+      msg.fields[clearKey] = undefined;
+    });
+    delete msg.cleared;
+  }
+}
+
+// Swizzles a copy of a 'changed' message from the "fields undefined"
+// representation of unsetting fields to the "fields and cleared" one.
+export function moveUndefinedFieldsToCleared(copy) {
+  if (hasOwn.call(copy, 'fields')) {
+    const cleared = [];
+
+    Object.keys(copy.fields).forEach(key => {
+      const value = copy.fields[key];
+
+      if (typeof value === "undefined") {
+        cleared.push(key);
+        delete copy.fields[key];
+      }
+    });
+
+    if (! isEmpty(cleared)) {
+      copy.cleared = cleared;
+    }
+
+    if (isEmpty(copy.fields)) {
+      delete copy.fields;
+    }
+  }
+}
+
 DDPCommon.SUPPORTED_DDP_VERSIONS = [ '1', 'pre2', 'pre1' ];
 
 DDPCommon.parseDDP = function (stringMessage) {
+  // Binary frames are only sent by peers which negotiated MessagePack.
+  if (typeof stringMessage !== 'string') {
+    return DDPCommon.unpackDDP(stringMessage);
+  }
+
   try {
     var msg = JSON.parse(stringMessage);
   } catch (e) {
@@ -54,18 +98,7 @@ DDPCommon.parseDDP = function (stringMessage) {
   }
 
   // massage msg to get it into "abstract ddp" rather than "wire ddp" format.
-
-  // switch between "cleared" rep of unsetting fields and "undefined"
-  // rep of same
-  if (hasOwn.call(msg, 'cleared')) {
-    if (! hasOwn.call(msg, 'fields')) {
-      msg.fields = {};
-    }
-    msg.cleared.forEach(clearKey => {
-      msg.fields[clearKey] = undefined;
-    });
-    delete msg.cleared;
-  }
+  moveClearedToFields(msg);
 
   ['fields', 'params', 'result'].forEach(field => {
     if (hasOwn.call(msg, field)) {
@@ -79,28 +112,7 @@ DDPCommon.parseDDP = function (stringMessage) {
 DDPCommon.stringifyDDP = function (msg) {
   const copy = EJSON.clone(msg);
 
-  // swizzle 'changed' messages from 'fields undefined' rep to 'fields
-  // and cleared' rep
-  if (hasOwn.call(msg, 'fields')) {
-    const cleared = [];
-
-    Object.keys(msg.fields).forEach(key => {
-      const value = msg.fields[key];
-
-      if (typeof value === "undefined") {
-        cleared.push(key);
-        delete copy.fields[key];
-      }
-    });
-
-    if (! isEmpty(cleared)) {
-      copy.cleared = cleared;
-    }
-
-    if (isEmpty(copy.fields)) {
-      delete copy.fields;
-    }
-  }
+  moveUndefinedFieldsToCleared(copy);
 
   // adjust types to basic
   ['fields', 'params', 'result'].forEach(field => {
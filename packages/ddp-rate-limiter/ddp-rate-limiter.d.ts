@@ -7,11 +7,32 @@ export namespace DDPRateLimiter {
     clientAddress?: string | ((clientAddress: string) => boolean) | undefined;
   }
 
+  interface RuleOptions {
+    algorithm?: 'fixedWindow' | 'slidingWindow' | 'tokenBucket' | undefined;
+    name?: string | undefined;
+  }
+
+  interface Store {
+    shared?: boolean | undefined;
+    get(key: string): number | Promise<number>;
+    update(
+      key: string,
+      update: { by: number; min?: number; max?: number; expireAt: number }
+    ): number | Promise<number>;
+  }
+
   function addRule(
     matcher: Matcher,
     numRequests: number,
-    timeInterval: number
+    timeInterval: number,
+    callback?: (reply: any, input: any) => void,
+    options?: RuleOptions
   ): string;
 
   function removeRule(ruleId: string): boolean;
+
+  function setStore(
+    store: 'memory' | 'mongo' | string | Store,
+    options?: { collectionName?: string | undefined; [key: string]: any }
+  ): void;
 }
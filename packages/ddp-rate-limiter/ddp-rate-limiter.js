@@ -1,3 +1,4 @@
+import { Meteor } from 'meteor/meteor';
 import { RateLimiter } from 'meteor/rate-limit';
 
 // Rate Limiter built into DDP with a default error message. See README or
@@ -13,7 +14,12 @@ let errorMessage = (rateLimitResult) => {
 // Store rule specific error messages.
 const errorMessageByRule = new Map();
 
-const rateLimiter = new RateLimiter();
+// The store can be set in Meteor.settings.packages['ddp-rate-limiter'], with
+// `store` and `storeOptions` fields.
+const { store = 'memory', storeOptions } =
+  Meteor.settings.packages?.['ddp-rate-limiter'] || {};
+
+const rateLimiter = new RateLimiter({ store, storeOptions });
 
 DDPRateLimiter.getErrorMessage = (rateLimitResult) => {
   // If there is a specific error message for this rule, use it.
@@ -98,10 +104,17 @@ DDPRateLimiter.setErrorMessageOnRule = (ruleId, message) => {
  * @param {number} timeInterval time interval in milliseconds after which
  * rule's counters are reset. Default = 1000.
  * @param {function} callback function to be called after a rule is executed.
+ * @param {Object} [options]
+ * @param {String} [options.algorithm] How requests are counted:
+ * `fixedWindow` (the default) per time interval, `slidingWindow` over the
+ * last time interval, or `tokenBucket` to allow bursts of `numRequests`
+ * requests, refilled over `timeInterval`.
+ * @param {String} [options.name] Identifies the rule in stores shared between
+ * instances, like `mongo`. Defaults to a hash of the rule definition.
  * @locus Server
  */
-DDPRateLimiter.addRule = (matcher, numRequests, timeInterval, callback) => 
-  rateLimiter.addRule(matcher, numRequests, timeInterval, callback);
+DDPRateLimiter.addRule = (matcher, numRequests, timeInterval, callback, options) =>
+  rateLimiter.addRule(matcher, numRequests, timeInterval, callback, options);
 
 DDPRateLimiter.printRules = () => rateLimiter.rules;
 
@@ -114,6 +127,20 @@ DDPRateLimiter.printRules = () => rateLimiter.rules;
  */
 DDPRateLimiter.removeRule = id => rateLimiter.removeRule(id);
 
+/**
+ * @summary Sets where the rate limit counters are kept, for example in
+ * MongoDB to share them between the instances of the application. Counters
+ * are kept in memory by default. The store can also be set with the `store`
+ * and `storeOptions` fields of the package settings.
+ * @param {String|Object} store `memory`, `mongo`, the name of a store
+ * registered with `RateLimiter.registerStore`, or a store object.
+ * @param {Object} [options] Options of the store. The `mongo` store has a
+ * `collectionName` option, `meteor_rateLimits` by default.
+ * @locus Server
+ */
+DDPRateLimiter.setStore = (store, options) =>
+  rateLimiter.setStore(store, options);
+
 // This is accessed inside livedata_server.js, but shouldn't be called by any
 // user.
 DDPRateLimiter._increment = (input) => {
@@ -122,4 +149,8 @@ DDPRateLimiter._increment = (input) => {
 
 DDPRateLimiter._check = input => rateLimiter.check(input);
 
+DDPRateLimiter._incrementAsync = input => rateLimiter.incrementAsync(input);
+
+DDPRateLimiter._checkAsync = input => rateLimiter.checkAsync(input);
+
 export { DDPRateLimiter };
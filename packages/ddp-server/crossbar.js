@@ -14,6 +14,10 @@ DDPServer._Crossbar = function (options) {
   self.listenersByCollectionCount = {};
   self.factPackage = options.factPackage || "livedata";
   self.factName = options.factName || null;
+
+  // Set with setTransport() to share notifications with other processes.
+  self._transport = null;
+  self._transportOrigin = null;
 };
 
 Object.assign(DDPServer._Crossbar.prototype, {
@@ -83,9 +87,31 @@ Object.assign(DDPServer._Crossbar.prototype, {
   // listener callbacks will be called inside the write fence as well.
   //
   // The listeners may be invoked in parallel, rather than serially.
+  //
+  // If the crossbar has a transport, the notification is then published to
+  // the other processes too.
   fire: async function (notification) {
     var self = this;
 
+    await self._fireLocally(notification);
+
+    if (self._transport) {
+      try {
+        await self._transport.publish(EJSON.stringify({
+          origin: self._transportOrigin,
+          notification: notification
+        }));
+      } catch (e) {
+        // Other processes will still notice the change the next time they
+        // poll, so this shouldn't fail the write.
+        Meteor._debug("Exception while publishing crossbar notification", e);
+      }
+    }
+  },
+
+  _fireLocally: async function (notification) {
+    var self = this;
+
     var collection = self._collectionForMessage(notification);
 
     if (!(collection in self.listenersByCollection)) {
@@ -116,6 +142,67 @@ Object.assign(DDPServer._Crossbar.prototype, {
     }
   },
 
+  // Share notifications with other processes (eg, the other instances of
+  // the app) through 'transport', an object with these methods:
+  //
+  //  - subscribe(callback): start delivering the messages published by the
+  //    other processes by calling callback(message). Can return a promise.
+  //  - publish(message): send the string 'message' to the other processes.
+  //    It doesn't matter if the message also comes back to this process.
+  //    Can return a promise.
+  //  - stop(): optional, stop publishing and delivering messages.
+  //
+  // Notifications received from other processes are only fired to the local
+  // listeners, outside of any write fence, and aren't published again.
+  setTransport: async function (transport) {
+    var self = this;
+
+    if (self._transport) {
+      throw new Error("This crossbar already has a transport");
+    }
+
+    var origin = Random.id();
+    self._transport = transport;
+    self._transportOrigin = origin;
+
+    try {
+      await transport.subscribe(function (message) {
+        if (self._transport !== transport) {
+          return;
+        }
+        var parsed;
+        try {
+          parsed = EJSON.parse(message);
+        } catch (e) {
+          Meteor._debug("Discarding invalid crossbar message", message);
+          return;
+        }
+        if (parsed.origin === origin) {
+          return;
+        }
+        return self._fireLocally(parsed.notification).catch(function (e) {
+          Meteor._debug("Exception while firing remote crossbar notification", e);
+        });
+      });
+    } catch (e) {
+      self._transport = null;
+      self._transportOrigin = null;
+      throw e;
+    }
+  },
+
+  // Disconnect from the other processes. Returns the removed transport.
+  removeTransport: async function () {
+    var self = this;
+    var transport = self._transport;
+    self._transport = null;
+    self._transportOrigin = null;
+    if (transport && transport.stop) {
+      await transport.stop();
+    }
+    return transport;
+  },
+
   // A notification matches a trigger if all keys that exist in both are equal.
   //
   // Examples:
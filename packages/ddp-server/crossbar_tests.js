@@ -47,3 +47,107 @@ Tinytest.addAsync('livedata - crossbar', async function (test) {
   test.isTrue(calledFirst);
   test.isFalse(calledSecond);
 });
+
+// A transport that delivers every message to all the connected crossbars,
+// including the sender, like a Redis channel would.
+const makeMemoryBus = function () {
+  const callbacks = new Set();
+  return function () {
+    let callback;
+    return {
+      subscribe(cb) {
+        callback = cb;
+        callbacks.add(callback);
+      },
+      async publish(message) {
+        for (const cb of callbacks) {
+          await cb(message);
+        }
+      },
+      stop() {
+        callbacks.delete(callback);
+      },
+    };
+  };
+};
+
+Tinytest.addAsync('livedata - crossbar - transport', async function (test) {
+  const makeTransport = makeMemoryBus();
+  const first = new DDPServer._Crossbar;
+  const second = new DDPServer._Crossbar;
+  await first.setTransport(makeTransport());
+  await second.setTransport(makeTransport());
+
+  const firstSeen = [];
+  const secondSeen = [];
+  first.listen({collection: "C"}, n => firstSeen.push(n));
+  second.listen({collection: "C", id: "X"}, n => secondSeen.push(n));
+
+  const id = new Mongo.ObjectID;
+  await first.fire({collection: "C", id: id});
+  await first.fire({collection: "C", id: "X"});
+  await second.fire({collection: "C", id: "Y"});
+
+  // The sender's own message isn't fired twice, and ObjectIDs survive the
+  // round trip.
+  test.equal(firstSeen, [
+    {collection: "C", id: id},
+    {collection: "C", id: "X"},
+    {collection: "C", id: "Y"},
+  ]);
+  test.equal(secondSeen, [{collection: "C", id: "X"}]);
+
+  await test.throwsAsync(
+    () => first.setTransport(makeTransport()), /already has a transport/);
+
+  await second.removeTransport();
+  await first.fire({collection: "C", id: "X"});
+  test.equal(secondSeen.length, 1);
+  await first.removeTransport();
+});
+
+Tinytest.addAsync('livedata - crossbar - socket hub transport', async function (test) {
+  const path = Npm.require('path').join(
+    Npm.require('os').tmpdir(), `meteor-crossbar-${Random.id()}.sock`);
+
+  const received = crossbar => {
+    const seen = [];
+    crossbar.listen({collection: "C"}, n => seen.push(n.id));
+    return seen;
+  };
+  const crossbars = [0, 1, 2].map(() => new DDPServer._Crossbar);
+  const seen = crossbars.map(received);
+  const transports = crossbars.map(
+    () => new DDPServer.SocketHubCrossbarTransport({ path }));
+  for (let i = 0; i < crossbars.length; i++) {
+    await crossbars[i].setTransport(transports[i]);
+  }
+  test.equal(transports.map(t => t.isHub), [true, false, false]);
+
+  const waitFor = async condition => {
+    for (let i = 0; i < 300 && !condition(); i++) {
+      await Meteor._sleepForMs(10);
+    }
+  };
+
+  // From the hub, then from a client through the hub.
+  await crossbars[0].fire({collection: "C", id: "a"});
+  await crossbars[1].fire({collection: "C", id: "b"});
+  await waitFor(() => seen.every(ids => ids.length === 2));
+  // Local notifications fire right away, so the order may differ.
+  test.equal(seen.map(ids => [...ids].sort()), [["a", "b"], ["a", "b"], ["a", "b"]]);
+
+  // When the hub goes away, one of the others takes over.
+  await crossbars[0].removeTransport();
+  await waitFor(() => transports.some(t => t.isHub));
+  await waitFor(() => transports[1]._hubSocket || transports[2]._hubSocket);
+  test.equal(transports.filter(t => t.isHub).length, 1);
+
+  await crossbars[2].fire({collection: "C", id: "c"});
+  await waitFor(() => seen[1].length === 3);
+  test.equal(seen[1][2], "c");
+  test.equal(seen[0].length, 2);
+
+  await crossbars[1].removeTransport();
+  await crossbars[2].removeTransport();
+});
@@ -0,0 +1,274 @@
+// Crossbar transports let the invalidation crossbar of several app instances
+// share their notifications, so that a write on one instance triggers a poll
+// of the matching observers on all of them. See Crossbar#setTransport for the
+// interface a transport implements.
+
+const net = Npm.require('net');
+const fs = Npm.require('fs');
+
+const RECONNECT_DELAY_MS = 1000;
+
+const transportFactories = Object.create(null);
+
+const statOrNull = path => {
+  try {
+    return fs.statSync(path);
+  } catch (e) {
+    return null;
+  }
+};
+
+// A transport over a hub listening on a Unix socket or a local TCP port. The
+// first instance to start listens and relays the messages of the others; the
+// rest connect to it. When the hub goes away, the remaining instances race to
+// become the new hub. Messages published while reconnecting are lost, so
+// observers on other instances only notice those writes at their next poll.
+DDPServer.SocketHubCrossbarTransport = class {
+  constructor(options = {}) {
+    if (!options.path && !options.port) {
+      throw new Error("SocketHubCrossbarTransport needs a path or a port");
+    }
+    this.options = options;
+    this.isHub = false;
+    this._server = null;
+    this._sockets = new Set();
+    this._hubSocket = null;
+    this._callback = null;
+    this._stopped = false;
+    this._reconnectTimer = null;
+  }
+
+  async subscribe(callback) {
+    this._callback = callback;
+    await this._connect();
+  }
+
+  publish(message) {
+    const line = message + '\n';
+    if (this.isHub) {
+      this._sockets.forEach(socket => socket.write(line));
+    } else if (this._hubSocket) {
+      this._hubSocket.write(line);
+    }
+  }
+
+  async stop() {
+    this._stopped = true;
+    clearTimeout(this._reconnectTimer);
+    if (this._hubSocket) {
+      this._hubSocket.destroy();
+      this._hubSocket = null;
+    }
+    this._sockets.forEach(socket => socket.destroy());
+    this._sockets.clear();
+    if (this._server) {
+      const server = this._server;
+      this._server = null;
+      this.isHub = false;
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  }
+
+  _address() {
+    const { path, port, host = '127.0.0.1' } = this.options;
+    return path ? { path } : { port, host };
+  }
+
+  async _connect() {
+    while (!this._stopped) {
+      let staleSocket = null;
+      try {
+        await this._connectToHub();
+        return;
+      } catch (e) {
+        if (e.code !== 'ECONNREFUSED' && e.code !== 'ENOENT') {
+          throw e;
+        }
+        if (e.code === 'ECONNREFUSED' && this.options.path) {
+          staleSocket = statOrNull(this.options.path);
+        }
+      }
+
+      try {
+        await this._listen(staleSocket);
+        return;
+      } catch (e) {
+        // Another instance became the hub first.
+        if (e.code !== 'EADDRINUSE') {
+          throw e;
+        }
+      }
+    }
+  }
+
+  _connectToHub() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(this._address());
+      socket.once('error', reject);
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+        socket.on('error', e => {
+          Meteor._debug("Crossbar hub connection error", e);
+        });
+        this._hubSocket = socket;
+        this._readLines(socket, line => this._deliver(line));
+        socket.once('close', () => {
+          this._hubSocket = null;
+          this._scheduleReconnect();
+        });
+        resolve();
+      });
+    });
+  }
+
+  _listen(staleSocket) {
+    return new Promise((resolve, reject) => {
+      const { path } = this.options;
+      if (staleSocket) {
+        // Nobody answered on the socket, so it was left by a dead hub. Unless
+        // it was replaced in the meantime by an instance racing us.
+        const current = statOrNull(path);
+        if (current && current.ino !== staleSocket.ino) {
+          reject(Object.assign(new Error("Crossbar hub replaced"), {
+            code: 'EADDRINUSE'
+          }));
+          return;
+        }
+        try {
+          fs.unlinkSync(path);
+        } catch (e) {
+          if (e.code !== 'ENOENT') {
+            reject(e);
+            return;
+          }
+        }
+      }
+
+      const server = net.createServer(socket => this._onHubConnection(socket));
+      server.once('error', reject);
+      server.listen(this._address(), () => {
+        server.removeListener('error', reject);
+        server.on('error', e => {
+          Meteor._debug("Crossbar hub error", e);
+        });
+        this._server = server;
+        this.isHub = true;
+        resolve();
+      });
+    });
+  }
+
+  _onHubConnection(socket) {
+    this._sockets.add(socket);
+    socket.on('error', () => {});
+    socket.once('close', () => this._sockets.delete(socket));
+    this._readLines(socket, line => {
+      // Relay to everybody but the sender, then fire locally.
+      this._sockets.forEach(other => {
+        if (other !== socket) {
+          other.write(line + '\n');
+        }
+      });
+      this._deliver(line);
+    });
+  }
+
+  _readLines(socket, onLine) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 1);
+        if (line) {
+          onLine(line);
+        }
+      }
+    });
+  }
+
+  _deliver(message) {
+    if (this._callback && !this._stopped) {
+      this._callback(message);
+    }
+  }
+
+  _scheduleReconnect() {
+    if (this._stopped) {
+      return;
+    }
+    this._reconnectTimer = setTimeout(() => {
+      this._connect().catch(e => {
+        Meteor._debug("Couldn't reconnect to the crossbar hub", e);
+        this._scheduleReconnect();
+      });
+    }, RECONNECT_DELAY_MS);
+  }
+};
+
+/**
+ * @summary Register a crossbar transport, so it can be selected with the
+ * `transport` key of `Meteor.settings.packages["ddp-server"].crossbar`.
+ * @locus Server
+ * @param {String} name The name of the transport, eg `"redis"`.
+ * @param {Function} factory Called with the settings object, returns the
+ * transport.
+ * @memberOf DDPServer
+ * @importFromPackage ddp-server
+ */
+DDPServer.registerCrossbarTransport = function (name, factory) {
+  if (transportFactories[name]) {
+    throw new Error(`A crossbar transport named ${name} is already registered`);
+  }
+  transportFactories[name] = factory;
+};
+
+/**
+ * @summary Share the write notifications of this instance with the other
+ * instances of the app through `transport`, so their observers poll again
+ * after a write anywhere.
+ * @locus Server
+ * @param {Object} transport An object with `subscribe(callback)`,
+ * `publish(message)` and optionally `stop()` methods.
+ * @memberOf DDPServer
+ * @importFromPackage ddp-server
+ */
+DDPServer.setCrossbarTransport = function (transport) {
+  return DDPServer._InvalidationCrossbar.setTransport(transport);
+};
+
+DDPServer.registerCrossbarTransport(
+  'socket',
+  options => new DDPServer.SocketHubCrossbarTransport(options)
+);
+
+// DDP_CROSSBAR_SOCKET is either the path of a Unix socket, a port number or
+// host:port.
+const crossbarSettingsFromEnv = () => {
+  const address = process.env.DDP_CROSSBAR_SOCKET;
+  if (!address) {
+    return null;
+  }
+  const match = /^(?:(.+):)?(\d+)$/.exec(address);
+  if (match) {
+    return { transport: 'socket', host: match[1], port: +match[2] };
+  }
+  return { transport: 'socket', path: address };
+};
+
+// Wait for startup so that transports registered by the app are available.
+Meteor.startup(async () => {
+  const settings = crossbarSettingsFromEnv() ||
+    Meteor.settings.packages?.['ddp-server']?.crossbar;
+  if (!settings || DDPServer._InvalidationCrossbar._transport) {
+    return;
+  }
+
+  const factory = transportFactories[settings.transport];
+  if (!factory) {
+    throw new Error(`Unknown crossbar transport: ${settings.transport}`);
+  }
+  await DDPServer.setCrossbarTransport(await factory(settings));
+});
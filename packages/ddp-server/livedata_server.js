@@ -1,6 +1,7 @@
 import isEmpty from 'lodash.isempty';
 import isString from 'lodash.isstring';
 import isObject from 'lodash.isobject';
+import crypto from 'crypto';
 
 DDPServer = {};
 
@@ -302,7 +303,14 @@ Object.assign(SessionCollectionView.prototype, {
 /* Session                                                                    */
 /******************************************************************************/
 
-var Session = function (server, version, socket, options) {
+// Messages which aren't replayed to clients resuming a session.
+var UNSEQUENCED_MESSAGES = ['connected', 'ping', 'pong', 'error'];
+
+var hashResumeSecret = function (secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+var Session = function (server, version, socket, options, resumable) {
   var self = this;
   self.id = Random.id();
 
@@ -345,6 +353,32 @@ var Session = function (server, version, socket, options) {
   // List of callbacks to call when this connection is closed.
   self._closeCallbacks = [];
 
+  // If the client can resume this session after losing its socket, the
+  // session numbers the messages it sends, and keeps those the client hasn't
+  // acknowledged yet to replay the ones it missed.
+  self._resumable = !!resumable;
+  self._seq = 0;
+  self._sentMessages = new Meteor._DoubleEndedQueue();
+  // Hash of the secret the client must present to resume the session. The
+  // secret itself is only sent to the client, in the `connected` message.
+  self._resumeSecretHash = null;
+
+  // Ids of the methods received from a resumable client, mapped to the
+  // sequence number of their result once it's sent. Clients resend the
+  // methods they didn't get the result of when they resume the session, which
+  // must not run twice.
+  self._methodResultSeqs = new Map();
+
+  // Timer closing a resumable session which lost its socket.
+  self._closeTimer = null;
+
+  // Map from method id to the {abortController, stream} of the running
+  // methods, with the AbortController of their `this.signal` and the
+  // DDPServer._MethodStream of their result.
+  self._runningMethods = new Map();
+
+  // Ids of the methods which the client cancelled while they were queued.
+  self._cancelledMethodIds = new Set();
 
   // XXX HACK: If a sockjs connection, save off the URL. This is
   // temporary and will go away in the near future.
@@ -374,33 +408,163 @@ var Session = function (server, version, socket, options) {
     httpHeaders: self.socket.headers
   };
 
-  self.send({ msg: 'connected', session: self.id });
+  self._sendConnected();
 
   // On initial connect, spin up all the universal publishers.
   self.startUniversalSubs();
 
-  if (version !== 'pre1' && options.heartbeatInterval !== 0) {
+  self._startHeartbeat(options);
+
+  Package['facts-base'] && Package['facts-base'].Facts.incrementServerFact(
+    "livedata", "sessions", 1);
+};
+
+Object.assign(Session.prototype, {
+  // Sends the `connected` message. The client of a resumable session also
+  // gets a new secret to resume it with, since the session id isn't one: it's
+  // exposed to the app as the connection id.
+  _sendConnected: function () {
+    var self = this;
+    var msg = { msg: 'connected', session: self.id };
+    if (self._resumable) {
+      msg.resumeSecret = Random.secret();
+      self._resumeSecretHash = hashResumeSecret(msg.resumeSecret);
+    }
+    self.send(msg);
+  },
+
+  _startHeartbeat: function (options) {
+    var self = this;
+    if (self.version === 'pre1' || options.heartbeatInterval === 0)
+      return;
+
     // We no longer need the low level timeout because we have heartbeats.
-    socket.setWebsocketTimeout(0);
+    self.socket.setWebsocketTimeout(0);
 
     self.heartbeat = new DDPCommon.Heartbeat({
       heartbeatInterval: options.heartbeatInterval,
       heartbeatTimeout: options.heartbeatTimeout,
       onTimeout: function () {
-        self.close();
+        self._detachSocket();
       },
       sendPing: function () {
         self.send({msg: 'ping'});
       }
     });
     self.heartbeat.start();
-  }
+  },
 
-  Package['facts-base'] && Package['facts-base'].Facts.incrementServerFact(
-    "livedata", "sessions", 1);
-};
+  // Called when the socket of the session is lost. A resumable session is
+  // kept for sessionResumeTimeout milliseconds, for its client to reconnect
+  // to it, and closed after that; other sessions are closed right away.
+  _detachSocket: function () {
+    var self = this;
+    if (! self._resumable || ! self.socket) {
+      self.close();
+      return;
+    }
+
+    if (self.heartbeat) {
+      self.heartbeat.stop();
+      self.heartbeat = null;
+    }
+
+    var socket = self.socket;
+    self.socket = null;
+    socket._meteorSession = null;
+    socket.close();
+
+    self._closeTimer = Meteor.setTimeout(function () {
+      self.close();
+    }, self.server.options.sessionResumeTimeout);
+  },
+
+  // Attaches the socket of a client resuming the session, which got the
+  // messages up to the sequence number `seq`, and replays the ones it missed.
+  // The named subscriptions which aren't in `subIds` were stopped by the
+  // client while it was disconnected. Returns false if the session can't be
+  // resumed, including when `secret` isn't the one the client was given.
+  _resume: function (socket, version, seq, subIds, secret) {
+    var self = this;
+    if (! self._resumable || ! self.inQueue || ! Number.isInteger(seq))
+      return false;
+
+    if (typeof secret !== 'string' || ! self._resumeSecretHash ||
+        ! crypto.timingSafeEqual(
+          hashResumeSecret(secret), self._resumeSecretHash)) {
+      return false;
+    }
+
+    // The session must still have all the messages the client missed.
+    var first = self._sentMessages.peekFront();
+    var firstSeq = first ? first.seq : self._seq + 1;
+    if (seq < firstSeq - 1 || seq > self._seq)
+      return false;
+
+    if (self._closeTimer) {
+      Meteor.clearTimeout(self._closeTimer);
+      self._closeTimer = null;
+    }
+    if (self.heartbeat) {
+      self.heartbeat.stop();
+      self.heartbeat = null;
+    }
+    if (self.socket) {
+      // The previous socket of the client isn't closed yet.
+      self.socket._meteorSession = null;
+      self.socket.close();
+    }
+
+    self.socket = socket;
+    self.version = version;
+    socket._meteorSession = self;
+    self._socketUrl = socket.url;
+    self.connectionHandle.clientAddress = self._clientAddress();
+    self.connectionHandle.httpHeaders = socket.headers;
+
+    self._sendConnected();
+    self._acknowledge(seq);
+    self._sentMessages.toArray().forEach(function (msg) {
+      self._sendToSocket(msg);
+    });
+
+    [...self._namedSubs.keys()].forEach(function (subId) {
+      if (! subIds.includes(subId))
+        self._stopSubscription(subId);
+    });
+
+    self._startHeartbeat(self.server.options);
+    return true;
+  },
+
+  // Forgets the messages the client acknowledged getting, up to the sequence
+  // number `seq`.
+  _acknowledge: function (seq) {
+    var self = this;
+    while (self._sentMessages.length &&
+           self._sentMessages.peekFront().seq <= seq) {
+      self._sentMessages.shift();
+    }
+    self._methodResultSeqs.forEach(function (resultSeq, methodId) {
+      if (resultSeq !== null && resultSeq <= seq)
+        self._methodResultSeqs.delete(methodId);
+    });
+  },
+
+  // Aborts the signal of a running method, or skips the method if it's still
+  // queued.
+  _cancelMethod: function (methodId) {
+    var self = this;
+    var method = self._runningMethods.get(methodId);
+    if (method) {
+      method.abortController.abort(methodCancelledError());
+    } else if (self.inQueue.toArray().some(function (msg) {
+      return msg.msg === 'method' && msg.id === methodId;
+    })) {
+      self._cancelledMethodIds.add(methodId);
+    }
+  },
 
-Object.assign(Session.prototype, {
   sendReady: function (subscriptionIds) {
     var self = this;
     if (self._isSending) {
@@ -525,6 +689,17 @@ Object.assign(Session.prototype, {
       self.heartbeat = null;
     }
 
+    if (self._closeTimer) {
+      Meteor.clearTimeout(self._closeTimer);
+      self._closeTimer = null;
+    }
+    self._sentMessages = new Meteor._DoubleEndedQueue();
+
+    // Nobody is waiting for the results of the running methods anymore.
+    self._runningMethods.forEach(function ({ abortController }) {
+      abortController.abort(methodCancelledError());
+    });
+
     if (self.socket) {
       self.socket.close();
       self.socket._meteorSession = null;
@@ -551,13 +726,35 @@ Object.assign(Session.prototype, {
   },
 
   // Send a message (doing nothing if no socket is connected right now).
-  // It should be a JSON object (it will be stringified).
+  // It should be a JSON object (it will be encoded for the negotiated DDP
+  // version).
   send: function (msg) {
+    const self = this;
+    if (self._resumable && ! UNSEQUENCED_MESSAGES.includes(msg.msg)) {
+      msg = { ...msg, seq: ++self._seq };
+      if (msg.msg === 'result')
+        self._methodResultSeqs.set(msg.id, msg.seq);
+
+      self._sentMessages.push(msg);
+      if (self._sentMessages.length >
+          self.server.options.sessionResumeBufferSize) {
+        self._sentMessages.shift();
+        if (! self.socket) {
+          // The client missed messages the session doesn't have anymore.
+          self.close();
+          return;
+        }
+      }
+    }
+    self._sendToSocket(msg);
+  },
+
+  _sendToSocket: function (msg) {
     const self = this;
     if (self.socket) {
       if (Meteor._printSentDDP)
         Meteor._debug("Sent DDP", DDPCommon.stringifyDDP(msg));
-      self.socket.send(DDPCommon.stringifyDDP(msg));
+      self.socket.send(DDPCommon.encodeDDP(msg, self.version));
     }
   },
 
@@ -615,6 +812,23 @@ Object.assign(Session.prototype, {
       // Since everything is a pong, there is nothing to do
       return;
     }
+    if (self._resumable && msg_in.msg === 'ack') {
+      if (typeof msg_in.seq === 'number')
+        self._acknowledge(msg_in.seq);
+      return;
+    }
+    // The method these are about may be running, and blocking the queue
+    // until it gets them.
+    if (msg_in.msg === 'chunkAck') {
+      var method = self._runningMethods.get(msg_in.id);
+      if (method)
+        method.stream.acknowledge(msg_in.count);
+      return;
+    }
+    if (msg_in.msg === 'cancel') {
+      self._cancelMethod(msg_in.id);
+      return;
+    }
 
     self.inQueue.push(msg_in);
     if (self.workerRunning)
@@ -712,8 +926,20 @@ Object.assign(Session.prototype, {
           connectionId: self.id
         };
 
-        DDPRateLimiter._increment(rateLimiterInput);
-        var rateLimitResult = DDPRateLimiter._check(rateLimiterInput);
+        var rateLimitResult;
+        try {
+          await DDPRateLimiter._incrementAsync(rateLimiterInput);
+          rateLimitResult = await DDPRateLimiter._checkAsync(rateLimiterInput);
+        } catch (e) {
+          // The store of the rate limiter failed, e.g. it couldn't reach its
+          // database: fail the subscription rather than the session.
+          self.send({
+            msg: 'nosub', id: msg.id,
+            error: wrapInternalException(
+              e, `while rate limiting subscription '${msg.name}'`)
+          });
+          return;
+        }
         if (!rateLimitResult.allowed) {
           self.send({
             msg: 'nosub', id: msg.id,
@@ -754,8 +980,20 @@ Object.assign(Session.prototype, {
         return;
       }
 
+      if (self._resumable) {
+        if (self._methodResultSeqs.has(msg.id))
+          // The client resent a method it didn't get the result of when it
+          // resumed the session. It's running, or its result was replayed.
+          return;
+        self._methodResultSeqs.set(msg.id, null);
+      }
+
       var randomSeed = msg.randomSeed || null;
 
+      var abortController = new AbortController();
+      if (self._cancelledMethodIds.delete(msg.id))
+        abortController.abort(methodCancelledError());
+
       // Set up to mark the method as satisfied once all observers
       // (and subscriptions) have reacted to any writes that were
       // done.
@@ -780,6 +1018,23 @@ Object.assign(Session.prototype, {
         return;
       }
 
+      // Clients which can read the chunks of streamed results as they come
+      // set `stream`; the others get all of them as the result.
+      var stream;
+      if (msg.stream) {
+        stream = new DDPServer._MethodStream({
+          session: self,
+          methodId: msg.id,
+          window: self.server.options.methodStreamWindow,
+          signal: abortController.signal
+        });
+      } else {
+        stream = new DDPServer._MethodStream({
+          signal: abortController.signal
+        });
+      }
+      self._runningMethods.set(msg.id, { abortController, stream });
+
       var invocation = new DDPCommon.MethodInvocation({
         name: msg.method,
         isSimulation: false,
@@ -788,50 +1043,70 @@ Object.assign(Session.prototype, {
           return self._setUserId(userId);
         },
         unblock: unblock,
+        emit(chunk) {
+          return stream.emit(chunk);
+        },
+        signal: abortController.signal,
         connection: self.connectionHandle,
         randomSeed: randomSeed,
         fence,
       });
 
-      const promise = new Promise((resolve, reject) => {
-        // XXX It'd be better if we could hook into method handlers better but
-        // for now, we need to check if the ddp-rate-limiter exists since we
-        // have a weak requirement for the ddp-rate-limiter package to be added
-        // to our application.
-        if (Package['ddp-rate-limiter']) {
-          var DDPRateLimiter = Package['ddp-rate-limiter'].DDPRateLimiter;
-          var rateLimiterInput = {
-            userId: self.userId,
-            clientAddress: self.connectionHandle.clientAddress,
-            type: "method",
-            name: msg.method,
-            connectionId: self.id
-          };
-          DDPRateLimiter._increment(rateLimiterInput);
-          var rateLimitResult = DDPRateLimiter._check(rateLimiterInput)
-          if (!rateLimitResult.allowed) {
-            reject(new Meteor.Error(
-              "too-many-requests",
-              DDPRateLimiter.getErrorMessage(rateLimitResult),
-              {timeToReset: rateLimitResult.timeToReset}
-            ));
-            return;
-          }
+      // XXX It'd be better if we could hook into method handlers better but
+      // for now, we need to check if the ddp-rate-limiter exists since we
+      // have a weak requirement for the ddp-rate-limiter package to be added
+      // to our application.
+      // Resolves to the error to reply with if the method is rate limited.
+      // Errors of the store of the rate limiter reject it, which makes them
+      // the error of the method.
+      var checkRateLimit = async function () {
+        if (!Package['ddp-rate-limiter'])
+          return null;
+        var DDPRateLimiter = Package['ddp-rate-limiter'].DDPRateLimiter;
+        var rateLimiterInput = {
+          userId: self.userId,
+          clientAddress: self.connectionHandle.clientAddress,
+          type: "method",
+          name: msg.method,
+          connectionId: self.id
+        };
+        await DDPRateLimiter._incrementAsync(rateLimiterInput);
+        var rateLimitResult = await DDPRateLimiter._checkAsync(rateLimiterInput);
+        if (rateLimitResult.allowed)
+          return null;
+        return new Meteor.Error(
+          "too-many-requests",
+          DDPRateLimiter.getErrorMessage(rateLimitResult),
+          {timeToReset: rateLimitResult.timeToReset}
+        );
+      };
+
+      const promise = checkRateLimit().then(rateLimitError => new Promise((resolve, reject) => {
+        if (rateLimitError) {
+          reject(rateLimitError);
+          return;
+        }
+        if (abortController.signal.aborted) {
+          reject(abortController.signal.reason);
+          return;
         }
 
+        // Streamed results are read in the context of the method too, as
+        // async generators only run while they're iterated.
         resolve(DDPServer._CurrentWriteFence.withValue(
           fence,
           () => DDP._CurrentMethodInvocation.withValue(
             invocation,
-            () => maybeAuditArgumentChecks(
+            () => stream.settle(maybeAuditArgumentChecks(
               handler, invocation, msg.params,
               "call to '" + msg.method + "'"
-            )
+            ))
           )
         ));
-      });
+      }));
 
       async function finish() {
+        self._runningMethods.delete(msg.id);
         await fence.arm();
         unblock();
       }
@@ -848,10 +1123,14 @@ Object.assign(Session.prototype, {
         self.send(payload);
       }, async (exception) => {
         await finish();
-        payload.error = wrapInternalException(
-          exception,
-          `while invoking method '${msg.method}'`
-        );
+        // A cancelled method likely threw because of it, e.g. the AbortError
+        // of a fetch(): report the cancellation rather than an internal error.
+        payload.error = abortController.signal.aborted
+          ? abortController.signal.reason
+          : wrapInternalException(
+            exception,
+            `while invoking method '${msg.method}'`
+          );
         self.send(payload);
       });
     }
@@ -1477,6 +1756,19 @@ Server = function (options = {}) {
     // For testing, allow responding to pings to be disabled.
     respondToPings: true,
     defaultPublicationStrategy: publicationStrategies.SERVER_MERGE,
+    // How long sessions which lost their socket are kept for their clients to
+    // resume them, in milliseconds. 0 disables resuming sessions.
+    sessionResumeTimeout:
+      Meteor.settings.packages?.['ddp-server']?.sessionResumeTimeout || 0,
+    // How many sent messages resumable sessions keep until their client
+    // acknowledges them. Sessions which lost their socket are closed when
+    // they have to drop one.
+    sessionResumeBufferSize:
+      Meteor.settings.packages?.['ddp-server']?.sessionResumeBufferSize || 1000,
+    // How many chunks of a streamed method result are sent to the client
+    // before it acknowledges getting them.
+    methodStreamWindow:
+      Meteor.settings.packages?.['ddp-server']?.methodStreamWindow || 16,
     ...options,
   };
 
@@ -1498,6 +1790,11 @@ Server = function (options = {}) {
 
   self.method_handlers = {};
 
+  // Definitions of the methods and publications defined with defineMethod and
+  // definePublication, by name, to generate their type declaration.
+  self._methodDefinitions = {};
+  self._publicationDefinitions = {};
+
   self._publicationStrategies = {};
 
   self.sessions = new Map(); // map from id to session
@@ -1555,7 +1852,7 @@ Server = function (options = {}) {
 
     socket.on('close', function () {
       if (socket._meteorSession) {
-        socket._meteorSession.close();
+        socket._meteorSession._detachSocket();
       }
     });
   });
@@ -1633,9 +1930,12 @@ Object.assign(Server.prototype, {
       return;
     }
 
-    // In the future, handle session resumption: something like:
-    //  socket._meteorSession = self.sessions[msg.session]
-    var version = calculateVersion(msg.support, DDPCommon.SUPPORTED_DDP_VERSIONS);
+    // MessagePack is only offered on sockets which carry binary frames, and
+    // last, so that it's never the fallback of clients which don't know it.
+    var serverVersions = socket.supportsBinary
+      ? [...DDPCommon.SUPPORTED_DDP_VERSIONS, DDPCommon.MSGPACK_DDP_VERSION]
+      : DDPCommon.SUPPORTED_DDP_VERSIONS;
+    var version = calculateVersion(msg.support, serverVersions);
 
     if (msg.version !== version) {
       // The best version to use (according to the client's stated preferences)
@@ -1646,10 +1946,24 @@ Object.assign(Server.prototype, {
       return;
     }
 
+    // Clients which can resume sessions send the sequence number of the last
+    // message they got, and the secret of the session they resume.
+    var resumable = self.options.sessionResumeTimeout > 0 &&
+      typeof msg.seq === 'number';
+    if (resumable && typeof msg.session === 'string') {
+      var previousSession = self.sessions.get(msg.session);
+      if (previousSession && previousSession._resume(
+        socket, version, msg.seq, Array.isArray(msg.subs) ? msg.subs : [],
+        msg.resumeSecret)) {
+        return;
+      }
+    }
+
     // Yay, version matches! Create a new session.
     // Note: Troposphere depends on the ability to mutate
     // Meteor.server.options.heartbeatTimeout! This is a hack, but it's life.
-    socket._meteorSession = new Session(self, version, socket, self.options);
+    socket._meteorSession =
+      new Session(self, version, socket, self.options, resumable);
     self.sessions.set(socket._meteorSession.id, socket._meteorSession);
     self.onConnectionHook.each(function (callback) {
       if (socket._meteorSession)
@@ -1779,6 +2093,100 @@ Object.assign(Server.prototype, {
     });
   },
 
+  /**
+   * @summary Defines a method like `Meteor.methods`, with [patterns](./check.md#matchpatterns) for its arguments and result. The arguments are checked before `run` is called.
+   * @locus Anywhere
+   * @param {Object} definition
+   * @param {String} definition.name Name of the method.
+   * @param {MatchPattern[]} [definition.args] The pattern of each argument of the method. Calls with more arguments fail.
+   * @param {MatchPattern} [definition.returns] The pattern of the result of the method, checked on the server.
+   * @param {Function} definition.run The method, called with its arguments.
+   * @returns {Object} The definition.
+   * @memberOf Meteor
+   * @importFromPackage meteor
+   */
+  defineMethod: function (definition) {
+    var self = this;
+    DDPCommon.checkMethodDefinition(definition);
+    self.methods({
+      [definition.name]: DDPCommon.definedMethodHandler(definition)
+    });
+    self._methodDefinitions[definition.name] = definition;
+    return definition;
+  },
+
+  /**
+   * @summary Publishes a record set like `Meteor.publish`, with [patterns](./check.md#matchpatterns) for its arguments. The arguments are checked before `run` is called.
+   * @locus Anywhere
+   * @param {Object} definition
+   * @param {String} definition.name Name of the record set.
+   * @param {MatchPattern[]} [definition.args] The pattern of each argument of the publication. Subscriptions with more arguments fail.
+   * @param {Function} definition.run The publish function, called with the arguments of the subscription.
+   * @returns {Object} The definition.
+   * @memberOf Meteor
+   * @importFromPackage meteor
+   */
+  definePublication: function (definition) {
+    var self = this;
+    DDPCommon.checkPublicationDefinition(definition);
+    var handler = DDPCommon.definedPublicationHandler(definition);
+    self.publish(definition.name, handler);
+    if (self.publish_handlers[definition.name] === handler)
+      self._publicationDefinitions[definition.name] = definition;
+    return definition;
+  },
+
+  /**
+   * @summary Returns a TypeScript declaration of the methods and publications defined with `Meteor.defineMethod` and `Meteor.definePublication`, which types their calls with `Meteor.callAsync` and `Meteor.subscribe`. You call this method from `Meteor.server`, like `Meteor.server.generateTypeDeclaration()`
+   * @locus Server
+   * @alias generateTypeDeclaration
+   * @returns {String}
+   * @memberOf Meteor.server
+   * @importFromPackage meteor
+   */
+  generateTypeDeclaration: function () {
+    var self = this;
+    // The lines of the members of an interface, or null if it has none.
+    var entries = function (definitions, typeOfDefinition) {
+      var names = Object.keys(definitions).sort();
+      if (! names.length)
+        return null;
+      return names.map(function (name) {
+        return '      ' + JSON.stringify(name) + ': ' +
+          typeOfDefinition(definitions[name]) + ';';
+      }).join('\n');
+    };
+
+    return [
+      '// Generated by Meteor.server.generateTypeDeclaration() from the methods',
+      '// and publications defined with Meteor.defineMethod and',
+      '// Meteor.definePublication.',
+      "import 'meteor/meteor';",
+      '',
+      "declare module 'meteor/meteor' {",
+      '  namespace Meteor {',
+      '    interface DefinedMethods {',
+      entries(self._methodDefinitions, function (definition) {
+        var returns = 'returns' in definition
+          ? Match._typeScriptType(definition.returns)
+          : 'any';
+        return '{ args: ' + argumentsTypeScriptType(definition) +
+          '; returns: ' + returns + ' }';
+      }),
+      '    }',
+      '    interface DefinedPublications {',
+      entries(self._publicationDefinitions, function (definition) {
+        return '{ args: ' + argumentsTypeScriptType(definition) + ' }';
+      }),
+      '    }',
+      '  }',
+      '}',
+      ''
+    ].filter(function (line) {
+      return line !== null;
+    }).join('\n');
+  },
+
   call: function (name, ...args) {
     if (args.length && typeof args[args.length - 1] === "function") {
       // If it's a function, the last argument is the result callback, not
@@ -1856,22 +2264,29 @@ Object.assign(Server.prototype, {
     var currentMethodInvocation = DDP._CurrentMethodInvocation.get();
     var currentPublicationInvocation = DDP._CurrentPublicationInvocation.get();
     var randomSeed = null;
+    var signal = undefined;
 
     if (currentMethodInvocation) {
       userId = currentMethodInvocation.userId;
       setUserId = (userId) => currentMethodInvocation.setUserId(userId);
       connection = currentMethodInvocation.connection;
       randomSeed = DDPCommon.makeRpcSeed(currentMethodInvocation, name);
+      signal = currentMethodInvocation.signal;
     } else if (currentPublicationInvocation) {
       userId = currentPublicationInvocation.userId;
       setUserId = (userId) => currentPublicationInvocation._session._setUserId(userId);
       connection = currentPublicationInvocation.connection;
     }
 
+    // Results streamed to server calls are collected in an array.
+    var stream = new DDPServer._MethodStream({ signal });
+
     var invocation = new DDPCommon.MethodInvocation({
       isSimulation: false,
       userId,
       setUserId,
+      emit: chunk => stream.emit(chunk),
+      signal,
       connection,
       randomSeed
     });
@@ -1880,12 +2295,12 @@ Object.assign(Server.prototype, {
       let result;
       try {
         result = DDP._CurrentMethodInvocation.withValue(invocation, () =>
-          maybeAuditArgumentChecks(
+          stream.settle(maybeAuditArgumentChecks(
             handler,
             invocation,
             EJSON.clone(args),
             "internal call to '" + name + "'"
-          )
+          ))
         );
       } catch (e) {
         return reject(e);
@@ -1961,6 +2376,26 @@ var wrapInternalException = function (exception, context) {
   return new Meteor.Error(500, "Internal server error");
 };
 
+// The TypeScript tuple type of the arguments of a method or publication
+// definition. Trailing arguments which may be undefined are optional.
+var argumentsTypeScriptType = function (definition) {
+  var patterns = definition.args || [];
+  var required = patterns.length;
+  while (required > 0 && Match.test(undefined, patterns[required - 1]))
+    required--;
+
+  return '[' + patterns.map(function (pattern, i) {
+    var type = Match._typeScriptType(pattern);
+    return i < required ? type : '(' + type + ')?';
+  }).join(', ') + ']';
+};
+
+// The reason of the signal of methods cancelled by their client, or by the
+// connection closing.
+var methodCancelledError = function () {
+  return new Meteor.Error('method-cancelled', 'The method was cancelled');
+};
+
 
 // Audit argument checks, if the audit-argument-checks package exists (it is a
 // weak dependency of this package).
@@ -493,6 +493,329 @@ Tinytest.addAsync('livedata server - publish cursor is properly awaited', async
   cleanup()
 });
 
+Tinytest.addAsync('livedata server - resume session', async function (test) {
+  const { sessionResumeTimeout } = Meteor.server.options;
+  Meteor.server.options.sessionResumeTimeout = 5000;
+
+  const publicationName = `publication_${Random.id()}`;
+  const collectionName = `resumed_${Random.id()}`;
+  let publication;
+  let runs = 0;
+  Meteor.publish(publicationName, function () {
+    runs++;
+    publication = this;
+    this.added(collectionName, 'a', { n: 1 });
+    this.ready();
+  });
+
+  const waitFor = async function (condition) {
+    for (let i = 0; i < 100 && !(await condition()); i++) {
+      await sleep(50);
+    }
+    test.isTrue(await condition());
+  };
+
+  const { clientConn, serverConn } = await getTestConnections(test);
+  try {
+    let closed = false;
+    serverConn.onClose(() => {
+      closed = true;
+    });
+    const coll = new Mongo.Collection(collectionName, {
+      connection: clientConn,
+    });
+    await new Promise(resolve =>
+      clientConn.subscribe(publicationName, { onReady: resolve })
+    );
+    const session = Meteor.server.sessions.get(serverConn.id);
+
+    // The session outlives its socket, and keeps publishing.
+    clientConn.disconnect();
+    await waitFor(() => !session.socket);
+    publication.changed(collectionName, 'a', { n: 2 });
+
+    // The client resumes it, and only gets the messages it missed.
+    clientConn.reconnect();
+    await waitFor(() => clientConn.status().connected && !!session.socket);
+    await waitFor(async () => (await coll.findOneAsync('a'))?.n === 2);
+    test.equal(clientConn._lastSessionId, serverConn.id);
+    test.equal(runs, 1);
+    test.isFalse(closed);
+
+    // The session id alone doesn't resume the session: the client must
+    // present the secret it was given.
+    clientConn.disconnect();
+    await waitFor(() => !session.socket);
+    clientConn._resumeSecret = Random.secret();
+    clientConn.reconnect();
+    await waitFor(() => clientConn.status().connected &&
+      clientConn._lastSessionId !== serverConn.id);
+    test.isFalse(!!session.socket);
+    await waitFor(() => runs === 2);
+  } finally {
+    Meteor.server.options.sessionResumeTimeout = sessionResumeTimeout;
+    serverConn.close();
+    clientConn.disconnect();
+  }
+});
+
+let streamEmitCount = 0;
+Meteor.methods({
+  livedata_server_test_stream_generator: async function* (count) {
+    for (let i = 0; i < count; i++) {
+      // Generators run in the context of the method.
+      yield { i, inMethod: DDP._CurrentMethodInvocation.get() === this };
+    }
+  },
+
+  livedata_server_test_stream_emit: async function (count) {
+    for (let i = 0; i < count; i++) {
+      streamEmitCount++;
+      await this.emit(i);
+    }
+  },
+});
+
+Tinytest.addAsync('livedata server - streamed method results', async function (test) {
+  const { clientConn, serverConn } = await getTestConnections(test);
+  try {
+    // More chunks than are sent before the client acknowledges them.
+    const chunks = [];
+    for await (const chunk of clientConn.callAsync(
+      'livedata_server_test_stream_generator', 40)) {
+      chunks.push(chunk);
+    }
+    test.equal(chunks, [...Array(40).keys()].map(i => ({ i, inMethod: true })));
+
+    // Callers which don't iterate, and server calls, get all the chunks.
+    test.equal(
+      await clientConn.callAsync('livedata_server_test_stream_emit', 3),
+      [0, 1, 2]
+    );
+    test.equal(
+      await Meteor.callAsync('livedata_server_test_stream_generator', 2),
+      [{ i: 0, inMethod: true }, { i: 1, inMethod: true }]
+    );
+    test.equal(
+      await clientConn.callAsync('livedata_server_test_stream_generator', 0),
+      []
+    );
+
+    // Stopping the iteration cancels the method.
+    streamEmitCount = 0;
+    const promise = clientConn.callAsync('livedata_server_test_stream_emit', 1000);
+    for await (const chunk of promise) {
+      if (chunk === 1) break;
+    }
+    test.isUndefined(await promise);
+    test.isTrue(streamEmitCount < 1000);
+    test.equal(
+      await clientConn.callAsync('livedata_server_test_stream_emit', 1),
+      [0]
+    );
+  } finally {
+    serverConn.close();
+    clientConn.disconnect();
+  }
+});
+
+let cancelledMethodReason = null;
+Meteor.methods({
+  livedata_server_test_cancellable: async function () {
+    await new Promise(resolve => {
+      this.signal.addEventListener('abort', resolve, { once: true });
+    });
+    cancelledMethodReason = this.signal.reason;
+    this.signal.throwIfAborted();
+  },
+
+  livedata_server_test_cancellable_outer: async function () {
+    return await Meteor.callAsync('livedata_server_test_cancellable');
+  },
+});
+
+Tinytest.addAsync('livedata server - cancel method', async function (test) {
+  const { clientConn, serverConn } = await getTestConnections(test);
+  const waitForCancellation = async () => {
+    while (! cancelledMethodReason) {
+      await sleep(10);
+    }
+    test.equal(cancelledMethodReason.error, 'method-cancelled');
+    cancelledMethodReason = null;
+  };
+  try {
+    // Aborting the signal of the call aborts the signal of the method.
+    const controller = new AbortController();
+    const promise = clientConn.applyAsync(
+      'livedata_server_test_cancellable', [], { signal: controller.signal });
+    await sleep(50);
+    controller.abort();
+    try {
+      await promise;
+      test.fail('The method should have been cancelled');
+    } catch (e) {
+      test.equal(e.name, 'AbortError');
+    }
+    await waitForCancellation();
+
+    // Timeouts too, and server calls made by the method share its signal.
+    try {
+      await clientConn.applyAsync(
+        'livedata_server_test_cancellable_outer', [], { timeoutMs: 50 });
+      test.fail('The method should have timed out');
+    } catch (e) {
+      test.equal(e.error, 'method-timeout');
+    }
+    await waitForCancellation();
+
+    // The connection goes on with the next methods.
+    test.equal(
+      await clientConn.callAsync('livedata_server_test_stream_emit', 1),
+      [0]
+    );
+  } finally {
+    serverConn.close();
+    clientConn.disconnect();
+  }
+});
+
+Meteor.defineMethod({
+  name: 'livedata_server_test_defined_method',
+  args: [String, Match.Optional({ times: Match.Integer })],
+  returns: [String],
+  run(text, { times = 1 } = {}) {
+    return text === 'wrong result' ? text : Array(times).fill(text);
+  },
+});
+
+Meteor.definePublication({
+  name: 'livedata_server_test_defined_publication',
+  args: [String],
+  run() {
+    this.ready();
+  },
+});
+
+Tinytest.addAsync('livedata server - defined methods and publications', async function (test) {
+  const { clientConn, serverConn } = await getTestConnections(test);
+  try {
+    test.equal(
+      await clientConn.callAsync(
+        'livedata_server_test_defined_method', 'a', { times: 2 }),
+      ['a', 'a']
+    );
+
+    // All the arguments which don't match are reported.
+    try {
+      await clientConn.callAsync(
+        'livedata_server_test_defined_method', 1, { times: 1.5 }, 'extra');
+      test.fail('The arguments should have been rejected');
+    } catch (e) {
+      test.equal(e.error, 400);
+      test.equal(e.details.map(error => error.argument), [0, 1, 2]);
+    }
+
+    try {
+      await Meteor.callAsync('livedata_server_test_defined_method', 'wrong result');
+      test.fail('The result should have been rejected');
+    } catch (e) {
+      test.matches(e.message, /returned an unexpected result/);
+    }
+
+    const subscriptionError = await new Promise(resolve => {
+      clientConn.subscribe('livedata_server_test_defined_publication', 5, {
+        onStop: resolve
+      });
+    });
+    test.equal(subscriptionError.error, 400);
+    await new Promise(resolve => {
+      clientConn.subscribe('livedata_server_test_defined_publication', 'a', {
+        onReady: resolve
+      });
+    });
+
+    // Definitions check all their arguments for audit-argument-checks.
+    test.equal(
+      Match._failIfArgumentsAreNotAllChecked(
+        Meteor.server.method_handlers['livedata_server_test_defined_method'],
+        { isSimulation: false },
+        ['b'],
+        'audited call'
+      ),
+      ['b']
+    );
+
+    const declaration = Meteor.server.generateTypeDeclaration();
+    test.include(
+      declaration,
+      '"livedata_server_test_defined_method": { args: [string, ' +
+        '({ times: number } | undefined)?]; returns: Array<string> };'
+    );
+    test.include(
+      declaration,
+      '"livedata_server_test_defined_publication": { args: [string] };'
+    );
+  } finally {
+    serverConn.close();
+    clientConn.disconnect();
+  }
+});
+
+Meteor.methods({
+  livedata_server_test_rate_limited() {
+    return 'ran';
+  },
+});
+
+Meteor.publish('livedata_server_test_rate_limited', function () {
+  this.ready();
+});
+
+Tinytest.addAsync('livedata server - failing rate limit store', async function (test) {
+  const { DDPRateLimiter } = Package['ddp-rate-limiter'];
+  const ruleId = DDPRateLimiter.addRule(
+    { name: 'livedata_server_test_rate_limited' }, 10, 1000);
+  DDPRateLimiter.setStore({
+    get: async () => 0,
+    update: async () => {
+      const error = new Error('The store is unavailable');
+      error._expectedByTest = true;
+      throw error;
+    },
+  });
+
+  const { clientConn, serverConn } = await getTestConnections(test);
+  try {
+    // The error of the store is the error of the method and subscription,
+    // instead of leaving them without a reply.
+    try {
+      await clientConn.callAsync('livedata_server_test_rate_limited');
+      test.fail('The method should have failed');
+    } catch (e) {
+      test.equal(e.error, 500);
+    }
+
+    const subscriptionError = await new Promise(resolve => {
+      clientConn.subscribe('livedata_server_test_rate_limited', {
+        onStop: resolve
+      });
+    });
+    test.equal(subscriptionError.error, 500);
+
+    // The session goes on with the next messages.
+    DDPRateLimiter.setStore('memory');
+    test.equal(
+      await clientConn.callAsync('livedata_server_test_rate_limited'),
+      'ran'
+    );
+  } finally {
+    DDPRateLimiter.setStore('memory');
+    DDPRateLimiter.removeRule(ruleId);
+    serverConn.close();
+    clientConn.disconnect();
+  }
+});
+
 function getTestConnections(test) {
   return new Promise((resolve, reject) => {
     makeTestConnection(test, (clientConn, serverConn) => {
@@ -0,0 +1,117 @@
+// A method stream collects the chunks of the result of a method which calls
+// this.emit(chunk) or returns an async iterable.
+//
+// When the client of the method call can receive the chunks as they come,
+// they're sent to it in 'chunk' messages, and the method's result is empty.
+// At most `window` chunks are sent before the client acknowledges them with a
+// 'chunkAck' message; emit() returns a promise resolved once its chunk is
+// sent, so that methods awaiting it don't get ahead of their client. The
+// client stops the stream by cancelling the method, which aborts `signal`.
+//
+// Otherwise, for older clients and calls from the server, the chunks are
+// collected and the method's result is the array of all of them.
+DDPServer._MethodStream = class {
+  constructor({
+    session = null,
+    methodId = null,
+    window = Infinity,
+    signal = undefined,
+  } = {}) {
+    this._session = session;
+    this._methodId = methodId;
+    this._window = window;
+
+    this.streamed = false;
+    this.cancelled = false;
+    this._chunks = [];
+    this._sent = 0;
+    this._acknowledged = 0;
+    // Chunks waiting for room in the window, and functions resolving the
+    // promise returned by their emit() call.
+    this._queue = [];
+    this._lastEmit = Promise.resolve();
+
+    if (signal) {
+      if (signal.aborted) {
+        this.cancel();
+      } else {
+        signal.addEventListener('abort', () => this.cancel(), { once: true });
+      }
+    }
+  }
+
+  emit(chunk) {
+    if (this.cancelled) {
+      throw new Meteor.Error('stream-cancelled',
+                             'The client stopped reading the results');
+    }
+    this.streamed = true;
+
+    if (! this._session) {
+      this._chunks.push(EJSON.clone(chunk));
+      return Promise.resolve();
+    }
+
+    this._lastEmit = new Promise(resolve => {
+      this._queue.push({ chunk: EJSON.clone(chunk), resolve });
+    });
+    this._flush();
+    return this._lastEmit;
+  }
+
+  // Called with the return value of the method handler. Returns the result of
+  // the method, or a promise of it.
+  settle(result) {
+    if (Meteor._isPromise(result)) {
+      return result.then(value => this.settle(value));
+    }
+    if (result && typeof result[Symbol.asyncIterator] === 'function') {
+      return this._pipe(result).then(() => this._result());
+    }
+    if (this.streamed) {
+      return this._lastEmit.then(() => this._result());
+    }
+    return result;
+  }
+
+  // Called when the client acknowledges getting the first `count` chunks.
+  acknowledge(count) {
+    if (typeof count !== 'number' || count <= this._acknowledged)
+      return;
+    this._acknowledged = Math.min(count, this._sent);
+    this._flush();
+  }
+
+  cancel() {
+    if (this.cancelled)
+      return;
+    this.cancelled = true;
+    this._queue.forEach(({ resolve }) => resolve());
+    this._queue = [];
+  }
+
+  async _pipe(iterable) {
+    // Leaving the loop because emit() threw returns the iterator.
+    for await (const chunk of iterable) {
+      await this.emit(chunk);
+    }
+    await this._lastEmit;
+  }
+
+  _flush() {
+    while (this._queue.length &&
+           this._sent - this._acknowledged < this._window) {
+      const { chunk, resolve } = this._queue.shift();
+      this._sent++;
+      this._session.send({ msg: 'chunk', id: this._methodId, chunk });
+      resolve();
+    }
+  }
+
+  // The client got the chunks already, unless there weren't any.
+  _result() {
+    if (this._session && this._sent)
+      return undefined;
+    return this._chunks;
+  }
+};
@@ -53,7 +53,9 @@ Package.onUse(function (api) {
 
   api.addFiles("livedata_server.js", "server");
   api.addFiles("writefence.js", "server");
+  api.addFiles("method_stream.js", "server");
   api.addFiles("crossbar.js", "server");
+  api.addFiles("crossbar_transport.js", "server");
 
   api.addFiles("server_convenience.js", "server");
 });
@@ -61,6 +63,7 @@ Package.onUse(function (api) {
 Package.onTest(function (api) {
   api.use("ecmascript", ["client", "server"]);
   api.use("ejson", ["client", "server"]);
+  api.use("check", ["client", "server"]);
   api.use("livedata", ["client", "server"]);
   api.use("mongo", ["client", "server"]);
   api.use("test-helpers", ["client", "server"]);
@@ -71,6 +74,7 @@ Package.onTest(function (api) {
     "minimongo",
     "reactive-var",
   ]);
+  api.use("ddp-rate-limiter", "server");
 
   api.addFiles("livedata_server_tests.js", "server");
   api.addFiles("livedata_server_async_tests.js", "server");
@@ -16,6 +16,8 @@ Meteor.refresh = async function (notification) {
     'publish',
     'isAsyncCall',
     'methods',
+    'defineMethod',
+    'definePublication',
     'call',
     'callAsync',
     'apply',
@@ -114,8 +114,18 @@ StreamServer = function () {
     };
     socket.setWebsocketTimeout(45 * 1000);
 
+    // Only raw websockets can carry binary frames: sockjs framing is text.
+    socket.supportsBinary = socket.protocol === 'websocket-raw';
+
     socket.send = function (data) {
-      socket.write(data);
+      if (typeof data === 'string') {
+        socket.write(data);
+      } else {
+        // sockjs' write() converts its argument to a string, so send binary
+        // data through the underlying websocket session.
+        socket._session.send(
+          Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+      }
     };
     socket.on('close', function () {
       self.open_sockets = self.open_sockets.filter(function(value) {
@@ -4,9 +4,14 @@ export namespace DDP {
   interface DDPStatic {
     subscribe(name: string, ...rest: any[]): Meteor.SubscriptionHandle;
     call(method: string, ...parameters: any[]): any;
-    callAsync(method: string, ...parameters: any[]): Promise<any>;
+    callAsync(
+      method: string,
+      ...parameters: any[]
+    ): Promise<any> & AsyncIterable<any>;
     apply(method: string, ...parameters: any[]): any;
     methods(IMeteorMethodsDictionary: any): any;
+    defineMethod: typeof Meteor.defineMethod;
+    definePublication: typeof Meteor.definePublication;
     status(): DDPStatus;
     reconnect(): void;
     disconnect(): void;
@@ -25,7 +30,18 @@ export namespace DDP {
     reason?: string | undefined;
   }
 
-  function connect(url: string): DDPStatic;
+  interface ConnectOptions {
+    reloadWithOutstanding?: boolean | undefined;
+    headers?: Record<string, string> | undefined;
+    onDDPVersionNegotiationFailure?: ((description: string) => void) | undefined;
+    /**
+     * Encode messages with MessagePack rather than EJSON, if the server
+     * supports it and the connection uses websockets.
+     */
+    msgpack?: boolean | undefined;
+  }
+
+  function connect(url: string, options?: ConnectOptions): DDPStatic;
 }
 
 export namespace DDPCommon {
@@ -35,6 +51,7 @@ export namespace DDPCommon {
     isSimulation: boolean;
     connection: Meteor.Connection;
     randomSeed: string;
+    signal?: AbortSignal | undefined;
   }
 
   /** The state for a single invocation of a method, referenced by this inside a method definition. */
@@ -44,6 +61,16 @@ export namespace DDPCommon {
      * Call inside a method invocation.  Allow subsequent method from this client to begin running in a new fiber.
      */
     unblock(): void;
+    /**
+     * Call inside a method invocation. Stream a chunk of the result to the client, which reads the chunks by iterating the result of `Meteor.callAsync`.
+     * Returns a promise resolved once the chunk is sent.
+     * @param chunk The chunk of the result.
+     */
+    emit(chunk: any): Promise<void>;
+    /**
+     * Access inside a method invocation. Aborted when the client cancels the method call or disconnects, so that long-running code can stop early.
+     */
+    signal: AbortSignal;
     /**
      * Set the logged in user.
      * @param userId The value that should be returned by `userId` on this connection.
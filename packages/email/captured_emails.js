@@ -0,0 +1,109 @@
+import { Meteor } from 'meteor/meteor';
+
+// Route of the page listing the emails captured in development.
+export const CAPTURED_EMAILS_PATH = '/__meteor__/emails';
+
+// Only the most recent emails are kept, in memory.
+const MAX_CAPTURED_EMAILS = 50;
+
+const capturedEmails = [];
+
+const escapeHtml = value =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+
+const formatAddresses = addresses =>
+  [].concat(addresses || []).map(address =>
+    typeof address === 'object' ? address.address : address
+  ).join(', ');
+
+/**
+ * Whether unsent emails are captured and listed on the development page,
+ * rather than printed to standard out.
+ * @returns {Boolean}
+ */
+export const canCaptureEmails = () => Meteor.isDevelopment && !!Package.webapp;
+
+/**
+ * Keeps an email which wasn't sent, to be listed on the development page.
+ * @param {Number} id The number of the email, as printed to standard out.
+ * @param {Object} mail The options of the email.
+ * @param {String} raw The email, as it would have been sent.
+ * @returns {String} The URL of the page of the email.
+ */
+export const captureEmail = (id, mail, raw) => {
+  capturedEmails.unshift({ id, mail, raw, date: new Date() });
+  capturedEmails.length = Math.min(capturedEmails.length, MAX_CAPTURED_EMAILS);
+  return Meteor.absoluteUrl(`${CAPTURED_EMAILS_PATH.slice(1)}/${id}`);
+};
+
+const renderIndex = () => {
+  const rows = capturedEmails
+    .map(
+      ({ id, mail, date }) => `<tr>
+<td><a href="${CAPTURED_EMAILS_PATH}/${id}">#${id}</a></td>
+<td>${escapeHtml(date.toISOString())}</td>
+<td>${escapeHtml(formatAddresses(mail.to))}</td>
+<td>${escapeHtml(mail.subject)}</td>
+<td><a href="${CAPTURED_EMAILS_PATH}/${id}?format=raw">raw</a></td>
+</tr>`
+    )
+    .join('\n');
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Emails</title></head>
+<body>
+<h1>Emails</h1>
+<p>Emails are not sent; to enable sending, set the MAIL_URL environment variable.</p>
+<table>
+<tr><th>#</th><th>Date</th><th>To</th><th>Subject</th><th></th></tr>
+${rows}
+</table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Handles the requests to the development page, with URLs relative to
+ * `/__meteor__/emails`: `/` lists the captured emails, and `/<id>` shows an
+ * email, or `/<id>?format=raw` its source.
+ */
+export const capturedEmailsHandler = (req, res, next) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const id = pathname.replace(/^\/|\/$/g, '');
+
+  const send = (contentType, body) => {
+    res.writeHead(200, { 'Content-Type': `${contentType}; charset=utf-8` });
+    res.end(body);
+  };
+
+  if (!id) {
+    send('text/html', renderIndex());
+    return;
+  }
+  const captured = capturedEmails.find(email => String(email.id) === id);
+  if (!captured) {
+    next();
+    return;
+  }
+  if (searchParams.get('format') === 'raw' || !captured.mail.html) {
+    send('text/plain', captured.raw);
+  } else {
+    send('text/html', captured.mail.html);
+  }
+};
+
+/**
+ * Serves the list of captured emails at `/__meteor__/emails`, and each email
+ * at `/__meteor__/emails/<id>`, or `/__meteor__/emails/<id>?format=raw` for
+ * its source.
+ */
+export const setupCapturedEmailsPage = () => {
+  Package.webapp.WebApp.handlers.use(
+    CAPTURED_EMAILS_PATH,
+    capturedEmailsHandler
+  );
+};
@@ -15,11 +15,32 @@ export namespace Email {
     packageSettings?: unknown;
   }
 
+  interface OutboxOptions {
+    collectionName?: string | undefined;
+    maxAttempts?: number | undefined;
+    retryDelay?: number | undefined;
+    maxRetryDelay?: number | undefined;
+    pollInterval?: number | undefined;
+    retention?: number | undefined;
+  }
+
+  interface DeliveryStatus {
+    status: 'pending' | 'sending' | 'sent' | 'failed';
+    attempts: number;
+    lastError?: string | undefined;
+    createdAt: Date;
+    sentAt?: Date | undefined;
+    nextAttemptAt?: Date | undefined;
+  }
+
   /** @deprecated */
   function send(options: EmailOptions): void;
-  function sendAsync(options: EmailOptions): Promise<void>;
+  /** Resolves with the id of the email in the outbox, if it's enabled. */
+  function sendAsync(options: EmailOptions): Promise<void | string>;
   function hookSend(fn: (options: EmailOptions) => boolean): void;
   function customTransport(fn: (options: CustomEmailOptions) => void): void;
+  function configureOutbox(options?: OutboxOptions | boolean): void;
+  function getDeliveryStatusAsync(id: string): Promise<DeliveryStatus | undefined>;
 }
 
 export interface MailComposerOptions {
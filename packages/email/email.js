@@ -2,11 +2,19 @@ import { Meteor } from 'meteor/meteor';
 import { Log } from 'meteor/logging';
 import { Hook } from 'meteor/callback-hook';
 
-import url from 'url';
+import fs from 'fs';
+import path from 'path';
 import nodemailer from 'nodemailer';
 import wellKnow from 'nodemailer/lib/well-known';
 import { openpgpEncrypt } from 'nodemailer-openpgp';
 
+import { createOutbox } from './outbox';
+import {
+  canCaptureEmails,
+  captureEmail,
+  setupCapturedEmailsPage,
+} from './captured_emails';
+
 export const Email = {};
 export const EmailTest = {};
 
@@ -25,14 +33,93 @@ export const EmailInternals = {
 
 const MailComposer = EmailInternals.NpmModules.mailcomposer.module;
 
+// Writes each email to an .eml file in the given directory.
+const fileTransport = function (directory) {
+  return {
+    name: 'file',
+    version: EmailInternals.NpmModules.nodemailer.version,
+    send(mail, callback) {
+      const messageId = mail.message.messageId();
+      const fileName = `${Date.now()}-${messageId.replace(/[^\w.@-]/g, '')}.eml`;
+      const filePath = path.join(directory, fileName);
+      let done = false;
+      const finish = (err, info) => {
+        if (!done) {
+          done = true;
+          callback(err, info);
+        }
+      };
+
+      fs.mkdir(directory, { recursive: true }, err => {
+        if (err) {
+          finish(err);
+          return;
+        }
+        const input = mail.message.createReadStream();
+        const output = fs.createWriteStream(filePath);
+        input.on('error', finish);
+        output.on('error', finish);
+        output.on('finish', () =>
+          finish(null, {
+            envelope: mail.message.getEnvelope(),
+            messageId,
+            path: filePath,
+          })
+        );
+        input.pipe(output);
+      });
+    },
+  };
+};
+
+// Transports for the schemes of $MAIL_URL other than SMTP.
+// More info: https://nodemailer.com/transports/
+const URL_TRANSPORTS = {
+  // sendmail:///usr/sbin/sendmail, or sendmail:// for the one in the PATH.
+  'sendmail:': mailUrl => ({
+    sendmail: true,
+    ...(mailUrl.pathname.length > 1 && {
+      path: decodeURIComponent(mailUrl.pathname),
+    }),
+    ...(mailUrl.searchParams.has('newline') && {
+      newline: mailUrl.searchParams.get('newline'),
+    }),
+  }),
+  // file:///path/to/directory
+  'file:': mailUrl => fileTransport(decodeURIComponent(mailUrl.pathname)),
+  // json://, resolves with the email as JSON instead of sending it.
+  'json:': () => ({ jsonTransport: true }),
+};
+
+// Options of Meteor.settings.packages.email which apply to every email.
+const getMessageDefaults = function () {
+  const dkim = Meteor.settings.packages?.email?.dkim;
+  return dkim ? { dkim } : undefined;
+};
+
+const createTransport = function (transportOptions, options) {
+  const transport = nodemailer.createTransport(
+    transportOptions,
+    getMessageDefaults()
+  );
+  if (options?.encryptionKeys || options?.shouldSign) {
+    transport.use('stream', openpgpEncrypt(options));
+  }
+  return transport;
+};
+
 const makeTransport = function (mailUrlString, options) {
   const mailUrl = new URL(mailUrlString);
 
+  if (URL_TRANSPORTS[mailUrl.protocol]) {
+    return createTransport(URL_TRANSPORTS[mailUrl.protocol](mailUrl), options);
+  }
+
   if (mailUrl.protocol !== 'smtp:' && mailUrl.protocol !== 'smtps:') {
     throw new Error(
       'Email protocol in $MAIL_URL (' +
         mailUrlString +
-        ") must be 'smtp' or 'smtps'"
+        ") must be 'smtp', 'smtps', 'sendmail', 'file' or 'json'"
     );
   }
 
@@ -45,19 +132,11 @@ const makeTransport = function (mailUrlString, options) {
   }
 
   // Allow overriding pool setting, but default to true.
-  if (!mailUrl.query) {
-    mailUrl.query = {};
-  }
-
-  if (!mailUrl.query.pool) {
-    mailUrl.query.pool = 'true';
+  if (!mailUrl.searchParams.has('pool')) {
+    mailUrl.searchParams.set('pool', 'true');
   }
 
-  const transport = nodemailer.createTransport(url.format(mailUrl));
-  if (options?.encryptionKeys || options?.shouldSign) {
-    transport.use('stream', openpgpEncrypt(options));
-  }
-  return transport;
+  return createTransport(mailUrl.toString(), options);
 };
 
 // More info: https://nodemailer.com/smtp/well-known/
@@ -98,18 +177,13 @@ const knownHostsTransport = function (settings = undefined, url = undefined, opt
     );
   }
 
-  const transport = nodemailer.createTransport({
+  return createTransport({
     service: settings?.service || service,
     auth: {
       user: settings?.user || user,
       pass: settings?.password || password,
     },
-  });
-
-  if (options?.encryptionKeys || options?.shouldSign) {
-    transport.use('stream', openpgpEncrypt(options));
-  }
-  return transport;
+  }, options);
 };
 EmailTest.knowHostsTransport = knownHostsTransport;
 
@@ -151,22 +225,41 @@ EmailTest.resetNextDevModeMailId = function () {
   nextDevModeMailId = 0;
 };
 
+if (canCaptureEmails()) {
+  setupCapturedEmailsPage();
+}
+
 const devModeSendAsync = function (mail, options) {
+  // Emails are listed on the development page, unless they are written to a
+  // given stream.
+  const capture = !options?.stream && canCaptureEmails();
   const stream = options?.stream || process.stdout;
   return new Promise((resolve, reject) => {
     let devModeMailId = EmailTest._getAndIncNextDevModeMailId();
 
-    // This approach does not prevent other writers to stdout from interleaving.
-    const output = ['====== BEGIN MAIL #' + devModeMailId + ' ======\n'];
-    output.push(
-      '(Mail not sent; to enable sending, set the MAIL_URL ' +
-      'environment variable.)\n'
-    );
+    const raw = [];
     const readStream = new MailComposer(mail).compile().createReadStream();
     readStream.on('data', buffer => {
-      output.push(buffer.toString());
+      raw.push(buffer.toString());
     });
     readStream.on('end', function () {
+      if (capture) {
+        const url = captureEmail(devModeMailId, mail, raw.join(''));
+        stream.write(
+          `(Mail #${devModeMailId} not sent; to enable sending, set the ` +
+            `MAIL_URL environment variable. See it at ${url})\n`,
+          () => resolve()
+        );
+        return;
+      }
+
+      // This approach does not prevent other writers to stdout from interleaving.
+      const output = ['====== BEGIN MAIL #' + devModeMailId + ' ======\n'];
+      output.push(
+        '(Mail not sent; to enable sending, set the MAIL_URL ' +
+        'environment variable.)\n'
+      );
+      output.push(...raw);
       output.push('====== END MAIL #' + devModeMailId + ' ======\n');
       stream.write(output.join(''), () => resolve());
     });
@@ -198,13 +291,74 @@ Email.hookSend = function (f) {
  */
 Email.customTransport = undefined;
 
+let outbox = null;
+
+/**
+ * @summary Queues the emails in a collection instead of sending them right
+ * away. A worker sends them, and retries failed deliveries with an exponential
+ * backoff. Requires the `mongo` package. The outbox can also be enabled with
+ * the `outbox` field of the package settings.
+ * @locus Server
+ * @param {Object|Boolean} [options] `false` to disable the outbox.
+ * @param {String} [options.collectionName] Name of the collection of queued
+ * emails. Defaults to `meteor_email_outbox`.
+ * @param {Number} [options.maxAttempts] Attempts before giving up on an email.
+ * Defaults to 5.
+ * @param {Number} [options.retryDelay] Milliseconds before the first retry,
+ * doubled after each failure. Defaults to 30 seconds.
+ * @param {Number} [options.maxRetryDelay] Maximum milliseconds between retries.
+ * Defaults to 1 hour.
+ * @param {Number} [options.pollInterval] Milliseconds between checks for
+ * emails to send. Defaults to 10 seconds.
+ * @param {Number} [options.retention] Milliseconds sent and failed emails are
+ * kept. Defaults to 7 days.
+ */
+Email.configureOutbox = function (options = {}) {
+  if (outbox) {
+    outbox.stop();
+    outbox = null;
+  }
+  if (options) {
+    outbox = createOutbox(
+      email => deliverAsync(email),
+      options === true ? {} : options
+    );
+  }
+};
+
+/**
+ * @summary Gets the delivery status of an email queued in the outbox.
+ * @locus Server
+ * @param {String} id The id `Email.sendAsync` resolved with.
+ * @returns {Promise<Object|undefined>} An object with `status` (`pending`,
+ * `sending`, `sent` or `failed`), `attempts`, `lastError`, `createdAt`,
+ * `sentAt` and `nextAttemptAt` fields.
+ */
+Email.getDeliveryStatusAsync = async function (id) {
+  if (!outbox) {
+    throw new Error('The email outbox is not enabled');
+  }
+  return outbox.getStatus(id);
+};
+
+Meteor.startup(() => {
+  const outboxSettings = Meteor.settings.packages?.email?.outbox;
+  if (outboxSettings && !outbox) {
+    Email.configureOutbox(outboxSettings);
+  }
+});
+
 /**
  * @summary Send an email with asyncronous method. Capture  Throws an `Error` on failure to contact mail server
  * or if mail server returns an error. All fields should match
  * [RFC5322](http://tools.ietf.org/html/rfc5322) specification.
  *
  * If the `MAIL_URL` environment variable is set, actually sends the email.
- * Otherwise, prints the contents of the email to standard out.
+ * Otherwise, prints the contents of the email to standard out, or in
+ * development, lists it at `/__meteor__/emails`.
+ *
+ * If the outbox is enabled with `Email.configureOutbox`, queues the email
+ * instead, and resolves with its id in the outbox.
  *
  * Note that this package is based on **nodemailer**, so make sure to refer to
  * [the documentation](http://nodemailer.com/)
@@ -243,13 +397,22 @@ Email.sendAsync = async function (options) {
     return;
   }
 
+  if (outbox && !options.mailComposer) {
+    const { stream, ...fields } = email;
+    return outbox.enqueue(fields);
+  }
+
+  return deliverAsync(email, options);
+};
+
+const deliverAsync = async function (email, options) {
   if (Email.customTransport) {
     const packageSettings = Meteor.settings.packages?.email || {};
     return Email.customTransport({ packageSettings, ...email });
   }
 
   const mailUrlEnv = process.env.MAIL_URL;
-  const mailUrlSettings = Meteor.settings.packages?.email;
+  const mailUrlSettings = Meteor.settings.packages?.email?.service;
 
   if (Meteor.isProduction && !mailUrlEnv && !mailUrlSettings) {
     // This check is mostly necessary when using the flag --production when running locally.
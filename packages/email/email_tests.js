@@ -1,4 +1,13 @@
 import { Email } from 'meteor/email';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  canCaptureEmails,
+  captureEmail,
+  capturedEmailsHandler,
+} from './captured_emails';
 import { smokeEmailTest } from './email_test_helpers';
 import { TEST_CASES } from './email_tests_data';
 
@@ -230,3 +239,175 @@ Tinytest.addAsync(
     Email.customTransport = undefined;
   }
 );
+
+Tinytest.addAsync('email - MAIL_URL schemes', async function (test) {
+  const previousMailUrl = process.env.MAIL_URL;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'meteor-email-'));
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 1024,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+  const email = {
+    from: 'foo@example.com',
+    to: 'bar@example.com',
+    subject: 'This is the subject',
+    text: 'This is the body',
+  };
+
+  try {
+    // file:// writes .eml files, signed with the DKIM settings.
+    Meteor.settings.packages = {
+      email: {
+        dkim: { domainName: 'example.com', keySelector: 'test', privateKey },
+      },
+    };
+    process.env.MAIL_URL = `file://${directory}`;
+    const info = await Email.sendAsync(email);
+    test.equal(fs.readdirSync(directory), [path.basename(info.path)]);
+    const message = fs.readFileSync(info.path, 'utf8');
+    test.matches(message, /^DKIM-Signature: v=1; a=rsa-sha256;[\s\S]*d=example.com;/);
+    test.matches(message, /^Subject: This is the subject\r$/m);
+    Meteor.settings.packages = undefined;
+
+    // json:// resolves with the email.
+    process.env.MAIL_URL = 'json://';
+    const { message: json } = await Email.sendAsync(email);
+    test.equal(JSON.parse(json).subject, 'This is the subject');
+
+    process.env.MAIL_URL = 'ftp://example.com';
+    await test.throwsAsync(
+      () => Email.sendAsync(email),
+      /must be 'smtp', 'smtps', 'sendmail', 'file' or 'json'/
+    );
+  } finally {
+    Meteor.settings.packages = undefined;
+    if (previousMailUrl === undefined) {
+      delete process.env.MAIL_URL;
+    } else {
+      process.env.MAIL_URL = previousMailUrl;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+Tinytest.addAsync('email - outbox retries failed deliveries', async function (test) {
+  const waitForStatus = async (id, status) => {
+    for (let i = 0; i < 100; i++) {
+      const delivery = await Email.getDeliveryStatusAsync(id);
+      if (delivery.status === status) {
+        return delivery;
+      }
+      await Meteor._sleepForMs(20);
+    }
+    throw new Error(`Email ${id} is not ${status}`);
+  };
+
+  let calls = 0;
+  let failures = 1;
+  Email.customTransport = (options) => {
+    calls++;
+    test.equal(options.from, 'foo@example.com');
+    if (failures-- > 0) {
+      throw new Error('Mail server is down');
+    }
+  };
+  Email.configureOutbox({
+    collectionName: 'email_outbox_test',
+    maxAttempts: 2,
+    retryDelay: 10,
+    pollInterval: 20,
+  });
+
+  try {
+    // The email is queued, and retried after failing.
+    let id = await Email.sendAsync({
+      from: 'foo@example.com',
+      to: 'bar@example.com',
+      text: 'Hello',
+    });
+    test.isTrue(typeof id === 'string');
+    let delivery = await waitForStatus(id, 'sent');
+    test.equal(calls, 2);
+    test.equal(delivery.attempts, 2);
+    test.isTrue(delivery.sentAt instanceof Date);
+
+    // It's given up on after maxAttempts.
+    failures = 2;
+    id = await Email.sendAsync({
+      from: 'foo@example.com',
+      to: 'bar@example.com',
+      text: 'Hello',
+    });
+    delivery = await waitForStatus(id, 'failed');
+    test.equal(calls, 4);
+    test.equal(delivery.attempts, 2);
+    test.equal(delivery.lastError, 'Mail server is down');
+  } finally {
+    Email.configureOutbox(false);
+    Email.customTransport = undefined;
+  }
+});
+
+Tinytest.addAsync('email - captured emails page', async function (test) {
+  // Emails are only captured in development, when they aren't sent.
+  if (process.env.MAIL_URL || !canCaptureEmails()) return;
+
+  // Requests the page, which either responds or passes the request on.
+  const request = url =>
+    new Promise(resolve => {
+      const response = {};
+      capturedEmailsHandler(
+        { url },
+        {
+          writeHead(status, headers) {
+            response.status = status;
+            response.contentType = headers['Content-Type'];
+          },
+          end(body) {
+            response.body = body;
+            resolve(response);
+          },
+        },
+        () => resolve(null)
+      );
+    });
+
+  const url = captureEmail(
+    1000,
+    {
+      to: [{ name: 'Bar', address: 'bar@example.com' }],
+      subject: 'Hello <there>',
+      html: '<p>Hello</p>',
+    },
+    'Subject: Hello <there>\r\n\r\nHello'
+  );
+  test.equal(url, Meteor.absoluteUrl('__meteor__/emails/1000'));
+
+  // Emails sent in development without a stream are captured too.
+  await Email.sendAsync({
+    from: 'foo@example.com',
+    to: 'baz@example.com',
+    subject: 'Sent in development',
+    text: 'Hi',
+  });
+
+  const index = await request('/');
+  test.equal(index.status, 200);
+  test.equal(index.contentType, 'text/html; charset=utf-8');
+  test.include(index.body, '<a href="/__meteor__/emails/1000">#1000</a>');
+  test.include(index.body, 'bar@example.com');
+  test.include(index.body, 'Hello &lt;there&gt;');
+  test.include(index.body, 'Sent in development');
+  test.include(index.body, 'baz@example.com');
+
+  const html = await request('/1000');
+  test.equal(html.contentType, 'text/html; charset=utf-8');
+  test.equal(html.body, '<p>Hello</p>');
+
+  const raw = await request('/1000?format=raw');
+  test.equal(raw.contentType, 'text/plain; charset=utf-8');
+  test.equal(raw.body, 'Subject: Hello <there>\r\n\r\nHello');
+
+  test.isNull(await request('/1001000'));
+});
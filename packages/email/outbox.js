@@ -0,0 +1,183 @@
+import { Meteor } from 'meteor/meteor';
+import { Log } from 'meteor/logging';
+
+const OUTBOX_DEFAULTS = {
+  collectionName: 'meteor_email_outbox',
+  maxAttempts: 5,
+  retryDelay: 30 * 1000,
+  maxRetryDelay: 60 * 60 * 1000,
+  pollInterval: 10 * 1000,
+  // How long an instance can take to deliver a message before another one
+  // considers it crashed and tries again.
+  lockDuration: 5 * 60 * 1000,
+  // How long sent and failed messages are kept.
+  retention: 7 * 24 * 60 * 60 * 1000,
+  batchSize: 20,
+};
+
+// Mongo.Collection can only be created once per name, so reconfiguring the
+// outbox reuses them.
+const collections = {};
+
+const getCollection = function (name) {
+  if (!collections[name]) {
+    if (!Package.mongo) {
+      throw new Error('The email outbox requires the mongo package');
+    }
+    const collection = new Package.mongo.Mongo.Collection(name, {
+      _preventAutopublish: true,
+      defineMutationMethods: false,
+    });
+    collection
+      .createIndexAsync({ status: 1, nextAttemptAt: 1 })
+      .catch(e => Log.error(`Email outbox: ${e.message}`));
+    collection
+      .createIndexAsync({ expireAt: 1 }, { expireAfterSeconds: 0 })
+      .catch(e => Log.error(`Email outbox: ${e.message}`));
+    collections[name] = collection;
+  }
+  return collections[name];
+};
+
+/**
+ * Creates a persistent queue of emails, delivered by a worker polling the
+ * queue and retrying failed deliveries with an exponential backoff. Messages
+ * are claimed before delivery, so several instances can share the queue.
+ * @param {Function} deliver Sends an email, given its options.
+ * @param {Object} [options] Overrides of OUTBOX_DEFAULTS.
+ * @returns {Object} The outbox, with enqueue, getStatus, processQueue and
+ * stop functions.
+ */
+export const createOutbox = function (deliver, options = {}) {
+  const config = { ...OUTBOX_DEFAULTS, ...options };
+  const collection = getCollection(config.collectionName);
+
+  const retryDelay = attempts =>
+    Math.min(config.retryDelay * 2 ** (attempts - 1), config.maxRetryDelay);
+
+  const attempt = async function (message) {
+    const attempts = message.attempts + 1;
+    const claimed = await collection.updateAsync(
+      {
+        _id: message._id,
+        status: message.status,
+        attempts: message.attempts,
+        lockedUntil: message.lockedUntil || null,
+      },
+      {
+        $set: {
+          status: 'sending',
+          lockedUntil: new Date(Date.now() + config.lockDuration),
+        },
+      }
+    );
+    if (!claimed) {
+      // Another instance is delivering it.
+      return;
+    }
+
+    try {
+      await deliver(message.email);
+      await collection.updateAsync(message._id, {
+        $set: {
+          status: 'sent',
+          attempts,
+          sentAt: new Date(),
+          expireAt: new Date(Date.now() + config.retention),
+        },
+        $unset: { lockedUntil: 1, nextAttemptAt: 1 },
+      });
+    } catch (e) {
+      const failed = attempts >= config.maxAttempts;
+      Log.warn(
+        `Email outbox: delivery of ${message._id} failed (attempt ` +
+          `${attempts} of ${config.maxAttempts}): ${e.message}`
+      );
+      await collection.updateAsync(message._id, {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          attempts,
+          lastError: e.message,
+          ...(failed
+            ? { expireAt: new Date(Date.now() + config.retention) }
+            : { nextAttemptAt: new Date(Date.now() + retryDelay(attempts)) }),
+        },
+        $unset: failed
+          ? { lockedUntil: 1, nextAttemptAt: 1 }
+          : { lockedUntil: 1 },
+      });
+    }
+  };
+
+  let processing = false;
+  let processAgain = false;
+
+  const processQueue = async function () {
+    if (processing) {
+      processAgain = true;
+      return;
+    }
+    processing = true;
+    try {
+      do {
+        processAgain = false;
+        const now = new Date();
+        const messages = await collection
+          .find(
+            {
+              $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lte: now } },
+              ],
+            },
+            { sort: { nextAttemptAt: 1 }, limit: config.batchSize }
+          )
+          .fetchAsync();
+        for (const message of messages) {
+          await attempt(message);
+        }
+        processAgain = processAgain || messages.length === config.batchSize;
+      } while (processAgain);
+    } catch (e) {
+      Log.error(`Email outbox: ${e.message}`);
+    } finally {
+      processing = false;
+    }
+  };
+
+  const interval = Meteor.setInterval(processQueue, config.pollInterval);
+
+  return {
+    async enqueue(email) {
+      const now = new Date();
+      const id = await collection.insertAsync({
+        email,
+        status: 'pending',
+        attempts: 0,
+        createdAt: now,
+        nextAttemptAt: now,
+      });
+      Meteor.defer(processQueue);
+      return id;
+    },
+
+    async getStatus(id) {
+      return collection.findOneAsync(id, {
+        projection: {
+          status: 1,
+          attempts: 1,
+          lastError: 1,
+          createdAt: 1,
+          sentAt: 1,
+          nextAttemptAt: 1,
+        },
+      });
+    },
+
+    processQueue,
+
+    stop() {
+      Meteor.clearInterval(interval);
+    },
+  };
+};
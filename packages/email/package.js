@@ -12,6 +12,9 @@ Npm.depends({
 
 Package.onUse(function (api) {
   api.use(["ecmascript", "logging", "callback-hook"], "server");
+  // The outbox stores queued emails in a collection, and emails captured in
+  // development are listed on a page, if these packages are loaded.
+  api.use(["mongo", "webapp"], "server", { weak: true });
   api.addAssets("email.d.ts", "server");
   api.mainModule("email.js", "server");
   api.export(["Email", "EmailInternals"], "server");
@@ -20,6 +23,6 @@ Package.onUse(function (api) {
 
 Package.onTest(function (api) {
   api.use("email", "server");
-  api.use(["tinytest", "ecmascript"]);
+  api.use(["tinytest", "ecmascript", "mongo", "webapp"]);
   api.addFiles("email_tests.js", "server");
 });
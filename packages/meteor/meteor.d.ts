@@ -1,6 +1,7 @@
 import { Mongo } from 'meteor/mongo';
 import { EJSONable, EJSONableProperty } from 'meteor/ejson';
 import { DDP } from 'meteor/ddp';
+import { Match } from 'meteor/check';
 
 export type global_Error = Error;
 
@@ -140,6 +141,11 @@ export namespace Meteor {
      * Access inside a method invocation. The connection that this method was received on. `null` if the method is not associated with a connection, eg. a server initiated method call. Calls
      * to methods made from a server method which was in turn initiated from the client share the same `connection`. */
     connection: Connection | null;
+    /**
+     * Access inside a method invocation. Aborted when the client cancels the method call or disconnects, so that long-running code can stop early.
+     * Calls to methods made from a server method share its `signal`. Never aborted in stubs.
+     */
+    signal: AbortSignal;
     /**
      * Set the logged in user.
      * @param userId The value that should be returned by `userId` on this connection.
@@ -147,6 +153,12 @@ export namespace Meteor {
     setUserId(userId: string | null): void;
     /** Call inside a method invocation. Allow subsequent method from this client to begin running in a new fiber. */
     unblock(): void;
+    /**
+     * Call inside a method invocation. Stream a chunk of the result to the client, which reads the chunks by iterating the result of `Meteor.callAsync`.
+     * Returns a promise resolved once the chunk is sent.
+     * @param chunk The chunk of the result.
+     */
+    emit(chunk: EJSONable | EJSONableProperty): Promise<void>;
   }
 
   /**
@@ -157,6 +169,60 @@ export namespace Meteor {
     [key: string]: (this: MethodThisType, ...args: any[]) => any;
   }): void;
 
+  /** The types of the values matching each pattern of a tuple of patterns. */
+  type PatternsMatch<Patterns> = {
+    [K in keyof Patterns]: Patterns[K] extends Match.Pattern
+      ? Match.PatternMatch<Patterns[K]>
+      : never;
+  };
+
+  interface MethodDefinition<
+    Args extends [] | Match.Pattern[] = Match.Pattern[],
+    Returns extends Match.Pattern = any
+  > {
+    /** Name of the method. */
+    name: string;
+    /** The pattern of each argument of the method. Calls with more arguments fail. */
+    args?: Args | undefined;
+    /** The pattern of the result of the method, checked on the server. */
+    returns?: Returns | undefined;
+    /** The method, called with its arguments. */
+    run(this: MethodThisType, ...args: PatternsMatch<Args>): any;
+  }
+
+  /**
+   * Defines a method like `Meteor.methods`, with patterns for its arguments and result. The arguments are checked before `run` is called.
+   * @param definition The definition of the method.
+   */
+  function defineMethod<
+    Args extends [] | Match.Pattern[] = [],
+    Returns extends Match.Pattern = any
+  >(
+    definition: MethodDefinition<Args, Returns>
+  ): MethodDefinition<Args, Returns>;
+
+  /**
+   * The methods defined with `Meteor.defineMethod`, by name, with the types of their arguments and result. Declared by the declaration generated with
+   * `Meteor.server.generateTypeDeclaration()`, to type the calls of `Meteor.callAsync`.
+   */
+  interface DefinedMethods {}
+
+  /**
+   * The publications defined with `Meteor.definePublication`, by name, with the types of their arguments. Declared by the declaration generated with
+   * `Meteor.server.generateTypeDeclaration()`, to type the calls of `Meteor.subscribe`.
+   */
+  interface DefinedPublications {}
+
+  type DefinedArgs<Definition> = Definition extends { args: infer Args }
+    ? Args extends any[]
+      ? Args
+      : any[]
+    : any[];
+
+  type DefinedResult<Definition> = Definition extends { returns: infer Result }
+    ? Result
+    : any;
+
   /**
    * Invokes a method with a sync stub, passing any number of arguments.
    * @param name Name of method to invoke
@@ -169,7 +235,14 @@ export namespace Meteor {
    * @param name Name of method to invoke
    * @param args Optional method arguments
    */
-  function callAsync(name: string, ...args: any[]): Promise<any>;
+  function callAsync<Name extends keyof DefinedMethods>(
+    name: Name,
+    ...args: DefinedArgs<DefinedMethods[Name]>
+  ): Promise<DefinedResult<DefinedMethods[Name]>> & AsyncIterable<any>;
+  function callAsync(
+    name: string,
+    ...args: any[]
+  ): Promise<any> & AsyncIterable<any>;
 
   interface MethodApplyOptions<
     Result extends
@@ -203,6 +276,14 @@ export namespace Meteor {
      * (Client only) If true, exceptions thrown by method stubs will be thrown instead of logged, and the method will not be invoked on the server.
      */
     throwStubExceptions?: boolean | undefined;
+    /**
+     * (Client only) Aborting this signal cancels the method call: it fails right away with the reason of the signal, and the server aborts the method's `this.signal`.
+     */
+    signal?: AbortSignal | undefined;
+    /**
+     * (Client only) If set, cancel the method call if it didn't complete within this many milliseconds, with a `method-timeout` error.
+     */
+    timeoutMs?: number | undefined;
   }
 
   /**
@@ -249,7 +330,7 @@ export namespace Meteor {
       error: global_Error | Meteor.Error | undefined,
       result?: Result
     ) => void
-  ): Promise<Result>;
+  ): Promise<Result> & AsyncIterable<any>;
   /** Method **/
 
   /** Url **/
@@ -410,6 +491,13 @@ export namespace Meteor {
     callback?: (error?: global_Error | Meteor.Error | Meteor.TypedError) => void
   ): void;
 
+  function loginWithPasskey(
+    options?: {
+      selector?: { username: string } | { email: string } | { id: string } | string;
+    },
+    callback?: (error?: global_Error | Meteor.Error | Meteor.TypedError) => void
+  ): void;
+
   function loginWithToken(
     token: string,
     callback?: (error?: global_Error | Meteor.Error | Meteor.TypedError) => void
@@ -452,6 +540,10 @@ export namespace Meteor {
    * argument to `onStop`. If a function is passed instead of an object, it
    * is interpreted as an `onReady` callback.
    */
+  function subscribe<Name extends keyof DefinedPublications>(
+    name: Name,
+    ...args: DefinedArgs<DefinedPublications[Name]>
+  ): Meteor.SubscriptionHandle;
   function subscribe(name: string, ...args: any[]): Meteor.SubscriptionHandle;
   /** Pub/Sub **/
 }
@@ -488,6 +580,32 @@ export namespace Meteor {
     options?: { is_auto: boolean }
   ): void;
 
+  interface PublicationDefinition<
+    Args extends [] | Match.Pattern[] = Match.Pattern[]
+  > {
+    /** Name of the record set. */
+    name: string;
+    /** The pattern of each argument of the publication. Subscriptions with more arguments fail. */
+    args?: Args | undefined;
+    /** The publish function, called with the arguments of the subscription. */
+    run(
+      this: Subscription,
+      ...args: PatternsMatch<Args>
+    ):
+      | void
+      | Mongo.Cursor<any>
+      | Mongo.Cursor<any>[]
+      | Promise<void | Mongo.Cursor<any> | Mongo.Cursor<any>[]>;
+  }
+
+  /**
+   * Publishes a record set like `Meteor.publish`, with patterns for its arguments. The arguments are checked before `run` is called.
+   * @param definition The definition of the publication.
+   */
+  function definePublication<Args extends [] | Match.Pattern[] = []>(
+    definition: PublicationDefinition<Args>
+  ): PublicationDefinition<Args>;
+
   function _debug(...args: any[]): void;
 }
 
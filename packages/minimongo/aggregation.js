@@ -0,0 +1,695 @@
+import { hasOwn } from './common.js';
+
+// An implementation of the aggregation framework over plain documents. It
+// supports the stages and expressions that are the most commonly used, with
+// the semantics of MongoDB as long as the inputs have the expected types.
+//
+// Stages are functions taking the array of input documents and returning the
+// array of output documents. They never modify their input documents.
+
+// Returns the value at `path` (an array of keys) in `value`. As in MongoDB,
+// traversing an array maps the rest of the path over its elements.
+const getFieldPath = (value, path) => {
+  if (!path.length) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .filter(element => element !== null && typeof element === 'object')
+      .map(element => getFieldPath(element, path))
+      .filter(element => element !== undefined);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return undefined;
+  }
+
+  return getFieldPath(value[path[0]], path.slice(1));
+};
+
+const setFieldPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (object[key] === null || typeof object[key] !== 'object' ||
+        Array.isArray(object[key])) {
+      object[key] = {};
+    }
+
+    return object[key];
+  }, doc);
+
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+};
+
+export const isTruthy = value =>
+  value !== undefined && value !== null && value !== false && value !== 0;
+
+const isNullish = value => value === undefined || value === null;
+
+const isOperatorExpression = expression =>
+  LocalCollection._isPlainObject(expression) &&
+  Object.keys(expression).length === 1 &&
+  Object.keys(expression)[0][0] === '$';
+
+// Evaluates an aggregation expression against `doc`. `variables` holds the
+// values of the `$$` variables, including ROOT and CURRENT.
+export function evaluateExpression(expression, doc, variables = {}) {
+  variables = Object.assign({ ROOT: doc, CURRENT: doc }, variables);
+  return evaluate(expression, doc, variables);
+}
+
+const evaluate = (expression, doc, variables) => {
+  if (typeof expression === 'string' && expression[0] === '$') {
+    if (expression[1] === '$') {
+      const [name, ...path] = expression.slice(2).split('.');
+      if (name === 'REMOVE') {
+        return undefined;
+      }
+
+      if (!hasOwn.call(variables, name)) {
+        throw MinimongoError(`Use of undefined variable: ${name}`);
+      }
+
+      return getFieldPath(variables[name], path);
+    }
+
+    return getFieldPath(doc, expression.slice(1).split('.'));
+  }
+
+  if (Array.isArray(expression)) {
+    return expression.map(element => evaluate(element, doc, variables));
+  }
+
+  if (!LocalCollection._isPlainObject(expression)) {
+    return expression;
+  }
+
+  if (isOperatorExpression(expression)) {
+    const operator = Object.keys(expression)[0];
+    if (!hasOwn.call(EXPRESSION_OPERATORS, operator)) {
+      throw MinimongoError(`Unrecognized expression operator: ${operator}`);
+    }
+
+    return EXPRESSION_OPERATORS[operator](
+      expression[operator],
+      operand => evaluate(operand, doc, variables),
+      doc,
+      variables
+    );
+  }
+
+  const result = {};
+  Object.keys(expression).forEach(key => {
+    const value = evaluate(expression[key], doc, variables);
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  });
+
+  return result;
+};
+
+// Most operators take an array of arguments, but accept a single one as is.
+const argumentsOf = (operands, evaluateOperand) =>
+  (Array.isArray(operands) ? operands : [operands]).map(evaluateOperand);
+
+const arithmetic = compute => (operands, evaluateOperand) => {
+  const values = argumentsOf(operands, evaluateOperand);
+  if (values.some(isNullish)) {
+    return null;
+  }
+
+  return compute(...values);
+};
+
+const comparison = predicate => (operands, evaluateOperand) => {
+  const [a, b] = argumentsOf(operands, evaluateOperand);
+  return predicate(LocalCollection._f._cmp(a ?? null, b ?? null));
+};
+
+// Accumulators applied to a list of values, as expressions.
+const listAccumulator = name => (operands, evaluateOperand) => {
+  let values = argumentsOf(operands, evaluateOperand);
+  if (!Array.isArray(operands) && Array.isArray(values[0])) {
+    values = values[0];
+  }
+
+  const accumulator = ACCUMULATORS[name];
+  const state = accumulator.init();
+  values.forEach(value => accumulator.step(state, value));
+  return accumulator.result(state);
+};
+
+const arrayLoop = compute => (operands, evaluateOperand, doc, variables) => {
+  const input = evaluateOperand(operands.input);
+  if (isNullish(input)) {
+    return null;
+  }
+
+  if (!Array.isArray(input)) {
+    throw MinimongoError('input to $map or $filter must be an array');
+  }
+
+  const name = operands.as || 'this';
+  return compute(input, (element, expression) =>
+    evaluate(expression, doc, Object.assign({}, variables, { [name]: element }))
+  );
+};
+
+export const EXPRESSION_OPERATORS = {
+  $literal: operand => operand,
+
+  $add: arithmetic((...values) => {
+    const date = values.find(value => value instanceof Date);
+    const sum = values.reduce((total, value) => total + +value, 0);
+    return date ? new Date(sum) : sum;
+  }),
+  $subtract: arithmetic((a, b) => {
+    if (a instanceof Date && b instanceof Date) {
+      return a - b;
+    }
+
+    return a instanceof Date ? new Date(a - b) : a - b;
+  }),
+  $multiply: arithmetic((...values) =>
+    values.reduce((product, value) => product * value, 1)
+  ),
+  $divide: arithmetic((a, b) => {
+    if (b === 0) {
+      throw MinimongoError("can't $divide by zero");
+    }
+
+    return a / b;
+  }),
+  $mod: arithmetic((a, b) => a % b),
+  $abs: arithmetic(Math.abs),
+  $ceil: arithmetic(Math.ceil),
+  $floor: arithmetic(Math.floor),
+
+  $eq: comparison(result => result === 0),
+  $ne: comparison(result => result !== 0),
+  $gt: comparison(result => result > 0),
+  $gte: comparison(result => result >= 0),
+  $lt: comparison(result => result < 0),
+  $lte: comparison(result => result <= 0),
+  $cmp: comparison(result => Math.sign(result)),
+
+  $and: (operands, evaluateOperand) =>
+    argumentsOf(operands, evaluateOperand).every(isTruthy),
+  $or: (operands, evaluateOperand) =>
+    argumentsOf(operands, evaluateOperand).some(isTruthy),
+  $not: (operands, evaluateOperand) =>
+    !isTruthy(argumentsOf(operands, evaluateOperand)[0]),
+
+  $cond: (operands, evaluateOperand) => {
+    const [condition, then, otherwise] = Array.isArray(operands)
+      ? operands
+      : [operands.if, operands.then, operands.else];
+    return evaluateOperand(isTruthy(evaluateOperand(condition)) ? then : otherwise);
+  },
+  $ifNull: (operands, evaluateOperand) => {
+    for (const operand of operands) {
+      const value = evaluateOperand(operand);
+      if (!isNullish(value)) {
+        return value;
+      }
+    }
+
+    return null;
+  },
+  $switch: (operands, evaluateOperand) => {
+    const branch = operands.branches.find(({ case: condition }) =>
+      isTruthy(evaluateOperand(condition))
+    );
+    if (branch) {
+      return evaluateOperand(branch.then);
+    }
+
+    if (!hasOwn.call(operands, 'default')) {
+      throw MinimongoError('$switch could not find a matching branch for an input, and no default was specified.');
+    }
+
+    return evaluateOperand(operands.default);
+  },
+
+  $concat: arithmetic((...values) => values.join('')),
+  $toLower: arithmetic(value => String(value).toLowerCase()),
+  $toUpper: arithmetic(value => String(value).toUpperCase()),
+  $strLenCP: (operands, evaluateOperand) =>
+    [...argumentsOf(operands, evaluateOperand)[0]].length,
+
+  $size: (operands, evaluateOperand) => {
+    const value = argumentsOf(operands, evaluateOperand)[0];
+    if (!Array.isArray(value)) {
+      throw MinimongoError('The argument to $size must be an array');
+    }
+
+    return value.length;
+  },
+  $isArray: (operands, evaluateOperand) =>
+    Array.isArray(argumentsOf(operands, evaluateOperand)[0]),
+  $arrayElemAt: arithmetic((array, index) =>
+    index < 0 ? array[array.length + index] : array[index]
+  ),
+  $concatArrays: arithmetic((...arrays) => [].concat(...arrays)),
+  $in: (operands, evaluateOperand) => {
+    const [value, array] = argumentsOf(operands, evaluateOperand);
+    if (!Array.isArray(array)) {
+      throw MinimongoError('$in requires an array as a second argument');
+    }
+
+    return array.some(element => LocalCollection._f._equal(element, value));
+  },
+  $map: (operands, ...rest) => arrayLoop((input, evaluateWith) =>
+    input.map(element => evaluateWith(element, operands.in))
+  )(operands, ...rest),
+  $filter: (operands, ...rest) => arrayLoop((input, evaluateWith) =>
+    input.filter(element => isTruthy(evaluateWith(element, operands.cond)))
+  )(operands, ...rest),
+
+  $sum: listAccumulator('$sum'),
+  $avg: listAccumulator('$avg'),
+  $min: listAccumulator('$min'),
+  $max: listAccumulator('$max'),
+};
+
+// Accumulators of the $group stage. The state is created by init(), updated
+// with each value by step() and turned into the output value by result().
+export const ACCUMULATORS = {
+  $sum: {
+    init: () => ({ total: 0 }),
+    step(state, value) {
+      if (typeof value === 'number') {
+        state.total += value;
+      }
+    },
+    result: state => state.total,
+  },
+  $avg: {
+    init: () => ({ total: 0, count: 0 }),
+    step(state, value) {
+      if (typeof value === 'number') {
+        state.total += value;
+        state.count++;
+      }
+    },
+    result: state => state.count ? state.total / state.count : null,
+  },
+  $min: {
+    init: () => ({}),
+    step(state, value) {
+      if (!isNullish(value) && (!hasOwn.call(state, 'value') ||
+          LocalCollection._f._cmp(value, state.value) < 0)) {
+        state.value = value;
+      }
+    },
+    result: state => hasOwn.call(state, 'value') ? state.value : null,
+  },
+  $max: {
+    init: () => ({}),
+    step(state, value) {
+      if (!isNullish(value) && (!hasOwn.call(state, 'value') ||
+          LocalCollection._f._cmp(value, state.value) > 0)) {
+        state.value = value;
+      }
+    },
+    result: state => hasOwn.call(state, 'value') ? state.value : null,
+  },
+  $first: {
+    init: () => ({}),
+    step(state, value) {
+      if (!hasOwn.call(state, 'value')) {
+        state.value = value ?? null;
+      }
+    },
+    result: state => hasOwn.call(state, 'value') ? state.value : null,
+  },
+  $last: {
+    init: () => ({ value: null }),
+    step(state, value) {
+      state.value = value ?? null;
+    },
+    result: state => state.value,
+  },
+  $push: {
+    init: () => ({ values: [] }),
+    step(state, value) {
+      if (value !== undefined) {
+        state.values.push(value);
+      }
+    },
+    result: state => state.values,
+  },
+  $addToSet: {
+    init: () => ({ values: [] }),
+    step(state, value) {
+      if (value !== undefined && !state.values.some(element =>
+          LocalCollection._f._equal(element, value))) {
+        state.values.push(value);
+      }
+    },
+    result: state => state.values,
+  },
+  $count: {
+    init: () => ({ count: 0 }),
+    step(state) {
+      state.count++;
+    },
+    result: state => state.count,
+  },
+};
+
+// Turns {a: {b: 1}} into {'a.b': 1}, leaving expressions alone.
+const flattenSpecification = (specification, prefix = '', result = {}) => {
+  Object.keys(specification).forEach(key => {
+    const value = specification[key];
+    const path = prefix + key;
+    if (LocalCollection._isPlainObject(value) && !isOperatorExpression(value) &&
+        Object.keys(value).length) {
+      flattenSpecification(value, `${path}.`, result);
+    } else {
+      result[path] = value;
+    }
+  });
+
+  return result;
+};
+
+const isProjectionFlag = value =>
+  typeof value === 'boolean' || typeof value === 'number';
+
+const compileProject = specification => {
+  if (!LocalCollection._isPlainObject(specification) ||
+      !Object.keys(specification).length) {
+    throw MinimongoError('$project specification must be a non-empty object');
+  }
+
+  const fields = flattenSpecification(specification);
+  const paths = Object.keys(fields);
+
+  // Without computed fields, this is the same as a find() projection.
+  if (paths.every(path => isProjectionFlag(fields[path]))) {
+    const projection = {};
+    paths.forEach(path => {
+      projection[path] = !!fields[path];
+    });
+
+    return LocalCollection._compileProjection(projection);
+  }
+
+  const included = [];
+  const computed = [];
+  let includeId = true;
+  paths.forEach(path => {
+    const value = fields[path];
+    if (!isProjectionFlag(value)) {
+      computed.push(path);
+    } else if (path === '_id') {
+      includeId = !!value;
+    } else if (value) {
+      included.push(path);
+    } else {
+      throw MinimongoError(`Invalid $project: cannot exclude ${path} in inclusion projection`);
+    }
+  });
+
+  let copyIncluded;
+  if (included.length) {
+    const projection = { _id: includeId };
+    included.forEach(path => {
+      projection[path] = true;
+    });
+    copyIncluded = LocalCollection._compileProjection(projection);
+  } else {
+    copyIncluded = doc =>
+      includeId && hasOwn.call(doc, '_id') ? { _id: doc._id } : {};
+  }
+
+  return doc => {
+    const result = copyIncluded(doc);
+    computed.forEach(path => {
+      setFieldPath(result, path, evaluateExpression(fields[path], doc));
+    });
+
+    return result;
+  };
+};
+
+const compileAddFields = specification => {
+  const fields = flattenSpecification(specification);
+  return doc => {
+    const result = EJSON.clone(doc);
+    Object.keys(fields).forEach(path => {
+      setFieldPath(result, path, evaluateExpression(fields[path], doc));
+    });
+
+    return result;
+  };
+};
+
+const STAGES = {
+  $match(specification, context) {
+    const matcher = new Minimongo.Matcher(specification);
+    if (matcher.hasTextSearch()) {
+      context.textMatcher = matcher;
+    }
+
+    return docs => docs.filter(doc => matcher.documentMatches(doc).result);
+  },
+
+  $project(specification) {
+    const project = compileProject(specification);
+    return docs => docs.map(project);
+  },
+
+  $addFields(specification) {
+    const addFields = compileAddFields(specification);
+    return docs => docs.map(addFields);
+  },
+
+  $set(specification) {
+    return STAGES.$addFields(specification);
+  },
+
+  $unset(specification) {
+    const projection = {};
+    [].concat(specification).forEach(path => {
+      if (typeof path !== 'string') {
+        throw MinimongoError('$unset specification must be a string or an array of strings');
+      }
+
+      projection[path] = false;
+    });
+
+    const project = LocalCollection._compileProjection(projection);
+    return docs => docs.map(project);
+  },
+
+  $group(specification) {
+    if (!LocalCollection._isPlainObject(specification) ||
+        !hasOwn.call(specification, '_id')) {
+      throw MinimongoError('a group specification must include an _id');
+    }
+
+    const fields = Object.keys(specification).filter(key => key !== '_id');
+    const accumulators = fields.map(field => {
+      const accumulation = specification[field];
+      if (!isOperatorExpression(accumulation)) {
+        throw MinimongoError(`The field '${field}' must be an accumulator object`);
+      }
+
+      const name = Object.keys(accumulation)[0];
+      if (!hasOwn.call(ACCUMULATORS, name)) {
+        throw MinimongoError(`unknown group operator '${name}'`);
+      }
+
+      return {
+        field,
+        accumulator: ACCUMULATORS[name],
+        expression: accumulation[name],
+      };
+    });
+
+    return docs => {
+      const groups = new Map();
+      docs.forEach(doc => {
+        const id = evaluateExpression(specification._id, doc) ?? null;
+        const key = EJSON.stringify(id, { canonical: true });
+        let group = groups.get(key);
+        if (!group) {
+          group = {
+            id,
+            states: accumulators.map(({ accumulator }) => accumulator.init()),
+          };
+          groups.set(key, group);
+        }
+
+        accumulators.forEach(({ accumulator, expression }, index) => {
+          accumulator.step(group.states[index], evaluateExpression(expression, doc));
+        });
+      });
+
+      return [...groups.values()].map(({ id, states }) => {
+        const result = { _id: id };
+        accumulators.forEach(({ field, accumulator }, index) => {
+          result[field] = accumulator.result(states[index]);
+        });
+
+        return result;
+      });
+    };
+  },
+
+  $sort(specification, context) {
+    const sorter = new Minimongo.Sorter(specification);
+    if (context.textMatcher) {
+      sorter._useTextScoresFrom(context.textMatcher);
+    }
+
+    const comparator = sorter.getComparator();
+    return docs => docs.slice().sort(comparator);
+  },
+
+  $limit(specification) {
+    if (typeof specification !== 'number' || specification <= 0) {
+      throw MinimongoError('the limit must be positive');
+    }
+
+    return docs => docs.slice(0, specification);
+  },
+
+  $skip(specification) {
+    if (typeof specification !== 'number' || specification < 0) {
+      throw MinimongoError('the skip must not be negative');
+    }
+
+    return docs => docs.slice(specification);
+  },
+
+  $unwind(specification) {
+    const {
+      path,
+      includeArrayIndex,
+      preserveNullAndEmptyArrays = false,
+    } = typeof specification === 'string' ? { path: specification } : specification;
+
+    if (typeof path !== 'string' || path[0] !== '$') {
+      throw MinimongoError('$unwind path must be prefixed by a $');
+    }
+
+    const field = path.slice(1);
+    const fieldPath = field.split('.');
+    const unwound = (doc, value, index) => {
+      const result = EJSON.clone(doc);
+      setFieldPath(result, field, value);
+      if (includeArrayIndex) {
+        setFieldPath(result, includeArrayIndex, index);
+      }
+
+      return result;
+    };
+
+    return docs => docs.flatMap(doc => {
+      const value = getFieldPath(doc, fieldPath);
+      if (Array.isArray(value) && value.length) {
+        return value.map((element, index) => unwound(doc, element, index));
+      }
+
+      if (!isNullish(value) && !Array.isArray(value)) {
+        return [unwound(doc, value, null)];
+      }
+
+      if (!preserveNullAndEmptyArrays) {
+        return [];
+      }
+
+      // Empty arrays are removed, null and missing values are left alone.
+      const result = EJSON.clone(doc);
+      if (Array.isArray(value)) {
+        setFieldPath(result, field, undefined);
+      }
+      if (includeArrayIndex) {
+        setFieldPath(result, includeArrayIndex, null);
+      }
+
+      return [result];
+    });
+  },
+
+  $lookup(specification, context) {
+    const { from, localField, foreignField, as } = specification;
+    if ([from, localField, foreignField, as].some(value => typeof value !== 'string')) {
+      throw MinimongoError('$lookup requires from, localField, foreignField and as');
+    }
+
+    const localPath = localField.split('.');
+    const foreignPath = foreignField.split('.');
+    const valuesAt = (doc, path) => {
+      const value = getFieldPath(doc, path);
+      if (Array.isArray(value)) {
+        return value.length ? value : [null];
+      }
+
+      return [value ?? null];
+    };
+
+    return docs => {
+      const foreignDocs = context.collectionDocs(from);
+      return docs.map(doc => {
+        const localValues = valuesAt(doc, localPath);
+        const result = EJSON.clone(doc);
+        setFieldPath(result, as, foreignDocs
+          .filter(foreignDoc =>
+            valuesAt(foreignDoc, foreignPath).some(foreignValue =>
+              localValues.some(localValue =>
+                LocalCollection._f._equal(localValue, foreignValue)
+              )
+            )
+          )
+          .map(foreignDoc => EJSON.clone(foreignDoc)));
+
+        return result;
+      });
+    };
+  },
+
+  $count(specification) {
+    if (typeof specification !== 'string' || !specification ||
+        specification[0] === '$' || specification.includes('.')) {
+      throw MinimongoError('the count field must be a non-empty string without $ or .');
+    }
+
+    return docs => docs.length ? [{ [specification]: docs.length }] : [];
+  },
+};
+
+// Compiles `pipeline` into a function taking the array of input documents and
+// returning the array of output documents. `context.collectionDocs(name)`
+// returns the documents of the collection named `name`, for $lookup.
+export function compilePipeline(pipeline, context) {
+  if (!Array.isArray(pipeline)) {
+    throw MinimongoError('the pipeline must be an array of stages');
+  }
+
+  const stages = pipeline.map(stage => {
+    const keys = LocalCollection._isPlainObject(stage) ? Object.keys(stage) : [];
+    if (keys.length !== 1) {
+      throw MinimongoError('a pipeline stage must be an object with exactly one field');
+    }
+
+    const name = keys[0];
+    if (!hasOwn.call(STAGES, name)) {
+      throw MinimongoError(`Unrecognized pipeline stage name: '${name}'`);
+    }
+
+    return STAGES[name](stage[name], context);
+  });
+
+  return docs => stages.reduce((result, stage) => stage(result), docs);
+}
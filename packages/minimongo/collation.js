@@ -0,0 +1,92 @@
+import { hasOwn } from './common.js';
+
+// Support for the `collation` option of MongoDB, which changes how strings
+// compare in sorts and in equality and range matches. We rely on
+// Intl.Collator, which implements the same Unicode Collation Algorithm as
+// MongoDB's ICU collations, and map MongoDB's comparison levels onto its
+// sensitivity option.
+
+const COLLATION_OPTIONS = {
+  locale: value => typeof value === 'string',
+  strength: value => [1, 2, 3, 4, 5].includes(value),
+  caseLevel: value => typeof value === 'boolean',
+  caseFirst: value => ['upper', 'lower', 'off'].includes(value),
+  numericOrdering: value => typeof value === 'boolean',
+  alternate: value => ['non-ignorable', 'shifted'].includes(value),
+  maxVariable: value => ['punct', 'space'].includes(value),
+  // Intl.Collator always normalizes, and doesn't support French accent
+  // ordering, so these two are accepted but have no effect.
+  backwards: value => typeof value === 'boolean',
+  normalization: value => typeof value === 'boolean',
+};
+
+// Strength 1 only compares base letters, 2 also compares accents and 3 (the
+// default) also compares case. Levels 4 and 5 only break ties which
+// Intl.Collator doesn't distinguish. caseLevel adds case comparison to
+// strengths 1 and 2.
+const sensitivity = ({ strength = 3, caseLevel = false }) => {
+  if (strength === 1) {
+    return caseLevel ? 'case' : 'base';
+  }
+
+  if (strength === 2) {
+    return caseLevel ? 'variant' : 'accent';
+  }
+
+  return 'variant';
+};
+
+// Returns the Intl.Collator to compare strings with for `collation`, or null
+// for the binary comparison used without a collation (or with the 'simple'
+// locale).
+export function compileCollation(collation) {
+  if (collation === undefined || collation === null) {
+    return null;
+  }
+
+  if (!LocalCollection._isPlainObject(collation)) {
+    throw MinimongoError('collation must be an object');
+  }
+
+  Object.keys(collation).forEach(key => {
+    if (!hasOwn.call(COLLATION_OPTIONS, key)) {
+      throw MinimongoError(`Unknown collation option: ${key}`);
+    }
+
+    if (!COLLATION_OPTIONS[key](collation[key])) {
+      throw MinimongoError(
+        `Invalid value for collation option ${key}: ` +
+        JSON.stringify(collation[key])
+      );
+    }
+  });
+
+  if (!hasOwn.call(collation, 'locale')) {
+    throw MinimongoError('Missing required collation option: locale');
+  }
+
+  if (collation.locale === 'simple') {
+    if (Object.keys(collation).length > 1) {
+      throw MinimongoError(
+        "The 'simple' collation doesn't accept any other option"
+      );
+    }
+
+    return null;
+  }
+
+  // The default locale of ICU, which MongoDB calls the "root" locale.
+  const locale = collation.locale === 'root' ? 'und' : collation.locale;
+
+  try {
+    return new Intl.Collator(locale, {
+      usage: 'sort',
+      sensitivity: sensitivity(collation),
+      numeric: !!collation.numericOrdering,
+      caseFirst: collation.caseFirst === 'off' ? 'false' : collation.caseFirst,
+      ignorePunctuation: collation.alternate === 'shifted',
+    });
+  } catch (e) {
+    throw MinimongoError(`Unsupported collation locale: ${collation.locale}`);
+  }
+}
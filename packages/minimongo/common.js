@@ -1,4 +1,7 @@
 import LocalCollection from './local_collection.js';
+import { evaluateExpression, isTruthy } from './aggregation.js';
+import { compileJsonSchema } from './json_schema.js';
+import { compileTextSearch } from './text_search.js';
 
 export const hasOwn = Object.prototype.hasOwnProperty;
 
@@ -36,7 +39,7 @@ export const ELEMENT_OPERATORS = {
     },
   },
   $in: {
-    compileElementSelector(operand) {
+    compileElementSelector(operand, valueSelector, matcher) {
       if (!Array.isArray(operand)) {
         throw Error('$in needs an array');
       }
@@ -50,7 +53,7 @@ export const ELEMENT_OPERATORS = {
           throw Error('cannot nest $ under $in');
         }
 
-        return equalityElementMatcher(option);
+        return equalityElementMatcher(option, matcher._collator);
       });
 
       return value => {
@@ -317,6 +320,37 @@ const LOGICAL_OPERATORS = {
   $comment() {
     return () => ({result: true});
   },
+
+  // The expressions and schemas can look at any path, like $where.
+  $expr(selectorValue, matcher) {
+    matcher._recordPathUsed('');
+
+    return doc => ({
+      result: isTruthy(evaluateExpression(selectorValue, doc)),
+    });
+  },
+
+  $jsonSchema(selectorValue, matcher) {
+    matcher._recordPathUsed('');
+
+    const validate = compileJsonSchema(selectorValue);
+    return doc => ({result: validate(doc).length === 0});
+  },
+
+  $text(selectorValue, matcher, inElemMatch) {
+    if (inElemMatch) {
+      throw MinimongoError('$text is not allowed in $elemMatch');
+    }
+
+    if (matcher._textScorer) {
+      throw MinimongoError('Too many text expressions');
+    }
+
+    matcher._recordPathUsed('');
+    matcher._textScorer = compileTextSearch(selectorValue);
+
+    return doc => ({result: matcher._textScorer(doc) > 0});
+  },
 };
 
 // Operators that (unlike LOGICAL_OPERATORS) pertain to individual paths in a
@@ -324,23 +358,29 @@ const LOGICAL_OPERATORS = {
 // "match each branched value independently and combine with
 // convertElementMatcherToBranchedMatcher".
 const VALUE_OPERATORS = {
-  $eq(operand) {
+  $eq(operand, valueSelector, matcher) {
     return convertElementMatcherToBranchedMatcher(
-      equalityElementMatcher(operand)
+      equalityElementMatcher(operand, matcher._collator)
     );
   },
   $not(operand, valueSelector, matcher) {
     return invertBranchedMatcher(compileValueSelector(operand, matcher));
   },
-  $ne(operand) {
+  $ne(operand, valueSelector, matcher) {
     return invertBranchedMatcher(
-      convertElementMatcherToBranchedMatcher(equalityElementMatcher(operand))
+      convertElementMatcherToBranchedMatcher(
+        equalityElementMatcher(operand, matcher._collator)
+      )
     );
   },
-  $nin(operand) {
+  $nin(operand, valueSelector, matcher) {
     return invertBranchedMatcher(
       convertElementMatcherToBranchedMatcher(
-        ELEMENT_OPERATORS.$in.compileElementSelector(operand)
+        ELEMENT_OPERATORS.$in.compileElementSelector(
+          operand,
+          valueSelector,
+          matcher
+        )
       )
     );
   },
@@ -627,7 +667,7 @@ function compileValueSelector(valueSelector, matcher, isRoot) {
   }
 
   return convertElementMatcherToBranchedMatcher(
-    equalityElementMatcher(valueSelector)
+    equalityElementMatcher(valueSelector, matcher._collator)
   );
 }
 
@@ -679,8 +719,9 @@ function distanceCoordinatePairs(a, b) {
 }
 
 // Takes something that is not an operator object and returns an element matcher
-// for equality with that thing.
-export function equalityElementMatcher(elementSelector) {
+// for equality with that thing. Strings are compared with the collator, if
+// any.
+export function equalityElementMatcher(elementSelector, collator) {
   if (isOperatorObject(elementSelector)) {
     throw Error('Can\'t create equalityValueSelector for operator object');
   }
@@ -693,7 +734,7 @@ export function equalityElementMatcher(elementSelector) {
     return value => value == null;
   }
 
-  return value => LocalCollection._f._equal(elementSelector, value);
+  return value => LocalCollection._f._equal(elementSelector, value, collator);
 }
 
 function everythingMatcher(docOrBranchedValues) {
@@ -878,7 +919,7 @@ export function isOperatorObject(valueSelector, inconsistentOK) {
 // Helper for $lt/$gt/$lte/$gte.
 function makeInequality(cmpValueComparator) {
   return {
-    compileElementSelector(operand) {
+    compileElementSelector(operand, valueSelector, matcher) {
       // Arrays never compare false with non-arrays for any inequality.
       // XXX This was behavior we observed in pre-release MongoDB 2.5, but
       //     it seems to have been reverted.
@@ -906,7 +947,9 @@ function makeInequality(cmpValueComparator) {
           return false;
         }
 
-        return cmpValueComparator(LocalCollection._f._cmp(value, operand));
+        return cmpValueComparator(
+          LocalCollection._f._cmp(value, operand, matcher._collator)
+        );
       };
     },
   };
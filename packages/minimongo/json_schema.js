@@ -0,0 +1,287 @@
+import { hasOwn } from './common.js';
+
+const Decimal = Package['mongo-decimal']?.Decimal || class DecimalStub {};
+
+// A validator for the JSON Schema dialect of MongoDB's $jsonSchema operator
+// (draft 4, plus the `bsonType` keyword). As in JSON Schema, the keywords
+// which only make sense for a type (eg, `pattern`) are ignored for values of
+// other types.
+
+const BSON_TYPES = {
+  double: value => typeof value === 'number',
+  string: value => typeof value === 'string',
+  object: value => LocalCollection._f._type(value) === 3,
+  array: value => Array.isArray(value),
+  binData: value => EJSON.isBinary(value),
+  objectId: value => value instanceof MongoID.ObjectID,
+  bool: value => typeof value === 'boolean',
+  date: value => value instanceof Date,
+  null: value => value === null,
+  regex: value => value instanceof RegExp,
+  int: value => Number.isInteger(value),
+  long: value => Number.isInteger(value),
+  decimal: value => value instanceof Decimal,
+  number: value => LocalCollection._f._type(value) === 1,
+};
+
+const JSON_TYPES = {
+  object: BSON_TYPES.object,
+  array: BSON_TYPES.array,
+  number: BSON_TYPES.number,
+  integer: BSON_TYPES.int,
+  boolean: BSON_TYPES.bool,
+  string: BSON_TYPES.string,
+  null: BSON_TYPES.null,
+};
+
+const isObject = BSON_TYPES.object;
+const isNumber = value => typeof value === 'number';
+const isString = value => typeof value === 'string';
+
+const describe = path => path ? `'${path}'` : 'the document';
+const childPath = (path, key) => path ? `${path}.${key}` : `${key}`;
+// Array elements are written like in the errors of `check`.
+const elementPath = (path, index) => `${path}[${index}]`;
+const error = (path, rule) => ({ path, message: `${describe(path)} ${rule}` });
+
+const typeKeyword = (types, keyword) => schema => {
+  const names = [].concat(schema[keyword]);
+  names.forEach(name => {
+    if (!hasOwn.call(types, name)) {
+      throw MinimongoError(`Unknown $jsonSchema ${keyword}: ${name}`);
+    }
+  });
+
+  return (value, path) => names.some(name => types[name](value))
+    ? []
+    : [error(path, `must be of type ${names.join(' or ')}`)];
+};
+
+const numberKeyword = check => (schema, keyword) => {
+  const limit = schema[keyword];
+  if (!isNumber(limit)) {
+    throw MinimongoError(`$jsonSchema keyword '${keyword}' must be a number`);
+  }
+
+  return (value, path) => !isNumber(value) || check(value, limit, schema)
+    ? []
+    : [error(path, `does not satisfy ${keyword}: ${limit}`)];
+};
+
+const lengthKeyword = (applies, length, check) => (schema, keyword) => {
+  const limit = schema[keyword];
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw MinimongoError(`$jsonSchema keyword '${keyword}' must be a non-negative integer`);
+  }
+
+  return (value, path) => !applies(value) || check(length(value), limit)
+    ? []
+    : [error(path, `does not satisfy ${keyword}: ${limit}`)];
+};
+
+const schemaList = (schema, keyword) => {
+  const schemas = schema[keyword];
+  if (!Array.isArray(schemas) || !schemas.length) {
+    throw MinimongoError(`$jsonSchema keyword '${keyword}' must be a non-empty array`);
+  }
+
+  return schemas.map(compile);
+};
+
+const stringLength = value => [...value].length;
+const propertyCount = value => Object.keys(value).length;
+
+// Each keyword compiles to a function (value, path) -> array of errors, which
+// are objects with the path of the invalid value and a message.
+const KEYWORDS = {
+  bsonType: typeKeyword(BSON_TYPES, 'bsonType'),
+  type: typeKeyword(JSON_TYPES, 'type'),
+
+  enum(schema) {
+    const values = schema.enum;
+    if (!Array.isArray(values) || !values.length) {
+      throw MinimongoError("$jsonSchema keyword 'enum' must be a non-empty array");
+    }
+
+    return (value, path) =>
+      values.some(allowed => LocalCollection._f._equal(allowed, value))
+        ? []
+        : [error(path, `must be one of ${EJSON.stringify(values)}`)];
+  },
+
+  minimum: numberKeyword((value, limit, schema) =>
+    schema.exclusiveMinimum ? value > limit : value >= limit
+  ),
+  maximum: numberKeyword((value, limit, schema) =>
+    schema.exclusiveMaximum ? value < limit : value <= limit
+  ),
+  multipleOf: numberKeyword((value, limit) => value % limit === 0),
+
+  minLength: lengthKeyword(isString, stringLength, (length, limit) => length >= limit),
+  maxLength: lengthKeyword(isString, stringLength, (length, limit) => length <= limit),
+  pattern(schema) {
+    const pattern = new RegExp(schema.pattern);
+    return (value, path) => !isString(value) || pattern.test(value)
+      ? []
+      : [error(path, `must match ${schema.pattern}`)];
+  },
+
+  minItems: lengthKeyword(Array.isArray, array => array.length, (length, limit) => length >= limit),
+  maxItems: lengthKeyword(Array.isArray, array => array.length, (length, limit) => length <= limit),
+  uniqueItems(schema) {
+    return (value, path) => {
+      if (!schema.uniqueItems || !Array.isArray(value)) {
+        return [];
+      }
+
+      const duplicated = value.some((element, index) =>
+        value.slice(index + 1).some(other => LocalCollection._f._equal(element, other))
+      );
+      return duplicated ? [error(path, 'must not contain duplicate items')] : [];
+    };
+  },
+  items(schema) {
+    if (Array.isArray(schema.items)) {
+      const validators = schema.items.map(compile);
+      const additional = compileAdditional(schema.additionalItems);
+      return (value, path) => Array.isArray(value)
+        ? value.flatMap((element, index) => {
+          const validate = index < validators.length ? validators[index] : additional;
+          return validate(element, elementPath(path, index));
+        })
+        : [];
+    }
+
+    const validate = compile(schema.items);
+    return (value, path) => Array.isArray(value)
+      ? value.flatMap((element, index) => validate(element, elementPath(path, index)))
+      : [];
+  },
+
+  required(schema) {
+    const keys = schema.required;
+    if (!Array.isArray(keys) || !keys.length || !keys.every(isString)) {
+      throw MinimongoError("$jsonSchema keyword 'required' must be a non-empty array of strings");
+    }
+
+    return (value, path) => isObject(value)
+      ? keys
+        .filter(key => !hasOwn.call(value, key))
+        .map(key => error(childPath(path, key), 'is required'))
+      : [];
+  },
+  minProperties: lengthKeyword(isObject, propertyCount, (length, limit) => length >= limit),
+  maxProperties: lengthKeyword(isObject, propertyCount, (length, limit) => length <= limit),
+  properties(schema) {
+    if (!isObject(schema.properties)) {
+      throw MinimongoError("$jsonSchema keyword 'properties' must be an object");
+    }
+
+    const validators = Object.keys(schema.properties).map(key =>
+      [key, compile(schema.properties[key])]
+    );
+    return (value, path) => isObject(value)
+      ? validators.flatMap(([key, validate]) => hasOwn.call(value, key)
+        ? validate(value[key], childPath(path, key))
+        : [])
+      : [];
+  },
+  patternProperties(schema) {
+    const validators = Object.keys(schema.patternProperties).map(pattern =>
+      [new RegExp(pattern), compile(schema.patternProperties[pattern])]
+    );
+    return (value, path) => isObject(value)
+      ? Object.keys(value).flatMap(key => validators
+        .filter(([pattern]) => pattern.test(key))
+        .flatMap(([, validate]) => validate(value[key], childPath(path, key))))
+      : [];
+  },
+  additionalProperties(schema) {
+    const known = Object.keys(schema.properties || {});
+    const patterns = Object.keys(schema.patternProperties || {})
+      .map(pattern => new RegExp(pattern));
+    const validate = compileAdditional(schema.additionalProperties);
+    return (value, path) => isObject(value)
+      ? Object.keys(value)
+        .filter(key =>
+          !known.includes(key) && !patterns.some(pattern => pattern.test(key))
+        )
+        .flatMap(key => validate(value[key], childPath(path, key)))
+      : [];
+  },
+
+  allOf(schema) {
+    const validators = schemaList(schema, 'allOf');
+    return (value, path) => validators.flatMap(validate => validate(value, path));
+  },
+  anyOf(schema) {
+    const validators = schemaList(schema, 'anyOf');
+    return (value, path) => validators.some(validate => !validate(value, path).length)
+      ? []
+      : [error(path, 'must match one of the anyOf schemas')];
+  },
+  oneOf(schema) {
+    const validators = schemaList(schema, 'oneOf');
+    return (value, path) =>
+      validators.filter(validate => !validate(value, path).length).length === 1
+        ? []
+        : [error(path, 'must match exactly one of the oneOf schemas')];
+  },
+  not(schema) {
+    const validate = compile(schema.not);
+    return (value, path) => validate(value, path).length
+      ? []
+      : [error(path, 'must not match the not schema')];
+  },
+};
+
+// Keywords which are only read by other keywords, or carry no rule.
+const PASSIVE_KEYWORDS = [
+  'additionalItems',
+  'description',
+  'exclusiveMaximum',
+  'exclusiveMinimum',
+  'title',
+];
+
+// additionalProperties and additionalItems are either a boolean or a schema.
+const compileAdditional = additional => {
+  if (additional === undefined || additional === true) {
+    return () => [];
+  }
+
+  if (additional === false) {
+    return (value, path) => [error(path, 'is not allowed')];
+  }
+
+  return compile(additional);
+};
+
+const compile = schema => {
+  if (!isObject(schema)) {
+    throw MinimongoError('$jsonSchema must be an object');
+  }
+
+  const validators = Object.keys(schema).map(keyword => {
+    if (PASSIVE_KEYWORDS.includes(keyword)) {
+      return null;
+    }
+
+    if (!hasOwn.call(KEYWORDS, keyword)) {
+      throw MinimongoError(`$jsonSchema keyword '${keyword}' is not currently supported`);
+    }
+
+    return KEYWORDS[keyword](schema, keyword);
+  }).filter(Boolean);
+
+  return (value, path) =>
+    validators.flatMap(validate => validate(value, path));
+};
+
+// Compiles `schema` into a function which takes a value and returns the list
+// of the rules it breaks, as `{path, message}` objects where the message is
+// human readable. An empty list means the value is valid.
+export function compileJsonSchema(schema) {
+  const validate = compile(schema);
+  return value => validate(value, '');
+}
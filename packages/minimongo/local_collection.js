@@ -10,6 +10,8 @@ import {
 } from './common.js';
 
 import { getAsyncMethodName } from './constants';
+import { compilePipeline } from './aggregation.js';
+import { compileJsonSchema } from './json_schema.js';
 
 // XXX type checking on selectors (graceful error if malformed)
 
@@ -51,6 +53,34 @@ export default class LocalCollection {
     return this.find({}, options).countAsync();
   }
 
+  // Runs an aggregation pipeline over the documents of the collection. See
+  // aggregation.js for the supported stages. $lookup can only read from the
+  // collections opened through the same connection.
+  async aggregateAsync(pipeline, options = {}) {
+    const run = compilePipeline(pipeline, {
+      collectionDocs: name => {
+        const collection = this._siblingCollections && this._siblingCollections[name];
+        if (!collection) {
+          throw MinimongoError(`$lookup: unknown collection ${name}`);
+        }
+
+        return collection._allDocs();
+      },
+    });
+
+    // Stages like $match pass the stored documents through.
+    return run(this._allDocs()).map(doc => EJSON.clone(doc));
+  }
+
+  _allDocs() {
+    const docs = [];
+    this._docs.forEach(doc => {
+      docs.push(doc);
+    });
+
+    return docs;
+  }
+
   // options may include sort, skip, limit, reactive
   // sort may be any of these forms:
   //     {a: 1, b: -1}
@@ -565,7 +595,8 @@ export default class LocalCollection {
         recomputeQids = await this._modifyAndNotifyAsync(
           doc,
           mod,
-          queryResult.arrayIndices
+          queryResult.arrayIndices,
+          options.arrayFilters
         );
 
         ++updateCount;
@@ -638,7 +669,8 @@ export default class LocalCollection {
         recomputeQids = this._modifyAndNotifySync(
           doc,
           mod,
-          queryResult.arrayIndices
+          queryResult.arrayIndices,
+          options.arrayFilters
         );
 
         ++updateCount;
@@ -773,12 +805,12 @@ export default class LocalCollection {
     return matched_before;
   }
 
-  _modifyAndNotifySync(doc, mod, arrayIndices) {
+  _modifyAndNotifySync(doc, mod, arrayIndices, arrayFilters) {
 
     const matched_before = this._getMatchedDocAndModify(doc, mod, arrayIndices);
 
     const old_doc = EJSON.clone(doc);
-    LocalCollection._modify(doc, mod, {arrayIndices});
+    LocalCollection._modify(doc, mod, {arrayIndices, arrayFilters});
 
     const recomputeQids = {};
 
@@ -819,12 +851,12 @@ export default class LocalCollection {
     return recomputeQids;
   }
 
-  async _modifyAndNotifyAsync(doc, mod, arrayIndices) {
+  async _modifyAndNotifyAsync(doc, mod, arrayIndices, arrayFilters) {
 
     const matched_before = this._getMatchedDocAndModify(doc, mod, arrayIndices);
 
     const old_doc = EJSON.clone(doc);
-    LocalCollection._modify(doc, mod, {arrayIndices});
+    LocalCollection._modify(doc, mod, {arrayIndices, arrayFilters});
 
     const recomputeQids = {};
     for (const qid of Object.keys(this.queries)) {
@@ -1209,6 +1241,11 @@ LocalCollection._compileProjection = fields => {
   };
 };
 
+// Returns a function validating a document against a $jsonSchema, and returning
+// the list of its errors as {path, message} objects. Used by the schema option
+// of Mongo.Collection.
+LocalCollection._compileJsonSchema = compileJsonSchema;
+
 // Calculates the document to insert in case we're doing an upsert and the
 // selector does not match any elements
 LocalCollection._createUpsertDocument = (selector, modifier) => {
@@ -1443,6 +1480,8 @@ LocalCollection._isPlainObject = x => {
 //   - isInsert is set when _modify is being called to compute the document to
 //     insert as part of an upsert operation. We use this primarily to figure
 //     out when to set the fields in $setOnInsert, if present.
+//   - arrayFilters are the filters selecting the array elements updated by
+//     the filtered positional operator ($[<identifier>]).
 LocalCollection._modify = (doc, modifier, options = {}) => {
   if (!LocalCollection._isPlainObject(modifier)) {
     throw MinimongoError('Modifier must be an object');
@@ -1455,6 +1494,8 @@ LocalCollection._modify = (doc, modifier, options = {}) => {
   const newDoc = isModifier ? EJSON.clone(doc) : modifier;
 
   if (isModifier) {
+    const arrayFilters = compileArrayFilters(options.arrayFilters);
+
     // apply modifiers to the doc.
     Object.keys(modifier).forEach(operator => {
       // Treat $setOnInsert as $set if this is an insert.
@@ -1482,16 +1523,38 @@ LocalCollection._modify = (doc, modifier, options = {}) => {
           );
         }
 
-        const target = findModTarget(newDoc, keyparts, {
-          arrayIndices: options.arrayIndices,
-          forbidArray: operator === '$rename',
-          noCreate: NO_CREATE_MODIFIERS[operator]
-        });
+        if (operator === '$rename' && keyparts.some(isPositionalPart)) {
+          throw MinimongoError(
+            `The source field for $rename may not be dynamic: ${keypath}`
+          );
+        }
 
-        modFunc(target, keyparts.pop(), arg, keypath, newDoc);
+        // $[] and $[<identifier>] stand for several array elements, so the
+        // keypath is expanded into one concrete path per element to update.
+        expandPositionalPaths(newDoc, keyparts, {
+          arrayFilters,
+          arrayIndices: options.arrayIndices
+        }).forEach(concreteKeyparts => {
+          const target = findModTarget(newDoc, concreteKeyparts, {
+            arrayIndices: options.arrayIndices,
+            forbidArray: operator === '$rename',
+            noCreate: NO_CREATE_MODIFIERS[operator]
+          });
+
+          modFunc(target, concreteKeyparts.pop(), arg, keypath, newDoc);
+        });
       });
     });
 
+    Object.keys(arrayFilters).forEach(identifier => {
+      if (!arrayFilters[identifier].used) {
+        throw MinimongoError(
+          `The array filter for identifier '${identifier}' was not used in ` +
+          'the update'
+        );
+      }
+    });
+
     if (doc._id && !EJSON.equals(doc._id, newDoc._id)) {
       throw MinimongoError(
         `After applying the update to the document {_id: "${doc._id}", ...},` +
@@ -2271,9 +2334,43 @@ const MODIFIERS = {
     );
   },
   $bit(target, field, arg) {
-    // XXX mongo only supports $bit on integers, and we only support
-    // native javascript numbers (doubles) so far, so we can't support $bit
-    throw MinimongoError('$bit is not supported', {field});
+    if (!LocalCollection._isPlainObject(arg) || !Object.keys(arg).length) {
+      throw MinimongoError(
+        'Modifier $bit allowed for objects with and/or/xor only',
+        {field}
+      );
+    }
+
+    // Like mongo, a missing field is treated as 0.
+    let value = field in target ? target[field] : 0;
+
+    if (!Number.isInteger(value)) {
+      throw MinimongoError(
+        'Cannot apply $bit to a value of non-integral type',
+        {field}
+      );
+    }
+
+    Object.keys(arg).forEach(operation => {
+      if (!hasOwn.call(BIT_OPERATIONS, operation)) {
+        throw MinimongoError(
+          `The $bit modifier only supports 'and', 'or', and 'xor', not ` +
+          `'${operation}'`,
+          {field}
+        );
+      }
+
+      if (!Number.isSafeInteger(arg[operation])) {
+        throw MinimongoError(
+          `The $bit modifier field must be an integer: ${operation}`,
+          {field}
+        );
+      }
+
+      value = applyBitOperation(operation, value, arg[operation]);
+    });
+
+    target[field] = value;
   },
   $v() {
     // As discussed in https://github.com/meteor/meteor/issues/9623,
@@ -2283,6 +2380,25 @@ const MODIFIERS = {
   }
 };
 
+const BIT_OPERATIONS = {
+  and: (a, b) => a & b,
+  or: (a, b) => a | b,
+  xor: (a, b) => a ^ b
+};
+
+// Mongo stores integers as 32 or 64 bit values, but the bitwise operators of
+// javascript truncate their operands to 32 bits. Fall back to BigInt for the
+// integers which don't fit.
+function applyBitOperation(operation, a, b) {
+  if ((a | 0) === a && (b | 0) === b) {
+    return BIT_OPERATIONS[operation](a, b);
+  }
+
+  return Number(
+    BigInt.asIntN(64, BIT_OPERATIONS[operation](BigInt(a), BigInt(b)))
+  );
+}
+
 const NO_CREATE_MODIFIERS = {
   $pop: true,
   $pull: true,
@@ -2317,6 +2433,142 @@ function assertIsValidFieldName(key) {
   }
 }
 
+const isPositionalPart = keypart => /^\$\[.*\]$/.test(keypart);
+
+// The identifiers of the filtered positional operator start with a lowercase
+// letter and only contain alphanumeric characters.
+const ARRAY_FILTER_IDENTIFIER = /^[a-z][a-zA-Z0-9]*$/;
+
+// Returns the identifiers used by the top-level fields of an array filter,
+// which look like `identifier` or `identifier.some.field`.
+function arrayFilterIdentifiers(filter) {
+  return Object.keys(filter).flatMap(key => {
+    if (['$and', '$or', '$nor'].includes(key) && Array.isArray(filter[key])) {
+      return filter[key].flatMap(arrayFilterIdentifiers);
+    }
+
+    return [key.split('.')[0]];
+  });
+}
+
+// Compiles options.arrayFilters into an object mapping each identifier to a
+// matcher for the array elements it selects. Elements are matched by wrapping
+// them as `{<identifier>: element}`, so the filter is used as a selector as is.
+function compileArrayFilters(arrayFilters) {
+  const compiled = {};
+
+  if (arrayFilters === undefined) {
+    return compiled;
+  }
+
+  if (!Array.isArray(arrayFilters)) {
+    throw MinimongoError('arrayFilters must be an array');
+  }
+
+  arrayFilters.forEach(filter => {
+    if (!LocalCollection._isPlainObject(filter)) {
+      throw MinimongoError('Each array filter must be an object');
+    }
+
+    const identifiers = [...new Set(arrayFilterIdentifiers(filter))];
+
+    if (identifiers.length !== 1) {
+      throw MinimongoError(
+        'Each array filter must use a single top-level field name, found ' +
+        (identifiers.length ? `'${identifiers.join('\' and \'')}'` : 'none')
+      );
+    }
+
+    const identifier = identifiers[0];
+
+    if (!ARRAY_FILTER_IDENTIFIER.test(identifier)) {
+      throw MinimongoError(
+        'The top-level field name must be an alphanumeric string beginning ' +
+        `with a lowercase letter, found '${identifier}'`
+      );
+    }
+
+    if (hasOwn.call(compiled, identifier)) {
+      throw MinimongoError(
+        `Found multiple array filters with the same top-level field name ` +
+        identifier
+      );
+    }
+
+    compiled[identifier] = {
+      matcher: new Minimongo.Matcher(filter),
+      used: false
+    };
+  });
+
+  return compiled;
+}
+
+// Expands the all positional ($[]) and filtered positional ($[<identifier>])
+// elements of keyparts into the list of keyparts of every array element they
+// refer to. A keypath without them is returned as the only element.
+function expandPositionalPaths(doc, keyparts, options) {
+  const index = keyparts.findIndex(isPositionalPart);
+
+  if (index === -1) {
+    return [keyparts];
+  }
+
+  const identifier = keyparts[index].slice(2, -1);
+  let filter = null;
+
+  if (identifier) {
+    if (!hasOwn.call(options.arrayFilters, identifier)) {
+      throw MinimongoError(
+        `No array filter found for identifier '${identifier}' in path ` +
+        `'${keyparts.join('.')}'`
+      );
+    }
+
+    filter = options.arrayFilters[identifier];
+    filter.used = true;
+  }
+
+  const arrayPath = keyparts.slice(0, index).join('.');
+  let array = doc;
+
+  keyparts.slice(0, index).forEach(keypart => {
+    if (keypart === '$' && array instanceof Array && options.arrayIndices &&
+        options.arrayIndices.length) {
+      keypart = options.arrayIndices[0];
+    }
+
+    array = isIndexable(array) ? array[keypart] : undefined;
+  });
+
+  if (array === undefined || array === null) {
+    throw MinimongoError(
+      `The path '${arrayPath}' must exist in the document in order to apply ` +
+      'array updates.'
+    );
+  }
+
+  if (!(array instanceof Array)) {
+    throw MinimongoError(
+      `Cannot apply array updates to non-array element ${arrayPath}: ` +
+      JSON.stringify(array)
+    );
+  }
+
+  return array.flatMap((element, elementIndex) => {
+    if (filter &&
+        !filter.matcher.documentMatches({[identifier]: element}).result) {
+      return [];
+    }
+
+    return expandPositionalPaths(doc, [
+      ...keyparts.slice(0, index),
+      elementIndex.toString(),
+      ...keyparts.slice(index + 1)
+    ], options);
+  });
+}
+
 // for a.b.c.2.d.e, keyparts should be ['a', 'b', 'c', '2', 'd', 'e'],
 // and then you would operate on the 'e' property of the returned
 // object.
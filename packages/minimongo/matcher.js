@@ -4,6 +4,7 @@ import {
   hasOwn,
   nothingMatcher,
 } from './common.js';
+import { compileCollation } from './collation.js';
 
 const Decimal = Package['mongo-decimal']?.Decimal || class DecimalStub {}
 
@@ -27,8 +28,11 @@ const Decimal = Package['mongo-decimal']?.Decimal || class DecimalStub {}
 // Main entry point.
 //   var matcher = new Minimongo.Matcher({a: {$gt: 5}});
 //   if (matcher.documentMatches({a: 7})) ...
+//
+// options.collation is a MongoDB collation, used to compare strings in
+// equality and range matches.
 export default class Matcher {
-  constructor(selector, isUpdate) {
+  constructor(selector, isUpdate, options = {}) {
     // A set (object mapping string -> *) of all of the document paths looked
     // at by the selector. Also includes the empty string if it may look at any
     // path (eg, $where).
@@ -37,6 +41,9 @@ export default class Matcher {
     this._hasGeoQuery = false;
     // Set to true if compilation finds a $where.
     this._hasWhere = false;
+    // Set to the scoring function of the $text operator, if any. It returns 0
+    // for documents that don't match.
+    this._textScorer = null;
     // Set to false if compilation finds anything other than a simple equality
     // or one or more of '$gt', '$gte', '$lt', '$lte', '$ne', '$in', '$nin' used
     // with scalars as operands.
@@ -49,7 +56,15 @@ export default class Matcher {
     // translated into {_id: ID} first. Used by canBecomeTrueByModifier and
     // Sorter._useWithMatcher.
     this._selector = null;
+    // The Intl.Collator for options.collation, or null to compare strings by
+    // code point.
+    this._collator = compileCollation(options.collation);
     this._docMatcher = this._compileSelector(selector);
+    // The modifier analysis of minimongo_server.js doesn't know about
+    // collations.
+    if (this._collator) {
+      this._isSimple = false;
+    }
     // Set to true if selection is done for an update operation
     // Default is false
     // Used for $near array update (issue #3599)
@@ -72,6 +87,20 @@ export default class Matcher {
     return this._hasWhere;
   }
 
+  hasTextSearch() {
+    return !!this._textScorer;
+  }
+
+  // The relevance of doc for the $text operator, used to sort on
+  // {$meta: 'textScore'}.
+  textScore(doc) {
+    if (!this._textScorer) {
+      throw MinimongoError('textScore is only available with a $text query');
+    }
+
+    return this._textScorer(doc);
+  }
+
   isSimple() {
     return this._isSimple;
   }
@@ -93,7 +122,9 @@ export default class Matcher {
       this._selector = {_id: selector};
       this._recordPathUsed('_id');
 
-      return doc => ({result: EJSON.equals(doc._id, selector)});
+      return doc => ({
+        result: LocalCollection._f._equal(doc._id, selector, this._collator)
+      });
     }
 
     // protect against dangerous selectors.  falsey and {_id: falsey} are both
@@ -188,8 +219,33 @@ LocalCollection._f = {
     // 127, maxkey
   },
 
-  // deep equality test: use for literal document and array matches
-  _equal(a, b) {
+  // deep equality test: use for literal document and array matches. If a
+  // collator is given, strings are compared with it.
+  _equal(a, b, collator) {
+    if (!collator) {
+      return EJSON.equals(a, b, {keyOrderSensitive: true});
+    }
+
+    if (typeof a === 'string' && typeof b === 'string') {
+      return collator.compare(a, b) === 0;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((element, i) =>
+        LocalCollection._f._equal(element, b[i], collator)
+      );
+    }
+
+    if (LocalCollection._isPlainObject(a) && !EJSON._isCustomType(a) &&
+        LocalCollection._isPlainObject(b) && !EJSON._isCustomType(b)) {
+      const keysA = Object.keys(a);
+      const keysB = Object.keys(b);
+
+      return keysA.length === keysB.length && keysA.every((key, i) =>
+        key === keysB[i] && LocalCollection._f._equal(a[key], b[key], collator)
+      );
+    }
+
     return EJSON.equals(a, b, {keyOrderSensitive: true});
   },
 
@@ -226,8 +282,9 @@ LocalCollection._f = {
   // compare two values of unknown type according to BSON ordering
   // semantics. (as an extension, consider 'undefined' to be less than
   // any other value.) return negative if a is less, positive if b is
-  // less, or 0 if equal
-  _cmp(a, b) {
+  // less, or 0 if equal. If a collator is given, strings are compared with
+  // it.
+  _cmp(a, b, collator) {
     if (a === undefined) {
       return b === undefined ? 0 : -1;
     }
@@ -252,6 +309,10 @@ LocalCollection._f = {
       throw Error('Missing type coercion logic in _cmp');
     }
 
+    if (ta === 2 && collator) {
+      return collator.compare(a, b);
+    }
+
     if (ta === 7) { // ObjectID
       // Convert to string.
       ta = tb = 2;
@@ -289,7 +350,7 @@ LocalCollection._f = {
         return result;
       };
 
-      return LocalCollection._f._cmp(toArray(a), toArray(b));
+      return LocalCollection._f._cmp(toArray(a), toArray(b), collator);
     }
 
     if (ta === 4) { // Array
@@ -302,7 +363,7 @@ LocalCollection._f = {
           return 1;
         }
 
-        const s = LocalCollection._f._cmp(a[i], b[i]);
+        const s = LocalCollection._f._cmp(a[i], b[i], collator);
         if (s !== 0) {
           return s;
         }
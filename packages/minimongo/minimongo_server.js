@@ -24,6 +24,12 @@ Minimongo.Matcher.prototype.affectedByModifier = function(modifier) {
   modifier = Object.assign({$set: {}, $unset: {}}, modifier);
 
   const meaningfulPaths = this._getPaths();
+
+  // The selector looks at the whole document (eg, $where or $expr).
+  if (meaningfulPaths.includes('')) {
+    return true;
+  }
+
   const modifiedPaths = [].concat(
     Object.keys(modifier.$set),
     Object.keys(modifier.$unset)
@@ -1468,6 +1468,77 @@ Tinytest.add('minimongo - selector_compiler', test => {
   match({$where: 'this.a instanceof Array'}, {a: []});
   nomatch({$where: 'this.a instanceof Array'}, {a: 1});
 
+  // $expr
+  match({$expr: {$gt: ['$spent', '$budget']}}, {spent: 12, budget: 10});
+  nomatch({$expr: {$gt: ['$spent', '$budget']}}, {spent: 8, budget: 10});
+  match({$expr: {$eq: [{$add: ['$a', '$b']}, 5]}}, {a: 2, b: 3});
+  match({$expr: {$lt: [{$multiply: ['$a', 2]}, {$subtract: [10, '$b']}]}}, {a: 2, b: 3});
+  match({$expr: {$eq: [{$ifNull: ['$missing', 'dflt']}, 'dflt']}}, {a: 1});
+  match({$expr: {$cond: [{$gte: ['$qty', 100]}, true, '$force']}}, {qty: 5, force: 1});
+  nomatch({$expr: {$cond: {if: {$gte: ['$qty', 100]}, then: true, else: '$force'}}}, {qty: 5});
+  match({$expr: {$eq: ['$a.b', 1]}, c: 2}, {a: {b: 1}, c: 2});
+  nomatch({$expr: {$eq: ['$a.b', 1]}, c: 3}, {a: {b: 1}, c: 2});
+  match({$or: [{$expr: {$eq: ['$a', '$b']}}, {c: 1}]}, {a: 'x', b: 'x'});
+  test.throws(() => {
+    match({$expr: {$unknownOp: 1}}, {});
+  }, /Unrecognized expression operator/);
+
+  // $jsonSchema
+  const schema = {
+    bsonType: 'object',
+    required: ['name', 'age'],
+    properties: {
+      name: {bsonType: 'string', pattern: '^[A-Z]'},
+      age: {bsonType: 'int', minimum: 0},
+      role: {enum: ['admin', 'user']},
+      tags: {bsonType: 'array', items: {bsonType: 'string'}},
+      address: {
+        bsonType: 'object',
+        required: ['city'],
+        properties: {city: {bsonType: 'string'}},
+      },
+    },
+  };
+  match({$jsonSchema: schema}, {name: 'Ann', age: 3});
+  match({$jsonSchema: schema}, {name: 'Ann', age: 3, role: 'admin', tags: ['a']});
+  nomatch({$jsonSchema: schema}, {name: 'Ann'});
+  nomatch({$jsonSchema: schema}, {name: 'ann', age: 3});
+  nomatch({$jsonSchema: schema}, {name: 'Ann', age: 3.5});
+  nomatch({$jsonSchema: schema}, {name: 'Ann', age: -1});
+  nomatch({$jsonSchema: schema}, {name: 'Ann', age: 3, role: 'owner'});
+  nomatch({$jsonSchema: schema}, {name: 'Ann', age: 3, tags: ['a', 1]});
+  nomatch({$jsonSchema: schema}, {name: 'Ann', age: 3, address: {}});
+  match({$jsonSchema: schema}, {name: 'Ann', age: 3, address: {city: 'Paris'}});
+  match({$jsonSchema: {properties: {a: {bsonType: ['null', 'date']}}}}, {a: null});
+  nomatch({$jsonSchema: {properties: {a: {bsonType: ['null', 'date']}}}}, {a: 1});
+  match({$jsonSchema: {properties: {_id: {bsonType: 'objectId'}}}}, {_id: new MongoID.ObjectID()});
+  nomatch({$jsonSchema: {additionalProperties: false, properties: {a: {}}}}, {a: 1, b: 2});
+  match({$jsonSchema: {anyOf: [{required: ['a']}, {required: ['b']}]}}, {b: 1});
+  nomatch({$jsonSchema: {not: {required: ['a']}}}, {a: 1});
+  test.throws(() => {
+    match({$jsonSchema: {$ref: '#/foo'}}, {});
+  }, /not currently supported/);
+
+  // $text
+  const article = {
+    title: 'Coffee shops in Paris',
+    body: 'The best café for an espresso.',
+    tags: ['coffee', 'travel'],
+  };
+  match({$text: {$search: 'coffee'}}, article);
+  match({$text: {$search: 'tea espresso'}}, article);
+  nomatch({$text: {$search: 'tea'}}, article);
+  match({$text: {$search: 'cafe'}}, article);
+  nomatch({$text: {$search: 'cafe', $diacriticSensitive: true}}, article);
+  nomatch({$text: {$search: 'paris', $caseSensitive: true}}, article);
+  match({$text: {$search: '"coffee shops"'}}, article);
+  nomatch({$text: {$search: '"shops coffee" espresso'}}, article);
+  nomatch({$text: {$search: 'coffee -travel'}}, article);
+  match({$text: {$search: 'coffee'}, tags: 'travel'}, article);
+  test.throws(() => {
+    match({$text: {}}, article);
+  }, /\$search/);
+
   // reaching into array
   match({'dogs.0.name': 'Fido'}, {dogs: [{name: 'Fido'}, {name: 'Rex'}]});
   match({'dogs.1.name': 'Rex'}, {dogs: [{name: 'Fido'}, {name: 'Rex'}]});
@@ -2174,6 +2245,178 @@ Tinytest.add('minimongo - sort', test => {
       {a: 47, b: 1, _id: '47_1'}]);
 });
 
+Tinytest.add('minimongo - text score sort', test => {
+  const c = new LocalCollection();
+  c.insert({_id: 'a', title: 'a long title which mentions meteor once', n: 1});
+  c.insert({_id: 'b', title: 'meteor', n: 2});
+  c.insert({_id: 'c', title: 'meteor meteor rocks', n: 3});
+  c.insert({_id: 'd', title: 'nothing to see', n: 4});
+
+  const ids = cursor => cursor.map(doc => doc._id);
+
+  test.equal(
+    ids(c.find({$text: {$search: 'meteor'}}, {sort: {score: {$meta: 'textScore'}}})),
+    ['b', 'c', 'a']
+  );
+  test.equal(
+    ids(c.find({$text: {$search: 'meteor'}}, {sort: {score: {$meta: 'textScore'}}, limit: 1})),
+    ['b']
+  );
+  test.equal(
+    ids(c.find({$text: {$search: 'meteor'}}, {sort: {n: -1}})),
+    ['c', 'b', 'a']
+  );
+
+  test.throws(() => {
+    c.find({}, {sort: {score: {$meta: 'textScore'}}}).fetch();
+  }, /requires a \$text query/);
+});
+
+Tinytest.add('minimongo - collation', test => {
+  const c = new LocalCollection();
+  ['peach', 'Péché', 'pêche', 'péché', 'Peach', 'item10', 'item9', 'b']
+    .forEach(name => c.insert({_id: name, name}));
+
+  const names = (selector, options) =>
+    c.find(selector, options).map(doc => doc.name);
+
+  // Without a collation, strings compare by code point.
+  test.equal(
+    names({}, {sort: {name: 1}}),
+    ['Peach', 'Péché', 'b', 'item10', 'item9', 'peach', 'péché', 'pêche']
+  );
+  test.equal(
+    names({}, {sort: {name: 1}, collation: {locale: 'simple'}}),
+    names({}, {sort: {name: 1}})
+  );
+
+  test.equal(
+    names({}, {sort: {name: 1, _id: 1}, collation: {locale: 'en'}}),
+    ['b', 'item10', 'item9', 'peach', 'Peach', 'péché', 'Péché', 'pêche']
+  );
+  test.equal(
+    names({}, {sort: {name: -1}, collation: {locale: 'en'}}),
+    ['pêche', 'Péché', 'péché', 'Peach', 'peach', 'item9', 'item10', 'b']
+  );
+  test.equal(
+    names({name: /^item/}, {
+      sort: {name: 1},
+      collation: {locale: 'en', numericOrdering: true}
+    }),
+    ['item9', 'item10']
+  );
+  test.equal(
+    names({name: /^peach$/i}, {
+      sort: {name: 1},
+      collation: {locale: 'en', caseFirst: 'upper'}
+    }),
+    ['Peach', 'peach']
+  );
+
+  // Strength 1 ignores accents and case, 2 only case.
+  test.equal(
+    names({name: 'peche'}, {sort: {_id: 1}, collation: {locale: 'fr', strength: 1}}),
+    ['Péché', 'pêche', 'péché']
+  );
+  test.equal(
+    names({name: 'PÉCHÉ'}, {sort: {_id: 1}, collation: {locale: 'fr', strength: 2}}),
+    ['Péché', 'péché']
+  );
+  test.equal(
+    names({name: 'péché'}, {sort: {_id: 1}, collation: {locale: 'fr', strength: 3}}),
+    ['péché']
+  );
+  test.equal(
+    names({name: 'Peche'}, {
+      sort: {_id: 1},
+      collation: {locale: 'fr', strength: 1, caseLevel: true}
+    }),
+    ['Péché']
+  );
+  test.equal(names({name: 'PEACH'}, {collation: {locale: 'en'}}), []);
+
+  const strength2 = {locale: 'en', strength: 2};
+  test.equal(
+    names({name: {$in: ['PEACH', 'B']}}, {sort: {_id: 1}, collation: strength2}),
+    ['b', 'peach', 'Peach']
+  );
+  test.equal(
+    names({name: {$nin: ['PEACH', 'pêche', 'péché']}}, {
+      sort: {_id: 1},
+      collation: strength2
+    }),
+    ['b', 'item10', 'item9']
+  );
+  test.equal(
+    names({name: {$ne: 'ITEM9'}, _id: /^item/}, {collation: strength2}),
+    ['item10']
+  );
+  test.equal(
+    names({name: {$gt: 'P', $lt: 'PEAZ'}}, {sort: {_id: 1}, collation: strength2}),
+    ['peach', 'Peach']
+  );
+  test.equal(
+    names({name: {$gte: 'ITEM', $lt: 'j'}}, {
+      sort: {name: 1},
+      collation: {locale: 'en', strength: 2, numericOrdering: true}
+    }),
+    ['item9', 'item10']
+  );
+
+  // Collations apply inside arrays and objects, and to _id.
+  const d = new LocalCollection();
+  d.insert({_id: 'Abc', tags: ['Red', 'GREEN'], meta: {color: 'Blue'}});
+  test.equal(d.find({tags: 'green'}, {collation: strength2}).count(), 1);
+  test.equal(
+    d.find({tags: ['RED', 'green']}, {collation: strength2}).count(),
+    1
+  );
+  test.equal(
+    d.find({meta: {color: 'blue'}}, {collation: strength2}).count(),
+    1
+  );
+  test.equal(d.find({meta: {color: 'blue'}}).count(), 0);
+  test.equal(d.find({_id: 'abc'}, {collation: strength2}).count(), 1);
+  test.equal(d.find('abc', {collation: strength2}).count(), 1);
+  test.equal(d.find('abc').count(), 0);
+
+  // Observers use the collation too.
+  const added = [];
+  const handle = c.find({name: 'PEACH'}, {collation: strength2}).observeChanges({
+    added: id => added.push(id),
+  });
+  test.equal(added.sort(), ['Peach', 'peach']);
+  c.insert({_id: 'peacH', name: 'peacH'});
+  test.equal(added.length, 3);
+  handle.stop();
+
+  // The Matcher and Sorter accept the option too.
+  const matcher = new Minimongo.Matcher({a: 'e'}, false, {
+    collation: {locale: 'en', strength: 1}
+  });
+  test.isTrue(matcher.documentMatches({a: 'É'}).result);
+  test.isFalse(new Minimongo.Matcher({a: 'e'}).documentMatches({a: 'É'}).result);
+  const sorter = new Minimongo.Sorter({a: 1}, {collation: {locale: 'en'}});
+  test.equal([{a: 'b'}, {a: 'A'}].sort(sorter.getComparator()), [{a: 'A'}, {a: 'b'}]);
+
+  // Invalid collations.
+  [
+    {},
+    {strength: 1},
+    {locale: 'en', strength: 6},
+    {locale: 'en', caseFirst: 'first'},
+    {locale: 'en', numericOrdering: 'yes'},
+    {locale: 'en', unknown: true},
+    {locale: 'simple', strength: 1},
+    {locale: 'not a valid locale!'},
+    'en',
+  ].forEach(collation => {
+    test.throws(() => {
+      c.find({}, {collation}).fetch();
+    });
+  });
+});
+
 Tinytest.add('minimongo - subkey sort', test => {
   const c = new LocalCollection();
 
@@ -3109,12 +3352,139 @@ Tinytest.addAsync('minimongo - modify', async test => {
   await exception({}, {$set: {_id: 'bad'}});
 
   // $bit
-  // unimplemented
+  await modify({a: 13}, {$bit: {a: {and: 10}}}, {a: 8});
+  await modify({a: 13}, {$bit: {a: {or: 2}}}, {a: 15});
+  await modify({a: 13}, {$bit: {a: {xor: 5}}}, {a: 8});
+  await modify({a: 13}, {$bit: {a: {and: 10, or: 1}}}, {a: 9});
+  await modify({a: -1}, {$bit: {a: {and: 0xff}}}, {a: 255});
+  await modify({a: 2 ** 40}, {$bit: {a: {or: 1}}}, {a: 2 ** 40 + 1});
+  await modify({a: 2 ** 40 + 3}, {$bit: {a: {and: 2 ** 40 + 1}}},
+    {a: 2 ** 40 + 1});
+  await modify({}, {$bit: {a: {or: 5}}}, {a: 5});
+  await modify({a: {b: 6}}, {$bit: {'a.b': {xor: 3}}}, {a: {b: 5}});
+  await modify({a: [1, 2]}, {$bit: {'a.1': {or: 1}}}, {a: [1, 3]});
+  await exception({a: 13}, {$bit: {a: 1}});
+  await exception({a: 13}, {$bit: {a: {}}});
+  await exception({a: 13}, {$bit: {a: {not: 1}}});
+  await exception({a: 13}, {$bit: {a: {and: 1.5}}});
+  await exception({a: 13}, {$bit: {a: {and: '1'}}});
+  await exception({a: 1.5}, {$bit: {a: {and: 1}}});
+  await exception({a: 'x'}, {$bit: {a: {and: 1}}});
 
   // XXX test case sensitivity of modops
   // XXX for each (most) modop, test that it performs a deep copy
 });
 
+Tinytest.addAsync('minimongo - modify with array update operators', async test => {
+  const modify = async (doc, mod, options, expected) => {
+    const coll = new LocalCollection;
+    await coll.insertAsync(doc);
+    await coll.updateAsync({}, mod, options);
+    const actual = await coll.findOneAsync();
+    delete actual._id;
+    test.equal(actual, expected, EJSON.stringify({input: doc, mod, options}));
+  };
+  const exception = async (doc, mod, options) => {
+    const coll = new LocalCollection;
+    await coll.insertAsync(doc);
+    await test.throwsAsync(async () => {
+      await coll.updateAsync({}, mod, options);
+    });
+  };
+
+  // all positional operator
+  await modify({a: [1, 2, 3]}, {$inc: {'a.$[]': 10}}, {}, {a: [11, 12, 13]});
+  await modify({a: []}, {$set: {'a.$[]': 1}}, {}, {a: []});
+  await modify({a: [{b: 1}, {b: 2}]}, {$set: {'a.$[].c': 'x'}}, {},
+    {a: [{b: 1, c: 'x'}, {b: 2, c: 'x'}]});
+  await modify({a: [{b: 1, c: 1}, {b: 2}]}, {$unset: {'a.$[].c': 1}}, {},
+    {a: [{b: 1}, {b: 2}]});
+  await modify({a: [{b: [1, 2]}, {b: [3]}]}, {$push: {'a.$[].b': 0}}, {},
+    {a: [{b: [1, 2, 0]}, {b: [3, 0]}]});
+  await modify({a: [[1, 2], [3]]}, {$mul: {'a.$[].$[]': 2}}, {},
+    {a: [[2, 4], [6]]});
+  await modify({a: {b: [1, 2]}}, {$set: {'a.b.$[]': 0}}, {}, {a: {b: [0, 0]}});
+  await exception({}, {$set: {'a.$[]': 1}});
+  await exception({a: null}, {$set: {'a.$[]': 1}});
+  await exception({a: 1}, {$set: {'a.$[]': 1}});
+  await exception({a: {b: 1}}, {$set: {'a.$[]': 1}});
+  await exception({a: [1]}, {$rename: {'a.$[]': 'b'}});
+
+  // filtered positional operator
+  await modify({a: [1, 5, 10]}, {$set: {'a.$[x]': 0}},
+    {arrayFilters: [{x: {$gte: 5}}]}, {a: [1, 0, 0]});
+  await modify({a: [1, 5, 10]}, {$set: {'a.$[x]': 0}},
+    {arrayFilters: [{x: {$gte: 50}}]}, {a: [1, 5, 10]});
+  await modify(
+    {grades: [{grade: 80, mean: 75}, {grade: 85, mean: 90}, {grade: 90, mean: 85}]},
+    {$set: {'grades.$[elem].mean': 100}},
+    {arrayFilters: [{'elem.grade': {$gte: 85}}]},
+    {grades: [{grade: 80, mean: 75}, {grade: 85, mean: 100}, {grade: 90, mean: 100}]}
+  );
+  await modify(
+    {a: [{b: 1, c: 1}, {b: 1, c: 2}, {b: 2, c: 2}]},
+    {$inc: {'a.$[e].c': 10}},
+    {arrayFilters: [{'e.b': 1, 'e.c': {$gt: 1}}]},
+    {a: [{b: 1, c: 1}, {b: 1, c: 12}, {b: 2, c: 2}]}
+  );
+  await modify(
+    {a: [{b: 1}, {b: 2}, {b: 3}]},
+    {$set: {'a.$[e].c': true}},
+    {arrayFilters: [{$or: [{'e.b': 1}, {'e.b': 3}]}]},
+    {a: [{b: 1, c: true}, {b: 2}, {b: 3, c: true}]}
+  );
+  await modify(
+    {a: [{b: [1, 5]}, {b: [6, 2]}]},
+    {$set: {'a.$[].b.$[big]': 0}},
+    {arrayFilters: [{big: {$gt: 4}}]},
+    {a: [{b: [1, 0]}, {b: [0, 2]}]}
+  );
+  await modify(
+    {a: [{b: 1, c: [1, 2]}, {b: 2, c: [1, 2]}]},
+    {$set: {'a.$[x].c.$[y]': 0}},
+    {arrayFilters: [{'x.b': 2}, {y: 1}]},
+    {a: [{b: 1, c: [1, 2]}, {b: 2, c: [0, 2]}]}
+  );
+  await modify({a: [1, 2], b: [1, 2]},
+    {$set: {'a.$[x]': 0, 'b.$[x]': 3}},
+    {arrayFilters: [{x: 2}]}, {a: [1, 0], b: [1, 3]});
+  // no filter for the identifier
+  await exception({a: [1]}, {$set: {'a.$[x]': 0}});
+  await exception({a: [1]}, {$set: {'a.$[x]': 0}}, {arrayFilters: [{y: 1}]});
+  // unused filter
+  await exception({a: [1]}, {$set: {'a.$[x]': 0}},
+    {arrayFilters: [{x: 1}, {y: 1}]});
+  // invalid filters
+  await exception({a: [1]}, {$set: {'a.$[x]': 0}}, {arrayFilters: {x: 1}});
+  await exception({a: [1]}, {$set: {'a.$[x]': 0}},
+    {arrayFilters: [{x: 1}, {x: 2}]});
+  await exception({a: [{b: 1}]}, {$set: {'a.$[x]': 0}},
+    {arrayFilters: [{'x.b': 1, 'y.b': 1}]});
+  await exception({a: [1]}, {$set: {'a.$[X]': 0}}, {arrayFilters: [{X: 1}]});
+
+  // combined with the positional operator
+  const coll = new LocalCollection;
+  await coll.insertAsync({a: [{b: 1, c: [1, 2]}, {b: 2, c: [1, 2]}]});
+  await coll.updateAsync({'a.b': 2}, {$set: {'a.$.c.$[]': 0}});
+  const doc = await coll.findOneAsync();
+  test.equal(doc.a, [{b: 1, c: [1, 2]}, {b: 2, c: [0, 0]}]);
+
+  // multi updates use the filters for each document
+  const multi = new LocalCollection;
+  await multi.insertAsync({_id: '1', a: [1, 3]});
+  await multi.insertAsync({_id: '2', a: [3, 4]});
+  await multi.updateAsync({}, {$inc: {'a.$[x]': 1}},
+    {multi: true, arrayFilters: [{x: 3}]});
+  test.equal(await multi.find({}, {sort: {_id: 1}}).fetchAsync(),
+    [{_id: '1', a: [1, 4]}, {_id: '2', a: [4, 4]}]);
+
+  // and so does the sync version
+  const sync = new LocalCollection;
+  sync.insert({a: [1, 2, 3]});
+  sync.update({}, {$set: {'a.$[x]': 0}}, {arrayFilters: [{x: {$ne: 2}}]});
+  test.equal(sync.findOne().a, [0, 2, 0]);
+});
+
 // XXX test update() (selecting docs, multi, upsert..)
 
 Tinytest.addAsync('minimongo - observe ordered', async test => {
@@ -4010,3 +4380,77 @@ Tinytest.addAsync('minimongo - asyncIterator', async (test) => {
   test.equal(itemIds.length, 2);
   test.equal(itemIds, ['a', 'b']);
 });
+
+Tinytest.addAsync('minimongo - aggregate', async test => {
+  const orders = new LocalCollection('orders');
+  const customers = new LocalCollection('customers');
+  orders._siblingCollections = { orders, customers };
+
+  customers.insert({ _id: 'c1', name: 'Ann' });
+  customers.insert({ _id: 'c2', name: 'Bob' });
+  orders.insert({ _id: 'o1', customer: 'c1', total: 10, items: ['pen', 'ink'] });
+  orders.insert({ _id: 'o2', customer: 'c1', total: 30, items: [] });
+  orders.insert({ _id: 'o3', customer: 'c2', total: 5, items: ['pad'] });
+
+  const aggregate = pipeline => orders.aggregateAsync(pipeline);
+
+  test.equal(await aggregate([
+    { $match: { total: { $gte: 10 } } },
+    { $sort: { total: -1 } },
+    { $project: { _id: 0, total: 1, doubled: { $multiply: ['$total', 2] } } },
+  ]), [{ total: 30, doubled: 60 }, { total: 10, doubled: 20 }]);
+
+  test.equal(await aggregate([
+    { $group: {
+      _id: '$customer',
+      spent: { $sum: '$total' },
+      average: { $avg: '$total' },
+      orders: { $push: '$_id' },
+      count: { $count: {} },
+    } },
+    { $sort: { _id: 1 } },
+  ]), [
+    { _id: 'c1', spent: 40, average: 20, orders: ['o1', 'o2'], count: 2 },
+    { _id: 'c2', spent: 5, average: 5, orders: ['o3'], count: 1 },
+  ]);
+
+  test.equal(await aggregate([
+    { $unwind: '$items' },
+    { $project: { items: 1 } },
+  ]), [
+    { _id: 'o1', items: 'pen' },
+    { _id: 'o1', items: 'ink' },
+    { _id: 'o3', items: 'pad' },
+  ]);
+
+  test.equal(await aggregate([
+    { $unwind: { path: '$items', preserveNullAndEmptyArrays: true, includeArrayIndex: 'index' } },
+    { $match: { _id: 'o2' } },
+  ]), [{ _id: 'o2', customer: 'c1', total: 30, index: null }]);
+
+  test.equal(await aggregate([
+    { $lookup: { from: 'customers', localField: 'customer', foreignField: '_id', as: 'buyer' } },
+    { $addFields: { buyer: { $arrayElemAt: ['$buyer.name', 0] } } },
+    { $unset: ['items', 'customer'] },
+    { $sort: { _id: 1 } },
+    { $skip: 1 },
+    { $limit: 1 },
+  ]), [{ _id: 'o2', total: 30, buyer: 'Ann' }]);
+
+  test.equal(await aggregate([{ $match: { total: { $lt: 20 } } }, { $count: 'n' }]), [{ n: 2 }]);
+  test.equal(await aggregate([{ $match: { total: 0 } }, { $count: 'n' }]), []);
+
+  // The results are copies.
+  const [first] = await aggregate([{ $match: { _id: 'o1' } }]);
+  first.total = 0;
+  test.equal(orders.findOne('o1').total, 10);
+
+  await test.throwsAsync(() => aggregate([{ $out: 'x' }]), /Unrecognized pipeline stage/);
+  await test.throwsAsync(() => aggregate([{ $lookup: {
+    from: 'nope', localField: 'a', foreignField: 'b', as: 'c',
+  } }]), /unknown collection/);
+  await test.throwsAsync(
+    () => aggregate([{ $project: { x: { $nope: 1 } } }]),
+    /Unrecognized expression operator/
+  );
+});
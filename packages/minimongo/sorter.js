@@ -7,9 +7,10 @@ import {
   makeLookupFunction,
   regexpElementMatcher,
 } from './common.js';
+import { compileCollation } from './collation.js';
 
 // Give a sort spec, which can be in any of these forms:
-//   {"key1": 1, "key2": -1}
+//   {"key1": 1, "key2": -1, "score": {$meta: "textScore"}}
 //   [["key1", "asc"], ["key2", "desc"]]
 //   ["key1", ["key2", "desc"]]
 //
@@ -20,11 +21,16 @@ import {
 // return a function that takes two objects, and returns -1 if the
 // first object comes first in order, 1 if the second object comes
 // first, or 0 if neither object comes before the other.
+//
+// options.collation is a MongoDB collation, used to compare strings.
 
 export default class Sorter {
-  constructor(spec) {
+  constructor(spec, options = {}) {
     this._sortSpecParts = [];
     this._sortFunction = null;
+    this._collator = compileCollation(options.collation);
+    // The Matcher giving the $text scores, if sorting on them.
+    this._textScoreMatcher = null;
 
     const addSpecPart = (path, ascending) => {
       if (!path) {
@@ -52,7 +58,22 @@ export default class Sorter {
       });
     } else if (typeof spec === 'object') {
       Object.keys(spec).forEach(key => {
-        addSpecPart(key, spec[key] >= 0);
+        const value = spec[key];
+        if (value !== null && typeof value === 'object') {
+          if (value.$meta !== 'textScore') {
+            throw Error(`unsupported sort value for ${key}: ${JSON.stringify(value)}`);
+          }
+
+          // The most relevant documents come first.
+          this._sortSpecParts.push({
+            ascending: false,
+            lookup: doc => [{value: this._textScore(doc)}],
+            path: key,
+            textScore: true,
+          });
+        } else {
+          addSpecPart(key, value >= 0);
+        }
       });
     } else if (typeof spec === 'function') {
       this._sortFunction = spec;
@@ -72,8 +93,8 @@ export default class Sorter {
     if (this.affectedByModifier) {
       const selector = {};
 
-      this._sortSpecParts.forEach(spec => {
-        selector[spec.path] = 1;
+      this._getPaths().forEach(path => {
+        selector[path] = 1;
       });
 
       this._selectorForAffectedByModifier = new Minimongo.Matcher(selector);
@@ -283,8 +304,27 @@ export default class Sorter {
     return minKey;
   }
 
+  // The text scores aren't stored in the documents. The paths of the $text
+  // query are the ones of its Matcher.
   _getPaths() {
-    return this._sortSpecParts.map(part => part.path);
+    return this._sortSpecParts
+      .filter(part => !part.textScore)
+      .map(part => part.path);
+  }
+
+  _textScore(doc) {
+    if (!this._textScoreMatcher) {
+      throw Error('sorting on textScore requires a $text query');
+    }
+
+    return this._textScoreMatcher.textScore(doc);
+  }
+
+  // Called by Cursor with the Matcher of its selector.
+  _useTextScoresFrom(matcher) {
+    if (matcher.hasTextSearch()) {
+      this._textScoreMatcher = matcher;
+    }
   }
 
   // Given an index 'i', returns a comparator that compares two key arrays based
@@ -293,7 +333,11 @@ export default class Sorter {
     const invert = !this._sortSpecParts[i].ascending;
 
     return (key1, key2) => {
-      const compare = LocalCollection._f._cmp(key1[i], key2[i]);
+      const compare = LocalCollection._f._cmp(
+        key1[i],
+        key2[i],
+        this._collator
+      );
       return invert ? -compare : compare;
     };
   }
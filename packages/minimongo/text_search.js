@@ -0,0 +1,129 @@
+// A basic implementation of the $text operator. MongoDB searches the fields
+// of a text index, with stemming and stop words depending on the language.
+// Minimongo has no indexes, so it searches every string in the document
+// (except _id), and matches whole words only.
+
+// Whitespace, ASCII punctuation and the common Unicode punctuation blocks.
+const SEPARATORS = /[\s!-/:-@[-`{-~\u00a1-\u00bf\u2000-\u206f\u3000-\u303f]+/;
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+const tokenizer = ({ caseSensitive, diacriticSensitive }) => text => {
+  if (!diacriticSensitive) {
+    text = text.normalize('NFD').replace(COMBINING_MARKS, '');
+  }
+
+  if (!caseSensitive) {
+    text = text.toLowerCase();
+  }
+
+  return text.split(SEPARATORS).filter(Boolean);
+};
+
+// Splits a $search string into "phrases", -negated terms and terms.
+const parseSearch = (search, tokenize) => {
+  const phrases = [];
+  const rest = search.replace(/"([^"]*)"/g, (match, phrase) => {
+    const tokens = tokenize(phrase);
+    if (tokens.length) {
+      phrases.push(tokens);
+    }
+
+    return ' ';
+  });
+
+  const terms = [];
+  const negatedTerms = [];
+  rest.split(/\s+/).filter(Boolean).forEach(word => {
+    if (word[0] === '-') {
+      negatedTerms.push(...tokenize(word.slice(1)));
+    } else {
+      terms.push(...tokenize(word));
+    }
+  });
+
+  return { phrases, terms, negatedTerms };
+};
+
+const collectStrings = (value, strings) => {
+  if (typeof value === 'string') {
+    strings.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(element => collectStrings(element, strings));
+  } else if (LocalCollection._isPlainObject(value)) {
+    Object.keys(value).forEach(key => collectStrings(value[key], strings));
+  }
+
+  return strings;
+};
+
+const countPhrase = (tokens, phrase) => {
+  let count = 0;
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((token, j) => tokens[i + j] === token)) {
+      count++;
+    }
+  }
+
+  return count;
+};
+
+// Compiles the operand of $text into a function returning the score of a
+// document, which is 0 for documents that don't match. The score of each
+// string is the number of matched terms and phrases divided by its number of
+// words, so that matches in short strings (like titles) weigh more.
+export function compileTextSearch(operand) {
+  if (!LocalCollection._isPlainObject(operand) ||
+      typeof operand.$search !== 'string') {
+    throw MinimongoError('$text needs a $search string');
+  }
+
+  Object.keys(operand).forEach(key => {
+    if (!['$search', '$language', '$caseSensitive', '$diacriticSensitive']
+        .includes(key)) {
+      throw MinimongoError(`$text doesn't support the ${key} option`);
+    }
+  });
+
+  const tokenize = tokenizer({
+    caseSensitive: !!operand.$caseSensitive,
+    diacriticSensitive: !!operand.$diacriticSensitive,
+  });
+  const { phrases, terms, negatedTerms } = parseSearch(operand.$search, tokenize);
+
+  return doc => {
+    const fields = collectStrings(
+      Object.keys(doc).filter(key => key !== '_id').map(key => doc[key]),
+      []
+    ).map(tokenize).filter(tokens => tokens.length);
+
+    if (negatedTerms.some(term => fields.some(tokens => tokens.includes(term)))) {
+      return 0;
+    }
+
+    if (!phrases.every(phrase => fields.some(tokens => countPhrase(tokens, phrase)))) {
+      return 0;
+    }
+
+    let score = 0;
+    let matchedTerm = false;
+    fields.forEach(tokens => {
+      let matches = 0;
+      terms.forEach(term => {
+        const count = tokens.filter(token => token === term).length;
+        matches += count;
+        matchedTerm = matchedTerm || count > 0;
+      });
+      phrases.forEach(phrase => {
+        matches += countPhrase(tokens, phrase);
+      });
+      score += matches / tokens.length;
+    });
+
+    // Without phrases, at least one of the terms must be found.
+    if (!phrases.length && !matchedTerm) {
+      return 0;
+    }
+
+    return score;
+  };
+}
@@ -0,0 +1,32 @@
+import { OplogObserveDriver } from './oplog_observe_driver';
+
+/**
+ * @class ChangeStreamObserveDriver
+ * An alternative to OplogObserveDriver which follows a MongoDB change stream
+ * instead of tailing the operation log.
+ *
+ * Characteristics:
+ * - Follows a database-wide change stream shared by all observers
+ * - Receives full documents for updates, so rarely needs to fetch
+ * - Resumes from the last resume token after failover
+ * - Doesn't require access to the `local` database, only to a replica set
+ *
+ * The change events are converted to oplog entries by ChangeStreamHandle, so
+ * the publishing logic (fields, sort, limit and the write fence) is the one of
+ * OplogObserveDriver.
+ */
+export const ChangeStreamObserveDriver = function (options) {
+  const self = this;
+  OplogObserveDriver.call(self, Object.assign({}, options, {
+    oplogHandle: options.mongoHandle._changeStreamHandle,
+  }));
+  self._usesOplog = false;
+  self._usesChangeStreams = true;  // tests look at this
+};
+
+ChangeStreamObserveDriver.prototype = Object.create(OplogObserveDriver.prototype);
+ChangeStreamObserveDriver.prototype.constructor = ChangeStreamObserveDriver;
+ChangeStreamObserveDriver.prototype._factName = "observe-drivers-change-stream";
+
+// Change streams can follow the same cursors as the oplog.
+ChangeStreamObserveDriver.cursorSupported = OplogObserveDriver.cursorSupported;
@@ -0,0 +1,394 @@
+import { Meteor } from 'meteor/meteor';
+import { MongoConnection } from './mongo_connection';
+import { replaceMongoAtomWithMeteor, replaceTypes } from './mongo_common';
+
+import { NpmModuleMongodb } from "meteor/npm-mongo";
+const { Timestamp } = NpmModuleMongodb;
+
+const MAX_AWAIT_MS = +(process.env.METEOR_CHANGE_STREAM_MAX_AWAIT_MS || 250);
+const RETRY_DELAY_MS = 100;
+
+// Server error codes after which a change stream can't be resumed from the
+// token we hold: ChangeStreamFatalError and ChangeStreamHistoryLost.
+const NON_RESUMABLE_ERROR_CODES = [280, 286];
+
+const WATCHED_OPERATION_TYPES = [
+  'insert', 'update', 'replace', 'delete', 'drop', 'dropDatabase', 'invalidate'
+];
+
+interface ChangeEvent {
+  _id: any;
+  operationType: string;
+  clusterTime?: any;
+  ns?: { db: string; coll?: string };
+  documentKey?: { _id: any };
+  fullDocument?: any;
+  updateDescription?: { updatedFields?: any; removedFields?: string[] };
+}
+
+interface CatchingUpResolver {
+  ts: any;
+  resolver: () => void;
+}
+
+interface ChangeStreamTrigger {
+  dropCollection: boolean;
+  dropDatabase: boolean;
+  op?: any;
+  collection?: string;
+  id?: any;
+}
+
+// Resume tokens are KeyString encoded. The first value in the token is the
+// cluster time of the event (or of the batch, for post batch resume tokens),
+// stored as a type byte (0x82 for timestamps) followed by the big-endian
+// seconds and increment.
+export function timestampForResumeToken(token: any): any {
+  const data = token && token._data;
+  if (typeof data !== 'string' || data.length < 18 || data.slice(0, 2) !== '82') {
+    return null;
+  }
+
+  const t = parseInt(data.slice(2, 10), 16);
+  const i = parseInt(data.slice(10, 18), 16);
+  return new Timestamp({ t, i });
+}
+
+// Converts a change event into the oplog entry format understood by
+// OplogObserveDriver. Updates carry the looked up post-image, so they are
+// turned into replacements whenever it is available.
+export function oplogEntryForChangeEvent(event: ChangeEvent): any {
+  const id = event.documentKey!._id;
+  switch (event.operationType) {
+    case 'insert':
+      return { op: 'i', o: event.fullDocument };
+    case 'delete':
+      return { op: 'd', o: { _id: id } };
+    case 'replace':
+    case 'update': {
+      if (event.fullDocument) {
+        const replacement = { ...event.fullDocument };
+        delete replacement._id;
+        return { op: 'u', o: replacement, o2: { _id: id } };
+      }
+
+      // The document was removed before the post-image could be looked up. A
+      // delete event will follow, so it's enough to describe the modifier.
+      const { updatedFields = {}, removedFields = [] } =
+        event.updateDescription || {};
+      const modifier: any = {};
+      if (Object.keys(updatedFields).length) {
+        modifier.$set = updatedFields;
+      }
+      if (removedFields.length) {
+        modifier.$unset = Object.fromEntries(
+          removedFields.map(field => [field, true]));
+      }
+      if (!modifier.$set && !modifier.$unset) {
+        modifier.$set = {};
+      }
+      return { op: 'u', o: modifier, o2: { _id: id } };
+    }
+    default:
+      throw new Error("Unknown change stream operation: " + event.operationType);
+  }
+}
+
+/**
+ * Follows the changes of a whole database through a MongoDB change stream.
+ *
+ * Exposes the same interface as OplogHandle (onOplogEntry, onSkippedEntries,
+ * waitUntilCaughtUp and stop) so that ChangeStreamObserveDriver can reuse the
+ * oplog driver logic, but doesn't require access to the `local` database.
+ */
+export class ChangeStreamHandle {
+  private _mongoHandle: MongoConnection;
+  private _dbName: string;
+  private _stopped: boolean;
+  private _stream: any;
+  private _resumeToken: any;
+  private _readyPromiseResolver: (() => void) | null;
+  private _readyPromiseRejecter: ((error: Error) => void) | null;
+  private _readyPromise: Promise<void>;
+  private _crossbar: any;
+  private _catchingUpResolvers: CatchingUpResolver[];
+  private _lastProcessedTS: any;
+  private _onSkippedEntriesHook: any;
+  private _startWatchingPromise: Promise<void>;
+  private _resolveTimeout: any;
+
+  constructor(mongoHandle: MongoConnection, dbName: string) {
+    this._mongoHandle = mongoHandle;
+    this._dbName = dbName;
+
+    this._stopped = false;
+    this._stream = null;
+    this._resumeToken = null;
+    this._resolveTimeout = null;
+    this._readyPromiseResolver = null;
+    this._readyPromiseRejecter = null;
+    this._readyPromise = new Promise((resolve, reject) => {
+      this._readyPromiseResolver = resolve;
+      this._readyPromiseRejecter = reject;
+    });
+    // Whoever waits for the handle gets the error, but it must not become an
+    // unhandled rejection while nobody does.
+    this._readyPromise.catch(() => {});
+    this._crossbar = new DDPServer._Crossbar({
+      factPackage: "mongo-livedata", factName: "change-stream-watchers"
+    });
+
+    this._catchingUpResolvers = [];
+    this._lastProcessedTS = null;
+
+    this._onSkippedEntriesHook = new Hook({
+      debugPrintExceptions: "onSkippedEntries callback"
+    });
+
+    this._startWatchingPromise = this._startWatching()
+      .catch((e: Error) => this._readyPromiseRejecter!(e));
+  }
+
+  /**
+   * Resolves once the change stream is open, and rejects if it can't be opened,
+   * e.g. when MongoDB runs standalone.
+   */
+  ready(): Promise<void> {
+    return this._readyPromise;
+  }
+
+  async stop(): Promise<void> {
+    if (this._stopped) return;
+    this._stopped = true;
+    if (this._stream) {
+      await this._stream.close();
+    }
+  }
+
+  async _onOplogEntry(trigger: ChangeStreamTrigger, callback: Function): Promise<{ stop: () => Promise<void> }> {
+    if (this._stopped) {
+      throw new Error("Called onOplogEntry on stopped handle!");
+    }
+
+    await this._readyPromise;
+
+    const originalCallback = callback;
+    callback = Meteor.bindEnvironment(
+      function (notification: any) {
+        originalCallback(notification);
+      },
+      // @ts-ignore
+      function (err) {
+        Meteor._debug("Error in change stream callback", err);
+      }
+    );
+
+    const listenHandle = this._crossbar.listen(trigger, callback);
+    return {
+      stop: async function () {
+        await listenHandle.stop();
+      }
+    };
+  }
+
+  onOplogEntry(trigger: ChangeStreamTrigger, callback: Function): Promise<{ stop: () => Promise<void> }> {
+    return this._onOplogEntry(trigger, callback);
+  }
+
+  onSkippedEntries(callback: Function): { stop: () => void } {
+    if (this._stopped) {
+      throw new Error("Called onSkippedEntries on stopped handle!");
+    }
+    return this._onSkippedEntriesHook.register(callback);
+  }
+
+  async _waitUntilCaughtUp(): Promise<void> {
+    if (this._stopped) {
+      throw new Error("Called waitUntilCaughtUp on stopped handle!");
+    }
+
+    await this._readyPromise;
+
+    // The operation time of a no-op command is the cluster time of the last
+    // write the server knows about, which is what the stream needs to reach.
+    let ts = null;
+    while (!this._stopped) {
+      try {
+        const result = await this._mongoHandle.db.command({ ping: 1 });
+        ts = result.operationTime;
+        break;
+      } catch (e) {
+        Meteor._debug("Got exception while reading operation time", e);
+        // @ts-ignore
+        await Meteor.sleep(RETRY_DELAY_MS);
+      }
+    }
+
+    if (this._stopped || !ts) return;
+
+    if (this._lastProcessedTS && ts.lessThanOrEqual(this._lastProcessedTS)) {
+      return;
+    }
+
+    let insertAfter = this._catchingUpResolvers.length;
+    while (insertAfter - 1 > 0 && this._catchingUpResolvers[insertAfter - 1].ts.greaterThan(ts)) {
+      insertAfter--;
+    }
+
+    let promiseResolver = null;
+    const promiseToAwait = new Promise(r => promiseResolver = r);
+
+    clearTimeout(this._resolveTimeout);
+    this._resolveTimeout = setTimeout(() => {
+      console.error("Meteor: change stream catching up took too long", { ts });
+    }, 10000);
+
+    this._catchingUpResolvers.splice(insertAfter, 0, { ts, resolver: promiseResolver! });
+
+    await promiseToAwait;
+
+    clearTimeout(this._resolveTimeout);
+  }
+
+  async waitUntilCaughtUp(): Promise<void> {
+    return this._waitUntilCaughtUp();
+  }
+
+  _openStream(resumeOptions: any = {}): any {
+    const pipeline = [
+      { $match: { operationType: { $in: WATCHED_OPERATION_TYPES } } }
+    ];
+    return this._mongoHandle.db.watch(pipeline, {
+      fullDocument: 'updateLookup',
+      maxAwaitTimeMS: MAX_AWAIT_MS,
+      ...resumeOptions,
+    });
+  }
+
+  async _startWatching(): Promise<void> {
+    const hello = await this._mongoHandle.db.admin().command({ hello: 1 });
+    if (!(hello && (hello.setName || hello.msg === 'isdbgrid'))) {
+      throw new Error("Change streams require MongoDB to run as a replica set or a sharded cluster");
+    }
+
+    this._stream = this._openStream();
+    // Consider everything written before the stream was opened as processed.
+    this._lastProcessedTS = hello.operationTime || null;
+    this._readyPromiseResolver!();
+
+    Meteor.defer(() => this._watchLoop());
+  }
+
+  async _watchLoop(): Promise<void> {
+    while (!this._stopped) {
+      let event: ChangeEvent | null;
+      try {
+        event = await this._stream.tryNext();
+      } catch (e: any) {
+        if (this._stopped) return;
+        Meteor._debug("Got exception while following change stream", e);
+        await this._restartStream(e);
+        continue;
+      }
+
+      if (this._stopped) return;
+
+      if (!event) {
+        // An empty batch still moves the post batch resume token forward, so
+        // writes to other databases (or none at all) don't stall catching up.
+        this._resumeToken = this._stream.resumeToken || this._resumeToken;
+        const ts = timestampForResumeToken(this._resumeToken);
+        if (ts) this._setLastProcessedTS(ts);
+        continue;
+      }
+
+      this._resumeToken = event._id;
+
+      if (event.operationType === 'invalidate') {
+        // The database was dropped or renamed. The stream is closed by the
+        // server, so start a new one after the invalidating event.
+        await this._closeStream();
+        this._stream = this._openStream({ startAfter: event._id });
+        continue;
+      }
+
+      await this._handleEvent(event);
+
+      if (event.clusterTime) {
+        this._setLastProcessedTS(event.clusterTime);
+      }
+    }
+  }
+
+  async _handleEvent(event: ChangeEvent): Promise<void> {
+    if (!event.ns || event.ns.db !== this._dbName) return;
+
+    const trigger: ChangeStreamTrigger = {
+      dropCollection: false,
+      dropDatabase: false,
+    };
+
+    if (event.operationType === 'dropDatabase') {
+      trigger.dropDatabase = true;
+    } else if (event.operationType === 'drop') {
+      trigger.collection = event.ns.coll;
+      trigger.dropCollection = true;
+      trigger.id = null;
+    } else {
+      const op = replaceTypes(oplogEntryForChangeEvent(event), replaceMongoAtomWithMeteor);
+      trigger.collection = event.ns.coll;
+      trigger.id = op.op === 'u' ? op.o2._id : op.o._id;
+      trigger.op = op;
+    }
+
+    await this._crossbar.fire(trigger);
+  }
+
+  // Reopens the stream after an error. The driver already retries resumable
+  // errors once on its own, so getting here usually means a longer failover.
+  async _restartStream(error: any): Promise<void> {
+    await this._closeStream();
+    // @ts-ignore
+    await Meteor.sleep(RETRY_DELAY_MS);
+    if (this._stopped) return;
+
+    const canResume = this._resumeToken &&
+      !NON_RESUMABLE_ERROR_CODES.includes(error && error.code);
+
+    if (canResume) {
+      this._stream = this._openStream({ resumeAfter: this._resumeToken });
+      return;
+    }
+
+    // We lost our place, so observers must requery to find out what they
+    // missed, exactly like when the oplog handle skips entries.
+    this._resumeToken = null;
+    this._stream = this._openStream();
+    this._onSkippedEntriesHook.each((callback: Function) => {
+      callback();
+      return true;
+    });
+  }
+
+  async _closeStream(): Promise<void> {
+    const stream = this._stream;
+    this._stream = null;
+    if (!stream) return;
+    try {
+      await stream.close();
+    } catch (e) {
+      Meteor._debug("Got exception while closing change stream", e);
+    }
+  }
+
+  _setLastProcessedTS(ts: any): void {
+    if (this._lastProcessedTS && ts.lessThan(this._lastProcessedTS)) {
+      return;
+    }
+    this._lastProcessedTS = ts;
+    while (this._catchingUpResolvers.length && this._catchingUpResolvers[0].ts.lessThanOrEqual(this._lastProcessedTS)) {
+      const sequencer = this._catchingUpResolvers.shift()!;
+      sequencer.resolver();
+    }
+  }
+}
@@ -6,8 +6,10 @@ import {
   ID_GENERATORS, normalizeOptions,
   setupAutopublish,
   setupConnection,
+  setupDatabaseValidator,
   setupDriver,
   setupMutationMethods,
+  setupSchema,
   validateCollectionName
 } from './collection_utils';
 import { ReplicationMethods } from './methods_replication';
@@ -34,6 +36,8 @@ Mongo = {};
 The default id generation technique is `'STRING'`.
  * @param {Function} options.transform An optional transformation function. Documents will be passed through this function before being returned from `fetch` or `findOneAsync`, and before being passed to callbacks of `observe`, `map`, `forEach`, `allow`, and `deny`. Transforms are *not* applied for the callbacks of `observeChanges` or to cursors returned from publish functions.
  * @param {Boolean} options.defineMutationMethods Set to `false` to skip setting up the mutation methods that enable insert/update/remove from client code. Default `true`.
+ * @param {Object} options.schema A [`check` pattern](#matchpatterns), or an object with a `$jsonSchema` in the format of MongoDB validators. Inserted documents, and documents as they will be after an update, are validated against it, in method stubs as well as on the server. Invalid documents are rejected with a `validation-error` [`Meteor.Error`](#meteor_error) whose `details` list the paths of the invalid fields.
+ * @param {Boolean} options.validateInDatabase (Server only) Also sets a `$jsonSchema` schema as the validator of the MongoDB collection, creating it if needed. Default `false`.
  */
 // Main Collection constructor
 Mongo.Collection = function Collection(name, options) {
@@ -56,6 +60,9 @@ Mongo.Collection = function Collection(name, options) {
 
   this._settingUpReplicationPromise = this._maybeSetUpReplication(name, options);
 
+  this._schemaValidator = setupSchema(options);
+  this._settingUpValidatorPromise = setupDatabaseValidator(this, options);
+
   setupMutationMethods(this, name, options);
 
   setupAutopublish(this, name, options);
@@ -87,6 +94,7 @@ Object.assign(Mongo.Collection.prototype, {
             ),
             limit: Match.Optional(Match.OneOf(Number, undefined)),
             skip: Match.Optional(Match.OneOf(Number, undefined)),
+            collation: Match.Optional(Match.OneOf(Object, undefined)),
           })
         )
       );
@@ -97,3 +97,63 @@ export function normalizeOptions(options) {
     ...options,
   };
 }
+
+// The `schema` option is either a `check` pattern, or an object with a
+// `$jsonSchema`, like MongoDB validators. Either way, it's compiled into a
+// function returning the errors of a document as `{path, message}` objects.
+export function setupSchema(options) {
+  const { schema } = options;
+  if (!schema) return null;
+
+  if (LocalCollection._isPlainObject(schema) && '$jsonSchema' in schema) {
+    if (Object.keys(schema).length !== 1) {
+      throw new Error('A $jsonSchema schema may not have other keys');
+    }
+
+    return LocalCollection._compileJsonSchema(schema.$jsonSchema);
+  }
+
+  if (options.validateInDatabase) {
+    throw new Error('validateInDatabase requires a $jsonSchema schema');
+  }
+
+  // Documents always have an _id once inserted, so patterns don't need to
+  // list it.
+  const ignoreId = LocalCollection._isPlainObject(schema) && !('_id' in schema);
+
+  return doc => {
+    if (ignoreId) {
+      const { _id, ...rest } = doc;
+      doc = rest;
+    }
+
+    try {
+      check(doc, schema, { throwAllErrors: true });
+      return [];
+    } catch (errors) {
+      if (!Array.isArray(errors)) throw errors;
+      return errors.map(({ path, message }) => ({ path, message }));
+    }
+  };
+}
+
+// Client and local collections have no database validator, and just ignore
+// validateInDatabase.
+export function setupDatabaseValidator(collection, options) {
+  if (
+    !options.validateInDatabase ||
+    !collection._schemaValidator ||
+    !collection._collection.setValidatorAsync
+  ) {
+    return;
+  }
+
+  return collection._collection
+    .setValidatorAsync({ $jsonSchema: options.schema.$jsonSchema })
+    .catch(error => {
+      Meteor._debug(
+        `Failed to set the validator of the ${collection._name} collection`,
+        error
+      );
+    });
+}
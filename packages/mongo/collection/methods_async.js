@@ -8,6 +8,7 @@ export const AsyncMethods = {
    * @param {MongoSelector} [selector] A query describing the documents to find
    * @param {Object} [options]
    * @param {MongoSortSpecifier} options.sort Sort order (default: natural order)
+   * @param {Object} options.collation The [collation](https://www.mongodb.com/docs/manual/reference/collation/) to compare strings with when matching and sorting, eg `{locale: 'fr', strength: 1}`.
    * @param {Number} options.skip Number of results to skip at the beginning
    * @param {MongoFieldSpecifier} options.fields Dictionary of fields to return or exclude.
    * @param {Boolean} options.reactive (Client only) Default true; pass false to disable reactivity
@@ -79,6 +80,7 @@ export const AsyncMethods = {
     };
 
     if (this._isRemoteCollection()) {
+      // The schema is checked by the method, in the stub and on the server.
       const promise = this._callMutatorMethodAsync('insertAsync', [doc], options);
       promise.then(chooseReturnValueFromCollectionResult);
       promise.stubPromise = promise.stubPromise.then(chooseReturnValueFromCollectionResult);
@@ -86,12 +88,95 @@ export const AsyncMethods = {
       return promise;
     }
 
+    try {
+      this._validateSchema(doc);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
     // it's my collection.  descend into the collection object
     // and propagate any exception.
     return this._collection.insertAsync(doc)
       .then(chooseReturnValueFromCollectionResult);
   },
 
+  // Throws a `validation-error` listing the schema errors of doc, if any.
+  _validateSchema(doc) {
+    if (!this._schemaValidator) return;
+
+    const errors = this._schemaValidator(doc);
+    if (errors.length) {
+      throw new Meteor.Error(
+        'validation-error',
+        `Document failed validation: ${errors.map(error => error.message).join(', ')}`,
+        errors
+      );
+    }
+  },
+
+  // Validates docs as they will be once modified, or the upserted document if
+  // there's none.
+  _validateModifiedDocuments(docs, selector, modifier, options) {
+    if (!docs.length) {
+      if (options.upsert) {
+        const doc = LocalCollection._createUpsertDocument(selector, modifier);
+        if (!doc._id && options.insertedId) {
+          doc._id = options.insertedId;
+        }
+        this._validateSchema(doc);
+      }
+      return;
+    }
+
+    // The positional operator needs to know which array elements matched.
+    // Selectors which only the server understands can't use it anyway.
+    let matcher = null;
+    try {
+      matcher = new Minimongo.Matcher(selector);
+    } catch (e) {}
+
+    docs.forEach(doc => {
+      const modified = EJSON.clone(doc);
+      LocalCollection._modify(modified, modifier, {
+        arrayIndices: matcher?.documentMatches(doc).arrayIndices,
+        arrayFilters: options.arrayFilters,
+      });
+      this._validateSchema(modified);
+    });
+  },
+
+  async _validateUpdateAsync(selector, modifier, options = {}) {
+    if (!this._schemaValidator) return;
+
+    const docs = await this._collection
+      .find(selector, options.multi ? {} : { limit: 1 })
+      .fetchAsync();
+    this._validateModifiedDocuments(docs, selector, modifier, options);
+  },
+
+  // Runs mutate, the mutation of a mutation method (see allow-deny), once its
+  // arguments passed the schema. Returns a promise when validating updates
+  // needs one.
+  _runWithSchemaValidation(method, args, mutate) {
+    if (!this._schemaValidator) return mutate();
+
+    if (method.startsWith('insert')) {
+      this._validateSchema(args[0]);
+      return mutate();
+    }
+
+    if (method === 'update' && !Meteor.isServer) {
+      this._validateUpdate(...args);
+      return mutate();
+    }
+
+    if (method.startsWith('update')) {
+      return this._validateUpdateAsync(...args).then(mutate);
+    }
+
+    return mutate();
+  },
+
   /**
    * @summary Insert a document in the collection.  Returns a promise that will return the document's unique _id when solved.
    * @locus Anywhere
@@ -158,10 +243,10 @@ export const AsyncMethods = {
     // operation asynchronously, then queryRet will be undefined, and the
     // result will be returned through the callback instead.
 
-    return this._collection.updateAsync(
-      selector,
-      modifier,
-      options
+    return this._runWithSchemaValidation(
+      'updateAsync',
+      [selector, modifier, options],
+      () => this._collection.updateAsync(selector, modifier, options)
     );
   },
 
@@ -233,4 +318,18 @@ export const AsyncMethods = {
   estimatedDocumentCount(...args) {
     return this._collection.estimatedDocumentCount(...args);
   },
+
+  /**
+   * @summary Runs an aggregation pipeline on the collection and returns the resulting documents. On the client, and for local collections, the pipeline runs in Minimongo, which supports the `$match`, `$project`, `$addFields`, `$set`, `$unset`, `$group`, `$sort`, `$limit`, `$skip`, `$unwind`, `$lookup` and `$count` stages.
+   * @locus Anywhere
+   * @method aggregate
+   * @memberof Mongo.Collection
+   * @instance
+   * @param {Object[]} pipeline The stages of the pipeline
+   * @param {Object} [options] (Server only) All options are listed in [MongoDB documentation](https://mongodb.github.io/node-mongodb-native/4.11/interfaces/AggregateOptions.html).
+   * @returns {Promise<Object[]>}
+   */
+  aggregate(pipeline, options) {
+    return this._collection.aggregateAsync(pipeline, options);
+  },
 }
\ No newline at end of file
@@ -8,6 +8,7 @@ export const SyncMethods = {
    * @param {MongoSelector} [selector] A query describing the documents to find
    * @param {Object} [options]
    * @param {MongoSortSpecifier} options.sort Sort order (default: natural order)
+   * @param {Object} options.collation The [collation](https://www.mongodb.com/docs/manual/reference/collation/) to compare strings with when matching and sorting, eg `{locale: 'fr', strength: 1}`.
    * @param {Number} options.skip Number of results to skip at the beginning
    * @param {Number} options.limit Maximum number of results to return
    * @param {MongoFieldSpecifier} options.fields Dictionary of fields to return or exclude.
@@ -40,6 +41,7 @@ export const SyncMethods = {
    * @param {MongoSelector} [selector] A query describing the documents to find
    * @param {Object} [options]
    * @param {MongoSortSpecifier} options.sort Sort order (default: natural order)
+   * @param {Object} options.collation The [collation](https://www.mongodb.com/docs/manual/reference/collation/) to compare strings with when matching and sorting, eg `{locale: 'fr', strength: 1}`.
    * @param {Number} options.skip Number of results to skip at the beginning
    * @param {MongoFieldSpecifier} options.fields Dictionary of fields to return or exclude.
    * @param {Boolean} options.reactive (Client only) Default true; pass false to disable reactivity
@@ -156,6 +158,8 @@ export const SyncMethods = {
     // it's my collection.  descend into the collection object
     // and propagate any exception.
     try {
+      this._validateSchema(doc);
+
       // If the user provided a callback and the collection implements this
       // operation asynchronously, then queryRet will be undefined, and the
       // result will be returned through the callback instead.
@@ -248,6 +252,8 @@ export const SyncMethods = {
     // result will be returned through the callback instead.
     //console.log({callback, options, selector, modifier, coll: this._collection});
     try {
+      this._validateUpdate(selector, modifier, options);
+
       // If the user provided a callback and the collection implements this
       // operation asynchronously, then queryRet will be undefined, and the
       // result will be returned through the callback instead.
@@ -266,6 +272,15 @@ export const SyncMethods = {
     }
   },
 
+  _validateUpdate(selector, modifier, options = {}) {
+    if (!this._schemaValidator) return;
+
+    const docs = this._collection
+      .find(selector, options.multi ? {} : { limit: 1 })
+      .fetch();
+    this._validateModifiedDocuments(docs, selector, modifier, options);
+  },
+
   /**
    * @summary Remove documents from the collection
    * @locus Anywhere
@@ -24,7 +24,11 @@ export const LocalCollectionDriver = new (class LocalCollectionDriver {
 });
 
 function ensureCollection(name, collections) {
-  return (name in collections)
-    ? collections[name]
-    : collections[name] = new LocalCollection(name);
+  if (! (name in collections)) {
+    collections[name] = new LocalCollection(name);
+    // Lets $lookup find the other collections of the same connection.
+    collections[name]._siblingCollections = collections;
+  }
+
+  return collections[name];
 }
@@ -39,6 +39,8 @@ export namespace Mongo {
     projection?: FieldSpecifier | undefined;
     /** (Server only) Overrides MongoDB's default index selection and query optimization process. Specify an index to force its use, either by its name or index specification. */
     hint?: NpmModuleMongodb.Hint | undefined;
+    /** The collation to compare strings with when matching and sorting, eg `{ locale: 'fr', strength: 1 }` */
+    collation?: NpmModuleMongodb.CollationOptions | undefined;
     /** (Client only) Default `true`; pass `false` to disable reactivity */
     reactive?: boolean | undefined;
     /**  Overrides `transform` on the  [`Collection`](#collections) for this cursor.  Pass `null` to disable transformation. */
@@ -81,6 +83,13 @@ export namespace Mongo {
         transform?: (doc: T) => U;
         /** Set to `false` to skip setting up the mutation methods that enable insert/update/remove from client code. Default `true`. */
         defineMutationMethods?: boolean | undefined;
+        /**
+         * A `check` pattern, or an object with a `$jsonSchema` in the format of MongoDB validators. Inserted documents, and documents as they will be after an update,
+         * are validated against it. Invalid documents are rejected with a `validation-error` `Meteor.Error` whose `details` list the paths of the invalid fields.
+         */
+        schema?: any;
+        /** (Server only) Also sets a `$jsonSchema` schema as the validator of the MongoDB collection, creating it if needed. Default `false`. */
+        validateInDatabase?: boolean | undefined;
       }
     ): Collection<T, U>;
 
@@ -205,6 +214,12 @@ export namespace Mongo {
      * @param options All options are listed in [MongoDB documentation](https://mongodb.github.io/node-mongodb-native/4.11/interfaces/CountDocumentsOptions.html). Please note that not all of them are available on the client.
      */
     estimatedDocumentCount(options?: NpmModuleMongodb.EstimatedDocumentCountOptions): Promise<number>;
+    /**
+     * Runs an aggregation pipeline on the collection and returns the resulting documents. On the client, and for local collections, the pipeline runs in Minimongo, which supports the `$match`, `$project`, `$addFields`, `$set`, `$unset`, `$group`, `$sort`, `$limit`, `$skip`, `$unwind`, `$lookup` and `$count` stages.
+     * @param pipeline The stages of the pipeline
+     * @param options (Server only) All options are listed in [MongoDB documentation](https://mongodb.github.io/node-mongodb-native/4.11/interfaces/AggregateOptions.html).
+     */
+    aggregate<R = NpmModuleMongodb.Document>(pipeline: NpmModuleMongodb.Document[], options?: NpmModuleMongodb.AggregateOptions): Promise<R[]>;
     /**
      * Insert a document in the collection.  Returns its unique _id.
      * @deprecated on server since 2.8. Check migration guide {@link https://guide.meteor.com/2.8-migration}
@@ -480,6 +495,15 @@ export namespace Mongo {
   }
 
   function setConnectionOptions(options: any): void;
+
+  /**
+   * Runs `fn` in a MongoDB transaction, committed once the promise it returns resolves and aborted if it rejects.
+   * Writes and cursor reads of `Mongo.Collection`s in `fn` are part of the transaction. `fn` is run again on transient errors.
+   * Collections with their own driver can't be used in `fn`: their writes and reads throw an error.
+   * @param fn An async function to run in the transaction
+   * @param options The transaction options of the driver
+   */
+  function withTransaction<R>(fn: () => Promise<R>, options?: NpmModuleMongodb.TransactionOptions): Promise<R>;
 }
 
 export namespace Mongo {
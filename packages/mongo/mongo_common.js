@@ -3,6 +3,11 @@ import clone from 'lodash.clone'
 /** @type {import('mongodb')} */
 export const MongoDB = NpmModuleMongodb;
 
+// The transaction the current code runs in, if any (see Mongo.withTransaction).
+// MongoConnection's writes and cursors join it by passing its session to the
+// driver.
+export const CurrentTransaction = new Meteor.EnvironmentVariable();
+
 // The write methods block until the database has confirmed the write (it may
 // not be replicated or stable on disk, but one server has confirmed it) if no
 // callback is provided. If a callback is provided, then they call the callback
@@ -4,10 +4,18 @@ import { DocFetcher } from './doc_fetcher';
 import { ObserveMultiplexer } from './observe_multiplex';
 import { ObserveHandle } from './observe_handle';
 import { OPLOG_COLLECTION, OplogHandle } from './oplog_tailing';
+import { ChangeStreamHandle } from './change_stream_tailing';
 import { CLIENT_ONLY_METHODS, getAsyncMethodName } from 'meteor/minimongo/constants';
 import { OplogObserveDriver } from './oplog_observe_driver';
 import { PollingObserveDriver } from './polling_observe_driver';
-import { replaceMeteorAtomWithMongo, replaceTypes, transformResult } from './mongo_common';
+import { ChangeStreamObserveDriver } from './change_stream_observe_driver';
+import {
+  CurrentTransaction,
+  replaceMeteorAtomWithMongo,
+  replaceMongoAtomWithMeteor,
+  replaceTypes,
+  transformResult,
+} from './mongo_common';
 import { AsynchronousCursor } from './asynchronous_cursor';
 import { MongoDB } from './mongo_common';
 import { Cursor } from './cursor';
@@ -60,6 +68,7 @@ export const MongoConnection = function (url, options) {
 
   self.db = null;
   self._oplogHandle = null;
+  self._changeStreamHandle = null;
   self._docFetcher = null;
 
   mongoOptions.driverInfo = {
@@ -88,6 +97,12 @@ export const MongoConnection = function (url, options) {
   if (options.oplogUrl && ! Package['disable-oplog']) {
     self._oplogHandle = new OplogHandle(options.oplogUrl, self.db.databaseName);
     self._docFetcher = new DocFetcher(self);
+  } else if (options.changeStreams && ! Package['disable-oplog']) {
+    // Without an oplog, follow the database through a change stream, which
+    // only needs a replica set and no access to the `local` database.
+    self._setChangeStreamHandle(
+      new ChangeStreamHandle(self, self.db.databaseName));
+    self._docFetcher = new DocFetcher(self);
   }
 
 };
@@ -104,6 +119,11 @@ MongoConnection.prototype._close = async function() {
   if (oplogHandle)
     await oplogHandle.stop();
 
+  var changeStreamHandle = self._changeStreamHandle;
+  self._changeStreamHandle = null;
+  if (changeStreamHandle)
+    await changeStreamHandle.stop();
+
   // Use Future.wrap so that errors get thrown. This happens to
   // work even outside a fiber since the 'close' method is not
   // actually asynchronous.
@@ -119,6 +139,20 @@ MongoConnection.prototype._setOplogHandle = function(oplogHandle) {
   return this;
 };
 
+MongoConnection.prototype._setChangeStreamHandle = function(changeStreamHandle) {
+  var self = this;
+  self._changeStreamHandle = changeStreamHandle;
+  // Fall back to polling when the deployment doesn't support change streams,
+  // e.g. a standalone mongod.
+  changeStreamHandle.ready().catch(e => {
+    Meteor._debug("Change streams are unavailable, falling back to polling", e);
+    if (self._changeStreamHandle === changeStreamHandle) {
+      self._changeStreamHandle = null;
+    }
+  });
+  return self;
+};
+
 // Returns the Mongo Collection object; may yield.
 MongoConnection.prototype.rawCollection = function (collectionName) {
   var self = this;
@@ -141,6 +175,24 @@ MongoConnection.prototype.createCappedCollectionAsync = async function (
     { capped: true, size: byteSize, max: maxDocuments });
 };
 
+// Sets the validator of a collection, creating the collection if it doesn't
+// exist yet.
+MongoConnection.prototype.setValidatorAsync = async function (
+  collectionName, validator) {
+  var self = this;
+
+  if (! self.db)
+    throw Error("setValidatorAsync called before Connection created?");
+
+  try {
+    await self.db.createCollection(collectionName, { validator });
+  } catch (e) {
+    // NamespaceExists
+    if (e.code !== 48) throw e;
+    await self.db.command({ collMod: collectionName, validator });
+  }
+};
+
 // This should be called synchronously with a write, to create a
 // transaction on the current write fence, if any. After we can read
 // the write, and after observers have been notified (or at least,
@@ -155,6 +207,37 @@ MongoConnection.prototype._maybeBeginWrite = function () {
   }
 };
 
+// The session of the transaction the current write or read runs in, if any
+// (see Mongo.withTransaction). Sessions belong to a MongoClient, so only the
+// collections of the connection which started the transaction can join it.
+MongoConnection.prototype._currentSession = function () {
+  const transaction = CurrentTransaction.get();
+  if (!transaction) {
+    return undefined;
+  }
+  if (transaction.client !== this.client) {
+    throw new Error(
+      'Mongo.withTransaction only supports collections of the default ' +
+        'MongoDB connection, not collections with their own driver'
+    );
+  }
+  return transaction.session;
+};
+
+// In a transaction, observers must only poll for the changes of a write once
+// the transaction is committed. This should be called synchronously with the
+// write, like _maybeBeginWrite.
+MongoConnection.prototype._refreshOnCommit = function (refresh) {
+  const transaction = CurrentTransaction.get();
+  if (!transaction) {
+    return refresh;
+  }
+
+  return async function () {
+    transaction.onCommit(refresh);
+  };
+};
+
 // Internal interface: adds a callback which is called when the Mongo primary
 // changes. Returns a stop handle.
 MongoConnection.prototype._onFailover = function (callback) {
@@ -175,14 +258,18 @@ MongoConnection.prototype.insertAsync = async function (collection_name, documen
     throw new Error("Only plain objects may be inserted into MongoDB");
   }
 
+  // Get the session before beginning the write, so that an error getting it
+  // doesn't leave the write uncommitted.
+  const session = self._currentSession();
   var write = self._maybeBeginWrite();
-  var refresh = async function () {
+  var refresh = self._refreshOnCommit(async function () {
     await Meteor.refresh({collection: collection_name, id: document._id });
-  };
+  });
   return self.rawCollection(collection_name).insertOne(
     replaceTypes(document, replaceMeteorAtomWithMongo),
     {
       safe: true,
+      session,
     }
   ).then(async ({insertedId}) => {
     await refresh();
@@ -222,14 +309,16 @@ MongoConnection.prototype.removeAsync = async function (collection_name, selecto
     throw e;
   }
 
+  const session = self._currentSession();
   var write = self._maybeBeginWrite();
-  var refresh = async function () {
+  var refresh = self._refreshOnCommit(async function () {
     await self._refresh(collection_name, selector);
-  };
+  });
 
   return self.rawCollection(collection_name)
     .deleteMany(replaceTypes(selector, replaceMeteorAtomWithMongo), {
       safe: true,
+      session,
     })
     .then(async ({ deletedCount }) => {
       await refresh();
@@ -318,13 +407,14 @@ MongoConnection.prototype.updateAsync = async function (collection_name, selecto
 
   if (!options) options = {};
 
+  const session = self._currentSession();
   var write = self._maybeBeginWrite();
-  var refresh = async function () {
+  var refresh = self._refreshOnCommit(async function () {
     await self._refresh(collection_name, selector);
-  };
+  });
 
   var collection = self.rawCollection(collection_name);
-  var mongoOpts = {safe: true};
+  var mongoOpts = {safe: true, session};
   // Add support for filtered positional operator
   if (options.arrayFilters !== undefined) mongoOpts.arrayFilters = options.arrayFilters;
   // explictly enumerate options that minimongo supports
@@ -376,7 +466,7 @@ MongoConnection.prototype.updateAsync = async function (collection_name, selecto
     // - The id is defined by query or mod we can just add it to the replacement doc
     // - The user did not specify any id preference and the id is a Mongo ObjectId,
     //     then we can just let Mongo generate the id
-    return await simulateUpsertWithInsertedId(collection, mongoSelector, mongoMod, options)
+    return await simulateUpsertWithInsertedId(collection, mongoSelector, mongoMod, options, session)
       .then(async result => {
         await refresh();
         await write.committed();
@@ -523,6 +613,13 @@ MongoConnection.prototype.estimatedDocumentCount = function (collectionName, ...
   return collection.estimatedDocumentCount(...args);
 };
 
+MongoConnection.prototype.aggregateAsync = async function (collectionName, pipeline, options) {
+  pipeline = replaceTypes(pipeline, replaceMeteorAtomWithMongo);
+  const collection = this.rawCollection(collectionName);
+  const docs = await collection.aggregate(pipeline, options).toArray();
+  return docs.map(doc => replaceTypes(doc, replaceMongoAtomWithMeteor));
+};
+
 MongoConnection.prototype.ensureIndexAsync = MongoConnection.prototype.createIndexAsync;
 
 MongoConnection.prototype.dropIndexAsync = async function (collectionName, index) {
@@ -551,7 +648,7 @@ var NUM_OPTIMISTIC_TRIES = 3;
 
 
 
-var simulateUpsertWithInsertedId = async function (collection, selector, mod, options) {
+var simulateUpsertWithInsertedId = async function (collection, selector, mod, options, session) {
   // STRATEGY: First try doing an upsert with a generated ID.
   // If this throws an error about changing the ID on an existing document
   // then without affecting the database, we know we should probably try
@@ -568,11 +665,13 @@ var simulateUpsertWithInsertedId = async function (collection, selector, mod, op
   var insertedId = options.insertedId; // must exist
   var mongoOptsForUpdate = {
     safe: true,
-    multi: options.multi
+    multi: options.multi,
+    session,
   };
   var mongoOptsForInsert = {
     safe: true,
-    upsert: true
+    upsert: true,
+    session,
   };
 
   var replacementWithId = Object.assign(
@@ -691,8 +790,15 @@ MongoConnection.prototype._createAsynchronousCursor = function(
     skip: cursorOptions.skip,
     projection: cursorOptions.fields || cursorOptions.projection,
     readPreference: cursorOptions.readPreference,
+    collation: cursorOptions.collation,
   };
 
+  // Cursors iterated by the user (as opposed to observe drivers) read the
+  // writes of the current transaction.
+  if (selfForIteration) {
+    mongoOptions.session = self._currentSession();
+  }
+
   // Do we want a tailable cursor (which only works on capped collections)?
   if (cursorOptions.tailable) {
     mongoOptions.numberOfRetries = -1;
@@ -819,6 +925,12 @@ Object.assign(MongoConnection.prototype, {
       throw Error("You may not observe a cursor with {fields: {_id: 0}}");
     }
 
+    // Wait to know whether the change stream could be opened, so that the
+    // driver is picked accordingly.
+    if (self._changeStreamHandle) {
+      await self._changeStreamHandle.ready().catch(() => {});
+    }
+
     var observeKey = EJSON.stringify(
       Object.assign({ordered: ordered}, cursorDescription));
 
@@ -853,10 +965,10 @@ Object.assign(MongoConnection.prototype, {
       var matcher, sorter;
       var canUseOplog = [
         function () {
-          // At a bare minimum, using the oplog requires us to have an oplog, to
-          // want unordered callbacks, and to not want a callback on the polls
-          // that won't happen.
-          return self._oplogHandle && !ordered &&
+          // At a bare minimum, using the oplog requires us to have an oplog (or
+          // a change stream), to want unordered callbacks, and to not want a
+          // callback on the polls that won't happen.
+          return (self._oplogHandle || self._changeStreamHandle) && !ordered &&
             !callbacks._testOnlyPollCallback;
         },
         function () {
@@ -882,7 +994,9 @@ Object.assign(MongoConnection.prototype, {
           // We need to be able to compile the selector. Fall back to polling for
           // some newfangled $selector that minimongo doesn't support yet.
           try {
-            matcher = new Minimongo.Matcher(cursorDescription.selector);
+            matcher = new Minimongo.Matcher(cursorDescription.selector, false, {
+              collation: cursorDescription.options.collation
+            });
             return true;
           } catch (e) {
             // XXX make all compilation errors MinimongoError or something
@@ -900,7 +1014,9 @@ Object.assign(MongoConnection.prototype, {
           if (!cursorDescription.options.sort)
             return true;
           try {
-            sorter = new Minimongo.Sorter(cursorDescription.options.sort);
+            sorter = new Minimongo.Sorter(cursorDescription.options.sort, {
+              collation: cursorDescription.options.collation
+            });
             return true;
           } catch (e) {
             // XXX make all compilation errors MinimongoError or something
@@ -910,7 +1026,12 @@ Object.assign(MongoConnection.prototype, {
         }
       ].every(f => f());  // invoke each function and check if all return true
 
-      var driverClass = canUseOplog ? OplogObserveDriver : PollingObserveDriver;
+      var driverClass = PollingObserveDriver;
+      if (canUseOplog) {
+        driverClass = self._oplogHandle
+          ? OplogObserveDriver
+          : ChangeStreamObserveDriver;
+      }
       observeDriver = new driverClass({
         cursorDescription: cursorDescription,
         mongoHandle: self,
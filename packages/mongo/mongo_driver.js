@@ -1,6 +1,8 @@
 import { OplogHandle } from './oplog_tailing';
 import { MongoConnection } from './mongo_connection';
 import { OplogObserveDriver } from './oplog_observe_driver';
+import { ChangeStreamHandle } from './change_stream_tailing';
+import { ChangeStreamObserveDriver } from './change_stream_observe_driver';
 import { MongoDB } from './mongo_common';
 
 MongoInternals = global.MongoInternals = {};
@@ -26,6 +28,10 @@ MongoInternals.Connection = MongoConnection;
 
 MongoInternals.OplogObserveDriver = OplogObserveDriver;
 
+MongoInternals.ChangeStreamHandle = ChangeStreamHandle;
+
+MongoInternals.ChangeStreamObserveDriver = ChangeStreamObserveDriver;
+
 // This is used to add or remove EJSON from the beginning of everything nested
 // inside an EJSON custom type. It should only be called on pure JSON!
 
@@ -0,0 +1,67 @@
+import { CurrentTransaction } from './mongo_common';
+
+class Transaction {
+  constructor(client) {
+    this.client = client;
+    this.session = client.startSession();
+    this._refreshes = [];
+  }
+
+  // Observers must not poll for the changes of a write before the transaction
+  // is committed, or they would miss them. So writes leave their refresh to
+  // the transaction.
+  onCommit(refresh) {
+    this._refreshes.push(refresh);
+  }
+
+  // The writes of an aborted attempt are discarded, and so are their
+  // refreshes.
+  _reset() {
+    this._refreshes = [];
+  }
+
+  async _committed() {
+    for (const refresh of this._refreshes) {
+      await refresh();
+    }
+  }
+}
+
+/**
+ * @summary Runs `fn` in a MongoDB transaction, which is committed once the promise it returns resolves, and aborted if it rejects. The writes made through `Mongo.Collection`s in `fn` are part of the transaction, and so are the reads of their cursors. `fn` is run again if the transaction fails with a transient error. When called in a method, the method's write fence is only committed after the transaction, so that publications see the changes before the method returns. Only the collections of the default MongoDB connection can be used in the transaction: the writes and reads of collections with their own driver throw an error.
+ * @locus Server
+ * @memberof Mongo
+ * @param {Function} fn An async function to run in the transaction
+ * @param {Object} [options] The [transaction options](https://mongodb.github.io/node-mongodb-native/6.10/interfaces/TransactionOptions.html) of the driver, like `readConcern` and `writeConcern`
+ * @returns {Promise} The result of `fn`
+ */
+Mongo.withTransaction = async function withTransaction(fn, options) {
+  // Nested calls join the outer transaction.
+  if (CurrentTransaction.get()) {
+    return fn();
+  }
+
+  const { client } = MongoInternals.defaultRemoteCollectionDriver().mongo;
+  const transaction = new Transaction(client);
+  const { session } = transaction;
+
+  // Hold the write fence of the current method for the whole transaction.
+  const fence = DDPServer._getCurrentFence();
+  const write = fence ? fence.beginWrite() : { committed() {} };
+
+  try {
+    let result;
+    // The driver retries on TransientTransactionError and
+    // UnknownTransactionCommitResult, calling us again.
+    await session.withTransaction(async () => {
+      transaction._reset();
+      result = await CurrentTransaction.withValue(transaction, fn);
+    }, options);
+
+    await transaction._committed();
+    return result;
+  } finally {
+    await session.endSession();
+    await write.committed();
+  }
+};
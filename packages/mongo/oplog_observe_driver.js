@@ -54,6 +54,9 @@ export const OplogObserveDriver = function (options) {
 
   self._cursorDescription = options.cursorDescription;
   self._mongoHandle = options.mongoHandle;
+  // ChangeStreamObserveDriver passes its ChangeStreamHandle, which provides
+  // the same interface as OplogHandle.
+  self._oplogHandle = options.oplogHandle || self._mongoHandle._oplogHandle;
   self._multiplexer = options.multiplexer;
 
   if (options.ordered) {
@@ -105,7 +108,7 @@ export const OplogObserveDriver = function (options) {
   }
 
   Package['facts-base'] && Package['facts-base'].Facts.incrementServerFact(
-    "mongo-livedata", "observe-drivers-oplog", 1);
+    "mongo-livedata", self._factName, 1);
 
   self._registerPhaseChange(PHASE.QUERYING);
 
@@ -131,19 +134,21 @@ export const OplogObserveDriver = function (options) {
  };
 
 Object.assign(OplogObserveDriver.prototype, {
+  _factName: "observe-drivers-oplog",
+
   _init: async function() {
     const self = this;
 
     // If the oplog handle tells us that it skipped some entries (because it got
     // behind, say), re-poll.
-    self._addStopHandles(self._mongoHandle._oplogHandle.onSkippedEntries(
+    self._addStopHandles(self._oplogHandle.onSkippedEntries(
       finishIfNeedToPollQuery(function () {
         return self._needToPollQuery();
       })
     ));
     
     await forEachTrigger(self._cursorDescription, async function (trigger) {
-      self._addStopHandles(await self._mongoHandle._oplogHandle.onOplogEntry(
+      self._addStopHandles(await self._oplogHandle.onOplogEntry(
         trigger, function (notification) {
           finishIfNeedToPollQuery(function () {
             const op = notification.op;
@@ -187,7 +192,7 @@ Object.assign(OplogObserveDriver.prototype, {
   
           // This fence cannot fire until we've caught up to "this point" in the
           // oplog, and all observers made it back to the steady state.
-          await self._mongoHandle._oplogHandle.waitUntilCaughtUp();
+          await self._oplogHandle.waitUntilCaughtUp();
   
           for (const driver of Object.values(drivers)) {
             if (driver._stopped)
@@ -852,7 +857,7 @@ Object.assign(OplogObserveDriver.prototype, {
     if (self._stopped)
       return;
 
-    await self._mongoHandle._oplogHandle.waitUntilCaughtUp();
+    await self._oplogHandle.waitUntilCaughtUp();
 
     if (self._stopped)
       return;
@@ -985,7 +990,7 @@ Object.assign(OplogObserveDriver.prototype, {
     self._listenersHandle = null;
 
     Package['facts-base'] && Package['facts-base'].Facts.incrementServerFact(
-        "mongo-livedata", "observe-drivers-oplog", -1);
+        "mongo-livedata", self._factName, -1);
 
     for await (const handle of self._stopHandles) {
       await handle.stop();
@@ -1054,7 +1059,10 @@ OplogObserveDriver.cursorSupported = function (cursorDescription, matcher) {
   //            have a bug there)
   //           XXX: once we support it, we would need to think more on how we
   //           initialize the comparators when we create the driver.
-  return !matcher.hasWhere() && !matcher.hasGeoQuery();
+  //   - $text (Minimongo doesn't stem words like the text indexes of MongoDB,
+  //            so it can't tell whether a changed document still matches)
+  return !matcher.hasWhere() && !matcher.hasGeoQuery() &&
+    !matcher.hasTextSearch();
 };
 
 var modifierCanBeDirectlyApplied = function (modifier) {
@@ -90,6 +90,8 @@ Package.onUse(function (api) {
       "polling_observe_driver.ts",
       "oplog_observe_driver.js",
       "oplog_v2_converter.js",
+      "change_stream_tailing.ts",
+      "change_stream_observe_driver.js",
       "cursor_description.ts",
       "mongo_connection.js",
       "mongo_common.js",
@@ -101,6 +103,7 @@ Package.onUse(function (api) {
   api.addFiles("local_collection_driver.js", ["client", "server"]);
   api.addFiles("remote_collection_driver.ts", "server");
   api.addFiles("collection/collection.js", ["client", "server"]);
+  api.addFiles("mongo_transaction.js", "server");
   api.addFiles("connection_options.ts", "server");
   // For zodern:types to pick up our published types.
   // Both the .d.ts file and package-types.json must be published
@@ -132,5 +135,6 @@ Package.onTest(function (api) {
   api.addFiles("tests/observe_changes_tests.js", ["client", "server"]);
   api.addFiles("tests/oplog_tests.js", "server");
   api.addFiles("tests/oplog_v2_converter_tests.js", "server");
+  api.addFiles("tests/change_stream_tests.js", "server");
   api.addFiles("tests/doc_fetcher_tests.js", "server");
 });
@@ -9,6 +9,7 @@ import { MongoConnection } from './mongo_connection';
 // Define interfaces and types
 interface IConnectionOptions {
   oplogUrl?: string;
+  changeStreams?: boolean;
   [key: string]: unknown;  // Changed from 'any' to 'unknown' for better type safety
 }
 
@@ -38,12 +39,14 @@ declare global {
     interface ProcessEnv {
       MONGO_URL: string;
       MONGO_OPLOG_URL?: string;
+      MONGO_CHANGE_STREAMS?: string;
     }
   }
 
   const MongoInternals: IMongoInternals;
   const Meteor: {
     startup: (callback: () => Promise<void>) => void;
+    settings: any;
   };
 }
 
@@ -51,6 +54,7 @@ class RemoteCollectionDriver {
   private readonly mongo: MongoConnection;
 
   private static readonly REMOTE_COLLECTION_METHODS = [
+    'aggregateAsync',
     'createCappedCollectionAsync',
     'dropIndexAsync',
     'ensureIndexAsync',
@@ -63,6 +67,7 @@ class RemoteCollectionDriver {
     'insertAsync',
     'rawCollection',
     'removeAsync',
+    'setValidatorAsync',
     'updateAsync',
     'upsertAsync',
   ] as const;
@@ -117,6 +122,16 @@ MongoInternals.defaultRemoteCollectionDriver = once((): RemoteCollectionDriver =
     connectionOptions.oplogUrl = process.env.MONGO_OPLOG_URL;
   }
 
+  // Change streams are only used when there is no oplog to tail. The
+  // environment variable takes precedence over the settings when it is set.
+  const changeStreamsEnv = process.env.MONGO_CHANGE_STREAMS;
+  const changeStreams = changeStreamsEnv
+    ? ['1', 'true'].includes(changeStreamsEnv.toLowerCase())
+    : !!Meteor.settings?.packages?.mongo?.changeStreams;
+  if (changeStreams) {
+    connectionOptions.changeStreams = true;
+  }
+
   const driver = new RemoteCollectionDriver(mongoUrl, connectionOptions);
 
   // Initialize database connection on startup
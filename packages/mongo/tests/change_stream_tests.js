@@ -0,0 +1,217 @@
+import {
+  ChangeStreamHandle,
+  oplogEntryForChangeEvent,
+  timestampForResumeToken,
+} from '../change_stream_tailing';
+
+const runInFence = async function (f) {
+  const fence = new DDPServer._WriteFence;
+  await DDPServer._CurrentWriteFence.withValue(fence, f);
+  await fence.armAndWait();
+};
+
+// The dev server started by mongo-dev-server is a single node replica set, so
+// change streams are available even when MONGO_OPLOG_URL is not.
+let changeStreamDriver = null;
+const getChangeStreamDriver = () => {
+  if (!changeStreamDriver) {
+    changeStreamDriver = new MongoInternals.RemoteCollectionDriver(
+      process.env.MONGO_URL, { changeStreams: true });
+  }
+  return changeStreamDriver;
+};
+
+// Answers `hello` like a standalone mongod, which has no replica set name.
+const standaloneMongoHandle = {
+  db: {
+    admin: () => ({
+      command: async () => ({ isWritablePrimary: true, ok: 1 }),
+    }),
+  },
+};
+
+Tinytest.add('mongo-livedata - change streams - resume token timestamp', function (test) {
+  const ts = timestampForResumeToken({
+    _data: '82665F1A2B000000012B022C0100296E5A1004',
+  });
+  test.equal(ts.getHighBits(), 0x665F1A2B);
+  test.equal(ts.getLowBits(), 1);
+
+  test.isNull(timestampForResumeToken(null));
+  test.isNull(timestampForResumeToken({ _data: 'zz' }));
+});
+
+Tinytest.add('mongo-livedata - change streams - events to oplog entries', function (test) {
+  test.equal(
+    oplogEntryForChangeEvent({
+      operationType: 'insert',
+      documentKey: { _id: 'a' },
+      fullDocument: { _id: 'a', x: 1 },
+    }),
+    { op: 'i', o: { _id: 'a', x: 1 } }
+  );
+
+  test.equal(
+    oplogEntryForChangeEvent({
+      operationType: 'delete',
+      documentKey: { _id: 'a' },
+    }),
+    { op: 'd', o: { _id: 'a' } }
+  );
+
+  test.equal(
+    oplogEntryForChangeEvent({
+      operationType: 'update',
+      documentKey: { _id: 'a' },
+      fullDocument: { _id: 'a', x: 2 },
+      updateDescription: { updatedFields: { x: 2 }, removedFields: [] },
+    }),
+    { op: 'u', o: { x: 2 }, o2: { _id: 'a' } }
+  );
+
+  // Without a post-image, the update description becomes a modifier.
+  test.equal(
+    oplogEntryForChangeEvent({
+      operationType: 'update',
+      documentKey: { _id: 'a' },
+      fullDocument: null,
+      updateDescription: { updatedFields: { x: 2 }, removedFields: ['y'] },
+    }),
+    { op: 'u', o: { $set: { x: 2 }, $unset: { y: true } }, o2: { _id: 'a' } }
+  );
+});
+
+Tinytest.addAsync('mongo-livedata - change streams - driver selection', async function (test) {
+  const coll = new Mongo.Collection('changeStream' + Random.id(), {
+    _driver: getChangeStreamDriver(),
+  });
+
+  const withChangeStream = await coll
+    .find({ x: 5 })
+    .observeChanges({ added() {} });
+  test.isTrue(withChangeStream._multiplexer._observeDriver._usesChangeStreams);
+  test.isFalse(withChangeStream._multiplexer._observeDriver._usesOplog);
+  await withChangeStream.stop();
+
+  const withoutChangeStream = await coll
+    .find({ x: 6 }, { disableOplog: true })
+    .observeChanges({ added() {} });
+  test.isFalse(withoutChangeStream._multiplexer._observeDriver._usesChangeStreams);
+  await withoutChangeStream.stop();
+
+  const unsupported = await coll
+    .find({}, { skip: 2 })
+    .observeChanges({ added() {} });
+  test.isFalse(unsupported._multiplexer._observeDriver._usesChangeStreams);
+  await unsupported.stop();
+});
+
+Tinytest.addAsync('mongo-livedata - change streams - write fence', async function (test) {
+  const coll = new Mongo.Collection('changeStream' + Random.id(), {
+    _driver: getChangeStreamDriver(),
+  });
+
+  const output = [];
+  const handle = await coll.find({ color: 'blue' }).observeChanges({
+    added(id, fields) { output.push(['added', id, fields]); },
+    changed(id, fields) { output.push(['changed', id, fields]); },
+    removed(id) { output.push(['removed', id]); },
+  });
+  test.isTrue(handle._multiplexer._observeDriver._usesChangeStreams);
+
+  // Every callback must have fired by the time the fence is released.
+  let id;
+  await runInFence(async () => {
+    id = await coll.insertAsync({ color: 'blue', name: 'sky' });
+  });
+  test.equal(output.splice(0), [['added', id, { color: 'blue', name: 'sky' }]]);
+
+  await runInFence(async () => {
+    await coll.updateAsync(id, { $set: { name: 'sea' } });
+  });
+  test.equal(output.splice(0), [['changed', id, { name: 'sea' }]]);
+
+  await runInFence(async () => {
+    await coll.updateAsync(id, { $set: { color: 'red' } });
+  });
+  test.equal(output.splice(0), [['removed', id]]);
+
+  await runInFence(async () => {
+    await coll.insertAsync({ color: 'red' });
+  });
+  test.equal(output, []);
+
+  await handle.stop();
+});
+
+Tinytest.addAsync('mongo-livedata - change streams - fields, sort and limit', async function (test) {
+  const coll = new Mongo.Collection('changeStream' + Random.id(), {
+    _driver: getChangeStreamDriver(),
+  });
+
+  await coll.insertAsync({ _id: 'a', rank: 3, secret: 1 });
+  await coll.insertAsync({ _id: 'b', rank: 2, secret: 1 });
+  await coll.insertAsync({ _id: 'c', rank: 1, secret: 1 });
+
+  const output = [];
+  const handle = await coll
+    .find({}, { sort: { rank: 1 }, limit: 2, fields: { rank: 1 } })
+    .observeChanges({
+      added(id, fields) { output.push(['added', id, fields]); },
+      changed(id, fields) { output.push(['changed', id, fields]); },
+      removed(id) { output.push(['removed', id]); },
+    });
+  test.isTrue(handle._multiplexer._observeDriver._usesChangeStreams);
+  test.equal(output.splice(0).sort(), [
+    ['added', 'b', { rank: 2 }],
+    ['added', 'c', { rank: 1 }],
+  ]);
+
+  // Moves 'c' out of the published set and 'a' into it.
+  await runInFence(async () => {
+    await coll.updateAsync('c', { $set: { rank: 4, secret: 2 } });
+  });
+  test.equal(output.splice(0), [
+    ['removed', 'c'],
+    ['added', 'a', { rank: 3 }],
+  ]);
+
+  await runInFence(async () => {
+    await coll.removeAsync('b');
+  });
+  test.equal(output.splice(0), [
+    ['removed', 'b'],
+    ['added', 'c', { rank: 4 }],
+  ]);
+
+  await handle.stop();
+});
+
+Tinytest.addAsync('mongo-livedata - change streams - standalone deployment', async function (test) {
+  const handle = new ChangeStreamHandle(standaloneMongoHandle, 'meteor');
+  await test.throwsAsync(() => handle.ready(), /replica set or a sharded cluster/);
+  await test.throwsAsync(
+    () => handle.waitUntilCaughtUp(),
+    /replica set or a sharded cluster/
+  );
+  await test.throwsAsync(
+    () => handle.onOplogEntry({ collection: 'x' }, () => {}),
+    /replica set or a sharded cluster/
+  );
+  await handle.stop();
+
+  // The connection falls back to polling.
+  const driver = new MongoInternals.RemoteCollectionDriver(process.env.MONGO_URL);
+  driver.mongo._setChangeStreamHandle(
+    new ChangeStreamHandle(standaloneMongoHandle, 'meteor'));
+  const coll = new Mongo.Collection('changeStream' + Random.id(), {
+    _driver: driver,
+  });
+  const observeHandle = await coll
+    .find({ x: 5 })
+    .observeChanges({ added() {} });
+  test.isFalse(observeHandle._multiplexer._observeDriver._usesChangeStreams);
+  test.isNull(driver.mongo._changeStreamHandle);
+  await observeHandle.stop();
+  await driver.mongo.close();
+});
@@ -7,6 +7,7 @@ Tinytest.add('async collection - check for methods presence', function (test) {
   isFunction(collection.dropCollectionAsync);
   isFunction(collection.dropIndexAsync);
   isFunction(collection.findOneAsync);
+  isFunction(collection.aggregate);
   isFunction(collection.insertAsync);
   isFunction(collection.removeAsync);
   isFunction(collection.updateAsync);
@@ -31,3 +32,117 @@ Tinytest.add('async collection - check for methods presence', function (test) {
     }
   });
 });
+
+Tinytest.addAsync('async collection - aggregate', async test => {
+  // Named, so that it's a real MongoDB collection on the server and a
+  // Minimongo one on the client.
+  const collection = new Mongo.Collection(`aggregate${test.id}`);
+  const id = new Mongo.ObjectID();
+  if (Meteor.isServer) {
+    await collection.insertAsync({ kind: 'a', n: 1, ref: id });
+    await collection.insertAsync({ kind: 'a', n: 2, ref: id });
+    await collection.insertAsync({ kind: 'b', n: 3 });
+  } else {
+    collection._collection.insert({ kind: 'a', n: 1, ref: id });
+    collection._collection.insert({ kind: 'a', n: 2, ref: id });
+    collection._collection.insert({ kind: 'b', n: 3 });
+  }
+
+  const result = await collection.aggregate([
+    { $match: { ref: id } },
+    { $group: { _id: '$ref', total: { $sum: '$n' } } },
+  ]);
+  test.equal(result, [{ _id: id, total: 3 }]);
+  test.instanceOf(result[0]._id, Mongo.ObjectID);
+});
+
+const validationError = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+
+  return null;
+};
+
+Tinytest.addAsync('async collection - schema with a check pattern', async test => {
+  const collection = new Mongo.Collection(null, {
+    schema: {
+      title: String,
+      tags: Match.Optional([String]),
+      owner: { name: String },
+    },
+  });
+
+  const id = await collection.insertAsync({ title: 'a', owner: { name: 'b' } });
+
+  let error = await validationError(
+    collection.insertAsync({ title: 1, owner: { name: 2 } })
+  );
+  test.instanceOf(error, Meteor.Error);
+  test.equal(error.error, 'validation-error');
+  test.equal(error.details.map(detail => detail.path), ['title', 'owner.name']);
+  test.equal(await collection.find().countAsync(), 1);
+
+  error = await validationError(
+    collection.updateAsync(id, { $push: { tags: 3 } })
+  );
+  test.equal(error.error, 'validation-error');
+  test.equal(error.details.map(detail => detail.path), ['tags[0]']);
+  test.equal(await collection.findOneAsync(id), {
+    _id: id,
+    title: 'a',
+    owner: { name: 'b' },
+  });
+
+  await collection.updateAsync(id, { $push: { tags: 'c' } });
+  test.equal((await collection.findOneAsync(id)).tags, ['c']);
+
+  error = await validationError(
+    collection.upsertAsync({ title: 'd' }, { $set: { owner: {} } })
+  );
+  test.equal(error.error, 'validation-error');
+  test.equal(error.details.map(detail => detail.path), ['owner']);
+  test.equal(await collection.find().countAsync(), 1);
+});
+
+Tinytest.addAsync('async collection - schema with $jsonSchema', async test => {
+  test.throws(
+    () => new Mongo.Collection(null, {
+      schema: { title: String },
+      validateInDatabase: true,
+    }),
+    /requires a \$jsonSchema schema/
+  );
+
+  const collection = new Mongo.Collection(null, {
+    schema: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['_id', 'title'],
+        properties: {
+          title: { bsonType: 'string' },
+          items: { bsonType: 'array', items: { bsonType: 'int', minimum: 0 } },
+        },
+      },
+    },
+  });
+
+  const id = await collection.insertAsync({ title: 'a', items: [1, 2] });
+
+  let error = await validationError(collection.insertAsync({ items: [] }));
+  test.equal(error.error, 'validation-error');
+  test.equal(error.details, [{ path: 'title', message: "'title' is required" }]);
+
+  error = await validationError(
+    collection.updateAsync(
+      { _id: id, items: 2 },
+      { $set: { 'items.$': -1 } }
+    )
+  );
+  test.equal(error.details.map(detail => detail.path), ['items[1]']);
+
+  await collection.updateAsync({ _id: id, items: 2 }, { $set: { 'items.$': 3 } });
+  test.equal((await collection.findOneAsync(id)).items, [1, 3]);
+});
@@ -4259,6 +4259,79 @@ if (Meteor.isServer) {
 }
 
 if (Meteor.isServer) {
+  Tinytest.addAsync('mongo-livedata - withTransaction', async function(test) {
+    const Collection = new Mongo.Collection(`with_transaction_test_${test.runId()}`);
+    await Collection.insertAsync({ _id: 'a', n: 1 });
+
+    const result = await Mongo.withTransaction(async () => {
+      await Collection.insertAsync({ _id: 'b', n: 2 });
+      await Collection.updateAsync('a', { $inc: { n: 10 } });
+
+      // Reads in the transaction see its writes, unlike reads outside of it.
+      test.equal(await Collection.find({}, { sort: { _id: 1 } }).fetchAsync(), [
+        { _id: 'a', n: 11 },
+        { _id: 'b', n: 2 },
+      ]);
+      test.isFalse(await Collection.rawCollection().findOne({ _id: 'b' }));
+
+      // Nested calls join the transaction.
+      await Mongo.withTransaction(() => Collection.removeAsync('a'));
+      return 'done';
+    });
+
+    test.equal(result, 'done');
+    test.equal(await Collection.find().fetchAsync(), [{ _id: 'b', n: 2 }]);
+
+    await test.throwsAsync(
+      () => Mongo.withTransaction(async () => {
+        await Collection.insertAsync({ _id: 'c' });
+        throw new Error('abort');
+      }),
+      /abort/
+    );
+    test.isFalse(await Collection.findOneAsync('c'));
+  });
+
+  Tinytest.addAsync('mongo-livedata - withTransaction with another driver', async function(test) {
+    const driver = new MongoInternals.RemoteCollectionDriver(process.env.MONGO_URL);
+    const Collection = new Mongo.Collection(
+      `with_transaction_driver_test_${test.runId()}`,
+      { _driver: driver }
+    );
+    try {
+      // Sessions of the default connection can't be used by another client.
+      await test.throwsAsync(
+        () => Mongo.withTransaction(() => Collection.insertAsync({ _id: 'a' })),
+        /only supports collections of the default MongoDB connection/
+      );
+      await test.throwsAsync(
+        () => Mongo.withTransaction(() => Collection.find().fetchAsync()),
+        /only supports collections of the default MongoDB connection/
+      );
+      test.isFalse(await Collection.findOneAsync('a'));
+    } finally {
+      await driver.mongo._close();
+    }
+  });
+
+  Tinytest.addAsync('mongo-livedata - withTransaction in a write fence', async function(test) {
+    const Collection = new Mongo.Collection(`with_transaction_fence_test_${test.runId()}`);
+    const added = [];
+    const handle = await Collection.find().observeChanges({
+      added(id) {
+        added.push(id);
+      },
+    });
+
+    // The fence is only committed once the observers saw the committed writes.
+    await runInFence(() => Mongo.withTransaction(async () => {
+      await Collection.insertAsync({ _id: 'a' });
+      await Collection.insertAsync({ _id: 'b' });
+    }));
+    test.equal(added.sort(), ['a', 'b']);
+    await handle.stop();
+  });
+
   Tinytest.addAsync('mongo-livedata - asyncIterator', async function(test) {
     const Collection = new Mongo.Collection(`asynciterator_test_${test.runId()}`);
 
@@ -21,10 +21,14 @@ OAuth._requestHandlers = {};
 /*
 /* @param name {String} e.g. "google", "facebook"
 /* @param version {Number} OAuth version (1 or 2)
-/* @param urls   For OAuth1 only, specify the service's urls
-/* @param handleOauthRequest {Function(oauthBinding|query)}
+/* @param urls   For OAuth1, specify the service's urls. For OAuth2, an
+/*   optional `authorize` function, to start the authorization on the
+/*   server with PKCE (see oauth2_server.js)
+/* @param handleOauthRequest {Function(oauthBinding|query, authorization)}
 /*   - (For OAuth1 only) oauthBinding {OAuth1Binding} bound to the appropriate provider
 /*   - (For OAuth2 only) query {Object} parameters passed in query string
+/*   - (For OAuth2 only) authorization {Object} the codeVerifier and nonce of
+/*     the request, when it was started on the server
 /*   - return value is:
 /*     - {serviceData:, (optional options:)} where serviceData should end
 /*       up in the user's services[name] field
@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+
+// The signature algorithms of id tokens we support, with the type of their
+// keys. Symmetric algorithms, and `none`, are rejected.
+const ALGORITHMS = {
+  RS256: { kty: 'RSA', hash: 'sha256' },
+  RS384: { kty: 'RSA', hash: 'sha384' },
+  RS512: { kty: 'RSA', hash: 'sha512' },
+  PS256: { kty: 'RSA', hash: 'sha256', pss: true },
+  PS384: { kty: 'RSA', hash: 'sha384', pss: true },
+  PS512: { kty: 'RSA', hash: 'sha512', pss: true },
+  ES256: { kty: 'EC', hash: 'sha256' },
+  ES384: { kty: 'EC', hash: 'sha384' },
+  ES512: { kty: 'EC', hash: 'sha512' },
+  EdDSA: { kty: 'OKP', hash: null },
+};
+
+// Providers rotate their keys, so we refetch the key set when a token is
+// signed by a key we don't know, and at least every hour.
+const JWKS_CACHE_TTL = 60 * 60 * 1000;
+const jwksCache = new Map();
+
+const fetchJwks = async jwksUri => {
+  let keys;
+  try {
+    const response = await OAuth._fetch(jwksUri, 'GET', {
+      headers: { Accept: 'application/json' },
+    });
+    ({ keys } = await response.json());
+  } catch (err) {
+    throw new Error(`Failed to fetch the keys of the id token. ${err.message}`);
+  }
+
+  if (!Array.isArray(keys)) {
+    throw new Error(`Invalid key set at ${jwksUri}`);
+  }
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  return keys;
+};
+
+const findKey = async (jwksUri, header, { kty }) => {
+  const matches = key =>
+    key.kty === kty &&
+    (!header.kid || key.kid === header.kid) &&
+    (!key.use || key.use === 'sig') &&
+    (!key.alg || key.alg === header.alg);
+
+  const cached = jwksCache.get(jwksUri);
+  let key = cached && Date.now() - cached.fetchedAt < JWKS_CACHE_TTL
+    ? cached.keys.find(matches)
+    : undefined;
+  if (!key) {
+    key = (await fetchJwks(jwksUri)).find(matches);
+  }
+  if (!key) {
+    throw new Error('No key of the provider matches the id token');
+  }
+
+  return key;
+};
+
+const decodeSegment = segment =>
+  JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// For tests
+OAuth._clearJwksCache = () => jwksCache.clear();
+
+/**
+ * Verifies an OpenID Connect id token: its signature, with the keys published
+ * by the provider, and its claims. Throws if the token is invalid.
+ *
+ * @param {String} idToken The id token, as a JWT
+ * @param {Object} options
+ * @param {String} options.jwksUri The URL of the key set of the provider
+ * @param {String} options.issuer The expected issuer (`iss`)
+ * @param {String} options.audience The client id of the app, expected in `aud`
+ * @param {String} [options.nonce] The nonce sent in the authorization request
+ * @param {Number} [options.clockTolerance] The clock skew allowed when
+ *   checking the expiration of the token, in seconds. Defaults to 60.
+ * @returns {Promise<Object>} The claims of the token
+ */
+OAuth._verifyIdToken = async (idToken, {
+  jwksUri,
+  issuer,
+  audience,
+  nonce,
+  clockTolerance = 60,
+}) => {
+  const segments = typeof idToken === 'string' ? idToken.split('.') : [];
+  if (segments.length !== 3) {
+    throw new Error('Invalid id token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch (err) {
+    throw new Error('Invalid id token');
+  }
+
+  const algorithm = Object.prototype.hasOwnProperty.call(ALGORITHMS, header.alg)
+    && ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported id token algorithm: ${header.alg}`);
+  }
+
+  const jwk = await findKey(jwksUri, header, algorithm);
+  const key = {
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    // ECDSA signatures of JWTs are the raw r and s values.
+    dsaEncoding: 'ieee-p1363',
+    ...(algorithm.pss && {
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+    }),
+  };
+  const signed = Buffer.from(`${segments[0]}.${segments[1]}`);
+  const signature = Buffer.from(segments[2], 'base64url');
+  if (!crypto.verify(algorithm.hash, signed, key, signature)) {
+    throw new Error('Invalid id token signature');
+  }
+
+  if (claims.iss !== issuer) {
+    throw new Error(`Unexpected id token issuer: ${claims.iss}`);
+  }
+
+  if (![].concat(claims.aud).includes(audience) ||
+      (claims.azp && claims.azp !== audience)) {
+    throw new Error('The id token was issued to another client');
+  }
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp !== 'number' || claims.exp + clockTolerance < now) {
+    throw new Error('The id token expired');
+  }
+
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new Error('Invalid id token nonce');
+  }
+
+  return claims;
+};
@@ -0,0 +1,75 @@
+//
+// _pendingAuthorizations are the secrets of authorization requests started
+// on the server, which are needed when the user is redirected back: the PKCE
+// code verifier, and the OpenID Connect nonce.
+//
+// When Meteor Apps run on multiple servers, it's possible that 2 different
+// servers may be used to start the authorization request and to handle its
+// callback. For this reason, they are stored in the database, like the
+// request tokens of oauth1.
+
+// Collection containing pending authorizations
+// Has key, codeVerifier, nonce, and createdAt fields.
+OAuth._pendingAuthorizations = new Mongo.Collection(
+  "meteor_oauth_pendingAuthorizations", {
+    _preventAutopublish: true
+  });
+
+await OAuth._pendingAuthorizations.createIndexAsync('key', { unique: true });
+await OAuth._pendingAuthorizations.createIndexAsync('createdAt');
+
+
+// Periodically clear old entries that never got completed
+const _cleanStaleResults = async () => {
+  // Remove authorizations older than 5 minute
+  const timeCutoff = new Date();
+  timeCutoff.setMinutes(timeCutoff.getMinutes() - 5);
+  await OAuth._pendingAuthorizations.removeAsync({ createdAt: { $lt: timeCutoff } });
+};
+const _cleanupHandle = Meteor.setInterval(_cleanStaleResults, 60 * 1000);
+
+
+// Stores the secrets of an authorization request in the
+// _pendingAuthorizations collection.
+// Will throw an exception if `key` is not a string.
+//
+// @param key {string} The credential token of the login flow
+// @param authorization {Object} with codeVerifier and nonce fields
+//
+OAuth._storePendingAuthorization = async (key, { codeVerifier, nonce }) => {
+  check(key, String);
+
+  // We do an upsert here instead of an insert in case the user happens
+  // to somehow send the same `state` parameter twice during an OAuth
+  // login; we don't want a duplicate key error.
+  await OAuth._pendingAuthorizations.upsertAsync({
+    key,
+  }, {
+    key,
+    codeVerifier: OAuth.sealSecret(codeVerifier),
+    nonce,
+    createdAt: new Date()
+  });
+};
+
+
+// Retrieves and removes an authorization from the _pendingAuthorizations
+// collection. Returns an object containing codeVerifier and nonce properties.
+//
+// @param key {string}
+//
+OAuth._retrievePendingAuthorization = async key => {
+  check(key, String);
+
+  const pendingAuthorization =
+    await OAuth._pendingAuthorizations.findOneAsync({ key });
+  if (pendingAuthorization) {
+    await OAuth._pendingAuthorizations.removeAsync({ _id: pendingAuthorization._id });
+    return {
+      codeVerifier: OAuth.openSecret(pendingAuthorization.codeVerifier),
+      nonce: pendingAuthorization.nonce,
+    };
+  } else {
+    return undefined;
+  }
+};
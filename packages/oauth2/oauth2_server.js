@@ -1,17 +1,85 @@
+import crypto from 'crypto';
+
+// Generates a PKCE (RFC 7636) code verifier, and the code challenge which is
+// sent in the authorization request.
+OAuth._generatePkce = () => {
+  const codeVerifier = Random.secret(64);
+  const codeChallenge = crypto
+    .createHash('sha256')
+    .update(codeVerifier)
+    .digest('base64url');
+
+  return { codeVerifier, codeChallenge, codeChallengeMethod: 'S256' };
+};
+
+// Services whose `urls.authorize` builds the authorization URL on the
+// server are started by opening `/_oauth/<service>?authorizeAndRedirect=true`
+// with the state. The server generates the PKCE code verifier and the nonce,
+// keeps them until the user is redirected back, and redirects to the
+// authorization URL.
+const authorizeAndRedirect = async (service, query, res) => {
+  if (typeof service.urls?.authorize !== 'function') {
+    throw new Error(
+      `The ${service.serviceName} service can't be authorized from the server`
+    );
+  }
+
+  const config = await ServiceConfiguration.configurations.findOneAsync({
+    service: service.serviceName,
+  });
+  if (!config) {
+    throw new ServiceConfiguration.ConfigError(service.serviceName);
+  }
+
+  const { codeVerifier, codeChallenge, codeChallengeMethod } =
+    OAuth._generatePkce();
+  const nonce = Random.secret();
+  await OAuth._storePendingAuthorization(
+    OAuth._credentialTokenFromQuery(query),
+    { codeVerifier, nonce }
+  );
+
+  const redirectUrl = await service.urls.authorize(config, {
+    query,
+    state: query.state,
+    codeChallenge,
+    codeChallengeMethod,
+    nonce,
+  });
+
+  res.writeHead(302, { Location: redirectUrl });
+  res.end();
+};
+
 // connect middleware
 OAuth._requestHandlers['2'] = async (service, query, res) => {
+  if (query.authorizeAndRedirect) {
+    await authorizeAndRedirect(service, query, res);
+    return;
+  }
+
   let credentialSecret;
 
   // check if user authorized access
   if (!query.error) {
     // Prepare the login results before returning.
 
+    const credentialToken = OAuth._credentialTokenFromQuery(query);
+
+    // For the services authorized from the server, only the requests we
+    // started can be completed, with their code verifier and nonce.
+    let authorization;
+    if (service.urls?.authorize) {
+      authorization = await OAuth._retrievePendingAuthorization(credentialToken);
+      if (!authorization) {
+        throw new Error("Unable to retrieve pending authorization");
+      }
+    }
+
     // Run service-specific handler.
-    const oauthResult = await service.handleOauthRequest(query);
+    const oauthResult = await service.handleOauthRequest(query, authorization);
     credentialSecret = Random.secret();
 
-    const credentialToken = OAuth._credentialTokenFromQuery(query);
-
     // Store the login result so it can be retrieved in another
     // browser tab by the result handler
     await OAuth._storePendingCredential(credentialToken, {
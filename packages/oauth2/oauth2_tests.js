@@ -1,4 +1,5 @@
 import http from 'http';
+import crypto from 'crypto';
 
 const testPendingCredential = async function (test, method) {
   const foobookId = Random.id();
@@ -87,3 +88,152 @@ Tinytest.addAsync("oauth2 - pendingCredential is stored and can be retrieved (wi
     OAuthEncryption.loadKey(null);
   }
 });
+
+// A response which records the redirect of the authorization step.
+const redirectResponse = () => ({
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  },
+  end() {},
+});
+
+Tinytest.addAsync("oauth2 - authorization started on the server uses PKCE", async test => {
+  const credentialToken = Random.id();
+  const serviceName = Random.id();
+  const state = OAuth._generateState('popup', credentialToken);
+
+  await ServiceConfiguration.configurations.insertAsync({service: serviceName});
+
+  let authorizeParams;
+  let authorization;
+  try {
+    OAuth.registerService(serviceName, 2, {
+      authorize: async (config, params) => {
+        authorizeParams = params;
+        return `https://provider.example.com/authorize?state=${params.state}`;
+      },
+    }, async (query, requestAuthorization) => {
+      authorization = requestAuthorization;
+      return { serviceData: { id: Random.id() } };
+    });
+
+    const res = redirectResponse();
+    await OAuthTest.middleware({
+      method: 'GET',
+      url: `/_oauth/${serviceName}`,
+      query: { authorizeAndRedirect: 'true', state },
+    }, res);
+    test.equal(res.status, 302);
+    test.equal(res.headers.Location, `https://provider.example.com/authorize?state=${state}`);
+    test.equal(authorizeParams.codeChallengeMethod, 'S256');
+
+    const req = {
+      method: 'GET',
+      url: `/_oauth/${serviceName}`,
+      query: {
+        code: Random.id(),
+        state,
+        close: 1,
+        only_credential_secret_for_test: 1,
+      },
+    };
+    await OAuthTest.middleware(req, new http.ServerResponse(req));
+
+    const codeChallenge = crypto
+      .createHash('sha256')
+      .update(authorization.codeVerifier)
+      .digest('base64url');
+    test.equal(codeChallenge, authorizeParams.codeChallenge);
+    test.equal(authorization.nonce, authorizeParams.nonce);
+
+    // The authorization can only be completed once.
+    test.isUndefined(await OAuth._retrievePendingAuthorization(credentialToken));
+  } finally {
+    OAuthTest.unregisterService(serviceName);
+  }
+});
+
+const signJwt = (header, claims, privateKey, options = {}) => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signed = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.sign(options.hash || 'sha256', Buffer.from(signed), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `${signed}.${signature.toString('base64url')}`;
+};
+
+Tinytest.addAsync("oauth2 - id token verification", async test => {
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwks = {
+    keys: [
+      { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa', use: 'sig' },
+      { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec' },
+    ],
+  };
+
+  const jwksUri = `https://${Random.id()}.example.com/jwks`;
+  const fetch = OAuth._fetch;
+  let fetches = 0;
+  OAuth._fetch = async url => {
+    test.equal(url, jwksUri);
+    fetches++;
+    return { json: async () => jwks };
+  };
+
+  const issuer = 'https://provider.example.com';
+  const options = { jwksUri, issuer, audience: 'client', nonce: 'nonce' };
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: issuer,
+    sub: 'user',
+    aud: 'client',
+    exp: now + 60,
+    iat: now,
+    nonce: 'nonce',
+  };
+  const rsaToken = (overrides, header) => signJwt(
+    { alg: 'RS256', kid: 'rsa', ...header },
+    { ...claims, ...overrides },
+    rsa.privateKey
+  );
+
+  try {
+    test.equal(await OAuth._verifyIdToken(rsaToken(), options), claims);
+    test.equal(
+      await OAuth._verifyIdToken(
+        signJwt({ alg: 'ES256', kid: 'ec' }, claims, ec.privateKey),
+        options
+      ),
+      claims
+    );
+    // The keys are cached.
+    test.equal(fetches, 1);
+
+    const expectError = async (token, error) => {
+      await test.throwsAsync(() => OAuth._verifyIdToken(token, options), error);
+    };
+    await expectError(rsaToken({ iss: 'https://evil.example.com' }), /issuer/);
+    await expectError(rsaToken({ aud: 'other' }), /another client/);
+    await expectError(rsaToken({ aud: ['client', 'other'], azp: 'other' }), /another client/);
+    await expectError(rsaToken({ exp: now - 120 }), /expired/);
+    await expectError(rsaToken({ nonce: 'other' }), /nonce/);
+    await expectError(rsaToken({}, { kid: 'unknown' }), /No key/);
+    await expectError(rsaToken({}, { alg: 'HS256' }), /Unsupported/);
+    await expectError(rsaToken({}, { alg: 'none' }), /Unsupported/);
+
+    const [header, payload] = rsaToken().split('.');
+    const forged = Buffer.from(JSON.stringify({ ...claims, sub: 'admin' }))
+      .toString('base64url');
+    await expectError(
+      `${header}.${forged}.${rsaToken().split('.')[2]}`,
+      /signature/
+    );
+    await expectError(`${header}.${payload}`, /Invalid id token/);
+  } finally {
+    OAuth._fetch = fetch;
+    OAuth._clearJwksCache();
+  }
+});
@@ -5,7 +5,9 @@ Package.describe({
 
 Package.onUse(api => {
   api.use([
-    'random'
+    'random',
+    'mongo',
+    'check',
   ], 'server');
 
   api.use([
@@ -15,6 +17,8 @@ Package.onUse(api => {
   ], ['client', 'server']);
 
   api.addFiles('oauth2_server.js', 'server');
+  api.addFiles('oauth2_pending_authorizations.js', 'server');
+  api.addFiles('oauth2_id_token.js', 'server');
 });
 
 Package.onTest(function (api) {
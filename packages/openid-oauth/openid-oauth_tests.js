@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import http from 'http';
+
+const signJwt = (claims, privateKey) => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signed = `${encode({ alg: 'RS256', kid: 'key' })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signed), privateKey);
+  return `${signed}.${signature.toString('base64url')}`;
+};
+
+// A fake provider, answering the requests made with OAuth._fetch.
+const mockProvider = (test, issuer, { clientId, secret }) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  const provider = { issuer, requests: [] };
+
+  const routes = {
+    [`${issuer}/.well-known/openid-configuration`]: () => ({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+    }),
+    [`${issuer}/jwks`]: () => ({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key' }],
+    }),
+    [`${issuer}/token`]: ({ headers, body }) => {
+      const params = new URLSearchParams(body);
+      const basic = Buffer.from(`${clientId}:${secret}`).toString('base64');
+      test.equal(headers.Authorization, `Basic ${basic}`);
+      test.equal(params.get('code'), provider.code);
+
+      // PKCE: the verifier must match the challenge of the authorization.
+      const challenge = crypto
+        .createHash('sha256')
+        .update(params.get('code_verifier'))
+        .digest('base64url');
+      if (challenge !== provider.authorization.get('code_challenge')) {
+        return { error: 'invalid_grant' };
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      return {
+        access_token: 'access-token',
+        refresh_token: 'refresh-token',
+        expires_in: 3600,
+        id_token: signJwt({
+          iss: issuer,
+          sub: 'user-id',
+          aud: clientId,
+          exp: now + 60,
+          iat: now,
+          nonce: provider.authorization.get('nonce'),
+          email: 'user@example.com',
+          email_verified: true,
+        }, privateKey),
+      };
+    },
+    [`${issuer}/userinfo`]: () => ({
+      sub: 'user-id',
+      name: 'Jane Doe',
+      preferred_username: 'jane',
+    }),
+  };
+
+  provider.fetch = async (url, method, options = {}) => {
+    provider.requests.push(url);
+    const route = routes[url];
+    if (!route) {
+      throw new Error(`Unexpected request to ${url}`);
+    }
+    const response = route(options);
+    return { json: async () => response };
+  };
+
+  return provider;
+};
+
+Tinytest.addAsync("openid-oauth - login with a provider configured by discovery", async test => {
+  const serviceName = Random.id();
+  const issuer = `https://${Random.id().toLowerCase()}.example.com/realms/main`;
+  const clientId = Random.id();
+  const secret = Random.id();
+  const credentialToken = Random.id();
+  const state = OAuth._generateState('popup', credentialToken);
+
+  await ServiceConfiguration.configurations.insertAsync({
+    service: serviceName,
+    issuer,
+    clientId,
+    secret,
+    scope: ['email'],
+  });
+
+  const provider = mockProvider(test, issuer, { clientId, secret });
+  const fetch = OAuth._fetch;
+  OAuth._fetch = provider.fetch;
+
+  try {
+    OpenID.registerService(serviceName);
+
+    // The login starts on the server, which redirects to the provider.
+    let location;
+    await OAuthTest.middleware({
+      method: 'GET',
+      url: `/_oauth/${serviceName}/`,
+      query: { authorizeAndRedirect: 'true', state, loginHint: 'jane' },
+    }, {
+      writeHead: (status, headers) => {
+        test.equal(status, 302);
+        location = new URL(headers.Location);
+      },
+      end() {},
+    });
+
+    test.equal(`${location.origin}${location.pathname}`, `${issuer}/authorize`);
+    provider.authorization = location.searchParams;
+    test.equal(location.searchParams.get('response_type'), 'code');
+    test.equal(location.searchParams.get('client_id'), clientId);
+    test.equal(location.searchParams.get('scope'), 'openid email');
+    test.equal(location.searchParams.get('state'), state);
+    test.equal(location.searchParams.get('login_hint'), 'jane');
+    test.equal(location.searchParams.get('code_challenge_method'), 'S256');
+    test.isTrue(location.searchParams.get('nonce'));
+
+    // The provider redirects back with a code.
+    provider.code = Random.id();
+    const req = {
+      method: 'GET',
+      url: `/_oauth/${serviceName}`,
+      query: {
+        code: provider.code,
+        state,
+        close: 1,
+        only_credential_secret_for_test: 1,
+      },
+    };
+    const res = new http.ServerResponse(req);
+    let credentialSecret = '';
+    res.end = data => { credentialSecret = data; };
+    await OAuthTest.middleware(req, res);
+
+    const result = await OAuth._retrievePendingCredential(
+      credentialToken,
+      credentialSecret
+    );
+    test.isFalse(result instanceof Error, result && result.message);
+    const serviceData = OAuth.openSecrets(result.serviceData);
+    test.equal(result.serviceName, serviceName);
+    test.equal(serviceData.id, 'user-id');
+    test.equal(serviceData.issuer, issuer);
+    test.equal(serviceData.email, 'user@example.com');
+    test.equal(serviceData.emailVerified, true);
+    test.equal(serviceData.name, 'Jane Doe');
+    test.equal(serviceData.username, 'jane');
+    test.equal(serviceData.accessToken, 'access-token');
+    test.equal(serviceData.refreshToken, 'refresh-token');
+    test.equal(result.options, { profile: { name: 'Jane Doe' } });
+
+    // The discovery document is cached.
+    test.equal(
+      provider.requests.filter(url => url.endsWith('openid-configuration')).length,
+      1
+    );
+  } finally {
+    OAuth._fetch = fetch;
+    OAuthTest.unregisterService(serviceName);
+    OpenID._clearDiscoveryCache();
+    OAuth._clearJwksCache();
+  }
+});
@@ -0,0 +1,54 @@
+OpenID = {};
+
+// Request the credentials of the user from an OpenID Connect service
+// registered with `OpenID.registerService` on the server.
+// @param serviceName {String}
+// @param options {optional}
+//   - requestPermissions {Array} the scopes to ask, instead of the ones of
+//     the service configuration
+//   - loginHint {String} the email or the username of the user, if known
+//   - prompt {String} eg "login" or "select_account"
+// @param credentialRequestCompleteCallback {Function} Callback function to call on
+//   completion. Takes one argument, credentialToken on success, or Error on
+//   error.
+OpenID.requestCredential = (serviceName, options, credentialRequestCompleteCallback) => {
+  // support both (serviceName, options, callback) and (serviceName, callback).
+  if (!credentialRequestCompleteCallback && typeof options === 'function') {
+    credentialRequestCompleteCallback = options;
+    options = {};
+  }
+
+  const config = ServiceConfiguration.configurations.findOne({service: serviceName});
+  if (!config) {
+    credentialRequestCompleteCallback && credentialRequestCompleteCallback(
+      new ServiceConfiguration.ConfigError());
+    return;
+  }
+
+  const credentialToken = Random.secret();
+  const loginStyle = OAuth._loginStyle(serviceName, config, options);
+
+  // The authorization request is started by the server, which keeps the PKCE
+  // code verifier and the nonce. See packages/oauth2/oauth2_server.js
+  const params = new URLSearchParams({
+    authorizeAndRedirect: 'true',
+    state: OAuth._stateParam(loginStyle, credentialToken, options && options.redirectUrl),
+  });
+  if (options && options.requestPermissions) {
+    params.set('scope', options.requestPermissions.join(' '));
+  }
+  if (options && options.loginHint) {
+    params.set('loginHint', options.loginHint);
+  }
+  if (options && options.prompt) {
+    params.set('prompt', options.prompt);
+  }
+
+  OAuth.launchLogin({
+    loginService: serviceName,
+    loginStyle,
+    loginUrl: Meteor.absoluteUrl(`_oauth/${serviceName}/?${params}`),
+    credentialRequestCompleteCallback,
+    credentialToken,
+  });
+};
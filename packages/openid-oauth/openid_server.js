@@ -0,0 +1,235 @@
+OpenID = {};
+
+// The provider configurations rarely change, so they are only fetched again
+// after an hour.
+const DISCOVERY_CACHE_TTL = 60 * 60 * 1000;
+const discoveryCache = new Map();
+
+const DEFAULT_SCOPE = ['openid', 'email', 'profile'];
+
+/**
+ * @summary Fetches the configuration of an OpenID provider, from its
+ * `.well-known/openid-configuration` document.
+ * @locus Server
+ * @param {String} issuer The issuer URL of the provider, eg
+ *   `https://sso.example.com/realms/main` for a Keycloak realm.
+ * @returns {Promise<Object>}
+ */
+OpenID.discover = async issuer => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_TTL) {
+    return cached.provider;
+  }
+
+  const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  let provider;
+  try {
+    const request = await OAuth._fetch(url, 'GET', {
+      headers: { Accept: 'application/json' },
+    });
+    provider = await request.json();
+  } catch (err) {
+    throw new Error(
+      `Failed to fetch the OpenID configuration of ${issuer}. ${err.message}`
+    );
+  }
+
+  // https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderConfigurationValidation
+  if (provider.issuer !== issuer) {
+    throw new Error(
+      `The OpenID configuration of ${issuer} is for another issuer: ${provider.issuer}`
+    );
+  }
+
+  discoveryCache.set(issuer, { provider, fetchedAt: Date.now() });
+  return provider;
+};
+
+// For tests
+OpenID._clearDiscoveryCache = () => discoveryCache.clear();
+
+const getConfiguration = async serviceName => {
+  const config = await ServiceConfiguration.configurations.findOneAsync({
+    service: serviceName,
+  });
+  if (!config) {
+    throw new ServiceConfiguration.ConfigError(serviceName);
+  }
+  if (!config.issuer) {
+    throw new Error(`No issuer is configured for the ${serviceName} service`);
+  }
+
+  return config;
+};
+
+// The scope asked by the client, or else the one of the configuration. It
+// must include `openid` to get an id token.
+const getScope = (config, query) => {
+  const scope = query.scope
+    ? query.scope.split(' ')
+    : [].concat(config.scope || DEFAULT_SCOPE);
+  return [...new Set(['openid', ...scope])].join(' ');
+};
+
+const authorizationUrl = serviceName => async (config, params) => {
+  const { query, state, codeChallenge, codeChallengeMethod, nonce } = params;
+  const provider = await OpenID.discover(config.issuer);
+
+  const url = new URL(provider.authorization_endpoint);
+  OAuth._addValuesToQueryParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: OAuth._redirectUri(serviceName, config),
+    scope: getScope(config, query),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    ...(query.loginHint && { login_hint: query.loginHint }),
+    ...(query.prompt && { prompt: query.prompt }),
+  }, url.searchParams);
+
+  return url.toString();
+};
+
+const getTokens = async (serviceName, config, provider, query, codeVerifier) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: query.code,
+    redirect_uri: OAuth._redirectUri(serviceName, config),
+    client_id: config.clientId,
+    code_verifier: codeVerifier,
+  });
+  const headers = {
+    Accept: 'application/json',
+    'Content-Type': 'application/x-www-form-urlencoded',
+  };
+
+  // Confidential clients authenticate with HTTP basic, the default of the
+  // spec, unless the provider only supports sending the secret in the body.
+  // Public clients only send their client id.
+  if (config.secret) {
+    const secret = OAuth.openSecret(config.secret);
+    const methods = provider.token_endpoint_auth_methods_supported ||
+      ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(secret)}`;
+      headers.Authorization =
+        `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', secret);
+    }
+  }
+
+  let response;
+  try {
+    const request = await OAuth._fetch(provider.token_endpoint, 'POST', {
+      headers,
+      body: body.toString(),
+    });
+    response = await request.json();
+  } catch (err) {
+    throw Object.assign(
+      new Error(
+        `Failed to complete OAuth handshake with ${serviceName}. ${err.message}`
+      ),
+      { response: err.response }
+    );
+  }
+
+  if (response.error) {
+    // if the http response was a json object with an error attribute
+    throw new Error(
+      `Failed to complete OAuth handshake with ${serviceName}. ${response.error}`
+    );
+  }
+
+  return response;
+};
+
+// The claims of the id token are enough for most providers, but some only
+// return the profile of the user from the userinfo endpoint.
+const getUserInfo = async (provider, accessToken, sub) => {
+  if (!provider.userinfo_endpoint) {
+    return {};
+  }
+
+  try {
+    const request = await OAuth._fetch(provider.userinfo_endpoint, 'GET', {
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+    const userInfo = await request.json();
+    // https://openid.net/specs/openid-connect-core-1_0.html#UserInfoResponse
+    return userInfo.sub === sub ? userInfo : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const handleOauthRequest = serviceName => async (query, authorization) => {
+  const config = await getConfiguration(serviceName);
+  const provider = await OpenID.discover(config.issuer);
+
+  const tokens = await getTokens(
+    serviceName,
+    config,
+    provider,
+    query,
+    authorization.codeVerifier
+  );
+  const claims = await OAuth._verifyIdToken(tokens.id_token, {
+    jwksUri: provider.jwks_uri,
+    issuer: provider.issuer,
+    audience: config.clientId,
+    nonce: authorization.nonce,
+  });
+  const identity = {
+    ...(await getUserInfo(provider, tokens.access_token, claims.sub)),
+    ...claims,
+  };
+
+  const serviceData = {
+    id: claims.sub,
+    issuer: claims.iss,
+    accessToken: OAuth.sealSecret(tokens.access_token),
+    idToken: tokens.id_token,
+    expiresAt: tokens.expires_in && Date.now() + 1000 * tokens.expires_in,
+    email: identity.email,
+    emailVerified: identity.email_verified,
+    name: identity.name,
+    username: identity.preferred_username,
+    picture: identity.picture,
+  };
+  if (tokens.refresh_token) {
+    serviceData.refreshToken = OAuth.sealSecret(tokens.refresh_token);
+  }
+
+  return {
+    serviceData,
+    options: { profile: { name: identity.name } },
+  };
+};
+
+/**
+ * @summary Registers an OpenID Connect service. It's configured with a
+ * `ServiceConfiguration` document with the `issuer` of the provider, the
+ * `clientId` and, for confidential clients, the `secret` of the app, and
+ * optionally the default `scope`. The endpoints of the provider are read
+ * from its discovery document.
+ * @locus Server
+ * @param {String} serviceName The name of the service, eg "keycloak"
+ */
+OpenID.registerService = serviceName => {
+  OAuth.registerService(
+    serviceName,
+    2,
+    { authorize: authorizationUrl(serviceName) },
+    handleOauthRequest(serviceName)
+  );
+};
+
+OpenID.retrieveCredential = (credentialToken, credentialSecret) =>
+  OAuth.retrieveCredential(credentialToken, credentialSecret);
@@ -0,0 +1,31 @@
+Package.describe({
+  summary: 'Generic OpenID Connect OAuth flow, configured by discovery',
+  version: '1.0.0',
+});
+
+Package.onUse(api => {
+  api.use('ecmascript', ['client', 'server']);
+  api.use('oauth2', ['client', 'server']);
+  api.use('oauth', ['client', 'server']);
+  api.use('fetch', 'server');
+  api.use('random', 'client');
+  api.use('service-configuration', ['client', 'server']);
+
+  api.addFiles('openid_client.js', 'client');
+  api.addFiles('openid_server.js', 'server');
+
+  api.export('OpenID');
+});
+
+Package.onTest(api => {
+  api.use('openid-oauth');
+  api.use([
+    'tinytest',
+    'ecmascript',
+    'random',
+    'oauth',
+    'oauth2',
+    'service-configuration',
+  ], 'server');
+  api.addFiles('openid-oauth_tests.js', 'server');
+});
@@ -13,7 +13,10 @@ Package.describe({
 Package.onUse(function(api) {
   api.use('random');
   api.use('ecmascript');
-  api.mainModule('rate-limit.js');
+  // Needed for the 'mongo' store, if it's used.
+  api.use('mongo', 'server', { weak: true });
+  api.mainModule('rate-limit.js', 'client');
+  api.mainModule('rate-limit-server.js', 'server');
   api.export('RateLimiter');
 });
 
@@ -25,5 +28,6 @@ Package.onTest(function(api) {
   api.use('tinytest');
   api.use('rate-limit');
   api.use('ddp-common');
+  api.use('mongo');
   api.mainModule('rate-limit-tests.js');
 });
@@ -0,0 +1,131 @@
+// Rate limiting algorithms. Their state is kept in a store as numbers, so
+// that any store able to read and atomically update numbers can share it
+// between processes. For the counters of an input key, an algorithm gives:
+//
+// * `keys`: the store keys of the values `evaluate` needs.
+// * `evaluate`: whether the input is allowed, given these values (0 when
+//   missing), with the number of invocations left and the time until the
+//   limit is reset, in milliseconds.
+// * `update`: the update of a store value that counts one more input, as
+//   described in rate-limit-memory-store.js.
+//
+// Besides the options of the rule, they get the `origin` of its intervals: 0
+// in stores shared between processes, so that they all use the same
+// intervals, otherwise the time the rule was added.
+//
+// As with the original fixed window, inputs are counted before they are
+// checked, so an input is allowed while the count is at most
+// `numRequestsAllowed`.
+
+// Tolerance for the rounding errors of fractional token intervals.
+const EPSILON = 1e-6;
+
+const windowStart = (now, { intervalTime, origin }) =>
+  origin + Math.floor((now - origin) / intervalTime) * intervalTime;
+
+// Counts the inputs per interval, and starts over at the end of each one.
+const fixedWindow = {
+  keys(key, options, now) {
+    return [`${key}:${windowStart(now, options)}`];
+  },
+
+  evaluate([count], options, now) {
+    const { numRequestsAllowed, intervalTime } = options;
+    return {
+      allowed: count <= numRequestsAllowed,
+      numInvocationsLeft: Math.max(numRequestsAllowed - count, 0),
+      timeToReset: windowStart(now, options) + intervalTime - now,
+    };
+  },
+
+  update(key, options, now) {
+    const start = windowStart(now, options);
+    return {
+      key: `${key}:${start}`,
+      by: 1,
+      expireAt: start + options.intervalTime,
+    };
+  },
+};
+
+// Counts the inputs per interval like the fixed window, but estimates the
+// number of inputs in the last `intervalTime` milliseconds by weighting the
+// count of the previous interval with how much of it overlaps them. This
+// avoids allowing twice the limit around the end of an interval.
+const slidingWindow = {
+  keys(key, options, now) {
+    const start = windowStart(now, options);
+    return [`${key}:${start}`, `${key}:${start - options.intervalTime}`];
+  },
+
+  evaluate([count, previousCount], options, now) {
+    const { numRequestsAllowed, intervalTime } = options;
+    const elapsed = now - windowStart(now, options);
+    const estimate =
+      count + previousCount * (1 - elapsed / intervalTime);
+    const allowed = estimate <= numRequestsAllowed;
+
+    let timeToReset;
+    if (allowed) {
+      timeToReset = intervalTime - elapsed;
+    } else if (count > numRequestsAllowed) {
+      // Wait for the next interval, and for enough of this one to slide out.
+      timeToReset = intervalTime - elapsed +
+        intervalTime * (1 - numRequestsAllowed / count);
+    } else {
+      // Wait for enough of the previous interval to slide out.
+      timeToReset = intervalTime *
+        (1 - (numRequestsAllowed - count) / previousCount) - elapsed;
+    }
+
+    return {
+      allowed,
+      numInvocationsLeft: Math.max(Math.floor(numRequestsAllowed - estimate), 0),
+      timeToReset: Math.ceil(timeToReset),
+    };
+  },
+
+  update(key, options, now) {
+    const start = windowStart(now, options);
+    return {
+      key: `${key}:${start}`,
+      by: 1,
+      expireAt: start + 2 * options.intervalTime,
+    };
+  },
+};
+
+// A bucket of `numRequestsAllowed` tokens, refilled at `numRequestsAllowed`
+// tokens per `intervalTime`, from which each input takes one. This allows
+// bursts of up to `numRequestsAllowed` inputs, then a steady rate. The stored
+// value is the time at which the bucket will be full again (as in the generic
+// cell rate algorithm).
+const tokenBucket = {
+  keys(key) {
+    return [key];
+  },
+
+  evaluate([fullAt], { numRequestsAllowed, intervalTime }, now) {
+    const tokenInterval = intervalTime / numRequestsAllowed;
+    const used = Math.max(fullAt - now, 0);
+    const allowed = used <= intervalTime + EPSILON;
+    return {
+      allowed,
+      numInvocationsLeft: Math.max(
+        numRequestsAllowed - Math.ceil(used / tokenInterval - EPSILON),
+        0
+      ),
+      timeToReset: Math.ceil(allowed ? used : used - intervalTime - EPSILON),
+    };
+  },
+
+  update(key, { numRequestsAllowed, intervalTime }, now) {
+    const tokenInterval = intervalTime / numRequestsAllowed;
+    // Inputs over the limit don't push the time the bucket is full further
+    // than one more token, so that they can't block the key indefinitely.
+    const max = now + intervalTime + tokenInterval;
+    return { key, by: tokenInterval, min: now, max, expireAt: max };
+  },
+};
+
+export const ALGORITHMS = { fixedWindow, slidingWindow, tokenBucket };
@@ -0,0 +1,50 @@
+// How often expired values are removed, in milliseconds.
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Stores the state of rate limiting algorithms in the memory of the process.
+//
+// A store keeps numbers, which expire at a given time, and has two methods,
+// which may return promises if the store is asynchronous:
+//
+// * `get(key)` returns the value of the key, or 0 if it's missing or expired.
+// * `update(key, { by, min, max, expireAt })` atomically sets the value of the
+//   key to `min(max(value, min) + by, max)`, where a missing or expired value
+//   is 0 and `min` and `max` are optional, sets the expiration time of the
+//   value (a time in milliseconds), and returns the new value.
+//
+// Stores shared between processes set `shared` to true.
+class MemoryStore {
+  constructor() {
+    // Dictionary of keys to { value, expireAt }
+    this._values = new Map();
+    this._lastSweepTime = Date.now();
+  }
+
+  get(key) {
+    const entry = this._values.get(key);
+    return entry && entry.expireAt > Date.now() ? entry.value : 0;
+  }
+
+  update(key, { by, min = -Infinity, max = Infinity, expireAt }) {
+    const value = Math.min(Math.max(this.get(key), min) + by, max);
+    this._values.set(key, { value, expireAt });
+    this._sweep();
+    return value;
+  }
+
+  // Removes the expired values, at most once per SWEEP_INTERVAL.
+  _sweep() {
+    const now = Date.now();
+    if (now - this._lastSweepTime < SWEEP_INTERVAL) {
+      return;
+    }
+    this._lastSweepTime = now;
+    this._values.forEach((entry, key) => {
+      if (entry.expireAt <= now) {
+        this._values.delete(key);
+      }
+    });
+  }
+}
+
+export { MemoryStore };
@@ -0,0 +1,52 @@
+import { Meteor } from 'meteor/meteor';
+
+// Stores the state of rate limiting algorithms in a MongoDB collection, to
+// share it between the instances of an application. Each value is a document
+// updated atomically, removed by a TTL index once it expires. See
+// rate-limit-memory-store.js for the interface of stores.
+class MongoStore {
+  constructor({ collectionName = 'meteor_rateLimits' } = {}) {
+    if (!Package.mongo) {
+      throw new Error('The mongo rate limit store requires the mongo package');
+    }
+    this.shared = true;
+    this._collection = new Package.mongo.Mongo.Collection(collectionName, {
+      _preventAutopublish: true,
+      defineMutationMethods: false,
+    });
+    this._collection
+      .createIndexAsync({ expireAt: 1 }, { expireAfterSeconds: 0 })
+      .catch(e => Meteor._debug('Could not create rate limit index', e));
+  }
+
+  async get(key) {
+    const doc = await this._collection.findOneAsync(
+      { _id: key, expireAt: { $gt: new Date() } },
+      { projection: { value: 1 } }
+    );
+    return doc ? doc.value : 0;
+  }
+
+  async update(key, { by, min, max, expireAt }) {
+    // The TTL monitor only runs every minute, so expired values are ignored.
+    let value = {
+      $cond: [{ $gt: ['$expireAt', new Date()] }, '$value', 0],
+    };
+    if (min !== undefined) {
+      value = { $max: [value, min] };
+    }
+    value = { $add: [value, by] };
+    if (max !== undefined) {
+      value = { $min: [value, max] };
+    }
+
+    const doc = await this._collection.rawCollection().findOneAndUpdate(
+      { _id: key },
+      [{ $set: { value, expireAt: new Date(expireAt) } }],
+      { upsert: true, returnDocument: 'after' }
+    );
+    return doc.value;
+  }
+}
+
+export { MongoStore };
@@ -0,0 +1,7 @@
+import { RateLimiter } from './rate-limit.js';
+import { MemoryStore } from './rate-limit-memory-store.js';
+import { MongoStore } from './rate-limit-mongo-store.js';
+
+RateLimiter.registerStore('mongo', options => new MongoStore(options));
+
+export { RateLimiter, MemoryStore, MongoStore };
@@ -20,7 +20,8 @@
 // testAsyncMulti as they're all on the server. Any future tests should be
 // written that way.
 import { Meteor } from 'meteor/meteor';
-import { RateLimiter } from 'meteor/rate-limit';
+import { RateLimiter, MongoStore } from 'meteor/rate-limit';
+import { Random } from 'meteor/random';
 import { DDPCommon } from 'meteor/ddp-common';
 
 Tinytest.add('rate limit tests - Check empty constructor creation',
@@ -318,6 +319,96 @@ Tinytest.add('rate limit tests - test generateMethodKey string',
   },
 );
 
+Tinytest.addAsync('rate limit tests - sliding window', async function (test) {
+  const r = new RateLimiter();
+  r.addRule({ userId: null }, 2, 1000, null, { algorithm: 'slidingWindow' });
+  const input = { userId: 1 };
+
+  r.increment(input);
+  r.increment(input);
+  test.equal(r.check(input).allowed, true);
+  test.equal(r.check(input).numInvocationsLeft, 0);
+  r.increment(input);
+  test.equal(r.check(input).allowed, false);
+
+  // At the start of the next interval, the inputs of the previous one still
+  // count, then slide out.
+  await Meteor._sleepForMs(1050);
+  test.equal(r.check(input).allowed, false);
+  await Meteor._sleepForMs(500);
+  test.equal(r.check(input).allowed, true);
+});
+
+Tinytest.add('rate limit tests - token bucket', function (test) {
+  const r = new RateLimiter();
+  r.addRule({ userId: null }, 3, 60 * 1000, null,
+    { algorithm: 'tokenBucket' });
+  const input = { userId: 1 };
+
+  for (let i = 0; i < 3; i++) {
+    r.increment(input);
+  }
+  let result = r.check(input);
+  test.equal(result.allowed, true);
+  test.equal(result.numInvocationsLeft, 0);
+  r.increment(input);
+  result = r.check(input);
+  test.equal(result.allowed, false);
+  // One token is refilled every 20 seconds.
+  test.isTrue(result.timeToReset > 19 * 1000 && result.timeToReset <= 20 * 1000);
+  test.equal(r.check({ userId: 2 }).allowed, true);
+
+  test.throws(() => r.addRule({ userId: null }, 1, 1000, null,
+    { algorithm: 'leakyBucket' }), /Unknown rate limit algorithm/);
+});
+
+Tinytest.addAsync('rate limit tests - asynchronous store', async function (test) {
+  const values = new Map();
+  const r = new RateLimiter({
+    store: {
+      async get(key) {
+        return values.get(key) || 0;
+      },
+      async update(key, { by }) {
+        values.set(key, (values.get(key) || 0) + by);
+        return values.get(key);
+      },
+    },
+  });
+  r.addRule({ userId: null }, 1, 60 * 1000);
+  const input = { userId: 1 };
+
+  await r.incrementAsync(input);
+  test.equal((await r.checkAsync(input)).allowed, true);
+  await r.incrementAsync(input);
+  test.equal((await r.checkAsync(input)).allowed, false);
+  test.throws(() => r.check(input), /asynchronous/);
+});
+
+if (Meteor.isServer) {
+  Tinytest.addAsync('rate limit tests - mongo store', async function (test) {
+    const collectionName = `rate_limit_test_${Random.id()}`;
+    const rule = { userId: null };
+    const options = { name: 'test', algorithm: 'slidingWindow' };
+    // Rate limiters sharing a store share their counters, like the instances
+    // of an application.
+    const r1 = new RateLimiter({ store: new MongoStore({ collectionName }) });
+    const r2 = new RateLimiter();
+    r2.setStore(r1._store);
+    r1.addRule(rule, 2, 60 * 1000, null, options);
+    r2.addRule(rule, 2, 60 * 1000, null, options);
+    const input = { userId: 1 };
+
+    await r1.incrementAsync(input);
+    await r2.incrementAsync(input);
+    test.equal((await r1.checkAsync(input)).allowed, true);
+    await r2.incrementAsync(input);
+    test.equal((await r1.checkAsync(input)).allowed, false);
+    test.equal((await r2.checkAsync(input)).allowed, false);
+    test.equal((await r1.checkAsync({ userId: 2 })).allowed, true);
+  });
+}
+
 function createTempConnectionHandle(id, clientIP) {
   return {
     id,
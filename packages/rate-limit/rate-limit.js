@@ -1,27 +1,65 @@
 import { Meteor } from 'meteor/meteor';
 import { Random } from 'meteor/random';
+import { ALGORITHMS } from './rate-limit-algorithms.js';
+import { MemoryStore } from './rate-limit-memory-store.js';
 
 // Default time interval (in milliseconds) to reset rate limit counters
 const DEFAULT_INTERVAL_TIME_IN_MILLISECONDS = 1000;
 // Default number of events allowed per time interval
 const DEFAULT_REQUESTS_PER_INTERVAL = 10;
 
+const DEFAULT_ALGORITHM = 'fixedWindow';
+
 const hasOwn = Object.prototype.hasOwnProperty;
 
-// A rule is defined by an options object that contains two fields,
-// `numRequestsAllowed` which is the number of events allowed per interval, and
-// an `intervalTime` which is the amount of time in milliseconds before the
-// rate limit restarts its internal counters, and by a matchers object. A
-// matchers object is a POJO that contains a set of keys with values that
-// define the entire set of inputs that match for each key. The values can
-// either be null (optional), a primitive or a function that returns a boolean
-// of whether the provided input's value matches for this key.
+// Functions creating stores, by name, for RateLimiter#setStore.
+const storeFactories = {
+  memory: () => new MemoryStore(),
+};
+
+// Identifies rules which aren't given a name in stores shared between
+// processes: rules defined with the same matchers and options share their
+// counters. This is a 32 bit FNV-1a hash of their definition.
+const ruleSignature = (matchers, options) => {
+  const source = JSON.stringify([
+    Object.entries(matchers).map(([key, matcher]) =>
+      [key, typeof matcher === 'function' ? matcher.toString() : matcher]),
+    options.numRequestsAllowed,
+    options.intervalTime,
+    options.algorithm,
+  ]);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < source.length; i++) {
+    hash = Math.imul(hash ^ source.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Stores may be asynchronous, but RateLimiter#check and #increment can't wait.
+const assertSync = (value) => {
+  if (value && typeof value.then === 'function') {
+    value.catch(() => {});
+    throw new Error('This rate limit store is asynchronous: use ' +
+      'RateLimiter#checkAsync and RateLimiter#incrementAsync');
+  }
+  return value;
+};
+
+// A rule is defined by an options object that contains the fields
+// `numRequestsAllowed`, which is the number of events allowed per interval,
+// `intervalTime`, which is the length of the interval in milliseconds, and
+// `algorithm`, the name of one of the ALGORITHMS counting the events (a fixed
+// window by default), and by a matchers object. A matchers object is a POJO
+// that contains a set of keys with values that define the entire set of inputs
+// that match for each key. The values can either be null (optional), a
+// primitive or a function that returns a boolean of whether the provided
+// input's value matches for this key.
 //
-// Rules are uniquely assigned an `id` and they store a dictionary of counters,
-// which are records used to keep track of inputs that match the rule. If a
-// counter reaches the `numRequestsAllowed` within a given `intervalTime`, a
-// rate limit is reached and future inputs that map to that counter will
-// result in errors being returned to the client.
+// Rules are uniquely assigned an `id`. Their counters, which are records used
+// to keep track of inputs that match the rule, are kept in the store of the
+// rate limiter. If a counter reaches the `numRequestsAllowed` within a given
+// `intervalTime`, a rate limit is reached and future inputs that map to that
+// counter will result in errors being returned to the client.
 class Rule {
   constructor(options, matchers) {
     this.id = Random.id();
@@ -30,10 +68,11 @@ class Rule {
 
     this._matchers = matchers;
 
-    this._lastResetTime = new Date().getTime();
+    this._algorithm = ALGORITHMS[options.algorithm];
 
-    // Dictionary of input keys to counters
-    this.counters = {};
+    this._createdAt = new Date().getTime();
+
+    this._name = options.name || ruleSignature(matchers, options);
   }
   // Determine if this rule applies to the given input by comparing all
   // rule.matchers. If the match fails, search short circuits instead of
@@ -75,26 +114,30 @@ class Rule {
       }, '');
   }
 
-  // Applies the provided input and returns the key string, time since counters
-  // were last reset and time to next reset.
-  apply(input) {
-    const key = this._generateKeyString(input);
-    const timeSinceLastReset = new Date().getTime() - this._lastResetTime;
-    const timeToNextReset = this.options.intervalTime - timeSinceLastReset;
+  // Returns the store keys the algorithm of this rule needs to check the
+  // provided input, and the function evaluating their values.
+  apply(input, store) {
+    const now = new Date().getTime();
+    const options = this._algorithmOptions(store);
+    const key = `${this._name}:${this._generateKeyString(input)}`;
     return {
-      key,
-      timeSinceLastReset,
-      timeToNextReset,
+      keys: this._algorithm.keys(key, options, now),
+      evaluate: values => this._algorithm.evaluate(values, options, now),
     };
   }
 
-  // Reset counter dictionary for this specific rule. Called once the
-  // timeSinceLastReset has exceeded the intervalTime. _lastResetTime is
-  // set to be the current time in milliseconds.
-  resetCounter() {
-    // Delete the old counters dictionary to allow for garbage collection
-    this.counters = {};
-    this._lastResetTime = new Date().getTime();
+  // Returns the store update counting the provided input.
+  _update(input, store) {
+    const key = `${this._name}:${this._generateKeyString(input)}`;
+    return this._algorithm.update(
+      key,
+      this._algorithmOptions(store),
+      new Date().getTime()
+    );
+  }
+
+  _algorithmOptions(store) {
+    return { ...this.options, origin: store.shared ? 0 : this._createdAt };
   }
 
   _executeCallback(reply, ruleInput) {
@@ -111,12 +154,43 @@ class Rule {
 
 class RateLimiter {
   // Initialize rules to be an empty dictionary.
-  constructor() {
+  constructor({ store = 'memory', storeOptions } = {}) {
     // Dictionary of all rules associated with this RateLimiter, keyed by their
     // id. Each rule object stores the rule pattern, number of events allowed,
-    // last reset time and the rule reset interval in milliseconds.
+    // algorithm and the rule reset interval in milliseconds.
 
     this.rules = {};
+
+    this.setStore(store, storeOptions);
+  }
+
+  /**
+  * Registers a store which can then be used by its name.
+  * @param {string} name Name of the store, as passed to `setStore`.
+  * @param {function} createStore Function called with the store options,
+  * returning the store. See rate-limit-memory-store.js for the interface of
+  * stores.
+  */
+  static registerStore(name, createStore) {
+    storeFactories[name] = createStore;
+  }
+
+  /**
+  * Sets where the counters of the rules are kept, forgetting the current
+  * ones. Counters are kept in memory by default.
+  * @param {string|object} store A store, or the name of a registered store:
+  * 'memory', or on the server, 'mongo'.
+  * @param {object} options Optional. Options passed to the registered store.
+  */
+  setStore(store, options) {
+    if (typeof store === 'string') {
+      if (!hasOwn.call(storeFactories, store)) {
+        throw new Error(`Unknown rate limit store: ${store}`);
+      }
+      this._store = storeFactories[store](options);
+    } else {
+      this._store = store;
+    }
   }
 
   /**
@@ -132,35 +206,50 @@ class RateLimiter {
   * }
   * If multiple rules match, the least number of invocations left is returned.
   * If the rate limit has been reached, the longest timeToReset is returned.
+  * Throws if the store is asynchronous, use `checkAsync` then.
   */
   check(input) {
+    const results = this._findAllMatchingRules(input).map((rule) => {
+      const { keys, evaluate } = rule.apply(input, this._store);
+      return [rule, evaluate(keys.map(key => assertSync(this._store.get(key))))];
+    });
+    return this._reply(results, input);
+  }
+
+  /**
+  * Same as `check`, for any store.
+  * @param  {object} input dictionary containing key-value pairs of attributes
+  * that match to rules
+  * @return {Promise<object>}
+  */
+  async checkAsync(input) {
+    const results = await Promise.all(
+      this._findAllMatchingRules(input).map(async (rule) => {
+        const { keys, evaluate } = rule.apply(input, this._store);
+        const values = await Promise.all(keys.map(key => this._store.get(key)));
+        return [rule, evaluate(values)];
+      })
+    );
+    return this._reply(results, input);
+  }
+
+  // Merges the results of the rules matching an input into the reply of
+  // check, and runs the callbacks of the rules.
+  _reply(results, input) {
     const reply = {
       allowed: true,
       timeToReset: 0,
       numInvocationsLeft: Infinity,
     };
 
-    const matchedRules = this._findAllMatchingRules(input);
-    matchedRules.forEach((rule) => {
-      const ruleResult = rule.apply(input);
-      let numInvocations = rule.counters[ruleResult.key];
-
-      if (ruleResult.timeToNextReset < 0) {
-        // Reset all the counters since the rule has reset
-        rule.resetCounter();
-        ruleResult.timeSinceLastReset = new Date().getTime() -
-          rule._lastResetTime;
-        ruleResult.timeToNextReset = rule.options.intervalTime;
-        numInvocations = 0;
-      }
-
-      if (numInvocations > rule.options.numRequestsAllowed) {
+    results.forEach(([rule, result]) => {
+      if (!result.allowed) {
         // Only update timeToReset if the new time would be longer than the
         // previously set time. This is to ensure that if this input triggers
         // multiple rules, we return the longest period of time until they can
         // successfully make another call
-        if (reply.timeToReset < ruleResult.timeToNextReset) {
-          reply.timeToReset = ruleResult.timeToNextReset;
+        if (reply.timeToReset < result.timeToReset) {
+          reply.timeToReset = result.timeToReset;
         }
         reply.allowed = false;
         reply.numInvocationsLeft = 0;
@@ -169,11 +258,10 @@ class RateLimiter {
       } else {
         // If this is an allowed attempt and we haven't failed on any of the
         // other rules that match, update the reply field.
-        if (rule.options.numRequestsAllowed - numInvocations <
-          reply.numInvocationsLeft && reply.allowed) {
-          reply.timeToReset = ruleResult.timeToNextReset;
-          reply.numInvocationsLeft = rule.options.numRequestsAllowed -
-            numInvocations;
+        if (result.numInvocationsLeft < reply.numInvocationsLeft &&
+          reply.allowed) {
+          reply.timeToReset = result.timeToReset;
+          reply.numInvocationsLeft = result.numInvocationsLeft;
         }
         reply.ruleId = rule.id;
         rule._executeCallback(reply, input);
@@ -206,13 +294,27 @@ class RateLimiter {
   *   'connectionId': string - a string representing the user's DDP connection
   *   'clientAddress': string - the IP address of the user
   * }
+  * @param {object} ruleOptions Optional. Object with the fields:
+  * - algorithm {string} 'fixedWindow' (the default) to count the events per
+  *   interval, 'slidingWindow' to count them over the last interval, or
+  *   'tokenBucket' to allow bursts of `numRequestsAllowed` events refilled
+  *   over `intervalTime`.
+  * - name {string} Identifies the rule in stores shared between processes.
+  *   Defaults to a hash of the rule definition.
   * @return {string} Returns unique rule id
   */
-  addRule(rule, numRequestsAllowed, intervalTime, callback) {
+  addRule(rule, numRequestsAllowed, intervalTime, callback, ruleOptions = {}) {
+    const algorithm = ruleOptions.algorithm || DEFAULT_ALGORITHM;
+    if (!hasOwn.call(ALGORITHMS, algorithm)) {
+      throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+    }
+
     const options = {
       numRequestsAllowed: numRequestsAllowed || DEFAULT_REQUESTS_PER_INTERVAL,
       intervalTime: intervalTime || DEFAULT_INTERVAL_TIME_IN_MILLISECONDS,
       callback: callback && Meteor.bindEnvironment(callback),
+      algorithm,
+      name: ruleOptions.name,
     };
 
     const newRule = new Rule(options, rule);
@@ -221,31 +323,34 @@ class RateLimiter {
   }
 
   /**
-  * Increment counters in every rule that match to this input
+  * Increment counters in every rule that match to this input. Throws if the
+  * store is asynchronous, use `incrementAsync` then.
   * @param  {object} input Dictionary object containing attributes that may
   * match to rules
   */
   increment(input) {
     // Only increment rule counters that match this input
-    const matchedRules = this._findAllMatchingRules(input);
-    matchedRules.forEach((rule) => {
-      const ruleResult = rule.apply(input);
-
-      if (ruleResult.timeSinceLastReset > rule.options.intervalTime) {
-        // Reset all the counters since the rule has reset
-        rule.resetCounter();
-      }
-
-      // Check whether the key exists, incrementing it if so or otherwise
-      // adding the key and setting its value to 1
-      if (hasOwn.call(rule.counters, ruleResult.key)) {
-        rule.counters[ruleResult.key]++;
-      } else {
-        rule.counters[ruleResult.key] = 1;
-      }
+    this._findAllMatchingRules(input).forEach((rule) => {
+      const { key, ...update } = rule._update(input, this._store);
+      assertSync(this._store.update(key, update));
     });
   }
 
+  /**
+  * Same as `increment`, for any store.
+  * @param  {object} input Dictionary object containing attributes that may
+  * match to rules
+  * @return {Promise}
+  */
+  async incrementAsync(input) {
+    await Promise.all(
+      this._findAllMatchingRules(input).map((rule) => {
+        const { key, ...update } = rule._update(input, this._store);
+        return this._store.update(key, update);
+      })
+    );
+  }
+
   // Returns an array of all rules that apply to provided input
   _findAllMatchingRules(input) {
     return Object.values(this.rules).filter(rule => rule.match(input));
@@ -266,4 +371,4 @@ class RateLimiter {
   }
 }
 
-export { RateLimiter };
+export { RateLimiter, MemoryStore };
@@ -10,6 +10,9 @@ import { StreamClientCommon } from "./common.js";
 // clients stuck in unusual networking environments.
 import SockJS from "./sockjs-1.6.1-min-.js";
 
+const useSockJS = () =>
+  typeof SockJS === "function" && !__meteor_runtime_config__.DISABLE_SOCKJS;
+
 export class ClientStream extends StreamClientCommon {
   // @param url {String} URL to Meteor app
   //   "http://subdomain.meteor.com/" or "/" or
@@ -38,6 +41,10 @@ export class ClientStream extends StreamClientCommon {
 
     this.heartbeatTimer = null;
 
+    // Only native websockets carry binary frames, eg for the MessagePack DDP
+    // version: SockJS framing is text.
+    this.supportsBinary = !useSockJS();
+
     // Listen to global 'online' event if we are running in a browser.
     window.addEventListener(
       'online',
@@ -49,9 +56,10 @@ export class ClientStream extends StreamClientCommon {
     this._launchConnection();
   }
 
-  // data is a utf8 string. Data sent while not connected is dropped on
-  // the floor, and it is up the user of this API to retransmit lost
-  // messages on 'reset'
+  // data is a utf8 string, or a Uint8Array sent as a binary frame if
+  // supportsBinary is true. Data sent while not connected is dropped on the
+  // floor, and it is up the user of this API to retransmit lost messages on
+  // 'reset'
   send(data) {
     if (this.currentStatus.connected) {
       this.socket.send(data);
@@ -162,15 +170,17 @@ export class ClientStream extends StreamClientCommon {
       ...this.options._sockjsOptions
     };
 
-    const hasSockJS = typeof SockJS === "function";
-    const disableSockJS = __meteor_runtime_config__.DISABLE_SOCKJS;
-
-    this.socket = hasSockJS && !disableSockJS
+    if (useSockJS()) {
       // Convert raw URL to SockJS URL each time we open a connection, so
       // that we can connect to random hostnames and get around browser
       // per-host connection limits.
-      ? new SockJS(toSockjsUrl(this.rawUrl), undefined, options)
-      : new WebSocket(toWebsocketUrl(this.rawUrl));
+      this.socket = new SockJS(toSockjsUrl(this.rawUrl), undefined, options);
+    } else {
+      this.socket = new WebSocket(toWebsocketUrl(this.rawUrl));
+      // Binary frames are received as ArrayBuffers rather than Blobs, so
+      // that they can be decoded synchronously.
+      this.socket.binaryType = 'arraybuffer';
+    }
 
     this.socket.onopen = data => {
       this.lastError = null;
@@ -19,6 +19,8 @@ export class ClientStream extends StreamClientCommon {
 
     this.client = null; // created in _launchConnection
     this.endpoint = endpoint;
+    // Websockets carry binary frames, eg for the MessagePack DDP version.
+    this.supportsBinary = true;
 
     this.headers = this.options.headers || {};
     this.npmFayeOptions = this.options.npmFayeOptions || {};
@@ -29,12 +31,14 @@ export class ClientStream extends StreamClientCommon {
     this._launchConnection();
   }
 
-  // data is a utf8 string. Data sent while not connected is dropped on
-  // the floor, and it is up the user of this API to retransmit lost
-  // messages on 'reset'
+  // data is a utf8 string, or a Uint8Array sent as a binary frame. Data sent
+  // while not connected is dropped on the floor, and it is up the user of
+  // this API to retransmit lost messages on 'reset'
   send(data) {
     if (this.currentStatus.connected) {
-      this.client.send(data);
+      this.client.send(typeof data === 'string'
+        ? data
+        : Buffer.from(data.buffer, data.byteOffset, data.byteLength));
     }
   }
 
@@ -195,9 +199,7 @@ export class ClientStream extends StreamClientCommon {
     });
 
     clientOnIfCurrent('message', 'stream message callback', message => {
-      // Ignore binary frames, where message.data is a Buffer
-      if (typeof message.data !== 'string') return;
-
+      // message.data is a Buffer for binary frames
       this.forEachCallback('message', callback => {
         callback(message.data);
       });
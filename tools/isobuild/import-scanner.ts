@@ -1045,9 +1045,57 @@ export default class ImportScanner {
       }
     }
 
+    if (resolved && resolved.aliasPath) {
+      this.addExportsAlias(resolved.aliasPath, resolved.path, forDynamicImport);
+    }
+
     return resolved;
   }
 
+  // The runtime module system knows nothing about package.json "exports"
+  // and "imports" maps, so when the Resolver used one of them, install an
+  // alias module where the runtime will look for the imported identifier.
+  private addExportsAlias(
+    aliasPath: string,
+    targetPath: string,
+    forDynamicImport = false,
+  ) {
+    const status = forDynamicImport ? Status.DYNAMIC : Status.STATIC;
+    const existing = this.getFile(aliasPath);
+    if (existing) {
+      // Either a real module lives at aliasPath, or we already created an
+      // alias for it.
+      setImportedStatus(existing, status);
+      return;
+    }
+
+    const aliasAbsModuleId = this.getAbsModuleId(aliasPath);
+    const targetAbsModuleId = this.getAbsModuleId(targetPath);
+    if (! aliasAbsModuleId ||
+        ! targetAbsModuleId ||
+        aliasAbsModuleId === targetAbsModuleId) {
+      return;
+    }
+
+    this.addFile(aliasPath, {
+      type: "js",
+      alias: {
+        path: targetPath,
+        absModuleId: targetAbsModuleId,
+      },
+      absPath: aliasPath,
+      data: emptyData,
+      dataString: emptyDataString,
+      hash: emptyHash,
+      sourcePath: pathRelative(this.sourceRoot, aliasPath),
+      absModuleId: aliasAbsModuleId,
+      servePath: stripLeadingSlash(aliasAbsModuleId),
+      lazy: true,
+      imported: status,
+      implicit: true,
+    });
+  }
+
   private getRelativeImportId(absParentId: string, absChildId: string) {
     const relativeId = posixRelative(
       posixDirname(absParentId),
@@ -1770,7 +1818,8 @@ export default class ImportScanner {
 
 const ISp = ImportScanner.prototype as any;
 
-[ "addPkgJsonToOutput",
+[ "addExportsAlias",
+  "addPkgJsonToOutput",
   "findImportedModuleIdentifiers",
   "getAbsModuleId",
   "readFile",
@@ -47,8 +47,207 @@ export type Resolution = {
   path: string;
   packageJsonMap?: Record<string, Record<string, any>>;
   id?: string;
+  // When the module was found through a package.json "exports" or
+  // "imports" map, the path where the runtime module system will look for
+  // the imported identifier, so that the ImportScanner can install an
+  // alias from there to the resolved path.
+  aliasPath?: string;
 } | "missing" | null
 
+// Condition names are matched in the order the package.json lists them, so
+// the order of each set does not matter. When a set contains no matching
+// target, the next set is tried, which lets an architecture prefer some
+// conditions without losing the packages that only provide others.
+const exportsConditionSets = {
+  // The modern web bundle prefers ECMAScript modules.
+  modern: [
+    ["browser", "import", "module", "require", "default"],
+  ],
+  // The legacy bundle prefers CommonJS, for the same reason it prefers the
+  // "main" field over the "module" field (see mainFields below).
+  legacy: [
+    ["browser", "require", "default"],
+    ["browser", "import", "module", "default"],
+  ],
+  // On the server, CommonJS targets in node_modules are evaluated natively
+  // by Node, which uses the "require" condition as well.
+  server: [
+    ["node", "require", "default"],
+    ["node", "import", "module", "default"],
+  ],
+};
+
+type ExportsTarget = string | null | ExportsTarget[] | {
+  [key: string]: ExportsTarget;
+};
+
+// Splits a top-level module identifier like "@scope/name/sub/path" into the
+// package name and a "./sub/path" subpath, as used by "exports" maps.
+export function splitPackageId(id: string) {
+  const parts = id.split("/");
+  const nameLength = id.charAt(0) === "@" ? 2 : 1;
+  const rest = parts.slice(nameLength).join("/");
+  return {
+    name: parts.slice(0, nameLength).join("/"),
+    subpath: rest ? "./" + rest : ".",
+  };
+}
+
+// Finds the value of a package.json "exports" or "imports" map for the
+// given subpath (or "#specifier"), following the Node.js algorithm for
+// exact keys, "*" patterns and deprecated trailing-slash folder keys.
+// Returns the target with any "*" already replaced, or undefined if no key
+// matches.
+export function matchSubpathMap(
+  map: Record<string, ExportsTarget>,
+  subpath: string,
+): ExportsTarget | undefined {
+  if (has(map, subpath) && subpath.indexOf("*") < 0) {
+    return map[subpath];
+  }
+
+  let bestKey: string | null = null;
+  let bestMatch = "";
+
+  Object.keys(map).forEach(key => {
+    const starIndex = key.indexOf("*");
+    let match: string | null = null;
+
+    if (starIndex >= 0) {
+      const prefix = key.slice(0, starIndex);
+      const suffix = key.slice(starIndex + 1);
+      if (subpath.length >= key.length &&
+          subpath.startsWith(prefix) &&
+          subpath.endsWith(suffix)) {
+        match = subpath.slice(prefix.length, subpath.length - suffix.length);
+      }
+    } else if (key.endsWith("/") && subpath.startsWith(key)) {
+      match = subpath.slice(key.length);
+    }
+
+    if (match !== null &&
+        (bestKey === null || comparePatternKeys(key, bestKey) < 0)) {
+      bestKey = key;
+      bestMatch = match;
+    }
+  });
+
+  if (bestKey === null) {
+    return undefined;
+  }
+
+  return substitutePattern(
+    map[bestKey],
+    bestMatch,
+    (bestKey as string).indexOf("*") >= 0,
+  );
+}
+
+// Orders pattern keys so that the most specific key comes first: longer
+// prefixes before the "*" win, then longer keys.
+function comparePatternKeys(a: string, b: string) {
+  const aStar = a.indexOf("*");
+  const bStar = b.indexOf("*");
+  const aBase = aStar < 0 ? a.length : aStar + 1;
+  const bBase = bStar < 0 ? b.length : bStar + 1;
+  if (aBase !== bBase) return bBase - aBase;
+  if (aStar < 0) return 1;
+  if (bStar < 0) return -1;
+  return b.length - a.length;
+}
+
+function substitutePattern(
+  target: ExportsTarget,
+  match: string,
+  isPattern: boolean,
+): ExportsTarget {
+  if (typeof target === "string") {
+    return isPattern
+      ? target.split("*").join(match)
+      : target + match;
+  }
+
+  if (Array.isArray(target)) {
+    return target.map(t => substitutePattern(t, match, isPattern));
+  }
+
+  if (target && typeof target === "object") {
+    const result: Record<string, ExportsTarget> = {};
+    Object.keys(target).forEach(key => {
+      result[key] = substitutePattern(
+        (target as Record<string, ExportsTarget>)[key],
+        match,
+        isPattern,
+      );
+    });
+    return result;
+  }
+
+  return target;
+}
+
+// Picks the targets of a conditional exports/imports value for the given
+// condition names, in order of preference. Arrays are fallbacks, so every
+// candidate is returned and the caller uses the first one that exists.
+export function selectConditionalTargets(
+  target: ExportsTarget,
+  conditions: string[],
+): string[] {
+  if (typeof target === "string") {
+    return [target];
+  }
+
+  if (Array.isArray(target)) {
+    const targets: string[] = [];
+    target.forEach(t => {
+      targets.push(...selectConditionalTargets(t, conditions));
+    });
+    return targets;
+  }
+
+  if (target && typeof target === "object") {
+    const keys = Object.keys(target);
+    for (let i = 0; i < keys.length; ++i) {
+      const key = keys[i];
+      if (key === "default" || conditions.indexOf(key) >= 0) {
+        const targets = selectConditionalTargets(
+          (target as Record<string, ExportsTarget>)[key],
+          conditions,
+        );
+        if (targets.length > 0) {
+          return targets;
+        }
+      }
+    }
+  }
+
+  // A null target explicitly excludes the subpath.
+  return [];
+}
+
+// Normalizes the sugared forms of "exports" (a string, an array, or an
+// object of conditions) into a map from subpaths to targets.
+function getExportsSubpathMap(
+  exports: ExportsTarget,
+): Record<string, ExportsTarget> | null {
+  if (typeof exports === "string" || Array.isArray(exports)) {
+    return { ".": exports };
+  }
+
+  if (exports && typeof exports === "object") {
+    const keys = Object.keys(exports);
+    if (keys.length > 0 && keys.every(key => key.charAt(0) === ".")) {
+      return exports as Record<string, ExportsTarget>;
+    }
+    if (keys.every(key => key.charAt(0) !== ".")) {
+      return { ".": exports };
+    }
+  }
+
+  // Mixing subpaths and conditions is invalid, so ignore "exports".
+  return null;
+}
+
 export default class Resolver {
   static getOrCreate = wrap(function (options: ResolverOptions) {
     return new Resolver(options);
@@ -63,6 +262,7 @@ export default class Resolver {
   private extensions: string[];
   private nodeModulesPaths: string[];
   private mainFields: string[];
+  private conditionSets: string[][];
 
   public statOrNull = optimisticStatOrNull as (path: string) => Stats | BigIntStats | null | undefined;
 
@@ -105,11 +305,14 @@ export default class Resolver {
         // field, since many npm packages ship modern syntax other than
         // import/export in their "module" dependency trees.
         this.mainFields = ["browser", "main", "module"];
+        this.conditionSets = exportsConditionSets.legacy;
       } else {
         this.mainFields = ["browser", "module", "main"];
+        this.conditionSets = exportsConditionSets.modern;
       }
     } else {
       this.mainFields = ["main"];
+      this.conditionSets = exportsConditionSets.server;
     }
   }
 
@@ -136,6 +339,7 @@ export default class Resolver {
     let resolved =
       this.resolveAbsolute(id, absParentPath) ||
       this.resolveRelative(id, absParentPath) ||
+      this.resolvePackageImports(id, absParentPath) ||
       this.resolveNodeModule(id, absParentPath);
 
     if (resolved === "missing") {
@@ -288,6 +492,112 @@ export default class Resolver {
     return null;
   }
 
+  // Resolves "#specifier" identifiers through the "imports" map of the
+  // package.json file governing the parent module.
+  private resolvePackageImports(id: string, absParentPath: string): Resolution {
+    if (id.charAt(0) !== "#") {
+      return null;
+    }
+
+    const found = this.findPkgJsonSubsetForPath(absParentPath);
+    const pkg = found && optimisticReadJsonOrNull(found.path);
+    if (! found || ! pkg || ! isObject(pkg.imports)) {
+      return null;
+    }
+
+    const target = matchSubpathMap(pkg.imports, id);
+    if (target === undefined) {
+      return null;
+    }
+
+    const pkgDir = pathDirname(found.path);
+    let resolved: Resolution = null;
+
+    this.conditionSets.some(conditions => {
+      return selectConditionalTargets(target, conditions).some(targetId => {
+        resolved = targetId.startsWith("./")
+          ? this.joinAndStat(pkgDir, targetId)
+          // Targets that are not relative name other packages.
+          : Resolver.isTopLevel(targetId) && targetId.charAt(0) !== "#"
+            ? this.resolveNodeModule(targetId, found.path)
+            : null;
+        return resolved && typeof resolved === "object";
+      });
+    });
+
+    if (resolved && typeof resolved === "object") {
+      // At runtime, the identifier will be looked up in the node_modules
+      // directories above the parent module, starting with the one next to
+      // the package.json file.
+      (resolved as Exclude<Resolution, null | "missing">).aliasPath =
+        pathJoin(pkgDir, "node_modules", id);
+    }
+
+    return resolved;
+  }
+
+  // Resolves subpaths like "name/sub/path" through the "exports" map of
+  // the package found in the given node_modules directory. The package
+  // entry point itself is handled by getPkgJsonSubsetForDir. For backwards
+  // compatibility, subpaths that are not exported are still resolved
+  // relative to the package directory, even though Node would reject them.
+  private resolvePackageExports(nodeModulesDir: string, id: string): Resolution {
+    const { name, subpath } = splitPackageId(id);
+    if (subpath === ".") {
+      return null;
+    }
+
+    const pkgDir = pathJoin(nodeModulesDir, name);
+    const pkg = optimisticReadJsonOrNull(pathJoin(pkgDir, "package.json"));
+    const map = pkg && pkg.exports != null && getExportsSubpathMap(pkg.exports);
+    if (! map) {
+      return null;
+    }
+
+    const target = matchSubpathMap(map, subpath);
+    if (target === undefined) {
+      return null;
+    }
+
+    const targetPath = this.selectExportsTargetPath(pkgDir, target);
+    if (! targetPath) {
+      return null;
+    }
+
+    const resolved = this.joinAndStat(pkgDir, targetPath);
+    if (resolved) {
+      resolved.aliasPath = pathJoin(nodeModulesDir, id);
+    }
+
+    return resolved;
+  }
+
+  // Returns the first relative target path that exists in pkgDir, trying
+  // each set of conditions for the target architecture in turn.
+  private selectExportsTargetPath(
+    pkgDir: string,
+    target: ExportsTarget,
+  ): string | null {
+    let targetPath: string | null = null;
+    this.conditionSets.some(conditions => {
+      return selectConditionalTargets(target, conditions).some(candidate => {
+        // Exports targets must be relative to the package directory.
+        if (candidate.startsWith("./") &&
+            this.joinAndStat(pkgDir, candidate)) {
+          targetPath = candidate;
+          return true;
+        }
+        return false;
+      });
+    });
+    return targetPath;
+  }
+
+  private resolveInNodeModules(nodeModulesDir: string, id: string): Resolution {
+    return this.resolvePackageExports(nodeModulesDir, id) ||
+      this.joinAndStat(nodeModulesDir, id);
+  }
+
   private resolveNodeModule(id: string, absParentPath: string): Resolution {
     if (! Resolver.isTopLevel(id)) {
       return null;
@@ -329,7 +639,8 @@ export default class Resolver {
         dir = pathDirname(dir);
       }
 
-      while (! (resolved = this.joinAndStat(dir, "node_modules", id))) {
+      while (! (resolved = this.resolveInNodeModules(
+        pathJoin(dir, "node_modules"), id))) {
         if (dir === sourceRoot) {
           break;
         }
@@ -348,7 +659,7 @@ export default class Resolver {
       // After checking any local node_modules directories, fall back to
       // the package NPM directory, if one was specified.
       this.nodeModulesPaths.some(path => {
-        return resolved = this.joinAndStat(path, id);
+        return resolved = this.resolveInNodeModules(path, id);
       });
     }
 
@@ -390,6 +701,25 @@ export default class Resolver {
       }
     });
 
+    // The "exports" map takes precedence over the main fields. Rather than
+    // teaching the runtime module system about "exports", store the entry
+    // point chosen for this architecture in every main field it consults.
+    const exportsMap = pkg.exports != null && getExportsSubpathMap(pkg.exports);
+    if (exportsMap && has(exportsMap, ".")) {
+      const main = this.selectExportsTargetPath(
+        pathDirname(pkgJsonPath),
+        exportsMap["."],
+      );
+      if (main) {
+        this.mainFields.forEach(name => {
+          // An object-valued "browser" field holds aliases, not a main.
+          if (! isObject(pkgSubset[name])) {
+            pkgSubset[name] = main;
+          }
+        });
+      }
+    }
+
     return {
       path: pkgJsonPath,
       pkg: pkgSubset,
@@ -0,0 +1 @@
+exports.where = "main";
@@ -0,0 +1 @@
+exports.internal = require("#internal");
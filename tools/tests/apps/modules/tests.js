@@ -590,6 +590,39 @@ describe("symlinking node_modules", () => {
   });
 });
 
+describe("package.json exports and imports", () => {
+  it("should resolve the package entry point by condition", () => {
+    const { where } = require("exports-test");
+    assert.strictEqual(where, Meteor.isServer ? "server" : "client");
+  });
+
+  it("should resolve exported subpaths", () => {
+    assert.strictEqual(require("exports-test/feature").name, "feature");
+    assert.strictEqual(require("exports-test/package.json").name, "exports-test");
+  });
+
+  it("should fall back to the next target when one doesn't exist", () => {
+    assert.strictEqual(require("exports-test/fallback").name, "fallback");
+  });
+
+  it("should resolve subpath patterns", async () => {
+    assert.strictEqual(require("exports-test/features/a").name, "a");
+    const { name } = await import("exports-test/features/b");
+    assert.strictEqual(name, "b");
+  });
+
+  it("should prefer import or require targets by architecture", () => {
+    const { format } = require("exports-test/format");
+    const prefersImport = Meteor.isClient && Meteor.isModern;
+    assert.strictEqual(format, prefersImport ? "esm" : "cjs");
+  });
+
+  it("should resolve #internal imports", () => {
+    const { internal } = require("exports-test/uses-internal");
+    assert.strictEqual(internal, Meteor.isServer ? "server" : "client");
+  });
+});
+
 describe("issue #9878", () => {
   it("should be fixed by PR #9903", () => {
     const {
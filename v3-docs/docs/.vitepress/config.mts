@@ -286,6 +286,10 @@ export default defineConfig({
             text: "accounts-2fa",
             link: "/packages/accounts-2fa",
           },
+          {
+            text: "accounts-webauthn",
+            link: "/packages/accounts-webauthn",
+          },
           {
             text: "appcache",
             link: "/packages/appcache",